@@ -5,9 +5,12 @@
  */
 
 import Dish from "./Dish.mjs";
+import DishStream from "./DishStream.mjs";
 import Recipe from "./Recipe.mjs";
 import log from "loglevel";
-import { isWorkerEnvironment } from "./Utils.mjs";
+import Utils, { isWorkerEnvironment } from "./Utils.mjs";
+import { createInputVariables } from "./lib/Variables.mjs";
+import RecipeCache, { digestInput } from "./lib/RecipeCache.mjs";
 
 /**
  * The main controller for CyberChef.
@@ -19,16 +22,25 @@ class Chef {
      */
     constructor() {
         this.dish = new Dish();
+        this.cache = new RecipeCache();
     }
 
 
     /**
      * Runs the recipe over the input.
      *
-     * @param {string|ArrayBuffer} input - The input data as a string or ArrayBuffer
+     * @param {string|ArrayBuffer|Blob} input - The input data as a string or ArrayBuffer, or a Blob
+     *     such as a File which is too large to load, in which case it is streamed through the recipe
      * @param {Object[]} recipeConfig - The recipe configuration object
      * @param {Object} options - The options object storing various user choices
      * @param {boolean} options.attempHighlight - Whether or not to attempt highlighting
+     * @param {boolean} [options.trace=false] - Whether or not to record a trace of each operation run
+     * @param {AbortSignal} [options.signal] - A signal which can be aborted to cancel the bake
+     * @param {Object} [options.inputMetadata] - The filename, length and tab number of the input,
+     *     which are made available to the recipe as variables
+     * @param {boolean} [options.cache=true] - Whether or not to reuse the cached results of the
+     *     operations at the start of the recipe from earlier bakes of the same input. The cache
+     *     is not used when recording a trace.
      *
      * @returns {Object} response
      * @returns {string} response.result - The output of the recipe
@@ -36,24 +48,60 @@ class Chef {
      * @returns {number} response.progress - The position that we have got to in the recipe
      * @returns {number} response.duration - The number of ms it took to execute the recipe
      * @returns {number} response.error - The error object thrown by a failed operation (false if no error)
+     * @returns {Object[]} response.trace - The input type, output type, byte length, duration and
+     *     preview of the output of each operation run (null if tracing was not requested)
     */
     async bake(input, recipeConfig, options) {
         log.debug("Chef baking");
         const startTime = Date.now(),
             recipe      = new Recipe(recipeConfig),
             containsFc  = recipe.containsFlowControl(),
-            notUTF8     = options && "treatAsUtf8" in options && !options.treatAsUtf8;
+            notUTF8     = options && "treatAsUtf8" in options && !options.treatAsUtf8,
+            trace       = options && options.trace ? [] : null;
         let error = false,
             progress = 0;
 
+        // Depending on the size of the output, we may send it back as a string or an ArrayBuffer.
+        // This can prevent unnecessary casting as an ArrayBuffer can be easily downloaded as a file.
+        // The threshold is specified in KiB.
+        const threshold = (options.ioDisplayThreshold || 1024) * 1024;
+
         if (containsFc && isWorkerEnvironment()) self.setOption("attemptHighlight", false);
 
         // Load data
-        const type = input instanceof ArrayBuffer ? Dish.ARRAY_BUFFER : Dish.STRING;
-        this.dish.set(input, type);
+        const streamInput = typeof Blob !== "undefined" && input instanceof Blob;
+        if (!streamInput) {
+            const type = input instanceof ArrayBuffer ? Dish.ARRAY_BUFFER : Dish.STRING;
+            this.dish.set(input, type);
+        }
+
+        // Set up the built-in variables, if the recipe uses variables
+        const metadata = Object.assign({}, options && options.inputMetadata);
+        let variables = null;
+        if (recipe.usesVariables()) {
+            if (metadata.length === undefined) metadata.length = this._getInputLength(input);
+            variables = createInputVariables(metadata);
+        }
+
+        // Only cache inputs which could fit in the cache themselves, and only for recipes which
+        // have operations whose results are worth caching, so that the input is not digested
+        // for nothing
+        const useCache = !streamInput && !trace && !(options && options.cache === false) &&
+            recipe.getCacheablePrefixLength() > 0 &&
+            (metadata.length === undefined ? this._getInputLength(input) : metadata.length) <= this.cache.maxSize;
 
         try {
-            progress = await recipe.execute(this.dish, progress);
+            if (streamInput) {
+                progress = await this._bakeStream(input, recipe, options && options.signal, variables, threshold);
+            } else {
+                progress = await recipe.execute(this.dish, progress, {
+                    trace: trace,
+                    signal: options && options.signal,
+                    variables: variables,
+                    cache: useCache ? this.cache : null,
+                    inputDigest: useCache ? digestInput(input) : null
+                });
+            }
         } catch (err) {
             log.error(err);
             error = {
@@ -65,16 +113,13 @@ class Chef {
         // Create a raw version of the dish, unpresented
         const rawDish = this.dish.clone();
 
-        // Present the raw result
-        await recipe.present(this.dish);
+        // Present the raw result. Large streamed outputs are sent back as they are, in a File.
+        const outputFile = streamInput && this.dish.type === Dish.FILE;
+        if (!outputFile) await recipe.present(this.dish);
 
-        // Depending on the size of the output, we may send it back as a string or an ArrayBuffer.
-        // This can prevent unnecessary casting as an ArrayBuffer can be easily downloaded as a file.
-        // The threshold is specified in KiB.
-        const threshold = (options.ioDisplayThreshold || 1024) * 1024;
         const returnType =
-            this.dish.type === Dish.HTML ?
-                Dish.HTML :
+            this.dish.type === Dish.HTML || outputFile ?
+                this.dish.type :
                 this.dish.size > threshold ?
                     Dish.ARRAY_BUFFER :
                     Dish.STRING;
@@ -85,11 +130,62 @@ class Chef {
             type: Dish.enumLookup(this.dish.type),
             progress: progress,
             duration: Date.now() - startTime,
-            error: error
+            error: error,
+            trace: trace
         };
     }
 
 
+    /**
+     * Returns the length of the input in bytes. Strings have to be encoded to work this out, so
+     * this is only called when something needs the length.
+     *
+     * @private
+     * @param {string|ArrayBuffer|Blob} input
+     * @returns {number}
+     */
+    _getInputLength(input) {
+        if (typeof Blob !== "undefined" && input instanceof Blob) return input.size;
+        if (input instanceof ArrayBuffer) return input.byteLength;
+        return Utils.strToArrayBuffer(input).byteLength;
+    }
+
+
+    /**
+     * Streams a Blob through the recipe in chunks, leaving the output in the Dish. Outputs
+     * larger than the threshold are left in a File so that they do not have to fit in memory.
+     *
+     * @private
+     * @param {Blob} blob
+     * @param {Recipe} recipe
+     * @param {AbortSignal} [signal]
+     * @param {Object} [variables]
+     * @param {number} [threshold=0] - The size in bytes above which the output is left in a File.
+     * @returns {number} The final progress through the recipe
+     */
+    async _bakeStream(blob, recipe, signal, variables, threshold=0) {
+        try {
+            const output = await (await recipe.executeStream(DishStream.fromBlob(blob), signal, variables)).toBlob();
+
+            if (output.size > threshold) {
+                this.dish.set(new File([output], "output"), Dish.FILE);
+            } else {
+                this.dish.set(await DishStream.fromBlob(output).toArrayBuffer(), Dish.ARRAY_BUFFER);
+            }
+        } catch (err) {
+            // Return expected errors as output, in the same way as Recipe.execute
+            if (err.type !== "OperationError" && err.type !== "DishError") {
+                err.progress = 0;
+                err.displayStr = err.displayStr || err.message;
+                throw err;
+            }
+            this.dish.set(err.message, Dish.STRING);
+        }
+
+        return recipe.opList.length;
+    }
+
+
     /**
      * When a browser tab is unfocused and the browser has to run lots of dynamic content in other tabs,
      * it swaps out the memory for that tab. If the CyberChef tab has been unfocused for more than a
@@ -9,6 +9,11 @@
 import Chef from "./Chef.mjs";
 import OperationConfig from "./config/OperationConfig.json";
 import OpModules from "./config/modules/OpModules.mjs";
+import Recipe from "./Recipe.mjs";
+import AbortError from "./errors/AbortError.mjs";
+import { setSavedRecipes } from "./lib/SavedRecipes.mjs";
+import { runForkBranches } from "./lib/FlowControl.mjs";
+import { setForkExecutor, mergeForkResults, serialiseForkError } from "./lib/Fork.mjs";
 
 // Add ">" to the start of all log messages in the Chef Worker
 import loglevelMessagePrefix from "loglevel-message-prefix";
@@ -26,6 +31,27 @@ self.chef = new Chef();
 self.OpModules = OpModules;
 self.OperationConfig = OperationConfig;
 self.inputNum = -1;
+self.forkCallbacks = {};
+self.forkCallbackId = 0;
+self.bakeController = null;
+
+// Ask the app to share the branches of parallel Forks between the other ChefWorkers
+setForkExecutor({
+    run: function(job) {
+        return new Promise((resolve, reject) => {
+            const id = self.forkCallbackId++;
+            self.forkCallbacks[id] = {resolve, reject};
+            self.postMessage({
+                action: "forkBranches",
+                data: {
+                    id: id,
+                    job: job,
+                    inputNum: self.inputNum
+                }
+            });
+        });
+    }
+});
 
 
 // Tell the app that the worker has loaded and is ready to operate
@@ -49,9 +75,18 @@ self.postMessage({
  *         options: {Object},
  *         progress: {number},
  *         step: {boolean},
+ *         [savedRecipes]: {[Object]},
+ *         [inputMetadata]: {Object},
  *         [inputNum=-1]: {number}
  *     }
  * }
+ *
+ * The "runForkJob" and "forkBranchesComplete" actions are used to share the branches of a
+ * parallel Fork between ChefWorkers.
+ *
+ * The "cancelBake" action stops the current bake or Fork job. It can only be handled between
+ * operations or while an operation is waiting for something, so the app still has to terminate
+ * the worker if an operation is running synchronously and does not finish soon.
  */
 self.addEventListener("message", function(e) {
     // Handle message
@@ -86,6 +121,15 @@ self.addEventListener("message", function(e) {
         case "setLogLevel":
             log.setLevel(r.data, false);
             break;
+        case "runForkJob":
+            runForkJob(r.data);
+            break;
+        case "forkBranchesComplete":
+            forkBranchesComplete(r.data);
+            break;
+        case "cancelBake":
+            cancelBake();
+            break;
         default:
             break;
     }
@@ -100,12 +144,15 @@ self.addEventListener("message", function(e) {
 async function bake(data) {
     // Ensure the relevant modules are loaded
     self.loadRequiredModules(data.recipeConfig);
+    // Make the user's saved recipes available to the Run Saved Recipe operation
+    setSavedRecipes(data.savedRecipes || []);
+    const signal = startBake();
     try {
         self.inputNum = (data.inputNum !== undefined) ? data.inputNum : -1;
         const response = await self.chef.bake(
             data.input,          // The user's input
             data.recipeConfig,   // The configuration of the recipe
-            data.options         // Options set by the user
+            Object.assign({}, data.options, {inputMetadata: data.inputMetadata, signal: signal}) // Options set by the user and details of the input
         );
 
         const transferable = (data.input instanceof ArrayBuffer) ? [data.input] : undefined;
@@ -129,6 +176,32 @@ async function bake(data) {
         });
     }
     self.inputNum = -1;
+    self.bakeController = null;
+}
+
+
+/**
+ * Sets up the controller used to cancel the bake or Fork job which is about to start.
+ *
+ * @returns {AbortSignal|null}
+ */
+function startBake() {
+    self.bakeController = typeof AbortController !== "undefined" ? new AbortController() : null;
+    return self.bakeController && self.bakeController.signal;
+}
+
+
+/**
+ * Cancels the current bake or Fork job, including any Fork branches which other ChefWorkers
+ * are being waited on for.
+ */
+function cancelBake() {
+    if (self.bakeController) self.bakeController.abort();
+
+    Object.keys(self.forkCallbacks).forEach(id => {
+        self.forkCallbacks[id].reject(new AbortError("The bake was cancelled"));
+        delete self.forkCallbacks[id];
+    });
 }
 
 
@@ -200,6 +273,67 @@ async function calculateHighlights(recipeConfig, direction, pos) {
 }
 
 
+/**
+ * Runs some of the branches of a parallel Fork on behalf of another ChefWorker.
+ *
+ * @param {Object} data
+ * @param {number} data.id
+ * @param {number} data.index - The position of this part of the job in the whole job.
+ * @param {Object} data.job - See runForkBranches.
+ * @param {Object[]} data.savedRecipes
+ * @param {number} data.inputNum - The input the Fork is being run on.
+ */
+async function runForkJob(data) {
+    const result = {
+        id: data.id,
+        index: data.index
+    };
+
+    const signal = startBake();
+    self.inputNum = data.inputNum;
+    try {
+        self.loadRequiredModules(data.job.recipeConfig);
+        setSavedRecipes(data.savedRecipes || []);
+        result.result = await runForkBranches(new Recipe(data.job.recipeConfig), data.job, signal);
+    } catch (err) {
+        result.error = serialiseForkError(err);
+    }
+    self.inputNum = -1;
+    self.bakeController = null;
+
+    self.postMessage({
+        action: "forkJobComplete",
+        data: result
+    });
+}
+
+
+/**
+ * Passes the results of running the branches of a parallel Fork back to the Fork.
+ *
+ * @param {Object} data
+ * @param {number} data.id
+ * @param {Object[]} data.results - The result of each part of the job, or null if there were
+ *     no other ChefWorkers available to run it.
+ */
+function forkBranchesComplete(data) {
+    const callback = self.forkCallbacks[data.id];
+    if (!callback) return;
+    delete self.forkCallbacks[data.id];
+
+    if (data.results === null) {
+        callback.resolve(null);
+        return;
+    }
+
+    try {
+        callback.resolve(mergeForkResults(data.results));
+    } catch (err) {
+        callback.reject(err);
+    }
+}
+
+
 /**
  * Checks that all required modules are loaded and loads them if not.
  *
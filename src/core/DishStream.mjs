@@ -0,0 +1,204 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Dish from "./Dish.mjs";
+import Utils from "./Utils.mjs";
+import AbortError from "./errors/AbortError.mjs";
+
+
+/**
+ * Data which is read and processed in chunks rather than being held in memory all at once,
+ * allowing recipes made up of streamable operations to be run over very large inputs.
+ *
+ * A DishStream wraps any iterable or async iterable of chunks. Chunks can be Uint8Arrays,
+ * ArrayBuffers, Buffers or strings and are always yielded as Uint8Arrays.
+ */
+class DishStream {
+
+    /**
+     * DishStream constructor
+     *
+     * @param {Iterable|AsyncIterable} source - The chunks which make up the data.
+     */
+    constructor(source) {
+        this.source = source;
+    }
+
+
+    /**
+     * Creates a DishStream which yields the given buffer in chunks.
+     *
+     * @param {ArrayBuffer|Uint8Array|string} data
+     * @param {number} [chunkSize=DishStream.CHUNK_SIZE]
+     * @returns {DishStream}
+     */
+    static fromArrayBuffer(data, chunkSize=DishStream.CHUNK_SIZE) {
+        const bytes = DishStream.toBytes(data);
+
+        return new DishStream((function* () {
+            for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+                yield bytes.subarray(offset, offset + chunkSize);
+            }
+        })());
+    }
+
+
+    /**
+     * Creates a DishStream which reads the given Blob or File in chunks.
+     *
+     * @param {Blob} blob
+     * @param {number} [chunkSize=DishStream.CHUNK_SIZE]
+     * @returns {DishStream}
+     */
+    static fromBlob(blob, chunkSize=DishStream.CHUNK_SIZE) {
+        return new DishStream((async function* () {
+            for (let offset = 0; offset < blob.size; offset += chunkSize) {
+                yield await readBlob(blob.slice(offset, offset + chunkSize));
+            }
+        })());
+    }
+
+
+    /**
+     * Converts a chunk to a Uint8Array.
+     *
+     * @param {Uint8Array|ArrayBuffer|string|number[]} chunk
+     * @returns {Uint8Array}
+     */
+    static toBytes(chunk) {
+        if (chunk instanceof Uint8Array) return chunk;
+        if (typeof chunk === "string") return new Uint8Array(Utils.strToArrayBuffer(chunk));
+        if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        return new Uint8Array(chunk);
+    }
+
+
+    /**
+     * Iterates over the chunks in the stream.
+     *
+     * @returns {AsyncIterator<Uint8Array>}
+     */
+    async *[Symbol.asyncIterator]() {
+        for await (const chunk of this.source) {
+            yield DishStream.toBytes(chunk);
+        }
+    }
+
+
+    /**
+     * Returns a new DishStream containing the output of passing each chunk through the given
+     * transformer, as returned by Operation.createTransformer.
+     *
+     * @param {Object} transformer
+     * @param {function} transformer.transform - Processes a chunk and returns any output ready.
+     * @param {function} transformer.flush - Returns any remaining output once the input is exhausted.
+     * @param {AbortSignal} [signal=null] - Stops processing between chunks when aborted.
+     * @returns {DishStream}
+     */
+    pipeThrough(transformer, signal=null) {
+        const source = this;
+
+        return new DishStream((async function* () {
+            for await (const chunk of source) {
+                if (signal && signal.aborted) throw new AbortError();
+
+                const output = transformer.transform(chunk);
+                if (output && output.length) yield output;
+            }
+
+            const output = transformer.flush();
+            if (output && output.length) yield output;
+        })());
+    }
+
+
+    /**
+     * Reads the whole stream into a single ArrayBuffer.
+     *
+     * @returns {ArrayBuffer}
+     */
+    async toArrayBuffer() {
+        const chunks = [];
+        let length = 0;
+
+        for await (const chunk of this) {
+            chunks.push(chunk);
+            length += chunk.length;
+        }
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result.buffer;
+    }
+
+
+    /**
+     * Reads the whole stream into a Blob. The chunks are moved into the Blob as they arrive,
+     * so browsers can keep the data on disk rather than holding all of it in memory.
+     *
+     * @returns {Blob}
+     */
+    async toBlob() {
+        let blob = new Blob([]),
+            parts = [],
+            length = 0;
+
+        for await (const chunk of this) {
+            parts.push(chunk);
+            length += chunk.length;
+
+            if (length >= DishStream.CHUNK_SIZE) {
+                blob = new Blob([blob].concat(parts));
+                parts = [];
+                length = 0;
+            }
+        }
+        return new Blob([blob].concat(parts));
+    }
+
+
+    /**
+     * Reads the whole stream into a Dish.
+     *
+     * @returns {Dish}
+     */
+    async toDish() {
+        return new Dish(await this.toArrayBuffer(), Dish.ARRAY_BUFFER);
+    }
+
+}
+
+
+/**
+ * The default number of bytes read from the source at once.
+ */
+DishStream.CHUNK_SIZE = 1048576; // 1MiB
+
+
+/**
+ * Reads a Blob into a Uint8Array.
+ *
+ * @param {Blob} blob
+ * @returns {Promise<Uint8Array>}
+ */
+function readBlob(blob) {
+    if (typeof blob.arrayBuffer === "function") {
+        return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+export default DishStream;
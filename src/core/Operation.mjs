@@ -6,6 +6,7 @@
 
 import Dish from "./Dish.mjs";
 import Ingredient from "./Ingredient.mjs";
+import AbortError from "./errors/AbortError.mjs";
 
 /**
  * The Operation specified by the user to be run.
@@ -22,8 +23,16 @@ class Operation {
         this._presentType     = -1;
         this._breakpoint      = false;
         this._disabled        = false;
+        this._onError         = "stop";
         this._flowControl     = false;
         this._manualBake      = false;
+        this._streamable      = false;
+        this._cacheable       = true;
+        this._signal          = null;
+        this._recipeStack     = [];
+        this._variables       = null;
+        this._trace           = null;
+        this._allowedOperations = null;
         this._ingList         = [];
 
         // Public fields
@@ -31,6 +40,8 @@ class Operation {
         this.module           = "";
         this.description      = "";
         this.infoURL          = null;
+        // Other names people might search for the operation by
+        this.aliases          = [];
     }
 
 
@@ -46,6 +57,41 @@ class Operation {
     }
 
 
+    /**
+     * Interface for processing the input in chunks, used when the Operation is streamable.
+     *
+     * Returns a transformer object with two functions: transform(chunk), which takes the next
+     * chunk of input as a Uint8Array and returns whatever output can be produced from it so
+     * far, and flush(), which is called once the input is exhausted and returns any remaining
+     * output. Running the transformer over the whole input must give the same result as run().
+     *
+     * @param {Object[]} args
+     * @returns {Object} transformer
+     */
+    createTransformer(args) {
+        throw new Error(`The ${this.name} operation cannot process its input in chunks`);
+    }
+
+
+    /**
+     * Throws an AbortError if the current run of this Operation has been cancelled.
+     * Long-running operations should call this periodically so that they can stop early.
+     *
+     * Signals are usually aborted by an event, which cannot be handled while an operation is
+     * running synchronously, so synchronous operations calling this part way through only see
+     * signals whose `aborted` property is worked out when it is read, such as the one ChefPool
+     * uses for timeouts when there are no workers. Operations are kept synchronous regardless,
+     * as making them asynchronous would change what they return when called from the Node API.
+     *
+     * @throws {AbortError}
+     */
+    throwIfAborted() {
+        if (this._signal && this._signal.aborted) {
+            throw new AbortError(`The ${this.name} operation was cancelled`);
+        }
+    }
+
+
     /**
      * Interface for forward highlighter
      *
@@ -257,6 +303,28 @@ class Operation {
     }
 
 
+    /**
+     * Set what happens when this Operation throws an error: "stop" ends the recipe,
+     * "skip" passes the input through unchanged and "jump:<label name>" passes the
+     * input through and carries on from the named Label.
+     *
+     * @param {string} value
+     */
+    set onError(value) {
+        this._onError = value || "stop";
+    }
+
+
+    /**
+     * Returns what happens when this Operation throws an error.
+     *
+     * @returns {string}
+     */
+    get onError() {
+        return this._onError;
+    }
+
+
     /**
      * Set whether this Operation is disabled.
      *
@@ -297,6 +365,152 @@ class Operation {
     }
 
 
+    /**
+     * Returns true if this Operation can process its input in chunks.
+     *
+     * @returns {boolean}
+     */
+    get streamable() {
+        return this._streamable;
+    }
+
+
+    /**
+     * Set whether this Operation can process its input in chunks.
+     *
+     * @param {boolean} value
+     */
+    set streamable(value) {
+        this._streamable = !!value;
+    }
+
+
+    /**
+     * Returns true if the output of this Operation depends only on its input and arguments,
+     * meaning that it can be cached.
+     *
+     * @returns {boolean}
+     */
+    get cacheable() {
+        return this._cacheable;
+    }
+
+
+    /**
+     * Set whether the output of this Operation can be cached.
+     *
+     * @param {boolean} value
+     */
+    set cacheable(value) {
+        this._cacheable = !!value;
+    }
+
+
+    /**
+     * Returns the signal used to cancel the current run of this Operation.
+     *
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this._signal;
+    }
+
+
+    /**
+     * Set the signal used to cancel the current run of this Operation.
+     * Any object with an `aborted` property can be used.
+     *
+     * @param {AbortSignal} value
+     */
+    set signal(value) {
+        this._signal = value || null;
+    }
+
+
+    /**
+     * Returns the names of the saved recipes which are being run, outermost first, when this
+     * Operation is part of a saved recipe. Inline recipes are included as "(inline recipe)".
+     *
+     * @returns {string[]}
+     */
+    get recipeStack() {
+        return this._recipeStack;
+    }
+
+
+    /**
+     * Set the names of the saved recipes which are being run.
+     *
+     * @param {string[]} value
+     */
+    set recipeStack(value) {
+        this._recipeStack = value || [];
+    }
+
+
+    /**
+     * Returns the values of the variables set in the recipe this Operation is part of, or null
+     * if the recipe does not use variables.
+     *
+     * @returns {Object|null}
+     */
+    get variables() {
+        return this._variables;
+    }
+
+
+    /**
+     * Set the values of the variables set in the recipe.
+     *
+     * @param {Object|null} value
+     */
+    set variables(value) {
+        this._variables = value || null;
+    }
+
+
+    /**
+     * Returns the execution trace of the current run of this Operation's recipe, or null if it
+     * is not being traced.
+     *
+     * @returns {Object[]|null}
+     */
+    get trace() {
+        return this._trace;
+    }
+
+
+    /**
+     * Set the execution trace of the current run of this Operation's recipe.
+     *
+     * @param {Object[]|null} value
+     */
+    set trace(value) {
+        this._trace = value || null;
+    }
+
+
+    /**
+     * Returns the names of the operations which the recipe this Operation is part of is allowed
+     * to run, or null if any operation can be run.
+     *
+     * @returns {string[]|null}
+     */
+    get allowedOperations() {
+        return this._allowedOperations;
+    }
+
+
+    /**
+     * Set the names of the operations which the recipe is allowed to run.
+     *
+     * @param {string[]|null} value
+     */
+    set allowedOperations(value) {
+        this._allowedOperations = value || null;
+    }
+
+
     /**
      * Returns true if this Operation should not trigger AutoBake.
      *
@@ -7,13 +7,26 @@
 import OperationConfig from "./config/OperationConfig.json";
 import OperationError from "./errors/OperationError.mjs";
 import Operation from "./Operation.mjs";
+import Dish from "./Dish.mjs";
+import DishStream from "./DishStream.mjs";
 import DishError from "./errors/DishError.mjs";
+import ExcludedOperationError from "./errors/ExcludedOperationError.mjs";
+import AbortError from "./errors/AbortError.mjs";
 import log from "loglevel";
 import { isWorkerEnvironment } from "./Utils.mjs";
+import { createTraceEntry, completeTraceEntry } from "./lib/Trace.mjs";
+import { getLabelIndex } from "./lib/FlowControl.mjs";
+import { interpolateIngValues, referencesInputVariables } from "./lib/Variables.mjs";
 
 // Cache container for modules
 let modules = null;
 
+/**
+ * The maximum number of times operations can jump to a Label after an error in one run of a
+ * recipe, to stop failures from jumping backwards forever.
+ */
+const MAX_ERROR_JUMPS = 10;
+
 /**
  * The Recipe controls a list of Operations and the Dish they operate on.
  */
@@ -47,6 +60,7 @@ class Recipe  {
                 ingValues: c.args,
                 breakpoint: c.breakpoint,
                 disabled: c.disabled,
+                onError: c.onError,
             });
         });
     }
@@ -74,6 +88,7 @@ class Recipe  {
                 op.ingValues = o.ingValues;
                 op.breakpoint = o.breakpoint;
                 op.disabled = o.disabled;
+                op.onError = o.onError;
                 return op;
             }
         });
@@ -93,6 +108,18 @@ class Recipe  {
     }
 
 
+    /**
+     * Returns true if the recipe sets variables or refers to the built-in variables which
+     * describe the input. Variables are only filled in for recipes which do, so that recipes
+     * which contain other "${...}" text keep working as they did before variables were added.
+     *
+     * @returns {boolean}
+     */
+    usesVariables() {
+        return this.opList.some(op => op.name === "Set Variable" || referencesInputVariables(op.ingValues));
+    }
+
+
     /**
      * Adds a new Operation to this Recipe.
      *
@@ -119,6 +146,7 @@ class Recipe  {
                     ingValues: o.args,
                     breakpoint: o.breakpoint,
                     disabled: o.disabled,
+                    onError: o.onError,
                 });
             }
         });
@@ -165,6 +193,53 @@ class Recipe  {
     }
 
 
+    /**
+     * Returns true if every enabled Operation in this Recipe can process its input in chunks,
+     * meaning that the Recipe can be run with executeStream.
+     *
+     * @returns {boolean}
+     */
+    isStreamable() {
+        return this.opList.every(op => {
+            if (op.disabled) return true;
+            return op instanceof Operation ? op.streamable : OperationConfig[op.name].streamable;
+        });
+    }
+
+
+    /**
+     * Runs each operation in the recipe over the given DishStream, one chunk at a time.
+     * Nothing is processed until the returned stream is read, at which point any errors
+     * thrown by the operations are raised. Breakpoints are ignored.
+     *
+     * @param {DishStream} stream
+     * @param {AbortSignal} [signal=null]
+     *     - If set, processing stops with an AbortError once this signal is aborted
+     * @param {Object} [variables=null]
+     *     - The values of variables which can be referred to in ingredients, e.g. ${name}, or
+     *       null if the recipe does not use variables
+     * @returns {DishStream}
+     *     - The output of the final operation
+     */
+    async executeStream(stream, signal=null, variables=null) {
+        if (!this.isStreamable()) {
+            throw new DishError("Only recipes made up of operations which can process their input in chunks can be streamed");
+        }
+
+        await this._hydrateOpList();
+        this.lastRunOp = null;
+
+        return this.opList.reduce((output, op) => {
+            if (op.disabled) return output;
+
+            log.debug(`Streaming through ${op.name}`);
+            op.signal = signal;
+            this.lastRunOp = op;
+            return output.pipeThrough(op.createTransformer(interpolateIngValues(op.ingValues, variables)), signal);
+        }, stream instanceof DishStream ? stream : new DishStream(stream));
+    }
+
+
     /**
      * Executes each operation in the recipe over the given Dish.
      *
@@ -173,18 +248,51 @@ class Recipe  {
      *     - The index of the Operation to start executing from
      * @param {number} [forkState={}]
      *     - If this is a forked recipe, the state of the recipe up to this point
+     * @param {Object[]} [forkState.trace]
+     *     - If set, an entry describing each operation run is appended to this array
+     * @param {AbortSignal} [forkState.signal]
+     *     - If set, execution stops with an AbortError once this signal is aborted
+     * @param {string[]} [forkState.recipeStack]
+     *     - The names of the saved recipes being run, if this is a saved or inline recipe
+     * @param {Object} [forkState.variables]
+     *     - The values of variables which can be referred to in ingredients, e.g. ${name}, or
+     *       null if the recipe does not use variables
+     * @param {RecipeCache} [forkState.cache]
+     *     - If set, the results of the operations at the start of the recipe are cached here and
+     *       execution carries on from the longest part of the recipe which has been cached before
+     * @param {string[]} [forkState.allowedOperations]
+     *     - If set, only these operations can be run. This includes the operations in any
+     *       recipes run by this one, e.g. with Run Saved Recipe, which are only known once they
+     *       run. Running any other operation throws an ExcludedOperationError.
+     * @param {string} [forkState.inputDigest]
+     *     - The digest of the input, used in cache keys. Only needed if the recipe has a
+     *       cacheable prefix (see getCacheablePrefixLength)
      * @returns {number}
      *     - The final progress through the recipe
      */
     async execute(dish, startFrom=0, forkState={}) {
-        let op, input, output,
+        let op, input, output, inputDish, ingValues, traceEntry, opStartTime, presentedOp,
             numJumps = 0,
+            numErrorJumps = 0,
             numRegisters = forkState.numRegisters || 0;
+        const trace = forkState.trace,
+            signal = forkState.signal,
+            recipeStack = forkState.recipeStack || [],
+            variables = forkState.variables || (this.usesVariables() ? {} : null),
+            forkOffset = forkState.forkOffset || 0,
+            allowedOperations = forkState.allowedOperations || null,
+            cache = forkState.cache;
+        let cacheKeys = [];
 
         if (startFrom === 0) this.lastRunOp = null;
 
         await this._hydrateOpList();
 
+        if (cache && startFrom === 0) {
+            cacheKeys = this._getCacheKeys(forkState.inputDigest, variables);
+            startFrom = this._loadFromCache(dish, cache, cacheKeys);
+        }
+
         log.debug(`[*] Executing recipe of ${this.opList.length} operations, starting at ${startFrom}`);
 
         for (let i = startFrom; i < this.opList.length; i++) {
@@ -200,6 +308,22 @@ class Recipe  {
             }
 
             try {
+                if (signal && signal.aborted) {
+                    throw new AbortError("The bake was cancelled");
+                }
+                if (allowedOperations && !allowedOperations.includes(op.name)) {
+                    throw new ExcludedOperationError(`${op.name} is not allowed`);
+                }
+
+                if (trace) {
+                    traceEntry = createTraceEntry(op.name, forkOffset + i, op.inputType);
+                    trace.push(traceEntry);
+                }
+                opStartTime = Date.now();
+
+                // Keep an untouched copy of the input so that it can be passed through if the operation fails
+                inputDish = op.onError === "stop" ? null : dish.clone();
+
                 input = await dish.get(op.inputType);
                 log.debug(`Executing operation '${op.name}'`);
 
@@ -208,37 +332,81 @@ class Recipe  {
                     self.sendProgressMessage(i + 1, this.opList.length);
                 }
 
-                if (op.flowControl) {
-                    // Package up the current state
-                    let state = {
-                        "progress":     i,
-                        "dish":         dish,
-                        "opList":       this.opList,
-                        "numJumps":     numJumps,
-                        "numRegisters": numRegisters,
-                        "forkOffset":   forkState.forkOffset || 0
-                    };
-
-                    state = await op.run(state);
-                    i = state.progress;
-                    numJumps = state.numJumps;
-                    numRegisters = state.numRegisters;
-                } else {
-                    output = await op.run(input, op.ingValues);
-                    dish.set(output, op.outputType);
+                op.signal = signal;
+                op.recipeStack = recipeStack;
+                op.variables = variables;
+                op.trace = trace;
+                op.allowedOperations = allowedOperations;
+
+                // Fill in any variables, restoring the original values afterwards so that the
+                // variables are looked up again if the operation is run again
+                ingValues = op.ingValues;
+                op.ingValues = interpolateIngValues(ingValues, variables);
+                presentedOp = op;
+
+                try {
+                    if (op.flowControl) {
+                        // Package up the current state
+                        let state = {
+                            "progress":     i,
+                            "dish":         dish,
+                            "opList":       this.opList,
+                            "numJumps":     numJumps,
+                            "numRegisters": numRegisters,
+                            "forkOffset":   forkOffset,
+                            "trace":        trace,
+                            "signal":       signal,
+                            "recipeStack":  recipeStack,
+                            "variables":    variables,
+                            "allowedOperations": allowedOperations
+                        };
+
+                        state = await op.run(state);
+                        i = state.progress;
+                        numJumps = state.numJumps;
+                        numRegisters = state.numRegisters;
+                        // Loops leave the output of the last operation in their block in the
+                        // Dish, which is presented in the same way if it is the final output
+                        if (state.lastRunOp) presentedOp = state.lastRunOp;
+                    } else {
+                        output = await op.run(input, op.ingValues);
+                        dish.set(output, op.outputType);
+                    }
+                } finally {
+                    op.ingValues = ingValues;
                 }
-                this.lastRunOp = op;
+                if (trace) await this._completeTraceEntry(traceEntry, dish, opStartTime);
+                this.lastRunOp = presentedOp;
+                if (i < cacheKeys.length) cache.set(cacheKeys[i], dish);
             } catch (err) {
+                // Carry on according to the operation's "On error" policy. Cancelled bakes and
+                // operations which are not allowed must always stop.
+                const mustStop = err.type === "AbortError" || err.type === "ExcludedOperationError",
+                    resumeFrom = mustStop ? -1 : this._getErrorResumeIndex(op, i, numErrorJumps);
+                if (resumeFrom > -1) {
+                    const message = typeof err == "string" ? err : err.displayStr || err.message;
+                    log.debug(`${op.name} failed, continuing from ${resumeFrom + 1}: ${message}`);
+
+                    if (resumeFrom !== i) numErrorJumps++;
+                    dish.set(inputDish.value, inputDish.type);
+                    if (trace) await this._completeTraceEntry(traceEntry, dish, opStartTime, message);
+
+                    i = resumeFrom;
+                    continue;
+                }
+
                 // Return expected errors as output
                 if (err instanceof OperationError ||
                     (err.type && err.type === "OperationError")) {
                     // Cannot rely on `err instanceof OperationError` here as extending
                     // native types is not fully supported yet.
                     dish.set(err.message, "string");
+                    if (trace) await this._completeTraceEntry(traceEntry, dish, opStartTime, err.message);
                     return i;
                 } else if (err instanceof DishError ||
                     (err.type && err.type === "DishError")) {
                     dish.set(err.message, "string");
+                    if (trace) await this._completeTraceEntry(traceEntry, dish, opStartTime, err.message);
                     return i;
                 } else {
                     const e = typeof err == "string" ? { message: err } : err;
@@ -250,6 +418,7 @@ class Recipe  {
                     } else {
                         e.displayStr = `${op.name} - ${e.displayStr || e.message}`;
                     }
+                    if (trace) traceEntry.error = e.displayStr;
 
                     throw e;
                 }
@@ -261,6 +430,114 @@ class Recipe  {
     }
 
 
+    /**
+     * Works out where to carry on from when an Operation fails, according to its "On error" policy.
+     *
+     * @private
+     * @param {Operation} op - The Operation which failed.
+     * @param {number} i - The position of the Operation in the recipe.
+     * @param {number} numErrorJumps - The number of jumps to Labels taken after errors so far.
+     * @returns {number} The position to continue after, or -1 if the recipe should stop.
+     */
+    _getErrorResumeIndex(op, i, numErrorJumps) {
+        if (op.onError === "skip") return i;
+
+        if (op.onError.startsWith("jump:") && numErrorJumps < MAX_ERROR_JUMPS) {
+            return getLabelIndex(op.onError.slice(5), {opList: this.opList});
+        }
+
+        return -1;
+    }
+
+
+    /**
+     * Returns the number of operations at the start of the recipe whose results are worth
+     * caching. This stops at the first flow control operation, breakpoint or operation whose
+     * output can change from one run to the next. The final operation is left out, as a cached
+     * result is only of use if there are operations after it to carry on with, so this is 0 for
+     * recipes which cannot use the cache at all.
+     *
+     * @returns {number}
+     */
+    getCacheablePrefixLength() {
+        let length = 0;
+
+        for (let i = 0; i < this.opList.length - 1; i++) {
+            const op = this.opList[i];
+            if (op.disabled) continue;
+
+            const config = op instanceof Operation ? op : OperationConfig[op.name];
+            if (op.breakpoint || config.flowControl || !config.cacheable) break;
+            length = i + 1;
+        }
+        return length;
+    }
+
+
+    /**
+     * Returns the cache key for the result of each operation in the cacheable prefix of the
+     * recipe.
+     *
+     * @private
+     * @param {string} inputDigest
+     * @param {Object} variables
+     * @returns {string[]}
+     */
+    _getCacheKeys(inputDigest, variables) {
+        const keys = [];
+        let key = inputDigest;
+
+        for (const op of this.opList.slice(0, this.getCacheablePrefixLength())) {
+            key += "\n" + (op.disabled ? "disabled" :
+                JSON.stringify([op.name, op.onError, interpolateIngValues(op.ingValues, variables)]));
+            keys.push(key);
+        }
+        return keys;
+    }
+
+
+    /**
+     * Loads the cached result of the longest part of the recipe which has been run before into
+     * the Dish.
+     *
+     * @private
+     * @param {Dish} dish
+     * @param {RecipeCache} cache
+     * @param {string[]} cacheKeys
+     * @returns {number} The position to carry on executing the recipe from.
+     */
+    _loadFromCache(dish, cache, cacheKeys) {
+        for (let i = cacheKeys.length; i > 0; i--) {
+            const cached = cache.get(cacheKeys[i - 1]);
+            if (!cached) continue;
+
+            log.debug(`Using cached result of the first ${i} operations`);
+            dish.set(cached.value, cached.type);
+            this.lastRunOp = this.opList.slice(0, i).reverse().find(op => !op.disabled) || null;
+            return i;
+        }
+        return 0;
+    }
+
+
+    /**
+     * Records the result of running an operation in its trace entry.
+     *
+     * @private
+     * @param {Object} entry - The trace entry for the operation.
+     * @param {Dish} dish - The Dish as left by the operation.
+     * @param {number} startTime - When the operation started running.
+     * @param {string} [error] - The message of any error thrown by the operation.
+     */
+    async _completeTraceEntry(entry, dish, startTime, error) {
+        const duration = Date.now() - startTime,
+            output = await new Dish(dish).get(Dish.ARRAY_BUFFER);
+
+        completeTraceEntry(entry, Dish.enumLookup(dish.type), output, duration);
+        if (error) entry.error = error;
+    }
+
+
     /**
      * Present the results of the final operation.
      *
@@ -828,6 +828,9 @@ class Utils {
      * and substantially increases the overall length. These characteristics can be quite off-putting
      * for users.
      *
+     * Labels jumped to by `/onError:jump:<label>` are quoted if they contain characters which
+     * could end the option, e.g. `/onError:jump:'a/b'`.
+     *
      * @param {Object[]} recipeConfig
      * @param {boolean} [newline=false] - whether to add a newline after each operation
      * @returns {string}
@@ -837,7 +840,8 @@ class Utils {
             name = "",
             args = "",
             disabled = "",
-            bp = "";
+            bp = "",
+            onError = "";
 
         recipeConfig.forEach(op => {
             name = op.op.replace(/ /g, "_");
@@ -851,7 +855,12 @@ class Utils {
 
             disabled = op.disabled ? "/disabled": "";
             bp = op.breakpoint ? "/breakpoint" : "";
-            prettyConfig += `${name}(${args}${disabled}${bp})`;
+            onError = op.onError && op.onError !== "stop" ? "/onError:" + (
+                /^jump:.*[/)'\\]/.test(op.onError) ?
+                    "jump:'" + op.onError.slice("jump:".length).replace(/[\\']/g, "\\$&") + "'" :
+                    op.onError
+            ) : "";
+            prettyConfig += `${name}(${args}${disabled}${bp}${onError})`;
             if (newline) prettyConfig += "\n";
         });
         return prettyConfig;
@@ -873,7 +882,8 @@ class Utils {
         // Parse bespoke recipe format
         recipe = recipe.replace(/\n/g, "");
         let m, args;
-        const recipeRegex = /([^(]+)\(((?:'[^'\\]*(?:\\.[^'\\]*)*'|[^)/'])*)(\/[^)]+)?\)/g,
+        const recipeRegex = /([^(]+)\(((?:'[^'\\]*(?:\\.[^'\\]*)*'|[^)/'])*)(\/(?:'[^'\\]*(?:\\.[^'\\]*)*'|[^)'])+)?\)/g,
+            quotedRegex = /'((?:[^'\\]|\\.)*)'/g,
             recipeConfig = [];
 
         while ((m = recipeRegex.exec(recipe))) {
@@ -889,8 +899,15 @@ class Utils {
                 op: m[1].replace(/_/g, " "),
                 args: JSON.parse(args)
             };
-            if (m[3] && m[3].indexOf("disabled") > 0) op.disabled = true;
-            if (m[3] && m[3].indexOf("breakpoint") > 0) op.breakpoint = true;
+
+            // Leave out quoted labels when looking for the other options
+            const flags = m[3] ? m[3].replace(quotedRegex, "''") : "";
+            if (flags.indexOf("disabled") > 0) op.disabled = true;
+            if (flags.indexOf("breakpoint") > 0) op.breakpoint = true;
+            if (flags.indexOf("/onError:") > -1) {
+                op.onError = m[3].match(/\/onError:((?:'[^'\\]*(?:\\.[^'\\]*)*'|[^/'])*)/)[1]
+                    .replace(quotedRegex, (match, label) => label.replace(/\\(.)/g, "$1"));
+            }
             recipeConfig.push(op);
         }
         return recipeConfig;
@@ -2,7 +2,8 @@
  * This script automatically generates OperationConfig.json, containing metadata
  * for each operation in the src/core/operations directory.
  * It also generates modules in the src/core/config/modules directory to separate
- * out operations into logical collections.
+ * out operations into logical collections, and TypeScript definitions for the
+ * Node API in src/node/index.d.ts.
  *
  * @author n1474335 [n1474335@gmail.com]
  * @copyright Crown Copyright 2018
@@ -15,6 +16,9 @@ import path from "path";
 import fs  from "fs";
 import process from "process";
 import * as Ops from "../../operations/index.mjs";
+import Dish from "../../Dish.mjs";
+import { decapitalise, sentenceToCamelCase, removeSubheadingsFromArray } from "../../../node/apiUtils.mjs";
+import excludedOperations from "../../../node/config/excludedOperations.mjs";
 
 const dir = path.join(process.cwd() + "/src/core/config/");
 if (!fs.existsSync(dir)) {
@@ -38,10 +42,13 @@ for (const opObj in Ops) {
         module:      op.module,
         description: op.description,
         infoURL:     op.infoURL,
+        aliases:     op.aliases,
         inputType:   op.inputType,
         outputType:  op.presentType,
         flowControl: op.flowControl,
         manualBake:  op.manualBake,
+        streamable:  op.streamable,
+        cacheable:   op.cacheable,
         args:        op.args,
         checks:      op.checks
     };
@@ -145,3 +152,462 @@ fs.writeFileSync(
     opModulesCode
 );
 console.log("Written OpModules.mjs");
+
+
+/**
+ * Write TypeScript definitions for the Node API.
+ */
+const nodeDir = path.join(process.cwd() + "/src/node/");
+
+/**
+ * Formats a string or list of strings as a union of TypeScript literal types.
+ *
+ * @param {string[]} values
+ * @param {boolean} [open=false] - Whether other strings are also allowed
+ * @returns {string}
+ */
+function literalUnion(values, open=false) {
+    const literals = [...new Set(values)].map(v => JSON.stringify(v));
+    if (open) literals.push("(string & {})");
+    return literals.length ? literals.join(" | ") : "string";
+}
+
+/**
+ * Returns the TypeScript type of an operation argument, as accepted by the Node API.
+ *
+ * @param {Object} arg
+ * @returns {string}
+ */
+function argType(arg) {
+    switch (arg.type) {
+        case "number":
+            return "number";
+        case "boolean":
+            return "boolean";
+        case "option":
+            return literalUnion(removeSubheadingsFromArray(arg.value));
+        case "editableOption":
+        case "editableOptionShort":
+            return literalUnion(arg.value.map(o => o.value), true);
+        case "argSelector":
+            return literalUnion(arg.value.map(o => o.name));
+        case "toggleString":
+            return `string | {string?: string, option?: ${literalUnion(removeSubheadingsFromArray(arg.toggleValues))}}`;
+        default:
+            return "string";
+    }
+}
+
+/**
+ * Returns the DishType name of an operation's input or output type, e.g. "List<File>" becomes
+ * "ListFile".
+ *
+ * @param {string} type
+ * @returns {string}
+ */
+function dishType(type) {
+    return Dish.enumLookup(Dish.typeEnum(type)).replace(/[<>]/g, "");
+}
+
+/**
+ * Formats text as the body of a JSDoc comment.
+ *
+ * @param {string} text - May contain HTML
+ * @param {string} indent
+ * @returns {string}
+ */
+function docComment(text, indent="") {
+    return text
+        .replace(/<br\s*\/?>/g, "\n")
+        .replace(/<li>/g, "\n- ")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&amp;/g, "&")
+        .replace(/\*\//g, "*\\/")
+        .split("\n")
+        .map(line => `${indent} * ${line}`.trimEnd())
+        .join("\n");
+}
+
+let typesCode = `/**
+* THIS FILE IS AUTOMATICALLY GENERATED BY src/core/config/scripts/generateConfig.mjs
+*
+* Type definitions for the Node API.
+*
+* @author n1474335 [n1474335@gmail.com]
+* @copyright Crown Copyright ${new Date().getUTCFullYear()}
+* @license Apache-2.0
+*/
+
+/// <reference types="node" />
+
+import { Readable } from "stream";
+
+/** The names of the types a Dish can hold. */
+export type DishType = "byteArray" | "string" | "number" | "html" | "ArrayBuffer" | "BigNumber" | "JSON" | "File" | "ListFile";
+
+/** The type of the value held by a Dish of each type. */
+export interface DishValues {
+    byteArray: number[];
+    string: string;
+    number: number;
+    html: string;
+    ArrayBuffer: ArrayBuffer;
+    BigNumber: {toString(base?: number): string, toNumber(): number};
+    JSON: any;
+    File: File;
+    ListFile: File[];
+}
+
+/** Anything which can be turned into a Dish. */
+export type DishInput = NodeDish | string | number | boolean | ArrayBuffer | Buffer | Uint8Array | number[] | File | File[] | object | null;
+
+/** Anything with an \`aborted\` flag, e.g. an AbortSignal, which can be set to cancel a bake. */
+export interface AbortSignalLike {
+    aborted: boolean;
+}
+
+/** A Node version of the browser File class, used by operations which take or return files. */
+export class File {
+    constructor(data: string | ArrayBuffer | Buffer | Array<string | ArrayBuffer | Buffer | File>, name?: string, stats?: {lastModified?: number});
+    data: Buffer;
+    name: string;
+    type: string;
+    lastModified: number;
+    readonly size: number;
+    readonly lastModifiedDate: Date;
+    arrayBuffer(): Promise<ArrayBuffer>;
+    text(): Promise<string>;
+}
+
+/** A step in the trace of a bake, recorded when bake is called with \`trace: true\`. */
+export interface TraceEntry {
+    op: string;
+    index: number;
+    inputType: string;
+    outputType: string | null;
+    byteLength: number;
+    duration: number;
+    preview: string;
+    error?: string;
+}
+
+/**
+ * The data being operated on. \`T\` is the type of the data when the Dish was
+ * created. Calling \`get\` converts the Dish to another type.
+ */
+export class NodeDish<T extends DishType = DishType> {
+    constructor(input?: DishInput, type?: DishType | number);
+    value: DishValues[T];
+    type: number;
+    readonly size: number;
+    /** The steps run, if this Dish was returned by bake with \`trace: true\`. */
+    trace?: TraceEntry[];
+
+    get<U extends DishType>(type: U, notUTF8?: boolean): DishValues[U];
+    get(type: number, notUTF8?: boolean): any;
+    to<U extends DishType>(type: U, notUTF8?: boolean): DishValues[U];
+    to(type: number, notUTF8?: boolean): any;
+    set(value: any, type: DishType | number): void;
+    presentAs<U extends DishType>(type: U, notUTF8?: boolean): DishValues[U];
+    presentAs(type: number, notUTF8?: boolean): any;
+    apply<O extends DishType>(operation: SyncOperation<any, O>, args?: any): NodeDish<O>;
+    apply<O extends DishType>(operation: AsyncOperation<any, O>, args?: any): Promise<NodeDish<O>>;
+    /** Applies an operation, given as a function or by name, always returning a Promise. */
+    pipe<O extends DishType>(operation: SyncOperation<any, O> | AsyncOperation<any, O>, args?: any): Promise<NodeDish<O>>;
+    pipe(operation: string, args?: any): Promise<NodeDish>;
+    /** Writes the Dish to disk. Lists of files are written to a directory at the given path. */
+    writeFile(path: string): Promise<void>;
+    toStream(): Readable;
+    clone(): NodeDish<T>;
+    valid(): boolean;
+    toString(): string;
+    valueOf(): number;
+
+    /** Reads a file from disk into a Dish holding a File. */
+    static fromFile(path: string): Promise<NodeDish<"File">>;
+    /** Reads a stream into a Dish holding an ArrayBuffer. */
+    static fromStream(stream: NodeJS.ReadableStream): Promise<NodeDish<"ArrayBuffer">>;
+    static typeEnum(type: DishType): number;
+    static enumLookup(type: number): DishType;
+    static BYTE_ARRAY: 0;
+    static STRING: 1;
+    static NUMBER: 2;
+    static HTML: 3;
+    static ARRAY_BUFFER: 4;
+    static BIG_NUMBER: 5;
+    static JSON: 6;
+    static FILE: 7;
+    static LIST_FILE: 8;
+}
+
+/** An argument of an operation, as described by \`args\` on each operation. */
+export interface ArgInfo {
+    type: string;
+    value?: any;
+    options?: any[];
+    toggleValues?: string[];
+}
+
+/** Properties shared by every operation function. */
+export interface OperationInfo {
+    opName: string;
+    displayName: string;
+    inputType: DishType;
+    flowControl: boolean;
+    streamable: boolean;
+    args: {[name: string]: ArgInfo};
+}
+
+/**
+ * An operation which returns its result straight away. Arguments can be
+ * given as an object keyed by their camel case names, or as an array in
+ * the order they are shown in CyberChef.
+ */
+export interface SyncOperation<A, O extends DishType> extends OperationInfo {
+    (input?: DishInput, args?: A | any[], signal?: AbortSignalLike): NodeDish<O>;
+}
+
+/** An operation which returns a Promise of its result. */
+export interface AsyncOperation<A, O extends DishType> extends OperationInfo {
+    (input?: DishInput, args?: A | any[], signal?: AbortSignalLike): Promise<NodeDish<O>>;
+}
+
+/** An operation which is not available in Node. Calling it throws an ExcludedOperationError. */
+export interface ExcludedOperation {
+    (...args: any[]): never;
+    opName: string;
+    excluded: true;
+}
+
+/** An operation in a recipe: a function, an operation name, or either of those with arguments. */
+export type RecipeOperation = OperationInfo | string | {op: OperationInfo | string, args?: any[] | {[name: string]: any}, disabled?: boolean};
+
+/** A recipe: one or more operations, or a recipe in chef format or JSON as shown in CyberChef's "Save recipe" dialog. */
+export type RecipeInput = RecipeOperation | RecipeOperation[];
+
+export interface BakeOptions {
+    /** Record each step run in \`trace\` on the result. */
+    trace?: boolean;
+    /** Stops the bake with an AbortError once aborted. */
+    signal?: AbortSignalLike;
+    /** The only operations which can be run, including in recipes run by Run Saved Recipe. */
+    operations?: string[];
+    /** The name of the input file, which recipes can refer to as \${filename}. */
+    filename?: string;
+}
+
+/** A recipe suggested by Magic, with the properties of its output. */
+export interface MagicCandidate {
+    recipe: RecipeConfigEntry[];
+    /** The first 100 characters of the output. */
+    data: string;
+    languageScores: Array<{lang: string, score: number, probability: number}>;
+    fileType: {name: string, ext: string, mime: string, desc: string} | null;
+    isUTF8: boolean;
+    entropy: number;
+    matchingOps: Array<{op: string, args: any[], [key: string]: any}>;
+    useful: boolean;
+    matchesCrib: boolean | null;
+}
+
+export interface MagicOptions {
+    /** How many operations to chain together. Defaults to 3. */
+    depth?: number;
+    /** Brute-force XOR, bit rotates and character encodings as well. */
+    intensive?: boolean;
+    /** Compare against the extensive list of languages. */
+    extLang?: boolean;
+    /** Only return candidates whose output matches this. Strings are case-insensitive regular expressions. */
+    crib?: string | RegExp;
+    signal?: AbortSignalLike;
+}
+
+/** Structured access to Magic's suggestions, on chef.magic. */
+export interface MagicHelpers {
+    /** Returns the recipes Magic suggests, most likely first. */
+    detect(input: DishInput, options?: MagicOptions): Promise<MagicCandidate[]>;
+    /** Bakes the recipe Magic thinks is most likely. The recipe run is given as \`recipe\`. */
+    bakeTop(input: DishInput, options?: MagicOptions): Promise<NodeDish & {recipe: RecipeConfigEntry[]}>;
+}
+
+/** The config of an operation, as returned by help. */
+export interface OperationHelp {
+    name: string;
+    module: string;
+    description: string;
+    infoURL: string | null;
+    aliases: string[];
+    inputType: DishType;
+    outputType: string;
+    flowControl: boolean;
+    manualBake: boolean;
+    streamable: boolean;
+    cacheable: boolean;
+    args: Array<{name: string, type: string, value: any, [key: string]: any}>;
+    checks: any[];
+}
+
+/** Runs a recipe over the input, one operation at a time. */
+export function bake(input: DishInput, recipe: RecipeInput, options?: BakeOptions): Promise<NodeDish>;
+
+/** Runs a recipe of streamable operations over input which is read in chunks. */
+export function bakeStream(input: NodeJS.ReadableStream | AsyncIterable<any> | Iterable<any> | Buffer | ArrayBuffer | string, recipe: RecipeInput, options?: {signal?: AbortSignalLike}): Readable;
+
+/** Finds the operations matching a search term, or the config of the given operation. Returns null if there are none. */
+export function help(input: string | OperationInfo): OperationHelp[] | null;
+
+/** Saves a recipe under a name so that it can be run by the Run Saved Recipe operation. */
+export function registerRecipe(name: string, recipe: RecipeInput): void;
+
+/** Removes a recipe saved with registerRecipe. Returns whether it existed. */
+export function unregisterRecipe(name: string): boolean;
+
+export class OperationError extends Error {
+    type: "OperationError";
+    /** The position in the recipe of the operation which failed, if thrown by bake. */
+    step?: number;
+    /** The name of the operation which failed, if thrown by bake. */
+    opName?: string;
+    trace?: TraceEntry[];
+}
+
+export class DishError extends Error {
+    type: "DishError";
+}
+
+export class ExcludedOperationError extends Error {
+    type: "ExcludedOperationError";
+}
+
+export class AbortError extends Error {
+    name: "AbortError";
+    type: "AbortError";
+}
+
+/** Thrown when a recipe string cannot be parsed. */
+export class RecipeSyntaxError extends OperationError {
+    name: "RecipeSyntaxError";
+    /** The offset of the problem in the recipe. */
+    position: number;
+    line: number;
+    column: number;
+}
+
+/** A recipe config entry, as returned by Recipe.parse. */
+export interface RecipeConfigEntry {
+    op: string;
+    args: any[];
+    disabled?: boolean;
+    onError?: string;
+}
+
+export class Recipe {
+    constructor(recipe: RecipeInput);
+    /**
+     * Parses a recipe copied from CyberChef: in chef format, e.g.
+     * \`To_Base64('A-Za-z0-9+/=')\`, in clean or compact JSON, or as a link
+     * to CyberChef with a recipe in it.
+     */
+    static parse(recipe: string): RecipeConfigEntry[];
+    static isRecipeString(recipe: any): boolean;
+}
+
+export interface ChefPoolOptions {
+    /** The most bakes to run at once. Defaults to the number of CPUs. */
+    size?: number;
+    /** The default time in ms that a bake can run for before it is stopped. 0 means no limit. */
+    timeout?: number;
+    /** The most bakes that can wait for a worker. */
+    maxQueue?: number;
+}
+
+/** Runs bakes on a pool of worker threads, so that slow recipes do not block the event loop. */
+export class ChefPool {
+    constructor(options?: ChefPoolOptions);
+    readonly size: number;
+    /** The number of bakes running on the workers. */
+    readonly running: number;
+    /** The number of bakes waiting for a worker. */
+    readonly pending: number;
+    bake(input: DishInput, recipe: RecipeInput, options?: {timeout?: number, signal?: AbortSignalLike, operations?: string[]}): Promise<NodeDish>;
+    /** Stops all of the workers, rejecting any bakes which are running or waiting. */
+    terminate(): void;
+}
+
+export { NodeDish as Dish };
+
+/** Every operation, for use in recipes. */
+export const operations: Array<OperationInfo | ExcludedOperation>;
+`;
+
+const chefMembers = [];
+
+for (const opObj in Ops) {
+    const op = new Ops[opObj](),
+        funcName = decapitalise(opObj);
+
+    chefMembers.push(funcName);
+
+    if (excludedOperations.includes(opObj)) {
+        typesCode += `
+/**
+ * ${op.name} is not available in Node. Calling it throws an ExcludedOperationError.
+ */
+export const ${funcName}: ExcludedOperation;
+`;
+        continue;
+    }
+
+    const argsName = `${opObj}Args`,
+        isAsync = op.flowControl || op.run.constructor.name === "AsyncFunction",
+        seen = new Set();
+
+    typesCode += `
+/** The arguments of ${op.name}. */
+export interface ${argsName} {
+`;
+    op.args.forEach(arg => {
+        const key = sentenceToCamelCase(arg.name);
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        typesCode += `    ${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}?: ${argType(arg)};\n`;
+    });
+
+    typesCode += `}
+
+/**
+ * ${op.name}
+ *
+${docComment(op.description)}
+ *
+ * Takes ${op.inputType} input and returns ${op.outputType}.${op.infoURL ? `\n *\n * @see ${op.infoURL}` : ""}
+ */
+export const ${funcName}: ${isAsync ? "AsyncOperation" : "SyncOperation"}<${argsName}, ${JSON.stringify(dishType(op.outputType))}>${opObj === "Magic" ? " & MagicHelpers" : ""};
+`;
+}
+
+typesCode += `
+declare const chef: {
+${chefMembers.map(name => `    ${name}: typeof ${name};`).join("\n")}
+    help: typeof help;
+    bake: typeof bake;
+    bakeStream: typeof bakeStream;
+    registerRecipe: typeof registerRecipe;
+    unregisterRecipe: typeof unregisterRecipe;
+    Dish: typeof NodeDish;
+    Recipe: typeof Recipe;
+    ChefPool: typeof ChefPool;
+};
+
+export default chef;
+`;
+
+fs.writeFileSync(
+    path.join(nodeDir, "index.d.ts"),
+    typesCode
+);
+console.log("Written index.d.ts");
@@ -0,0 +1,28 @@
+/**
+ * Custom error type for handling cancelled bakes.
+ * i.e. where the AbortSignal passed in with a recipe or operation has been aborted
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+class AbortError extends Error {
+    /**
+     * Standard error constructor. Uses the same name as DOM AbortErrors so that
+     * callers can check for cancellation in the usual way.
+     *
+     * @param args - Standard error args
+     */
+    constructor(...args) {
+        super(...args);
+
+        this.name = "AbortError";
+        this.type = "AbortError";
+
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, AbortError);
+        }
+    }
+}
+
+export default AbortError;
@@ -1,5 +1,6 @@
 /**
- * Custom error type for handling operation that isnt included in node.js API
+ * Custom error type for handling operation that isnt included in node.js API,
+ * or which a recipe is not allowed to run
  *
  * @author d98762625 [d98762625@gmail.com]
  * @copyright Crown Copyright 2018
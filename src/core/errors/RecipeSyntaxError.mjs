@@ -0,0 +1,42 @@
+/**
+ * Custom error type for recipes which cannot be parsed.
+ * The position of the problem is given in the message and as properties.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import OperationError from "./OperationError.mjs";
+
+/**
+ * Extends OperationError so that recipes which fail to parse inside a bake,
+ * e.g. in Run Saved Recipe, are reported like any other operation error.
+ */
+class RecipeSyntaxError extends OperationError {
+    /**
+     * RecipeSyntaxError constructor
+     *
+     * @param {string} message
+     * @param {string} recipe - The recipe being parsed
+     * @param {number} position - The offset of the problem in the recipe
+     */
+    constructor(message, recipe, position) {
+        const before = recipe.slice(0, position).split("\n"),
+            line = before.length,
+            column = before[before.length - 1].length + 1;
+
+        super(`${message} at line ${line}, column ${column}`);
+
+        this.name = "RecipeSyntaxError";
+        this.position = position;
+        this.line = line;
+        this.column = column;
+
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, RecipeSyntaxError);
+        }
+    }
+}
+
+export default RecipeSyntaxError;
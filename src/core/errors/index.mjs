@@ -1,9 +1,13 @@
 import OperationError from "./OperationError.mjs";
 import DishError from "./DishError.mjs";
 import ExcludedOperationError from "./ExcludedOperationError";
+import AbortError from "./AbortError.mjs";
+import RecipeSyntaxError from "./RecipeSyntaxError.mjs";
 
 export {
     OperationError,
     DishError,
     ExcludedOperationError,
+    AbortError,
+    RecipeSyntaxError,
 };
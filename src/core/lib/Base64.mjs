@@ -8,6 +8,7 @@
 
 import Utils from "../Utils.mjs";
 import OperationError from "../errors/OperationError.mjs";
+import {createBlockTransformer, strToChunk} from "./Transformer.mjs";
 
 /**
  * Base64's the input byte array using the given alphabet, returning a string.
@@ -131,6 +132,56 @@ export function fromBase64(data, alphabet="A-Za-z0-9+/=", returnType="string", r
 }
 
 
+/**
+ * Creates a transformer which Base64s its input in chunks, giving the same output as toBase64.
+ *
+ * @param {string} [alphabet="A-Za-z0-9+/="]
+ * @returns {Object}
+ */
+export function createToBase64Transformer(alphabet="A-Za-z0-9+/=") {
+    // Every three bytes of input map to four characters of output
+    return createBlockTransformer(3, block => strToChunk(toBase64(block, alphabet)));
+}
+
+
+/**
+ * Creates a transformer which decodes Base64 in chunks, giving the same output as fromBase64.
+ *
+ * @param {string} [alphabet="A-Za-z0-9+/="]
+ * @param {boolean} [removeNonAlphChars=true]
+ * @returns {Object}
+ */
+export function createFromBase64Transformer(alphabet="A-Za-z0-9+/=", removeNonAlphChars=true) {
+    const expanded = Utils.expandAlphRange(alphabet || "A-Za-z0-9+/=").join(""),
+        re = new RegExp("[^" + expanded.replace(/[[\]\\\-^$]/g, "\\$&") + "]", "g");
+    let pending = "";
+
+    /**
+     * Decodes the given text, keeping back any incomplete group of four characters.
+     *
+     * @param {string} text
+     * @param {boolean} last - Whether this is the end of the input
+     * @returns {Uint8Array}
+     */
+    const decode = (text, last) => {
+        const data = pending + (removeNonAlphChars ? text.replace(re, "") : text),
+            end = last ? data.length : data.length - data.length % 4;
+
+        pending = data.slice(end);
+        return new Uint8Array(fromBase64(data.slice(0, end), alphabet, "byteArray", false));
+    };
+
+    return {
+        transform(chunk) {
+            return decode(Utils.byteArrayToChars(chunk), false);
+        },
+        flush() {
+            return decode("", true);
+        }
+    };
+}
+
+
 /**
  * Base64 alphabets.
  */
@@ -6,6 +6,8 @@
  * @license Apache-2.0
  */
 
+import {concatChunks, createBlockTransformer} from "./Transformer.mjs";
+
 /**
  * Runs bitwise operations across the input data.
  *
@@ -46,6 +48,47 @@ export function bitOp (input, key, func, nullPreserving, scheme) {
     return result;
 }
 
+/**
+ * Creates a transformer which runs bitwise operations across its input in chunks, giving
+ * the same output as bitOp.
+ *
+ * @param {byteArray} key
+ * @param {function} func - The bitwise calculation to carry out
+ * @param {boolean} nullPreserving
+ * @param {string} scheme
+ * @returns {Object}
+ */
+export function createBitOpTransformer(key, func, nullPreserving, scheme) {
+    // The differential schemes update the key as they go, so the same array must be
+    // used for every chunk
+    if (!key || !key.length) key = [0];
+
+    if (scheme === "Cascade") {
+        // Each byte is combined with the one after it, so the last byte has to wait
+        // for the next chunk
+        let pending = new Uint8Array(0);
+
+        return {
+            transform(chunk) {
+                const data = concatChunks(pending, chunk);
+                if (!data.length) return data;
+
+                pending = data.slice(-1);
+                return new Uint8Array(bitOp(data, key, func, nullPreserving, scheme).slice(0, -1));
+            },
+            flush() {
+                return new Uint8Array(bitOp(pending, key, func, nullPreserving, scheme));
+            }
+        };
+    }
+
+    // Keep each block aligned with the key
+    return createBlockTransformer(key.length, block =>
+        new Uint8Array(bitOp(block, key, func, nullPreserving, scheme))
+    );
+}
+
+
 /**
  * XOR bitwise calculation.
  *
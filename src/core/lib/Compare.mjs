@@ -0,0 +1,226 @@
+/**
+ * Functions for comparing two outputs.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import * as JsDiff from "diff";
+
+// Node and Webpack load modules slightly differently
+const jsdiff = JsDiff.default ? JsDiff.default : JsDiff;
+
+/**
+ * The largest number of bytes which diffBytes will insert or remove to line two arrays up.
+ * Finding the fewest changes takes time proportional to the number needed times the length of
+ * the arrays, so arrays which are very different are compared offset by offset instead.
+ */
+const MAX_EDITS = 1000;
+
+
+/**
+ * Compares two strings line by line. Where lines have been changed rather than just added or
+ * removed, the words within them are compared as well so that only the parts which differ are
+ * marked.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {Object} {left, right, changes} - left and right are the parts of each string, as
+ *   {value, changed}, and changes is the number of blocks of lines which differ.
+ *
+ * @example
+ * // returns {
+ * //     left: [{value: "one\n", changed: false}, {value: "two", changed: true}],
+ * //     right: [{value: "one\n", changed: false}, {value: "three", changed: true}],
+ * //     changes: 1
+ * // }
+ * compareText("one\ntwo", "one\nthree");
+ */
+export function compareText(a, b) {
+    const parts = jsdiff.diffLines(a, b),
+        left = [],
+        right = [];
+    let changes = 0;
+
+    /**
+     * Adds a part to one side, joining it on to the last part if they are both changed or both
+     * unchanged.
+     *
+     * @param {Object[]} side
+     * @param {string} value
+     * @param {boolean} changed
+     */
+    const add = (side, value, changed) => {
+        const last = side[side.length - 1];
+        if (last && last.changed === changed) {
+            last.value += value;
+        } else if (value.length) {
+            side.push({value, changed});
+        }
+    };
+
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+
+        if (!part.added && !part.removed) {
+            add(left, part.value, false);
+            add(right, part.value, false);
+            continue;
+        }
+
+        changes++;
+        if (part.removed && i + 1 < parts.length && parts[i + 1].added) {
+            jsdiff.diffWordsWithSpace(part.value, parts[i + 1].value).forEach(word => {
+                if (!word.added) add(left, word.value, !!word.removed);
+                if (!word.removed) add(right, word.value, !!word.added);
+            });
+            i++;
+        } else {
+            add(part.removed ? left : right, part.value, true);
+        }
+    }
+
+    return {left, right, changes};
+}
+
+
+/**
+ * Compares two byte arrays, lining up the bytes which are the same so that bytes which have been
+ * inserted or removed are marked on their own. If the arrays are too different to line up
+ * quickly, the rest is compared offset by offset instead, with bytes past the end of the shorter
+ * array counting as different.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Object} {left, right, changes} - left and right are the ranges of offsets in each
+ *   array which differ, as [start, end), and changes is the number of blocks of bytes which
+ *   differ.
+ *
+ * @example
+ * // returns {left: [[1, 2]], right: [[1, 2], [3, 5]], changes: 2}
+ * compareBytes(new Uint8Array([1, 2, 3]), new Uint8Array([1, 0, 3, 4, 5]));
+ */
+export function compareBytes(a, b) {
+    // The start and end of the arrays are usually the same, so skip them before lining up the rest
+    let start = 0,
+        endA = a.length,
+        endB = b.length;
+    while (start < endA && start < endB && a[start] === b[start]) start++;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const midA = a.subarray(start, endA),
+        midB = b.subarray(start, endB),
+        blocks = diffBytes(midA, midB) || diffOffsets(midA, midB),
+        left = [],
+        right = [];
+
+    blocks.forEach(([fromA, toA, fromB, toB]) => {
+        if (toA > fromA) left.push([start + fromA, start + toA]);
+        if (toB > fromB) right.push([start + fromB, start + toB]);
+    });
+
+    return {left, right, changes: blocks.length};
+}
+
+
+/**
+ * Finds the fewest bytes which have to be removed from one array and inserted to turn it into
+ * another, using Myers' algorithm.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Array[]|null} The blocks of bytes which differ, as [startA, endA, startB, endB], or
+ *   null if more than MAX_EDITS changes are needed.
+ */
+function diffBytes(a, b) {
+    const limit = Math.min(a.length + b.length, MAX_EDITS),
+        offset = limit + 1,
+        trace = [];
+    let v = new Int32Array(2 * limit + 3),
+        found = false;
+
+    // v[offset + k] is the furthest point reached in a on diagonal k (the offset in a minus the
+    // offset in b) so far
+    for (let d = 0; d <= limit && !found; d++) {
+        trace.push(v);
+        v = v.slice();
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ?
+                v[offset + k + 1] :
+                v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= a.length && y >= b.length) {
+                found = true;
+                break;
+            }
+        }
+    }
+    if (!found) return null;
+
+    // Work back through the steps to find which byte was removed or inserted at each one
+    const edits = [];
+    let x = a.length,
+        y = b.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prev = trace[d],
+            k = x - y,
+            prevK = k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1]) ? k + 1 : k - 1,
+            prevX = prev[offset + prevK],
+            prevY = prevX - prevK;
+
+        edits.push([prevX, prevY, prevK === k - 1]);
+        x = prevX;
+        y = prevY;
+    }
+    edits.reverse();
+
+    // Join edits which are next to each other into blocks
+    const blocks = [];
+    edits.forEach(([editA, editB, removed]) => {
+        const last = blocks[blocks.length - 1];
+        if (!last || last[1] !== editA || last[3] !== editB) {
+            blocks.push([editA, editA, editB, editB]);
+        }
+        blocks[blocks.length - 1][removed ? 1 : 3]++;
+    });
+    return blocks;
+}
+
+
+/**
+ * Compares two byte arrays offset by offset. Bytes past the end of the shorter array count as
+ * different.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Array[]} The blocks of bytes which differ, as [startA, endA, startB, endB].
+ */
+function diffOffsets(a, b) {
+    const blocks = [],
+        length = Math.max(a.length, b.length);
+    let start = -1;
+
+    for (let i = 0; i <= length; i++) {
+        const differs = i < length && (i >= a.length || i >= b.length || a[i] !== b[i]);
+
+        if (differs && start < 0) {
+            start = i;
+        } else if (!differs && start >= 0) {
+            blocks.push([start, Math.min(i, a.length), start, Math.min(i, b.length)]);
+            start = -1;
+        }
+    }
+
+    return blocks;
+}
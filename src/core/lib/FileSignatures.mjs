@@ -1472,7 +1472,8 @@ export const FILE_SIGNATURES = {
                 1: 0x8b,
                 2: 0x8
             },
-            extractor: extractGZIP
+            extractor: extractGZIP,
+            modified: modifiedGZIP
         },
         {
             name: "Bzip2",
@@ -3564,6 +3565,20 @@ export function extractGZIP(bytes, offset) {
 }
 
 
+/**
+ * GZIP modification time reader.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number|null} The modification time in ms since the epoch, or null if it is not set.
+ */
+export function modifiedGZIP(bytes, offset) {
+    const stream = new Stream(bytes.slice(offset + 4, offset + 8));
+    const mtime = stream.readInt(4, "le") >>> 0;
+    return mtime ? mtime * 1000 : null;
+}
+
+
 /**
  * BZIP2 extractor.
  *
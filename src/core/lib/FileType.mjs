@@ -250,6 +250,8 @@ export function isImage(buf) {
  * @param {string} fileDetail.mime
  * @param {string} fileDetail.extension
  * @param {Function} fileDetail.extractor
+ * @param {Function} [fileDetail.modified] - Reads the file's modification time, for formats
+ *   which store one.
  * @param {number} offset
  * @returns {File}
  */
@@ -258,9 +260,11 @@ export function extractFile(bytes, fileDetail, offset) {
         sendStatusMessage(`Attempting to extract ${fileDetail.name} at pos ${offset}...`);
         const fileData = fileDetail.extractor(bytes, offset);
         const ext = fileDetail.extension.split(",")[0];
-        return new File([fileData], `extracted_at_0x${offset.toString(16)}.${ext}`, {
-            type: fileDetail.mime
-        });
+        const options = {type: fileDetail.mime};
+        const lastModified = fileDetail.modified ? fileDetail.modified(bytes, offset) : null;
+        if (lastModified !== null) options.lastModified = lastModified;
+
+        return new File([fileData], `extracted_at_0x${offset.toString(16)}.${ext}`, options);
     }
 
     throw new Error(`No extraction algorithm available for "${fileDetail.mime}" files`);
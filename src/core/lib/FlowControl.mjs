@@ -6,6 +6,10 @@
  * @license Apache-2.0
  */
 
+import Dish from "../Dish.mjs";
+import OperationError from "../errors/OperationError.mjs";
+import AbortError from "../errors/AbortError.mjs";
+
 /**
  * Returns the index of a label.
  *
@@ -18,3 +22,177 @@ export function getLabelIndex(name, state) {
         return (operation.name === "Label") && (name === operation.ingValues[0]);
     });
 }
+
+
+/**
+ * Runs a recipe over each branch of a Fork in turn, resetting the ingredient values before
+ * each branch so that registers set in one branch do not affect the others.
+ *
+ * @param {Recipe} recipe - A recipe made from job.recipeConfig.
+ * @param {Object} job
+ * @param {Object[]} job.recipeConfig - The operations to run on each branch.
+ * @param {string[]} job.inputs - The data for each branch.
+ * @param {string} job.inputType - The type of the data for each branch.
+ * @param {string} job.outputType - The type of the output of each branch.
+ * @param {boolean} job.ignoreErrors - Whether to carry on with the next branch if one fails.
+ * @param {number} job.forkOffset - The position of the first operation in the whole recipe.
+ * @param {number} job.numRegisters - The number of registers set before the Fork.
+ * @param {Object} job.variables - The variables set before the Fork.
+ * @param {string[]} job.recipeStack - The names of the saved recipes being run.
+ * @param {string[]} [job.allowedOperations] - If set, the only operations which can be run.
+ * @param {Object[]} [job.trace] - If set, an entry describing each operation run is appended.
+ * @param {AbortSignal} [signal=null]
+ * @returns {Object} The output of each branch, the progress made through the recipe by the
+ *     last branch and the trace.
+ */
+export async function runForkBranches(recipe, job, signal=null) {
+    const outputs = [],
+        forkState = {
+            numRegisters: job.numRegisters,
+            forkOffset: job.forkOffset,
+            trace: job.trace,
+            signal: signal,
+            recipeStack: job.recipeStack,
+            variables: job.variables,
+            allowedOperations: job.allowedOperations
+        };
+    let progress = 0;
+
+    for (const input of job.inputs) {
+        // Baseline ing values for each tranche so that registers are reset
+        recipe.opList.forEach((op, i) => {
+            op.ingValues = JSON.parse(JSON.stringify(job.recipeConfig[i].args));
+        });
+
+        const dish = new Dish();
+        dish.set(input, job.inputType);
+
+        try {
+            progress = await recipe.execute(dish, 0, forkState);
+        } catch (err) {
+            // Cancelled bakes and operations which are not allowed must always stop, even when
+            // errors are ignored
+            if (!job.ignoreErrors || err.type === "AbortError" || err.type === "ExcludedOperationError") {
+                throw err;
+            }
+            progress = err.progress + 1;
+        }
+        outputs.push(await dish.get(job.outputType));
+    }
+
+    return {
+        outputs: outputs,
+        progress: progress,
+        trace: job.trace || null
+    };
+}
+
+
+/**
+ * The names of the operations which start a loop. Each loop runs up to the matching End Loop.
+ */
+export const LOOP_OPERATIONS = ["Repeat", "While Matches", "Repeat Until Unchanged"];
+
+
+/**
+ * Returns the operations inside the loop started by the current operation, up to the
+ * matching End Loop or the end of the recipe. Nested loops are included in full.
+ *
+ * @param {Object} state - The current state of the recipe.
+ * @returns {Operation[]}
+ */
+export function getLoopBlock(state) {
+    const block = [];
+    let depth = 0;
+
+    for (let i = state.progress + 1; i < state.opList.length; i++) {
+        const op = state.opList[i];
+        if (!op.disabled) {
+            if (LOOP_OPERATIONS.includes(op.name)) {
+                depth++;
+            } else if (op.name === "End Loop" && depth-- === 0) {
+                break;
+            }
+        }
+        block.push(op);
+    }
+
+    return block;
+}
+
+
+/**
+ * Returns the index of the operation which ends the conditional block started by the current
+ * operation. This is the matching End If or, if stopAtElse is set, the matching Else if there
+ * is one. Nested If blocks are skipped over. If the block is never ended, the index of the
+ * last operation in the recipe is returned so that the block runs to the end of the recipe.
+ *
+ * @param {Object} state - The current state of the recipe.
+ * @param {boolean} [stopAtElse=false] - Whether to stop at the matching Else.
+ * @returns {number}
+ */
+export function getConditionalEnd(state, stopAtElse=false) {
+    let depth = 0;
+
+    for (let i = state.progress + 1; i < state.opList.length; i++) {
+        const op = state.opList[i];
+        if (op.disabled) continue;
+
+        if (op.name === "If") {
+            depth++;
+        } else if (op.name === "End If") {
+            if (depth-- === 0) return i;
+        } else if (op.name === "Else" && depth === 0 && stopAtElse) {
+            return i;
+        }
+    }
+
+    return state.opList.length - 1;
+}
+
+
+/**
+ * Runs a recipe made from a loop block over the Dish repeatedly, for as long as the given
+ * condition holds. If an operation in the block fails, the loop stops and its error is
+ * thrown so that the whole recipe stops there.
+ *
+ * @param {Object} state - The current state of the recipe.
+ * @param {Recipe} recipe - A recipe containing the operations returned by getLoopBlock.
+ * @param {function} condition - Called before each iteration with the number of iterations
+ *     run so far. Returns, or resolves to, true if the loop should run again.
+ * @returns {Object} The updated state of the recipe, moved on to the End Loop, with the last
+ *     operation run in the block as lastRunOp so that its output can be presented.
+ */
+export async function runLoop(state, recipe, condition) {
+    const blockLength = recipe.opList.length,
+        loopState = Object.assign({}, state, {forkOffset: (state.forkOffset || 0) + state.progress + 1});
+
+    // Take a deep(ish) copy of the ingredient values so that registers are reset for each iteration
+    const ingValues = recipe.opList.map(op => JSON.parse(JSON.stringify(op.ingValues)));
+
+    for (let iteration = 0; await condition(iteration); iteration++) {
+        if (state.signal && state.signal.aborted) {
+            throw new AbortError("The bake was cancelled");
+        }
+
+        recipe.opList.forEach((op, i) => {
+            op.ingValues = JSON.parse(JSON.stringify(ingValues[i]));
+        });
+
+        const progress = await recipe.execute(state.dish, 0, loopState);
+        if (progress < blockLength) {
+            if (recipe.opList[progress].breakpoint) {
+                // Pause at the same operation in the main recipe
+                state.progress += progress;
+                return state;
+            }
+            // The failed operation has left its error message in the Dish
+            throw new OperationError(await state.dish.get(Dish.STRING));
+        }
+    }
+
+    // Skip the End Loop as well, so that the block's last operation is still the last one run
+    state.progress = Math.min(state.progress + blockLength + 1, state.opList.length - 1);
+    state.lastRunOp = recipe.lastRunOp;
+    return state;
+}
@@ -0,0 +1,105 @@
+/**
+ * Functions for running the branches of a Fork in parallel.
+ *
+ * The environment CyberChef is running in can provide an executor which spreads the branches
+ * of a Fork across a pool of workers. The executor splits each job with splitForkJob, runs
+ * every part on a worker using runForkBranches from FlowControl.mjs and then puts the results
+ * back together in order with mergeForkResults.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+/**
+ * The executor used to run Fork branches in parallel, if the environment provides one.
+ */
+let forkExecutor = null;
+
+
+/**
+ * Sets the executor used to run Fork branches in parallel.
+ *
+ * @param {Object} executor
+ * @param {function} executor.run - Takes a job, as described in runForkBranches, and an
+ *     optional AbortSignal. Resolves to the merged result of running every branch, or to null
+ *     if there are no workers available, in which case the branches are run one at a time.
+ */
+export function setForkExecutor(executor) {
+    forkExecutor = executor;
+}
+
+
+/**
+ * Returns the executor used to run Fork branches in parallel, or null if there isn't one.
+ *
+ * @returns {Object}
+ */
+export function getForkExecutor() {
+    return forkExecutor;
+}
+
+
+/**
+ * Splits a job into at most the given number of jobs, each covering a run of the inputs.
+ *
+ * @param {Object} job
+ * @param {number} count
+ * @returns {Object[]}
+ */
+export function splitForkJob(job, count) {
+    const size = Math.ceil(job.inputs.length / count) || 1,
+        jobs = [];
+
+    for (let i = 0; i < job.inputs.length; i += size) {
+        jobs.push(Object.assign({}, job, {
+            inputs: job.inputs.slice(i, i + size),
+            trace: job.trace ? [] : null
+        }));
+    }
+    return jobs;
+}
+
+
+/**
+ * Converts an error thrown while running a job into an object which can be sent between
+ * threads.
+ *
+ * @param {Error|string} err
+ * @returns {Object}
+ */
+export function serialiseForkError(err) {
+    if (typeof err === "string") return {message: err};
+
+    return {
+        name: err.name,
+        type: err.type,
+        message: err.message,
+        displayStr: err.displayStr,
+        progress: err.progress
+    };
+}
+
+
+/**
+ * Puts the results of the jobs returned by splitForkJob back together. If any of the jobs
+ * failed, the error from the first of them is thrown.
+ *
+ * @param {Object[]} results - For each job, either its result or {error}, where error is
+ *     the output of serialiseForkError.
+ * @returns {Object} The result of running the whole job.
+ */
+export function mergeForkResults(results) {
+    const failed = results.find(result => result.error);
+    if (failed) {
+        throw Object.assign(new Error(failed.error.message), failed.error);
+    }
+
+    return {
+        outputs: [].concat(...results.map(result => result.outputs)),
+        progress: results.length ? results[results.length - 1].progress : 0,
+        trace: results.some(result => result.trace) ?
+            [].concat(...results.map(result => result.trace || [])) :
+            null
+    };
+}
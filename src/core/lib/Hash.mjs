@@ -9,6 +9,7 @@
 
 import Utils from "../Utils.mjs";
 import CryptoApi from "crypto-api/src/crypto-api.mjs";
+import {strToChunk} from "./Transformer.mjs";
 
 
 /**
@@ -26,3 +27,25 @@ export function runHash(name, input, options={}) {
     return CryptoApi.encoder.toHex(hasher.finalize());
 }
 
+
+/**
+ * Creates a transformer which hashes its input in chunks, for use as a streamable
+ * operation's transformer. The hex digest is output once the input is exhausted.
+ *
+ * @param {string} name
+ * @param {Object} [options={}]
+ * @returns {Object}
+ */
+export function createHashTransformer(name, options={}) {
+    const hasher = CryptoApi.getHasher(name, options);
+
+    return {
+        transform(chunk) {
+            hasher.update(Utils.byteArrayToChars(chunk));
+            return new Uint8Array(0);
+        },
+        flush() {
+            return strToChunk(CryptoApi.encoder.toHex(hasher.finalize()));
+        }
+    };
+}
@@ -7,6 +7,7 @@
  */
 
 import Utils from "../Utils.mjs";
+import {strToChunk} from "./Transformer.mjs";
 
 
 /**
@@ -101,8 +102,7 @@ export function toHexFast(data) {
  */
 export function fromHex(data, delim="Auto", byteLen=2) {
     if (delim !== "None") {
-        const delimRegex = delim === "Auto" ? /[^a-f\d]|(0x)/gi : Utils.regexRep(delim);
-        data = data.replace(delimRegex, "");
+        data = data.replace(delimRegex(delim), "");
     }
 
     const output = [];
@@ -113,6 +113,111 @@ export function fromHex(data, delim="Auto", byteLen=2) {
 }
 
 
+/**
+ * Creates a transformer which converts its input to hex in chunks, giving the same output
+ * as toHex.
+ *
+ * @param {string} [delim=" "]
+ * @param {number} [padding=2]
+ * @param {string} [extraDelim=""]
+ * @param {number} [lineSize=0]
+ * @returns {Object}
+ */
+export function createToHexTransformer(delim=" ", padding=2, extraDelim="", lineSize=0) {
+    const prepend = (delim === "0x" || delim === "\\x");
+    let count = 0;
+
+    return {
+        transform(chunk) {
+            let output = "";
+
+            for (let i = 0; i < chunk.length; i++, count++) {
+                // Delimiters go between bytes so that nothing needs to be removed at the end
+                if (count > 0) {
+                    output += (prepend ? "" : delim) + extraDelim;
+                    if (count % lineSize === 0) output += "\n";
+                }
+                output += (prepend ? delim : "") + chunk[i].toString(16).padStart(padding, "0");
+            }
+
+            return strToChunk(output);
+        },
+        flush() {
+            return new Uint8Array(0);
+        }
+    };
+}
+
+
+/**
+ * Creates a transformer which converts hex back to bytes in chunks, giving the same output
+ * as fromHex.
+ *
+ * @param {string} [delim="Auto"]
+ * @param {number} [byteLen=2]
+ * @returns {Object}
+ */
+export function createFromHexTransformer(delim="Auto", byteLen=2) {
+    // Delimiters are at most three characters long
+    const HOLD_BACK = 3;
+    let pending = "",
+        digits = "";
+
+    /**
+     * Removes delimiters from the text and converts all the complete bytes in it.
+     *
+     * @param {string} text
+     * @param {boolean} last - Whether this is the end of the input
+     * @returns {Uint8Array}
+     */
+    const convert = (text, last) => {
+        digits += delim === "None" ? text : text.replace(delimRegex(delim), "");
+
+        const end = last ? digits.length : digits.length - digits.length % byteLen,
+            output = fromHex(digits.slice(0, end), "None", byteLen);
+
+        digits = digits.slice(end);
+        return new Uint8Array(output);
+    };
+
+    return {
+        transform(chunk) {
+            const data = pending + Utils.byteArrayToChars(chunk);
+            let cut = Math.max(data.length - HOLD_BACK, 0);
+
+            // Make sure that no delimiter is split across the cut
+            if (delim !== "None") {
+                const regex = delimRegex(delim);
+                let match;
+                while ((match = regex.exec(data)) !== null && match.index < cut) {
+                    if (match.index + match[0].length > cut) {
+                        cut = match.index;
+                        break;
+                    }
+                }
+            }
+
+            pending = data.slice(cut);
+            return convert(data.slice(0, cut), false);
+        },
+        flush() {
+            return convert(pending, true);
+        }
+    };
+}
+
+
+/**
+ * Returns the regular expression fromHex uses to remove the given delimiter.
+ *
+ * @param {string} delim
+ * @returns {RegExp}
+ */
+function delimRegex(delim) {
+    return delim === "Auto" ? /[^a-f\d]|(0x)/gi : Utils.regexRep(delim);
+}
+
+
 /**
  * To Hexadecimal delimiters.
  */
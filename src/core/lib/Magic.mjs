@@ -2,6 +2,7 @@ import OperationConfig from "../config/OperationConfig.json";
 import Utils, { isWorkerEnvironment } from "../Utils.mjs";
 import Recipe from "../Recipe.mjs";
 import Dish from "../Dish.mjs";
+import AbortError from "../errors/AbortError.mjs";
 import {detectFileType, isType} from "./FileType.mjs";
 import chiSquared from "chi-squared";
 
@@ -27,6 +28,8 @@ class Magic {
         this.inputStr = Utils.arrayBufferToStr(buf);
         this.opCriteria = opCriteria;
         this.prevOp = prevOp;
+        this.signal = null;
+        this.allowedOperations = null;
     }
 
     /**
@@ -39,6 +42,9 @@ class Magic {
             inputEntropy = this.calcEntropy();
 
         this.opCriteria.forEach(check => {
+            // If the operation isn't allowed to run, move on
+            if (!this._isAllowed(check.op))
+                return;
             // If the input doesn't lie in the required entropy range, move on
             if (check.entropyRange &&
                 (inputEntropy < check.entropyRange[0] ||
@@ -247,6 +253,8 @@ class Magic {
          * Test character encodings and add them if they change the data.
          */
         const testEnc = async op => {
+            if (!this._isAllowed(op)) return;
+
             for (let i = 0; i < encodings.length; i++) {
                 const conf = {
                     op: op,
@@ -264,6 +272,7 @@ class Magic {
                         });
                     }
                 } catch (err) {
+                    if (err.type === "AbortError") throw err;
                     continue;
                 }
             }
@@ -272,7 +281,7 @@ class Magic {
         await testEnc("Encode text");
         await testEnc("Decode text");
 
-        return results;
+        return results.filter(result => this._isAllowed(result.conf.op));
     }
 
     /**
@@ -313,7 +322,11 @@ class Magic {
      * @param {boolean} [useful=false] - Whether the current recipe should be scored highly
      * @param {string} [crib=null] - The regex crib provided by the user, for filtering the operation
      *     output
+     * @param {AbortSignal} [signal=null] - A signal which can be aborted to stop execution
+     * @param {string[]} [allowedOperations=null] - If set, only these operations are run or
+     *     suggested
      * @returns {Object[]} - A sorted list of the recipes most likely to result in correct decoding
+     * @throws {AbortError} if the signal is aborted
      */
     async speculativeExecution(
         depth=0,
@@ -321,7 +334,15 @@ class Magic {
         intensive=false,
         recipeConfig=[],
         useful=false,
-        crib=null) {
+        crib=null,
+        signal=null,
+        allowedOperations=null) {
+
+        if (signal && signal.aborted) {
+            throw new AbortError("Magic was cancelled");
+        }
+        this.signal = signal;
+        this.allowedOperations = allowedOperations;
 
         // If we have reached the recursion depth, return
         if (depth < 0) return [];
@@ -369,7 +390,8 @@ class Magic {
 
             const magic = new Magic(output, this.opCriteria, OperationConfig[op.op]),
                 speculativeResults = await magic.speculativeExecution(
-                    depth-1, extLang, intensive, [...recipeConfig, opConfig], op.useful, crib);
+                    depth-1, extLang, intensive, [...recipeConfig, opConfig], op.useful, crib, signal,
+                    allowedOperations);
 
             results = results.concat(speculativeResults);
         }));
@@ -381,7 +403,8 @@ class Magic {
             await Promise.all(bfEncodings.map(async enc => {
                 const magic = new Magic(enc.data, this.opCriteria, undefined),
                     bfResults = await magic.speculativeExecution(
-                        depth-1, extLang, false, [...recipeConfig, enc.conf], false, crib);
+                        depth-1, extLang, false, [...recipeConfig, enc.conf], false, crib, signal,
+                        allowedOperations);
 
                 results = results.concat(bfResults);
             }));
@@ -451,7 +474,7 @@ class Magic {
 
         const recipe = new Recipe(recipeConfig);
         try {
-            await recipe.execute(dish);
+            await recipe.execute(dish, 0, {signal: this.signal, allowedOperations: this.allowedOperations});
             // Return an empty buffer if the recipe did not run to completion
             if (recipe.lastRunOp === recipe.opList[recipe.opList.length - 1]) {
                 return await dish.get(Dish.ARRAY_BUFFER);
@@ -459,11 +482,23 @@ class Magic {
                 return new ArrayBuffer();
             }
         } catch (err) {
+            if (err.type === "AbortError") throw err;
             // If there are errors, return an empty buffer
             return new ArrayBuffer();
         }
     }
 
+    /**
+     * Returns true if the given operation can be run.
+     *
+     * @private
+     * @param {string} opName
+     * @returns {boolean}
+     */
+    _isAllowed(opName) {
+        return !this.allowedOperations || this.allowedOperations.includes(opName);
+    }
+
     /**
      * Calculates the number of times each byte appears in the input as a percentage
      *
@@ -0,0 +1,296 @@
+/**
+ * Fuzzy operation search functions.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+/**
+ * Scoring weights for fuzzy matches. Matches start at 100 and gain bonuses for matching
+ * characters which are next to each other or at the start of a word, and lose points for
+ * characters which were skipped.
+ */
+const SEQUENTIAL_BONUS = 15,
+    SEPARATOR_BONUS = 30,
+    CAMEL_BONUS = 30,
+    FIRST_LETTER_BONUS = 15,
+    LEADING_LETTER_PENALTY = -5,
+    MAX_LEADING_LETTER_PENALTY = -15,
+    UNMATCHED_LETTER_PENALTY = -1;
+
+/**
+ * The maximum number of ways of matching a pattern against a string which are tried before
+ * settling on the best one found so far.
+ */
+const RECURSION_LIMIT = 1000;
+
+/**
+ * Bonuses for search terms which are exactly an operation's name or one of its aliases.
+ */
+const EXACT_NAME_BONUS = 100,
+    EXACT_ALIAS_BONUS = 90;
+
+/**
+ * Bonuses for operations the user has added to their recipe before.
+ */
+const MAX_COUNT_BONUS = 30,
+    RECENT_BONUS = 20;
+
+
+/**
+ * Checks whether the characters of a pattern all appear in a string in the same order and, if
+ * so, scores how good a match it is. Where a character appears more than once, every way of
+ * matching is tried (up to a limit) so that the best score is found.
+ *
+ * @param {string} pattern
+ * @param {string} str
+ * @returns {Array} [matched, score, matchedIndices]
+ *
+ * @example
+ * // returns [true, 155, [0, 5, 6]]
+ * fuzzyMatch("fhe", "From Hex");
+ */
+export function fuzzyMatch(pattern, str) {
+    pattern = pattern.toLowerCase();
+    if (!pattern.length) return [true, 0, []];
+
+    const best = bestMatch(pattern, str, str.toLowerCase(), 0, 0, [], {calls: 0});
+    return best ? [true, best.score, best.matches] : [false, 0, []];
+}
+
+
+/**
+ * Recursively finds the highest scoring way of matching the rest of a pattern.
+ *
+ * @param {string} pattern - The lower case pattern.
+ * @param {string} str
+ * @param {string} lowerStr - The string in lower case.
+ * @param {number} patternIdx
+ * @param {number} strIdx
+ * @param {number[]} matches - The indices matched so far.
+ * @param {Object} state - Counts the calls made so far.
+ * @returns {Object|null} {score, matches}
+ */
+function bestMatch(pattern, str, lowerStr, patternIdx, strIdx, matches, state) {
+    if (patternIdx === pattern.length) {
+        return {score: scoreMatch(str, matches), matches: matches.slice()};
+    }
+
+    let best = null;
+    for (let i = strIdx; i < str.length; i++) {
+        if (lowerStr[i] !== pattern[patternIdx]) continue;
+        // Always follow the first branch to the end so that a match is found if there is one
+        if (best && ++state.calls > RECURSION_LIMIT) break;
+
+        matches.push(i);
+        const result = bestMatch(pattern, str, lowerStr, patternIdx + 1, i + 1, matches, state);
+        matches.pop();
+
+        if (result && (!best || result.score > best.score)) best = result;
+    }
+    return best;
+}
+
+
+/**
+ * Scores a set of matched indices in a string.
+ *
+ * @param {string} str
+ * @param {number[]} matches
+ * @returns {number}
+ */
+function scoreMatch(str, matches) {
+    let score = 100;
+
+    score += Math.max(LEADING_LETTER_PENALTY * matches[0], MAX_LEADING_LETTER_PENALTY);
+    score += UNMATCHED_LETTER_PENALTY * (str.length - matches.length);
+
+    matches.forEach((idx, i) => {
+        if (i > 0 && idx === matches[i - 1] + 1) score += SEQUENTIAL_BONUS;
+
+        if (idx === 0) {
+            score += FIRST_LETTER_BONUS;
+            return;
+        }
+
+        const prev = str[idx - 1],
+            curr = str[idx];
+        if (/[\s\-_/().,]/.test(prev)) {
+            score += SEPARATOR_BONUS;
+        } else if (prev === prev.toLowerCase() && curr !== curr.toLowerCase()) {
+            score += CAMEL_BONUS;
+        }
+    });
+
+    return score;
+}
+
+
+/**
+ * Turns a list of matched indices into ranges of consecutive indices.
+ *
+ * @param {number[]} idxs
+ * @returns {Array[]} [[start, length], ...]
+ *
+ * @example
+ * // returns [[0, 1], [5, 2]]
+ * calcMatchRanges([0, 5, 6]);
+ */
+export function calcMatchRanges(idxs) {
+    const ranges = [];
+
+    idxs.forEach((idx, i) => {
+        if (i > 0 && idx === idxs[i - 1] + 1) {
+            ranges[ranges.length - 1][1]++;
+        } else {
+            ranges.push([idx, 1]);
+        }
+    });
+
+    return ranges;
+}
+
+
+/**
+ * Splits a search string into the text to match and any type filters. Filters take the form
+ * "in:type" or "out:type" ("input:" and "output:" also work) and match the start of the
+ * operation's input or output type.
+ *
+ * @param {string} searchStr
+ * @returns {Object} {text, inputType, outputType}
+ *
+ * @example
+ * // returns {text: "hex", inputType: "byte", outputType: null}
+ * parseSearchString("hex in:byte");
+ */
+export function parseSearchString(searchStr) {
+    let inputType = null,
+        outputType = null;
+
+    const text = searchStr.replace(/(?:^|\s)(in|input|out|output):(\S*)/gi, (match, dir, type) => {
+        if (dir.toLowerCase().startsWith("in")) {
+            inputType = type.toLowerCase();
+        } else {
+            outputType = type.toLowerCase();
+        }
+        return " ";
+    });
+
+    return {
+        text: text.trim().replace(/\s+/g, " "),
+        inputType,
+        outputType
+    };
+}
+
+
+/**
+ * Works out how much to boost an operation by based on how often and how recently the user
+ * has added it to their recipe.
+ *
+ * @param {string} opName
+ * @param {Object} usage
+ * @param {Object.<string, number>} [usage.counts] - How many times each operation has been used.
+ * @param {string[]} [usage.recent] - Recently used operations, most recent first.
+ * @returns {number}
+ */
+function usageBonus(opName, usage) {
+    let bonus = 0;
+
+    const count = usage.counts ? usage.counts[opName] || 0 : 0;
+    if (count) bonus += Math.min(MAX_COUNT_BONUS, Math.round(10 * Math.log2(1 + count)));
+
+    const recentPos = usage.recent ? usage.recent.indexOf(opName) : -1;
+    if (recentPos >= 0) bonus += Math.max(0, RECENT_BONUS - recentPos * 2);
+
+    return bonus;
+}
+
+
+/**
+ * Searches operations by name, alias, description and input or output type.
+ *
+ * Name and alias matches are fuzzy, so "b64" finds "From Base64", and are ranked by score,
+ * including a boost for operations the user uses often or has used recently. Operations which
+ * only contain the search text in their description come after all of these.
+ *
+ * @param {string} searchStr
+ * @param {Object} operations - The operation config, keyed by name.
+ * @param {Object} [usage={}] - See usageBonus.
+ * @returns {Object[]} Matching operations, best first, as
+ *   {name, score, nameMatches, alias, descPos, descLength}. nameMatches holds the matched
+ *   indices in the name, alias is the alias matched if the name did not match, and descPos is
+ *   the position of the search text in the description, or -1.
+ */
+export function searchOperations(searchStr, operations, usage={}) {
+    const {text, inputType, outputType} = parseSearchString(searchStr),
+        pattern = text.replace(/\s/g, ""),
+        lowerText = text.toLowerCase(),
+        nameMatches = [],
+        descMatches = [];
+
+    if (!text && inputType === null && outputType === null) return [];
+
+    for (const name in operations) {
+        const op = operations[name];
+
+        if (inputType !== null && !String(op.inputType).toLowerCase().startsWith(inputType)) continue;
+        if (outputType !== null && !String(op.outputType).toLowerCase().startsWith(outputType)) continue;
+
+        const result = {
+            name,
+            score: 0,
+            nameMatches: [],
+            alias: null,
+            descPos: -1,
+            descLength: text.length
+        };
+
+        if (!text) {
+            result.score = usageBonus(name, usage);
+            nameMatches.push(result);
+            continue;
+        }
+
+        const nameMatch = fuzzyMatch(pattern, name);
+        let [matched, score] = nameMatch;
+        if (matched) {
+            if (name.toLowerCase() === lowerText) score += EXACT_NAME_BONUS;
+            result.nameMatches = nameMatch[2];
+        }
+
+        for (const alias of op.aliases || []) {
+            const [aliasMatched, aliasScore] = fuzzyMatch(pattern, alias),
+                total = aliasScore + (alias.toLowerCase() === lowerText ? EXACT_ALIAS_BONUS : 0);
+
+            if (aliasMatched && (!matched || total > score)) {
+                matched = true;
+                score = total;
+                result.alias = alias;
+                result.nameMatches = [];
+            }
+        }
+
+        result.descPos = op.description ? op.description.toLowerCase().indexOf(lowerText) : -1;
+
+        if (matched) {
+            result.score = score + usageBonus(name, usage);
+            nameMatches.push(result);
+        } else if (result.descPos >= 0) {
+            result.score = usageBonus(name, usage);
+            descMatches.push(result);
+        }
+    }
+
+    /**
+     * Sorts results by score, then by name.
+     *
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {number}
+     */
+    const byScore = (a, b) => b.score - a.score || a.name.localeCompare(b.name);
+
+    return nameMatches.sort(byScore).concat(descMatches.sort(byScore));
+}
@@ -0,0 +1,121 @@
+/**
+ * Cache of the intermediate results of recipes.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Utils from "../Utils.mjs";
+import { runHash } from "./Hash.mjs";
+
+/**
+ * The default maximum total size of the cached results in bytes.
+ */
+const DEFAULT_MAX_SIZE = 64 * 1024 * 1024;
+
+
+/**
+ * Returns a digest of the input to a recipe, for use in cache keys.
+ *
+ * @param {string|ArrayBuffer} input
+ * @returns {string}
+ */
+export function digestInput(input) {
+    const type = input instanceof ArrayBuffer ? "ArrayBuffer" : "string",
+        data = input instanceof ArrayBuffer ? input : Utils.strToArrayBuffer(input);
+
+    return `${type}:${runHash("sha256", data)}`;
+}
+
+
+/**
+ * Keeps copies of the Dishes produced by the first few operations of recipes so that they do not
+ * have to be run again when only a later operation has changed. The least recently used results
+ * are discarded once the total size of the cached results goes over the maximum.
+ */
+class RecipeCache {
+
+    /**
+     * RecipeCache constructor
+     *
+     * @param {number} [maxSize=DEFAULT_MAX_SIZE] - The maximum total size of the cached results in bytes
+     */
+    constructor(maxSize=DEFAULT_MAX_SIZE) {
+        this.maxSize = maxSize;
+        this.size = 0;
+        this.entries = new Map();
+    }
+
+
+    /**
+     * Returns a copy of the Dish cached under the given key, if there is one.
+     *
+     * @param {string} key
+     * @returns {Dish|null}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Move the entry to the end so that it is discarded last
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.dish.clone();
+    }
+
+
+    /**
+     * Caches a copy of the given Dish.
+     *
+     * @param {string} key
+     * @param {Dish} dish
+     */
+    set(key, dish) {
+        const size = dish.size;
+        if (size > this.maxSize) return;
+
+        let copy;
+        try {
+            copy = dish.clone();
+        } catch (err) {
+            // Some types, e.g. Files outside the browser, cannot always be copied
+            return;
+        }
+
+        this.delete(key);
+        this.entries.set(key, {dish: copy, size: size});
+        this.size += size;
+
+        for (const oldKey of this.entries.keys()) {
+            if (this.size <= this.maxSize) break;
+            this.delete(oldKey);
+        }
+    }
+
+
+    /**
+     * Removes the Dish cached under the given key.
+     *
+     * @param {string} key
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.size -= entry.size;
+        this.entries.delete(key);
+    }
+
+
+    /**
+     * Removes all of the cached results.
+     */
+    clear() {
+        this.entries.clear();
+        this.size = 0;
+    }
+
+}
+
+export default RecipeCache;
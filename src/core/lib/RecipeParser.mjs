@@ -0,0 +1,290 @@
+/**
+ * Parsers for recipes in the formats CyberChef saves them in.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import OperationConfig from "../config/OperationConfig.json";
+import RecipeSyntaxError from "../errors/RecipeSyntaxError.mjs";
+
+/**
+ * Characters which can follow a backslash in a string, and what they stand for.
+ */
+const ESCAPES = {
+    "'": "'",
+    "\"": "\"",
+    "\\": "\\",
+    "/": "/",
+    "b": "\b",
+    "f": "\f",
+    "n": "\n",
+    "r": "\r",
+    "t": "\t"
+};
+
+
+/**
+ * Parses a recipe in any of the forms CyberChef produces:
+ *  - chef format, e.g. `To_Base64('A-Za-z0-9+/=')`, as used in recipe links
+ *    and shown in the "Save recipe" dialog
+ *  - clean or compact JSON
+ *  - a link to CyberChef with a recipe in it, or just its `recipe=...` part
+ *
+ * Only the syntax and operation names are checked, not the arguments.
+ *
+ * @param {string} recipe
+ * @returns {Object[]} The recipe config.
+ * @throws {RecipeSyntaxError} if the recipe cannot be parsed. For recipes
+ *     taken from links, the position is within the decoded recipe.
+ */
+export function parseRecipeString(recipe) {
+    if (/^\s*(?:https?:\/\/|[#?]|recipe=)/.test(recipe)) {
+        const match = /(?:^\s*|[#?&])recipe=([^&]*)/.exec(recipe);
+        if (!match) {
+            throw new RecipeSyntaxError("Invalid recipe: the link does not contain a recipe", recipe, 0);
+        }
+
+        let decoded;
+        try {
+            decoded = decodeURIComponent(match[1].replace(/\+/g, " "));
+        } catch (err) {
+            throw new RecipeSyntaxError("Invalid recipe: the link is not encoded correctly", recipe, match.index);
+        }
+        return parseRecipeString(decoded);
+    }
+
+    const start = recipe.search(/\S/);
+    if (start < 0) return [];
+
+    return recipe[start] === "[" ?
+        parseJSONRecipe(recipe) :
+        parseChefFormat(recipe);
+}
+
+
+/**
+ * Parses a recipe in JSON.
+ *
+ * @param {string} recipe
+ * @returns {Object[]}
+ * @throws {RecipeSyntaxError} if the recipe is not valid JSON.
+ */
+export function parseJSONRecipe(recipe) {
+    try {
+        return JSON.parse(recipe);
+    } catch (err) {
+        const match = / at position (\d+)$/.exec(err.message),
+            position = match ? parseInt(match[1], 10) : recipe.length,
+            message = match ? err.message.slice(0, match.index) : err.message;
+
+        throw new RecipeSyntaxError(`Invalid recipe: ${message}`, recipe, position);
+    }
+}
+
+
+/**
+ * Parses a recipe in chef format. Each operation is written as its name, with
+ * spaces replaced by underscores, followed by its arguments in brackets.
+ * Strings can use single or double quotes. The arguments can be followed by
+ * `/disabled`, `/breakpoint` and `/onError:<action>`, where the label in
+ * `/onError:jump:<label>` can be quoted like a string. Whitespace between
+ * operations and arguments is ignored.
+ *
+ * @param {string} recipe
+ * @returns {Object[]}
+ * @throws {RecipeSyntaxError} if the recipe cannot be parsed or uses an unknown operation.
+ */
+export function parseChefFormat(recipe) {
+    const recipeConfig = [];
+    let pos = 0;
+
+    /**
+     * Throws an error at the given position.
+     *
+     * @param {string} message
+     * @param {number} [at=pos]
+     */
+    const fail = (message, at=pos) => {
+        throw new RecipeSyntaxError(`Invalid recipe: ${message}`, recipe, at);
+    };
+
+    /**
+     * Describes the character at the current position for use in errors.
+     *
+     * @returns {string}
+     */
+    const current = () => pos < recipe.length ? `'${recipe[pos]}'` : "the end of the recipe";
+
+    /**
+     * Moves past any whitespace.
+     */
+    const skipWhitespace = () => {
+        while (pos < recipe.length && /\s/.test(recipe[pos])) pos++;
+    };
+
+    /**
+     * Reads a quoted string.
+     *
+     * @returns {string}
+     */
+    const readString = () => {
+        const quote = recipe[pos],
+            start = pos++;
+        let str = "";
+
+        while (recipe[pos] !== quote) {
+            if (pos >= recipe.length) fail("unterminated string", start);
+
+            if (recipe[pos] === "\\") {
+                const escape = recipe[pos + 1];
+                if (escape === "u" && /^[\da-f]{4}$/i.test(recipe.substr(pos + 2, 4))) {
+                    str += String.fromCharCode(parseInt(recipe.substr(pos + 2, 4), 16));
+                    pos += 6;
+                } else if (Object.prototype.hasOwnProperty.call(ESCAPES, escape)) {
+                    str += ESCAPES[escape];
+                    pos += 2;
+                } else {
+                    fail("invalid escape sequence in string");
+                }
+            } else {
+                str += recipe[pos++];
+            }
+        }
+
+        pos++;
+        return str;
+    };
+
+    /**
+     * Reads a list of values up to the given closing character.
+     *
+     * @param {string} close
+     * @param {function} readItem
+     */
+    const readList = (close, readItem) => {
+        skipWhitespace();
+        if (recipe[pos] === close) {
+            pos++;
+            return;
+        }
+
+        for (;;) {
+            readItem();
+            skipWhitespace();
+            if (recipe[pos] === close) {
+                pos++;
+                return;
+            }
+            if (recipe[pos] !== ",") fail(`expected ',' or '${close}' but found ${current()}`);
+            pos++;
+            skipWhitespace();
+        }
+    };
+
+    /**
+     * Reads a value: a string, number, boolean, null, array or object.
+     *
+     * @returns {*}
+     */
+    const readValue = () => {
+        const ch = recipe[pos];
+
+        if (ch === "'" || ch === "\"") return readString();
+
+        if (ch === "[") {
+            const arr = [];
+            pos++;
+            readList("]", () => arr.push(readValue()));
+            return arr;
+        }
+
+        if (ch === "{") {
+            const obj = {};
+            pos++;
+            readList("}", () => {
+                if (recipe[pos] !== "'" && recipe[pos] !== "\"") fail(`expected a quoted key but found ${current()}`);
+                const key = readString();
+                skipWhitespace();
+                if (recipe[pos] !== ":") fail(`expected ':' but found ${current()}`);
+                pos++;
+                skipWhitespace();
+                obj[key] = readValue();
+            });
+            return obj;
+        }
+
+        const literal = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(recipe.slice(pos));
+        if (!literal) fail(`unexpected ${current()}`);
+
+        pos += literal[0].length;
+        return JSON.parse(literal[0]);
+    };
+
+    /**
+     * Reads the flags after an operation's arguments, e.g. /disabled.
+     *
+     * @param {Object} op
+     */
+    const readFlags = op => {
+        while (recipe[pos] === "/") {
+            const start = pos;
+
+            if (recipe.startsWith("/onError:jump:'", pos) || recipe.startsWith("/onError:jump:\"", pos)) {
+                pos += "/onError:jump:".length;
+                op.onError = "jump:" + readString();
+                continue;
+            }
+
+            const flag = /^\/([^/)]*)/.exec(recipe.slice(pos))[1];
+
+            if (flag === "disabled") {
+                op.disabled = true;
+            } else if (flag === "breakpoint") {
+                op.breakpoint = true;
+            } else if (flag.startsWith("onError:")) {
+                op.onError = flag.slice("onError:".length);
+            } else {
+                fail(`unknown option '/${flag}'`, start);
+            }
+            pos += flag.length + 1;
+        }
+    };
+
+    skipWhitespace();
+    while (pos < recipe.length) {
+        const start = pos,
+            open = recipe.indexOf("(", pos);
+        if (open < 0) fail("expected an operation name followed by its arguments in brackets, e.g. To_Base64('A-Za-z0-9+/=')");
+
+        const name = recipe.slice(pos, open).trim().replace(/_/g, " ");
+        if (!name.length) fail("expected an operation name");
+        if (!Object.prototype.hasOwnProperty.call(OperationConfig, name)) {
+            fail(`unknown operation '${name}'`, start);
+        }
+
+        const op = {op: name, args: []};
+        pos = open + 1;
+        skipWhitespace();
+
+        if (recipe[pos] !== ")" && recipe[pos] !== "/") {
+            for (;;) {
+                op.args.push(readValue());
+                skipWhitespace();
+                if (recipe[pos] !== ",") break;
+                pos++;
+                skipWhitespace();
+            }
+        }
+
+        readFlags(op);
+        if (recipe[pos] !== ")") fail(`expected ',' or ')' but found ${current()}`);
+        pos++;
+
+        recipeConfig.push(op);
+        skipWhitespace();
+    }
+
+    return recipeConfig;
+}
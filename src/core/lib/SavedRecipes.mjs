@@ -0,0 +1,115 @@
+/**
+ * Named recipes which can be run from within other recipes.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Utils from "../Utils.mjs";
+import OperationConfig from "../config/OperationConfig.json";
+import OperationError from "../errors/OperationError.mjs";
+import { parseRecipeString } from "./RecipeParser.mjs";
+
+/**
+ * The saved recipes, keyed by name. Values are recipe configs or recipe strings.
+ */
+const savedRecipes = new Map();
+
+
+/**
+ * Parses a recipe given in any of the formats CyberChef can save it in.
+ * Breakpoints are removed so that the whole recipe always runs, unless keepBreakpoints is set.
+ *
+ * @param {string|Object[]} recipe - A recipe config, or a recipe in chef format or JSON, or a
+ *     link to CyberChef containing a recipe.
+ * @param {boolean} [keepBreakpoints=false]
+ * @returns {Object[]} The recipe config.
+ * @throws {RecipeSyntaxError} if the recipe cannot be parsed.
+ * @throws {OperationError} if the recipe uses an unknown operation.
+ */
+export function parseRecipe(recipe, keepBreakpoints=false) {
+    const recipeConfig = typeof recipe === "string" ? parseRecipeString(recipe) : recipe;
+
+    if (!Array.isArray(recipeConfig)) {
+        throw new OperationError("Invalid recipe: a recipe must be a list of operations");
+    }
+
+    return recipeConfig.map(ing => {
+        if (!ing || !Object.prototype.hasOwnProperty.call(OperationConfig, ing.op)) {
+            throw new OperationError(`Invalid recipe: unknown operation '${ing && ing.op}'`);
+        }
+        if (!Array.isArray(ing.args)) {
+            throw new OperationError(`Invalid recipe: no arguments given for ${ing.op}`);
+        }
+
+        const op = Object.assign({}, ing);
+        if (!keepBreakpoints) delete op.breakpoint;
+        return op;
+    });
+}
+
+
+/**
+ * Saves a recipe under the given name, replacing any recipe already saved with that name.
+ *
+ * @param {string} name
+ * @param {string|Object[]} recipe - A recipe config, or a recipe in chef format or JSON.
+ */
+export function registerRecipe(name, recipe) {
+    savedRecipes.set(name, recipe);
+}
+
+
+/**
+ * Removes the recipe saved under the given name.
+ *
+ * @param {string} name
+ * @returns {boolean} Whether there was a recipe with that name.
+ */
+export function unregisterRecipe(name) {
+    return savedRecipes.delete(name);
+}
+
+
+/**
+ * Replaces all of the saved recipes, e.g. with those in the web app's local storage.
+ *
+ * @param {Object[]} recipes
+ * @param {string} recipes[].name
+ * @param {string|Object[]} recipes[].recipe
+ */
+export function setSavedRecipes(recipes) {
+    savedRecipes.clear();
+    recipes.forEach(r => registerRecipe(r.name, r.recipe));
+}
+
+
+/**
+ * Returns all of the saved recipes, in the form taken by setSavedRecipes.
+ *
+ * @returns {Object[]}
+ */
+export function getSavedRecipes() {
+    return Array.from(savedRecipes, ([name, recipe]) => ({name, recipe}));
+}
+
+
+/**
+ * Returns the config of the recipe saved under the given name.
+ *
+ * @param {string} name
+ * @returns {Object[]}
+ * @throws {OperationError} if there is no recipe with that name or it cannot be parsed.
+ */
+export function getSavedRecipe(name) {
+    // The web app escapes names before saving them
+    const recipe = savedRecipes.has(name) ?
+        savedRecipes.get(name) :
+        savedRecipes.get(Utils.escapeHtml(name));
+
+    if (recipe === undefined) {
+        throw new OperationError(`There is no saved recipe called '${name}'`);
+    }
+    return parseRecipe(recipe);
+}
@@ -0,0 +1,57 @@
+/**
+ * Recipe execution trace functions
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Utils from "../Utils.mjs";
+
+/**
+ * The maximum number of characters shown in the preview of each traced step.
+ */
+export const TRACE_PREVIEW_LENGTH = 100;
+
+
+/**
+ * Creates an entry in an execution trace for an operation which is about to be run.
+ *
+ * @param {string} name - The name of the operation.
+ * @param {number} index - The position of the operation in the recipe.
+ * @param {string} inputType - The data type the operation takes as input.
+ * @returns {Object}
+ */
+export function createTraceEntry(name, index, inputType) {
+    return {
+        op: name,
+        index: index,
+        inputType: inputType,
+        outputType: null,
+        byteLength: 0,
+        duration: 0,
+        preview: ""
+    };
+}
+
+
+/**
+ * Completes a trace entry once its operation has been run.
+ *
+ * @param {Object} entry - The entry returned by createTraceEntry.
+ * @param {string} outputType - The type of the data left by the operation.
+ * @param {ArrayBuffer} output - The data left by the operation.
+ * @param {number} duration - The number of ms the operation took to run.
+ * @returns {Object} The completed entry.
+ */
+export function completeTraceEntry(entry, outputType, output, duration) {
+    entry.duration = duration;
+    entry.outputType = outputType;
+    entry.byteLength = output.byteLength;
+
+    // Allow for up to four bytes per character so that multi-byte UTF-8 sequences are not cut short
+    const str = Utils.arrayBufferToStr(output.slice(0, TRACE_PREVIEW_LENGTH * 4));
+    entry.preview = Utils.printable(Utils.truncate(str, TRACE_PREVIEW_LENGTH));
+
+    return entry;
+}
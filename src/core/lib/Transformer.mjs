@@ -0,0 +1,84 @@
+/**
+ * Helpers for writing transformers for operations which can process their input in chunks.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Utils from "../Utils.mjs";
+
+
+/**
+ * Joins two chunks together.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array}
+ */
+export function concatChunks(a, b) {
+    if (!a.length) return b;
+    if (!b.length) return a;
+
+    const result = new Uint8Array(a.length + b.length);
+    result.set(a, 0);
+    result.set(b, a.length);
+    return result;
+}
+
+
+/**
+ * Joins any number of chunks together.
+ *
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+export function joinChunks(chunks) {
+    if (chunks.length === 1) return chunks[0];
+
+    const result = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+
+/**
+ * Converts a string of output to a chunk, encoding it as UTF-8.
+ *
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+export function strToChunk(str) {
+    return new Uint8Array(Utils.strToArrayBuffer(str));
+}
+
+
+/**
+ * Creates a transformer which collects its input into blocks of a fixed size, passing every
+ * complete block to the given function. Whatever is left over at the end of the input is
+ * passed to the function when the transformer is flushed.
+ *
+ * @param {number} blockSize
+ * @param {function} func - Takes a Uint8Array and returns the output for it as a Uint8Array.
+ * @returns {Object}
+ */
+export function createBlockTransformer(blockSize, func) {
+    let pending = new Uint8Array(0);
+
+    return {
+        transform(chunk) {
+            const data = concatChunks(pending, chunk),
+                end = data.length - data.length % blockSize;
+
+            pending = data.slice(end);
+            return end ? func(data.subarray(0, end)) : new Uint8Array(0);
+        },
+        flush() {
+            return func(pending);
+        }
+    };
+}
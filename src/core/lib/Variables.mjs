@@ -0,0 +1,117 @@
+/**
+ * Recipe variable functions
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+/**
+ * Matches references to variables, e.g. ${name}, and escaped references, e.g. $${name}.
+ */
+const VARIABLE_REGEX = /(\$?)\$\{([A-Za-z_]\w*)\}/g;
+
+
+/**
+ * The names of the built-in variables which describe the input, set by createInputVariables.
+ */
+const INPUT_VARIABLES = ["filename", "inputLength", "tabNumber"];
+
+
+/**
+ * Returns true if the given string can be used as the name of a variable.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidVariableName(name) {
+    return /^[A-Za-z_]\w*$/.test(name);
+}
+
+
+/**
+ * Creates the built-in variables which describe the input being baked.
+ *
+ * @param {Object} metadata
+ * @param {string} [metadata.filename=""] - The name of the input file, if the input is a file.
+ * @param {number} [metadata.length=0] - The length of the input in bytes.
+ * @param {number} [metadata.tabNumber=1] - The number of the input tab.
+ * @returns {Object}
+ */
+export function createInputVariables({filename="", length=0, tabNumber=1}={}) {
+    return {
+        filename: filename,
+        inputLength: String(length),
+        tabNumber: String(tabNumber)
+    };
+}
+
+
+/**
+ * Returns true if any of the given ingredient values refer to one of the built-in variables
+ * which describe the input, e.g. ${inputLength}. Escaped references are ignored.
+ *
+ * @param {*[]|Object} ingValues - An array of ingredient values, or an object of them by name.
+ * @returns {boolean}
+ */
+export function referencesInputVariables(ingValues) {
+    if (!ingValues || typeof ingValues !== "object") return false;
+
+    return Object.values(ingValues).some(arg => {
+        const str = arg && typeof arg === "object" ? arg.string : arg;
+        if (typeof str !== "string") return false;
+
+        let found = false;
+        str.replace(VARIABLE_REGEX, (match, escape, name) => {
+            if (!escape && INPUT_VARIABLES.includes(name)) found = true;
+            return match;
+        });
+        return found;
+    });
+}
+
+
+/**
+ * Replaces references to variables, e.g. ${name}, with their values. References to variables
+ * which have not been set are left as they are. A reference can be escaped with an extra dollar
+ * sign, so $${name} becomes ${name}. Backslashes are left alone so that they can still be used
+ * in regular expressions.
+ *
+ * @param {string} str
+ * @param {Object} variables
+ * @returns {string}
+ *
+ * @example
+ * // returns "a.txt ${filename} ${other}"
+ * interpolate("${filename} $${filename} ${other}", {filename: "a.txt"});
+ */
+export function interpolate(str, variables) {
+    return str.replace(VARIABLE_REGEX, (match, escape, name) => {
+        if (escape) return match.slice(1);
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) return match;
+        return variables[name];
+    });
+}
+
+
+/**
+ * Returns a copy of an operation's ingredient values with variables replaced in every string,
+ * including the strings in toggleString ingredients.
+ *
+ * @param {*[]} ingValues
+ * @param {Object|null} variables - If null, the recipe does not use variables and the
+ *   ingredient values are returned as they are.
+ * @returns {*[]}
+ */
+export function interpolateIngValues(ingValues, variables) {
+    if (!variables) return ingValues;
+
+    return ingValues.map(arg => {
+        if (typeof arg === "string") return interpolate(arg, variables);
+
+        if (arg && typeof arg === "object" && typeof arg.string === "string") {
+            return Object.assign({}, arg, {string: interpolate(arg.string, variables)});
+        }
+        return arg;
+    });
+}
@@ -25,6 +25,7 @@ class Bcrypt extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Bcrypt";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Rounds",
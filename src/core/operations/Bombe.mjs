@@ -139,12 +139,17 @@ class Bombe extends Operation {
         crib = crib.replace(/[^A-Za-z]/g, "").toUpperCase();
         const ciphertext = input.slice(offset);
         const reflector = new Reflector(reflectorstr);
-        let update;
-        if (isWorkerEnvironment()) {
-            update = this.updateStatus;
-        } else {
-            update = undefined;
-        }
+        /**
+         * Sends status updates and checks for cancellation. The Bombe machine calls this
+         * periodically during its run. The run is synchronous, so in the web app it is only
+         * stopped by terminating its ChefWorker.
+         *
+         * @param {...*} msg
+         */
+        const update = (...msg) => {
+            this.throwIfAborted();
+            if (isWorkerEnvironment()) this.updateStatus(...msg);
+        };
         const bombe = new BombeMachine(rotors, reflector, ciphertext, crib, check, update);
         const result = bombe.run();
         return {
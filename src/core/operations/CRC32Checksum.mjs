@@ -22,6 +22,7 @@ class CRC32Checksum extends Operation {
         this.module = "Crypto";
         this.description = "A cyclic redundancy check (CRC) is an error-detecting code commonly used in digital networks and storage devices to detect accidental changes to raw data.<br><br>The CRC was invented by W. Wesley Peterson in 1961; the 32-bit CRC function of Ethernet and many other standards is the work of several researchers and was published in 1975.";
         this.infoURL = "https://wikipedia.org/wiki/Cyclic_redundancy_check";
+        this.aliases = ["crc32", "cksum"];
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
         this.args = [];
@@ -26,6 +26,7 @@ class CipherSaber2Encrypt extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/CipherSaber";
         this.inputType = "ArrayBuffer";
         this.outputType = "ArrayBuffer";
+        this.cacheable = false;
         this.args = [
             {
                 name: "Key",
@@ -30,6 +30,7 @@ class DNSOverHTTPS extends Operation {
         this.inputType = "string";
         this.outputType = "JSON";
         this.manualBake = true;
+        this.cacheable = false;
         this.args = [
             {
                 name: "Resolver",
@@ -25,6 +25,7 @@ class DeriveEVPKey extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Key_derivation_function";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Passphrase",
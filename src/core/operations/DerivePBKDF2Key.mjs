@@ -25,6 +25,7 @@ class DerivePBKDF2Key extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/PBKDF2";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Passphrase",
@@ -0,0 +1,45 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+import { getConditionalEnd } from "../lib/FlowControl.mjs";
+
+/**
+ * Else operation
+ */
+class ElseBranch extends Operation {
+
+    /**
+     * ElseBranch constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "Else";
+        this.flowControl = true;
+        this.module = "Default";
+        this.description = "Marks the start of the operations run when the condition of the previous If is not met. These run up to the next End If.";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.args = [];
+    }
+
+    /**
+     * @param {Object} state - The current state of the recipe.
+     * @param {number} state.progress - The current position in the recipe.
+     * @param {Dish} state.dish - The Dish being operated on.
+     * @param {Operation[]} state.opList - The list of operations in the recipe.
+     * @returns {Object} The updated state of the recipe.
+     */
+    run(state) {
+        // This is only reached once the If branch has been run, so skip the Else branch
+        state.progress = getConditionalEnd(state);
+        return state;
+    }
+
+}
+
+export default ElseBranch;
@@ -0,0 +1,44 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+
+/**
+ * End Loop operation
+ */
+class EndLoop extends Operation {
+
+    /**
+     * EndLoop constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "End Loop";
+        this.flowControl = true;
+        this.module = "Default";
+        this.description = "Marks the end of the operations run by Repeat, While Matches or Repeat Until Unchanged.";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.args = [];
+    }
+
+    /**
+     * @param {Object} state - The current state of the recipe.
+     * @param {number} state.progress - The current position in the recipe.
+     * @param {Dish} state.dish - The Dish being operated on.
+     * @param {Operation[]} state.opList - The list of operations in the recipe.
+     * @returns {Object} The updated state of the recipe.
+     */
+    run(state) {
+        // No need to actually do anything here. The loop operations find the end
+        // of their block when they see this operation.
+        return state;
+    }
+
+}
+
+export default EndLoop;
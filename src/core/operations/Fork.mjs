@@ -6,7 +6,8 @@
 
 import Operation from "../Operation.mjs";
 import Recipe from "../Recipe.mjs";
-import Dish from "../Dish.mjs";
+import { runForkBranches } from "../lib/FlowControl.mjs";
+import { getForkExecutor } from "../lib/Fork.mjs";
 
 /**
  * Fork operation
@@ -22,7 +23,7 @@ class Fork extends Operation {
         this.name = "Fork";
         this.flowControl = true;
         this.module = "Default";
-        this.description = "Split the input data up based on the specified delimiter and run all subsequent operations on each branch separately.<br><br>For example, to decode multiple Base64 strings, enter them all on separate lines then add the 'Fork' and 'From Base64' operations to the recipe. Each string will be decoded separately.";
+        this.description = "Split the input data up based on the specified delimiter and run all subsequent operations on each branch separately.<br><br>For example, to decode multiple Base64 strings, enter them all on separate lines then add the 'Fork' and 'From Base64' operations to the recipe. Each string will be decoded separately.<br><br>With 'Run branches in parallel' set, the branches are shared out between several workers, which can be much faster when there are lots of them. Registers and variables set in one branch are then not seen by branches run on other workers or by operations after the Merge.";
         this.inputType = "string";
         this.outputType = "string";
         this.args = [
@@ -40,6 +41,11 @@ class Fork extends Operation {
                 "name": "Ignore errors",
                 "type": "boolean",
                 "value": false
+            },
+            {
+                "name": "Run branches in parallel",
+                "type": "boolean",
+                "value": false
             }
         ];
     }
@@ -57,7 +63,7 @@ class Fork extends Operation {
             outputType   = opList[state.progress].outputType,
             input        = await state.dish.get(inputType),
             ings         = opList[state.progress].ingValues,
-            [splitDelim, mergeDelim, ignoreErrors] = ings,
+            [splitDelim, mergeDelim, ignoreErrors, parallel] = ings,
             subOpList    = [];
         let inputs       = [],
             i;
@@ -75,40 +81,43 @@ class Fork extends Operation {
             }
         }
 
-        const recipe = new Recipe();
-        const outputs = [];
-        let progress = 0;
-
         state.forkOffset += state.progress + 1;
 
-        recipe.addOperations(subOpList);
-
-        // Take a deep(ish) copy of the ingredient values
-        const ingValues = subOpList.map(op => JSON.parse(JSON.stringify(op.ingValues)));
-
-        // Run recipe over each tranche
-        for (i = 0; i < inputs.length; i++) {
-            // Baseline ing values for each tranche so that registers are reset
-            recipe.opList.forEach((op, i) => {
-                op.ingValues = JSON.parse(JSON.stringify(ingValues[i]));
-            });
-
-            const dish = new Dish();
-            dish.set(inputs[i], inputType);
-
-            try {
-                progress = await recipe.execute(dish, 0, state);
-            } catch (err) {
-                if (!ignoreErrors) {
-                    throw err;
-                }
-                progress = err.progress + 1;
-            }
-            outputs.push(await dish.get(outputType));
+        const job = {
+            // Take a deep(ish) copy of the ingredient values
+            recipeConfig: subOpList.map(op => ({
+                op: op.name,
+                args: JSON.parse(JSON.stringify(op.ingValues)),
+                disabled: op.disabled,
+                breakpoint: op.breakpoint,
+                onError: op.onError
+            })),
+            inputs: inputs,
+            inputType: inputType,
+            outputType: outputType,
+            ignoreErrors: ignoreErrors,
+            forkOffset: state.forkOffset,
+            numRegisters: state.numRegisters,
+            variables: state.variables,
+            recipeStack: state.recipeStack,
+            allowedOperations: state.allowedOperations,
+            trace: state.trace
+        };
+
+        // Spread the branches across workers if possible, otherwise run them one at a time
+        const executor = getForkExecutor();
+        let result = null;
+        if (parallel && executor && inputs.length > 1) {
+            result = await executor.run(Object.assign({}, job, {trace: state.trace ? [] : null}), state.signal);
+            if (result && result.trace) state.trace.push(...result.trace);
+        }
+        if (!result) {
+            const recipe = new Recipe(job.recipeConfig);
+            result = await runForkBranches(recipe, job, state.signal);
         }
 
-        state.dish.set(outputs.join(mergeDelim), outputType);
-        state.progress += progress;
+        state.dish.set(result.outputs.join(mergeDelim), outputType);
+        state.progress += result.progress;
         return state;
     }
 
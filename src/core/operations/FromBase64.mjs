@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {fromBase64, ALPHABET_OPTIONS} from "../lib/Base64.mjs";
+import {fromBase64, createFromBase64Transformer, ALPHABET_OPTIONS} from "../lib/Base64.mjs";
 
 /**
  * From Base64 operation
@@ -22,8 +22,10 @@ class FromBase64 extends Operation {
         this.module = "Default";
         this.description = "Base64 is a notation for encoding arbitrary byte data using a restricted set of symbols that can be conveniently used by humans and processed by computers.<br><br>This operation decodes data from an ASCII Base64 string back into its raw format.<br><br>e.g. <code>aGVsbG8=</code> becomes <code>hello</code>";
         this.infoURL = "https://wikipedia.org/wiki/Base64";
+        this.aliases = ["b64", "b64decode", "base64 decode", "atob"];
         this.inputType = "string";
         this.outputType = "byteArray";
+        this.streamable = true;
         this.args = [
             {
                 name: "Alphabet",
@@ -116,6 +118,16 @@ class FromBase64 extends Operation {
         return fromBase64(input, alphabet, "byteArray", removeNonAlphChars);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        const [alphabet, removeNonAlphChars] = args;
+
+        return createFromBase64Transformer(alphabet, removeNonAlphChars);
+    }
+
     /**
      * Highlight to Base64
      *
@@ -25,6 +25,7 @@ class FromCharcode extends Operation {
         this.module = "Default";
         this.description = "Converts unicode character codes back into text.<br><br>e.g. <code>0393 03b5 03b9 03ac 20 03c3 03bf 03c5</code> becomes <code>Γειά σου</code>";
         this.infoURL = "https://wikipedia.org/wiki/Plane_(Unicode)";
+        this.aliases = ["chr"];
         this.inputType = "string";
         this.outputType = "byteArray";
         this.args = [
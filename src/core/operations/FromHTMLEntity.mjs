@@ -22,6 +22,7 @@ class FromHTMLEntity extends Operation {
         this.module = "Encodings";
         this.description = "Converts HTML entities back to characters<br><br>e.g. <code>&amp;<span>amp;</span></code> becomes <code>&amp;</code>";
         this.infoURL = "https://wikipedia.org/wiki/List_of_XML_and_HTML_character_entity_references";
+        this.aliases = ["html decode", "unescape html"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [];
@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {fromHex, FROM_HEX_DELIM_OPTIONS} from "../lib/Hex.mjs";
+import {fromHex, createFromHexTransformer, FROM_HEX_DELIM_OPTIONS} from "../lib/Hex.mjs";
 import Utils from "../Utils.mjs";
 
 /**
@@ -23,8 +23,10 @@ class FromHex extends Operation {
         this.module = "Default";
         this.description = "Converts a hexadecimal byte string back into its raw value.<br><br>e.g. <code>ce 93 ce b5 ce b9 ce ac 20 cf 83 ce bf cf 85 0a</code> becomes the UTF-8 encoded string <code>Γειά σου</code>";
         this.infoURL = "https://wikipedia.org/wiki/Hexadecimal";
+        this.aliases = ["unhex", "hex decode", "unhexlify"];
         this.inputType = "string";
         this.outputType = "byteArray";
+        this.streamable = true;
         this.args = [
             {
                 name: "Delimiter",
@@ -96,6 +98,15 @@ class FromHex extends Operation {
         return fromHex(input, delim, 2);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        const delim = args[0] || "Auto";
+        return createFromHexTransformer(delim, 2);
+    }
+
     /**
      * Highlight to Hex
      *
@@ -25,6 +25,7 @@ class FromQuotedPrintable extends Operation {
         this.module = "Default";
         this.description = "Converts QP-encoded text back to standard text.<br><br>e.g. The quoted-printable encoded string <code>hello=20world</code> becomes <code>hello world</code>";
         this.infoURL = "https://wikipedia.org/wiki/Quoted-printable";
+        this.aliases = ["qp decode"];
         this.inputType = "string";
         this.outputType = "byteArray";
         this.args = [];
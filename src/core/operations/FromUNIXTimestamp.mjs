@@ -24,6 +24,7 @@ class FromUNIXTimestamp extends Operation {
         this.module = "Default";
         this.description = "Converts a UNIX timestamp to a datetime string.<br><br>e.g. <code>978346800</code> becomes <code>Mon 1 January 2001 11:00:00 UTC</code><br><br>A UNIX timestamp is a 32-bit value representing the number of seconds since January 1, 1970 UTC (the UNIX epoch).";
         this.infoURL = "https://wikipedia.org/wiki/Unix_time";
+        this.aliases = ["epoch", "from epoch"];
         this.inputType = "number";
         this.outputType = "string";
         this.args = [
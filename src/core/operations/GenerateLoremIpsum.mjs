@@ -25,6 +25,7 @@ class GenerateLoremIpsum extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Lorem_ipsum";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Length",
@@ -29,6 +29,7 @@ class GeneratePGPKeyPair extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Pretty_Good_Privacy";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Key type",
@@ -25,6 +25,7 @@ class GenerateTOTP extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Time-based_One-time_Password_algorithm";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Name",
@@ -24,6 +24,7 @@ class GenerateUUID extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Universally_unique_identifier";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [];
     }
 
@@ -5,9 +5,9 @@
  */
 
 import Operation from "../Operation.mjs";
-import gunzip from "zlibjs/bin/gunzip.min.js";
-
-const Zlib = gunzip.Zlib;
+import OperationError from "../errors/OperationError.mjs";
+import {concatChunks, joinChunks} from "../lib/Transformer.mjs";
+import pako from "pako";
 
 /**
  * Gunzip operation
@@ -24,8 +24,10 @@ class Gunzip extends Operation {
         this.module = "Compression";
         this.description = "Decompresses data which has been compressed using the deflate algorithm with gzip headers.";
         this.infoURL = "https://wikipedia.org/wiki/Gzip";
+        this.aliases = ["ungzip", "gzip decompress", "zcat"];
         this.inputType = "ArrayBuffer";
         this.outputType = "ArrayBuffer";
+        this.streamable = true;
         this.args = [];
         this.checks = [
             {
@@ -39,11 +41,53 @@ class Gunzip extends Operation {
     /**
      * @param {ArrayBuffer} input
      * @param {Object[]} args
-     * @returns {File}
+     * @returns {ArrayBuffer}
      */
     run(input, args) {
-        const gzipObj = new Zlib.Gunzip(new Uint8Array(input));
-        return new Uint8Array(gzipObj.decompress()).buffer;
+        const transformer = this.createTransformer(args),
+            output = concatChunks(transformer.transform(new Uint8Array(input)), transformer.flush());
+        return output.buffer.slice(output.byteOffset, output.byteOffset + output.length);
+    }
+
+    /**
+     * Each gzip member's CRC32 and length are checked once it has been decompressed. Where
+     * members have been concatenated, their outputs are too.
+     *
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        let inflator = null,
+            output = [];
+
+        return {
+            transform(chunk) {
+                while (chunk.length) {
+                    if (!inflator) {
+                        // Only accept gzip headers
+                        inflator = new pako.Inflate({windowBits: 16 + 15});
+                        inflator.onData = data => output.push(data);
+                    }
+
+                    inflator.push(chunk, false);
+                    if (inflator.err) throw new OperationError(`Invalid gzip data: ${inflator.msg}`);
+                    if (!inflator.ended) break;
+
+                    // Anything after the end of the member is the start of the next one
+                    const strm = inflator.strm;
+                    chunk = strm.input.subarray(strm.next_in, strm.next_in + strm.avail_in);
+                    inflator = null;
+                }
+
+                const result = joinChunks(output);
+                output = [];
+                return result;
+            },
+            flush() {
+                if (inflator) throw new OperationError("Invalid gzip data: the input ended part way through a gzip member");
+                return new Uint8Array(0);
+            }
+        };
     }
 
 }
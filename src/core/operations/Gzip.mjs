@@ -25,6 +25,7 @@ class Gzip extends Operation {
         this.module = "Compression";
         this.description = "Compresses data using the deflate algorithm with gzip headers.";
         this.infoURL = "https://wikipedia.org/wiki/Gzip";
+        this.aliases = ["gzip compress"];
         this.inputType = "ArrayBuffer";
         this.outputType = "ArrayBuffer";
         this.args = [
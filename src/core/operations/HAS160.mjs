@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * HAS-160 operation
@@ -24,6 +24,7 @@ class HAS160 extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/HAS-160";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [];
     }
 
@@ -36,6 +37,14 @@ class HAS160 extends Operation {
         return runHash("has160", input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("has160");
+    }
+
 }
 
 export default HAS160;
@@ -34,6 +34,7 @@ class HTTPRequest extends Operation {
         this.inputType = "string";
         this.outputType = "string";
         this.manualBake = true;
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Method",
@@ -0,0 +1,142 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+import Dish from "../Dish.mjs";
+import Utils from "../Utils.mjs";
+import OperationError from "../errors/OperationError.mjs";
+import { detectFileType } from "../lib/FileType.mjs";
+import { getConditionalEnd } from "../lib/FlowControl.mjs";
+
+/**
+ * If operation
+ */
+class IfCondition extends Operation {
+
+    /**
+     * IfCondition constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "If";
+        this.flowControl = true;
+        this.module = "Default";
+        this.description = "Runs all subsequent operations up to the next Else or End If only if the condition is met. If it is not met, the operations between the Else and End If are run instead, if there is an Else.<br><br>Conditions:<ul><li>Regex matches data - each byte of the data is matched as a single character, so binary signatures can be used, e.g. <code>^\\x1f\\x8b</code></li><li>File type is - the file type detected by Magic, given as a name, extension or MIME type, e.g. <code>gz</code> or <code>application/gzip</code></li><li>Entropy above - the Shannon entropy of the data, from 0 to 8</li><li>Register matches - a register set by a previous Register operation, e.g. <code>$R0</code>, matches the regex</li></ul>If blocks can be nested inside each other.";
+        this.infoURL = "https://wikipedia.org/wiki/Conditional_(computer_programming)";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.args = [
+            {
+                "name": "Condition",
+                "type": "argSelector",
+                "value": [
+                    {
+                        name: "Regex matches data",
+                        on: [1],
+                        off: [2, 3, 4]
+                    },
+                    {
+                        name: "File type is",
+                        on: [2],
+                        off: [1, 3, 4]
+                    },
+                    {
+                        name: "Entropy above",
+                        on: [3],
+                        off: [1, 2, 4]
+                    },
+                    {
+                        name: "Register matches",
+                        on: [1, 4],
+                        off: [2, 3]
+                    }
+                ]
+            },
+            {
+                "name": "Match (regex)",
+                "type": "string",
+                "value": ""
+            },
+            {
+                "name": "File type",
+                "type": "string",
+                "value": ""
+            },
+            {
+                "name": "Entropy threshold",
+                "type": "number",
+                "value": 7.5,
+                "min": 0,
+                "max": 8,
+                "step": 0.1
+            },
+            {
+                "name": "Register",
+                "type": "string",
+                "value": "$R0"
+            },
+            {
+                "name": "Invert condition",
+                "type": "boolean",
+                "value": false
+            }
+        ];
+    }
+
+    /**
+     * @param {Object} state - The current state of the recipe.
+     * @param {number} state.progress - The current position in the recipe.
+     * @param {Dish} state.dish - The Dish being operated on.
+     * @param {Operation[]} state.opList - The list of operations in the recipe.
+     * @returns {Object} The updated state of the recipe.
+     */
+    async run(state) {
+        const invert = state.opList[state.progress].ingValues[5];
+
+        if (await this.conditionMet(state) === invert) {
+            // Carry on from the Else, or skip the whole block if there isn't one
+            state.progress = getConditionalEnd(state, true);
+        }
+
+        return state;
+    }
+
+    /**
+     * Tests whether the condition set in the current operation holds for the Dish.
+     *
+     * @param {Object} state - The current state of the recipe.
+     * @returns {boolean}
+     */
+    async conditionMet(state) {
+        const [condition, regexStr, fileType, threshold, register] = state.opList[state.progress].ingValues;
+
+        switch (condition) {
+            case "Regex matches data":
+                // Test a copy so that the data is not converted to a string
+                return new RegExp(regexStr).test(await state.dish.presentAs(Dish.STRING, true));
+            case "File type is": {
+                const types = detectFileType(await state.dish.presentAs(Dish.ARRAY_BUFFER)),
+                    name = fileType.trim().toLowerCase();
+
+                return types.some(type =>
+                    type.name.toLowerCase() === name ||
+                    type.mime.toLowerCase() === name ||
+                    type.extension.toLowerCase().split(",").includes(name)
+                );
+            }
+            case "Entropy above":
+                return Utils.calculateShannonEntropy(await state.dish.presentAs(Dish.ARRAY_BUFFER)) > threshold;
+            case "Register matches":
+                return new RegExp(regexStr).test(register);
+            default:
+                throw new OperationError(`Unknown condition: ${condition}`);
+        }
+    }
+
+}
+
+export default IfCondition;
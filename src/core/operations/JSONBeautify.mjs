@@ -22,6 +22,7 @@ class JSONBeautify extends Operation {
         this.name = "JSON Beautify";
         this.module = "Code";
         this.description = "Indents and prettifies JavaScript Object Notation (JSON) code.";
+        this.aliases = ["json pretty print", "json format"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [
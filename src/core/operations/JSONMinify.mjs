@@ -21,6 +21,7 @@ class JSONMinify extends Operation {
         this.name = "JSON Minify";
         this.module = "Code";
         this.description = "Compresses JavaScript Object Notation (JSON) code.";
+        this.aliases = ["json compact"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [];
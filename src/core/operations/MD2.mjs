@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * MD2 operation
@@ -24,6 +24,7 @@ class MD2 extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/MD2_(cryptography)";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [];
     }
 
@@ -36,6 +37,14 @@ class MD2 extends Operation {
         return runHash("md2", input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("md2");
+    }
+
 }
 
 export default MD2;
@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * MD4 operation
@@ -24,6 +24,7 @@ class MD4 extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/MD4";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [];
     }
 
@@ -36,6 +37,14 @@ class MD4 extends Operation {
         return runHash("md4", input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("md4");
+    }
+
 }
 
 export default MD4;
@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * MD5 operation
@@ -22,8 +22,10 @@ class MD5 extends Operation {
         this.module = "Crypto";
         this.description = "MD5 (Message-Digest 5) is a widely used hash function. It has been used in a variety of security applications and is also commonly used to check the integrity of files.<br><br>However, MD5 is not collision resistant and it isn't suitable for applications like SSL/TLS certificates or digital signatures that rely on this property.";
         this.infoURL = "https://wikipedia.org/wiki/MD5";
+        this.aliases = ["md5sum"];
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [];
     }
 
@@ -36,6 +38,14 @@ class MD5 extends Operation {
         return runHash("md5", input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("md5");
+    }
+
 }
 
 export default MD5;
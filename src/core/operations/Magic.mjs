@@ -65,7 +65,8 @@ class Magic extends Operation {
             dish = state.dish,
             magic = new MagicLib(await dish.get(Dish.ARRAY_BUFFER)),
             cribRegex = (crib && crib.length) ? new RegExp(crib, "i") : null;
-        let options = await magic.speculativeExecution(depth, extLang, intensive, [], false, cribRegex);
+        let options = await magic.speculativeExecution(depth, extLang, intensive, [], false, cribRegex,
+            state.signal, state.allowedOperations);
 
         // Filter down to results which matched the crib
         if (cribRegex) {
@@ -249,6 +249,9 @@ class MultipleBombe extends Operation {
                     }
                     for (const rotor4 of fourthRotors) {
                         for (const reflector of reflectors) {
+                            // Only seen between runs, and never in the web app, where
+                            // terminating the ChefWorker is what stops this
+                            this.throwIfAborted();
                             nRuns++;
                             const runRotors = [rotor1, rotor2, rotor3];
                             if (rotor4 !== "") {
@@ -23,6 +23,7 @@ class Numberwang extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/That_Mitchell_and_Webb_Look#Recurring_sketches";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [];
     }
 
@@ -36,6 +36,7 @@ class PGPEncrypt extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Pretty_Good_Privacy";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Public key of recipient",
@@ -39,6 +39,7 @@ class PGPEncryptAndSign extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Pretty_Good_Privacy";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Private key of signer",
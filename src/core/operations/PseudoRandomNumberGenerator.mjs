@@ -27,6 +27,7 @@ class PseudoRandomNumberGenerator extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Pseudorandom_number_generator";
         this.inputType = "string";
         this.outputType = "string";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Number of bytes",
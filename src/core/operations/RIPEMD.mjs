@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * RIPEMD operation
@@ -24,6 +24,7 @@ class RIPEMD extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/RIPEMD";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [
             {
                 "name": "Size",
@@ -43,6 +44,14 @@ class RIPEMD extends Operation {
         return runHash("ripemd" + size, input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("ripemd" + args[0]);
+    }
+
 }
 
 export default RIPEMD;
@@ -22,6 +22,7 @@ class ROT13 extends Operation {
         this.module = "Default";
         this.description = "A simple caesar substitution cipher which rotates alphabet characters by the specified amount (default 13).";
         this.infoURL = "https://wikipedia.org/wiki/ROT13";
+        this.aliases = ["rot", "caesar"];
         this.inputType = "byteArray";
         this.outputType = "byteArray";
         this.args = [
@@ -30,6 +30,7 @@ class RandomizeColourPalette extends Operation {
         this.inputType = "ArrayBuffer";
         this.outputType = "ArrayBuffer";
         this.presentType = "html";
+        this.cacheable = false;
         this.args = [
             {
                 name: "Seed",
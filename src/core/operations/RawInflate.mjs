@@ -31,6 +31,7 @@ class RawInflate extends Operation {
         this.module = "Compression";
         this.description = "Decompresses data which has been compressed using the deflate algorithm with no headers.";
         this.infoURL = "https://wikipedia.org/wiki/DEFLATE";
+        this.aliases = ["deflate decompress"];
         this.inputType = "ArrayBuffer";
         this.outputType = "ArrayBuffer";
         this.args = [
@@ -24,6 +24,7 @@ class RegularExpression extends Operation {
         this.module = "Regex";
         this.description = "Define your own regular expression (regex) to search the input data with, optionally choosing from a list of pre-defined patterns.<br><br>Supports extended regex syntax including the 'dot matches all' flag, named capture groups, full unicode coverage (including <code>\\p{}</code> categories and scripts as well as astral codes) and recursive matching.";
         this.infoURL = "https://wikipedia.org/wiki/Regular_expression";
+        this.aliases = ["regex", "grep"];
         this.inputType = "string";
         this.outputType = "html";
         this.args = [
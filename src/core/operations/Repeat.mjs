@@ -0,0 +1,57 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+import Recipe from "../Recipe.mjs";
+import { getLoopBlock, runLoop } from "../lib/FlowControl.mjs";
+
+/**
+ * Repeat operation
+ */
+class Repeat extends Operation {
+
+    /**
+     * Repeat constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "Repeat";
+        this.flowControl = true;
+        this.module = "Default";
+        this.description = "Runs all subsequent operations up to the next End Loop the specified number of times, passing the output of each run in as the input to the next.<br><br>e.g. Repeat 3 times over From Hex decodes three layers of hex.";
+        this.infoURL = "";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.args = [
+            {
+                "name": "Times",
+                "type": "number",
+                "value": 2,
+                "min": 0
+            }
+        ];
+    }
+
+    /**
+     * @param {Object} state - The current state of the recipe.
+     * @param {number} state.progress - The current position in the recipe.
+     * @param {Dish} state.dish - The Dish being operated on.
+     * @param {Operation[]} state.opList - The list of operations in the recipe.
+     * @returns {Object} The updated state of the recipe.
+     */
+    async run(state) {
+        const [times] = state.opList[state.progress].ingValues,
+            recipe = new Recipe();
+
+        recipe.addOperations(getLoopBlock(state));
+
+        return await runLoop(state, recipe, iteration => iteration < times);
+    }
+
+}
+
+export default Repeat;
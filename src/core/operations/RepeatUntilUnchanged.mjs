@@ -0,0 +1,81 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+import Recipe from "../Recipe.mjs";
+import Dish from "../Dish.mjs";
+import { getLoopBlock, runLoop } from "../lib/FlowControl.mjs";
+
+/**
+ * Repeat Until Unchanged operation
+ */
+class RepeatUntilUnchanged extends Operation {
+
+    /**
+     * RepeatUntilUnchanged constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "Repeat Until Unchanged";
+        this.flowControl = true;
+        this.module = "Default";
+        this.description = "Runs all subsequent operations up to the next End Loop repeatedly, passing the output of each run in as the input to the next, until the output stops changing.<br><br>e.g. Repeat Until Unchanged over URL Decode removes every layer of URL encoding.<br><br>The loop stops after the maximum number of iterations, even if the output is still changing.";
+        this.infoURL = "";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.args = [
+            {
+                "name": "Maximum iterations",
+                "type": "number",
+                "value": 100,
+                "min": 0
+            }
+        ];
+    }
+
+    /**
+     * @param {Object} state - The current state of the recipe.
+     * @param {number} state.progress - The current position in the recipe.
+     * @param {Dish} state.dish - The Dish being operated on.
+     * @param {Operation[]} state.opList - The list of operations in the recipe.
+     * @returns {Object} The updated state of the recipe.
+     */
+    async run(state) {
+        const [maxIterations] = state.opList[state.progress].ingValues,
+            recipe = new Recipe();
+        let previous = null;
+
+        recipe.addOperations(getLoopBlock(state));
+
+        return await runLoop(state, recipe, async iteration => {
+            const current = new Uint8Array(await state.dish.presentAs(Dish.ARRAY_BUFFER));
+            if (previous && buffersEqual(previous, current)) return false;
+
+            previous = current;
+            return iteration < maxIterations;
+        });
+    }
+
+}
+
+
+/**
+ * Returns true if the two arrays hold the same bytes.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function buffersEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+export default RepeatUntilUnchanged;
@@ -0,0 +1,123 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+import Recipe from "../Recipe.mjs";
+import Dish from "../Dish.mjs";
+import OperationError from "../errors/OperationError.mjs";
+import { isWorkerEnvironment } from "../Utils.mjs";
+import { getSavedRecipe, parseRecipe } from "../lib/SavedRecipes.mjs";
+
+/**
+ * The maximum number of saved or inline recipes which can be run inside each other. Inline
+ * recipes can be built from the input, so cannot be checked for loops by name.
+ */
+const MAX_RECIPE_DEPTH = 10;
+
+/**
+ * The entry added to the recipe stack for an inline recipe.
+ */
+const INLINE_RECIPE = "(inline recipe)";
+
+/**
+ * Run Saved Recipe operation
+ */
+class RunSavedRecipe extends Operation {
+
+    /**
+     * RunSavedRecipe constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "Run Saved Recipe";
+        this.module = "Default";
+        this.description = "Runs another recipe over the input and returns its output, so that a chain of operations used in many recipes only has to be written once.<br><br>The recipe can be one saved using the 'Save recipe' button, referred to by name, or given inline in chef format or JSON, as shown in the 'Save recipe' dialog.<br><br>Saved recipes can run other saved recipes, but a recipe cannot run itself, either directly or through another recipe. Recipes can be run up to 10 deep.";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.cacheable = false;
+        this.args = [
+            {
+                "name": "Source",
+                "type": "argSelector",
+                "value": [
+                    {
+                        name: "Saved recipe",
+                        on: [1],
+                        off: [2]
+                    },
+                    {
+                        name: "Inline recipe",
+                        on: [2],
+                        off: [1]
+                    }
+                ]
+            },
+            {
+                "name": "Recipe name",
+                "type": "string",
+                "value": ""
+            },
+            {
+                "name": "Recipe",
+                "type": "text",
+                "value": ""
+            }
+        ];
+    }
+
+    /**
+     * @param {ArrayBuffer} input
+     * @param {Object[]} args
+     * @returns {ArrayBuffer}
+     */
+    async run(input, args) {
+        const [source, name, recipeStr] = args;
+        let recipeConfig, recipeStack;
+
+        if (this.recipeStack.length >= MAX_RECIPE_DEPTH) {
+            throw new OperationError(`Recipes cannot be run more than ${MAX_RECIPE_DEPTH} deep: ${this.recipeStack.join(" > ")}`);
+        }
+
+        if (source === "Inline recipe") {
+            recipeConfig = parseRecipe(recipeStr);
+            recipeStack = this.recipeStack.concat(INLINE_RECIPE);
+        } else {
+            if (this.recipeStack.includes(name)) {
+                throw new OperationError(`The saved recipe '${name}' cannot run itself: ${this.recipeStack.concat(name).join(" > ")}`);
+            }
+            recipeConfig = getSavedRecipe(name);
+            recipeStack = this.recipeStack.concat(name);
+        }
+
+        // Operations in the saved recipe may be in modules which have not been loaded yet
+        if (isWorkerEnvironment()) self.loadRequiredModules(recipeConfig);
+
+        // The saved recipe shares the variables of the recipe running it, and its steps are
+        // traced after this one
+        const recipe = new Recipe(recipeConfig),
+            dish = new Dish(input, Dish.ARRAY_BUFFER),
+            progress = await recipe.execute(dish, 0, {
+                signal: this.signal,
+                recipeStack: recipeStack,
+                variables: this.variables,
+                trace: this.trace,
+                allowedOperations: this.allowedOperations
+            });
+
+        if (progress < recipe.opList.length) {
+            // The failed operation has left its error message in the Dish
+            const step = recipe.opList[progress].name,
+                message = await dish.get(Dish.STRING);
+            throw new OperationError(`${source === "Inline recipe" ? "Inline recipe" : `'${name}'`} failed at ${step}: ${message}`);
+        }
+
+        return await dish.get(Dish.ARRAY_BUFFER);
+    }
+
+}
+
+export default RunSavedRecipe;
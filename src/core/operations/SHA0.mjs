@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * SHA0 operation
@@ -24,6 +24,7 @@ class SHA0 extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/SHA-1#SHA-0";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [];
     }
 
@@ -36,6 +37,14 @@ class SHA0 extends Operation {
         return runHash("sha0", input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("sha0");
+    }
+
 }
 
 export default SHA0;
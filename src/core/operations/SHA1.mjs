@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * SHA1 operation
@@ -22,8 +22,10 @@ class SHA1 extends Operation {
         this.module = "Crypto";
         this.description = "The SHA (Secure Hash Algorithm) hash functions were designed by the NSA. SHA-1 is the most established of the existing SHA hash functions and it is used in a variety of security applications and protocols.<br><br>However, SHA-1's collision resistance has been weakening as new attacks are discovered or improved.";
         this.infoURL = "https://wikipedia.org/wiki/SHA-1";
+        this.aliases = ["sha-1"];
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [];
     }
 
@@ -36,6 +38,14 @@ class SHA1 extends Operation {
         return runHash("sha1", input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("sha1");
+    }
+
 }
 
 export default SHA1;
@@ -73,7 +73,9 @@ class Scrypt extends Operation {
             const data = scryptsy(
                 input, salt, iterations, memFactor, parallelFactor, keyLength,
                 p => {
-                    // Progress callback
+                    // Progress callback. scryptsy runs synchronously, so this only sees
+                    // signals which are worked out when read (see throwIfAborted).
+                    this.throwIfAborted();
                     if (isWorkerEnvironment())
                         self.sendStatusMessage(`Progress: ${p.percent.toFixed(0)}%`);
                 }
@@ -81,6 +83,7 @@ class Scrypt extends Operation {
 
             return data.toString("hex");
         } catch (err) {
+            if (err.type === "AbortError") throw err;
             throw new OperationError("Error: " + err.toString());
         }
     }
@@ -0,0 +1,105 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+import Dish from "../Dish.mjs";
+import OperationError from "../errors/OperationError.mjs";
+import { isValidVariableName } from "../lib/Variables.mjs";
+
+/**
+ * Set Variable operation
+ */
+class SetVariable extends Operation {
+
+    /**
+     * SetVariable constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "Set Variable";
+        this.flowControl = true;
+        this.module = "Default";
+        this.description = "Stores a value in a named variable which can be referred to in the arguments of any subsequent operation as <code>${name}</code>. The data itself is not changed.<br><br>Variables are only filled in for recipes which contain a Set Variable operation or refer to one of the variables below, so other recipes are not affected by text which looks like a variable.<br><br>The value can be taken from the first capture group of a regular expression (or the whole match if there are no groups), the whole of the data, or some text, which can itself refer to other variables.<br><br>The following variables describe the input and are always set in these recipes:<ul><li><code>${filename}</code> - the name of the input file, if there is one</li><li><code>${inputLength}</code> - the length of the input in bytes</li><li><code>${tabNumber}</code> - the number of the input tab</li></ul>To use <code>${name}</code> literally, escape it with an extra dollar sign, e.g. <code>$${name}</code>.";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.args = [
+            {
+                "name": "Name",
+                "type": "string",
+                "value": ""
+            },
+            {
+                "name": "Value from",
+                "type": "argSelector",
+                "value": [
+                    {
+                        name: "Regex match",
+                        on: [2],
+                        off: [3]
+                    },
+                    {
+                        name: "Data",
+                        off: [2, 3]
+                    },
+                    {
+                        name: "Text",
+                        on: [3],
+                        off: [2]
+                    }
+                ]
+            },
+            {
+                "name": "Regex",
+                "type": "string",
+                "value": ""
+            },
+            {
+                "name": "Text",
+                "type": "string",
+                "value": ""
+            }
+        ];
+    }
+
+    /**
+     * @param {Object} state - The current state of the recipe.
+     * @param {number} state.progress - The current position in the recipe.
+     * @param {Dish} state.dish - The Dish being operated on.
+     * @param {Operation[]} state.opList - The list of operations in the recipe.
+     * @param {Object} state.variables - The values of the variables set so far.
+     * @returns {Object} The updated state of the recipe.
+     */
+    async run(state) {
+        const [name, valueFrom, regexStr, text] = state.opList[state.progress].ingValues;
+
+        if (!isValidVariableName(name)) {
+            throw new OperationError(`Invalid variable name: '${name}'. Names can only contain letters, numbers and underscores and cannot start with a number.`);
+        }
+
+        switch (valueFrom) {
+            case "Regex match": {
+                const match = (await state.dish.presentAs(Dish.STRING)).match(new RegExp(regexStr));
+                if (!match) return state;
+
+                state.variables[name] = (match.length > 1 ? match[1] : match[0]) || "";
+                break;
+            }
+            case "Data":
+                state.variables[name] = await state.dish.presentAs(Dish.STRING);
+                break;
+            default:
+                // Variables in the text have already been filled in
+                state.variables[name] = text;
+                break;
+        }
+
+        return state;
+    }
+
+}
+
+export default SetVariable;
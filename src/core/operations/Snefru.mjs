@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * Snefru operation
@@ -24,6 +24,7 @@ class Snefru extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Snefru";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [
             {
                 "name": "Rounds",
@@ -50,6 +51,17 @@ class Snefru extends Operation {
         });
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer("snefru", {
+            rounds: args[0],
+            length: args[1]
+        });
+    }
+
 }
 
 export default Snefru;
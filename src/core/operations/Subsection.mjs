@@ -125,7 +125,9 @@ class Subsection extends Operation {
                 try {
                     progress = await recipe.execute(dish, 0, state);
                 } catch (err) {
-                    if (!ignoreErrors) {
+                    // Cancelled bakes and operations which are not allowed must always stop, even
+                    // when errors are ignored
+                    if (!ignoreErrors || err.type === "AbortError" || err.type === "ExcludedOperationError") {
                         throw err;
                     }
                     progress = err.progress + 1;
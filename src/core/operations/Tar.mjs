@@ -24,6 +24,7 @@ class Tar extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Tar_(computing)";
         this.inputType = "ArrayBuffer";
         this.outputType = "File";
+        this.cacheable = false;
         this.args = [
             {
                 "name": "Filename",
@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {toBase64, ALPHABET_OPTIONS} from "../lib/Base64.mjs";
+import {toBase64, createToBase64Transformer, ALPHABET_OPTIONS} from "../lib/Base64.mjs";
 
 /**
  * To Base64 operation
@@ -22,8 +22,10 @@ class ToBase64 extends Operation {
         this.module = "Default";
         this.description = "Base64 is a notation for encoding arbitrary byte data using a restricted set of symbols that can be conveniently used by humans and processed by computers.<br><br>This operation encodes raw data into an ASCII Base64 string.<br><br>e.g. <code>hello</code> becomes <code>aGVsbG8=</code>";
         this.infoURL = "https://wikipedia.org/wiki/Base64";
+        this.aliases = ["b64", "b64encode", "base64 encode", "btoa"];
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [
             {
                 name: "Alphabet",
@@ -43,6 +45,15 @@ class ToBase64 extends Operation {
         return toBase64(input, alphabet);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        const alphabet = args[0];
+        return createToBase64Transformer(alphabet);
+    }
+
     /**
      * Highlight to Base64
      *
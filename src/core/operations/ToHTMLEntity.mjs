@@ -22,6 +22,7 @@ class ToHTMLEntity extends Operation {
         this.module = "Encodings";
         this.description = "Converts characters to HTML entities<br><br>e.g. <code>&amp;</code> becomes <code>&amp;<span>amp;</span></code>";
         this.infoURL = "https://wikipedia.org/wiki/List_of_XML_and_HTML_character_entity_references";
+        this.aliases = ["html encode", "escape html"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [
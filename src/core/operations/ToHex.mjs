@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {toHex, TO_HEX_DELIM_OPTIONS} from "../lib/Hex.mjs";
+import {toHex, createToHexTransformer, TO_HEX_DELIM_OPTIONS} from "../lib/Hex.mjs";
 import Utils from "../Utils.mjs";
 
 /**
@@ -23,8 +23,10 @@ class ToHex extends Operation {
         this.module = "Default";
         this.description = "Converts the input string to hexadecimal bytes separated by the specified delimiter.<br><br>e.g. The UTF-8 encoded string <code>Γειά σου</code> becomes <code>ce 93 ce b5 ce b9 ce ac 20 cf 83 ce bf cf 85 0a</code>";
         this.infoURL = "https://wikipedia.org/wiki/Hexadecimal";
+        this.aliases = ["hexlify", "hex encode", "bin2hex"];
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [
             {
                 name: "Delimiter",
@@ -57,6 +59,23 @@ class ToHex extends Operation {
         return toHex(new Uint8Array(input), delim, 2, comma, lineSize);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        let delim, comma;
+        if (args[0] === "0x with comma") {
+            delim = "0x";
+            comma = ",";
+        } else {
+            delim = Utils.charRep(args[0] || "Space");
+        }
+        const lineSize = args[1];
+
+        return createToHexTransformer(delim, 2, comma, lineSize);
+    }
+
     /**
      * Highlight to Hex
      *
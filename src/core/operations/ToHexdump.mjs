@@ -22,6 +22,7 @@ class ToHexdump extends Operation {
         this.module = "Default";
         this.description = "Creates a hexdump of the input data, displaying both the hexadecimal values of each byte and an ASCII representation alongside.";
         this.infoURL = "https://wikipedia.org/wiki/Hex_dump";
+        this.aliases = ["xxd", "hd"];
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
         this.args = [
@@ -20,6 +20,7 @@ class ToLowerCase extends Operation {
         this.name = "To Lower case";
         this.module = "Default";
         this.description = "Converts every character in the input to lower case.";
+        this.aliases = ["lowercase"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [];
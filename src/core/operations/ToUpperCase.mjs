@@ -20,6 +20,7 @@ class ToUpperCase extends Operation {
         this.name = "To Upper case";
         this.module = "Default";
         this.description = "Converts the input string to upper case, optionally limiting scope to only the first character in each word, sentence or paragraph.";
+        this.aliases = ["uppercase"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [
@@ -21,6 +21,7 @@ class URLDecode extends Operation {
         this.module = "URL";
         this.description = "Converts URI/URL percent-encoded characters back to their raw values.<br><br>e.g. <code>%3d</code> becomes <code>=</code>";
         this.infoURL = "https://wikipedia.org/wiki/Percent-encoding";
+        this.aliases = ["urldecode", "unquote", "percent decode", "decodeURIComponent"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [];
@@ -21,6 +21,7 @@ class URLEncode extends Operation {
         this.module = "URL";
         this.description = "Encodes problematic characters into percent-encoding, a format supported by URIs/URLs.<br><br>e.g. <code>=</code> becomes <code>%3d</code>";
         this.infoURL = "https://wikipedia.org/wiki/Percent-encoding";
+        this.aliases = ["urlencode", "quote", "percent encode", "encodeURIComponent"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [
@@ -22,6 +22,7 @@ class Unique extends Operation {
         this.name = "Unique";
         this.module = "Default";
         this.description = "Removes duplicate strings from the input.";
+        this.aliases = ["uniq", "dedupe"];
         this.inputType = "string";
         this.outputType = "string";
         this.args = [
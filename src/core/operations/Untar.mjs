@@ -81,11 +81,11 @@ class Untar extends Operation {
                 }
 
                 file.bytes = stream.getBytes(file.size);
-                files.push(new File([new Uint8Array(file.bytes)], file.fileName));
+                files.push(new File([new Uint8Array(file.bytes)], file.fileName, {lastModified: file.lastModTime.getTime()}));
                 stream.position = endPosition;
             } else if (file.type === "5") {
                 // Directory
-                files.push(new File([new Uint8Array(file.bytes)], file.fileName));
+                files.push(new File([new Uint8Array(file.bytes)], file.fileName, {lastModified: file.lastModTime.getTime()}));
             } else {
                 // Symlink or empty bytes
             }
@@ -6,6 +6,7 @@
 
 import Operation from "../Operation.mjs";
 import Utils from "../Utils.mjs";
+import Stream from "../lib/Stream.mjs";
 import unzip from "zlibjs/bin/unzip.min.js";
 
 const Zlib = unzip.Zlib;
@@ -25,6 +26,7 @@ class Unzip extends Operation {
         this.module = "Compression";
         this.description = "Decompresses data using the PKZIP algorithm and displays it per file, with support for passwords.";
         this.infoURL = "https://wikipedia.org/wiki/Zip_(file_format)";
+        this.aliases = ["zip extract"];
         this.inputType = "ArrayBuffer";
         this.outputType = "List<File>";
         this.presentType = "html";
@@ -60,11 +62,14 @@ class Unzip extends Operation {
                 verify: args[1]
             },
             unzip = new Zlib.Unzip(new Uint8Array(input), options),
-            filenames = unzip.getFilenames();
+            filenames = unzip.getFilenames(),
+            times = modificationTimes(new Uint8Array(input));
 
         return filenames.map(fileName => {
             const bytes = unzip.decompress(fileName);
-            return new File([bytes], fileName);
+            return times.has(fileName) ?
+                new File([bytes], fileName, {lastModified: times.get(fileName)}) :
+                new File([bytes], fileName);
         });
     }
 
@@ -80,4 +85,52 @@ class Unzip extends Operation {
 
 }
 
+/**
+ * Reads the modification time of each file from a zip's central directory. Zips store times as
+ * MS-DOS dates, which have no time zone, so they are taken to be local time like other unzip
+ * tools do.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, number>} The modification time of each file name, in ms since the epoch.
+ */
+function modificationTimes(bytes) {
+    const times = new Map();
+
+    // The End of central directory record is 22 bytes followed by a comment of up to 64KiB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (bytes[i] === 0x50 && bytes[i + 1] === 0x4b && bytes[i + 2] === 0x05 && bytes[i + 3] === 0x06) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) return times;
+
+    const stream = new Stream(bytes);
+    stream.moveTo(end + 10);
+    const numFiles = stream.readInt(2, "le");
+    stream.moveForwardsBy(4);
+    stream.moveTo(stream.readInt(4, "le") >>> 0);
+
+    for (let i = 0; i < numFiles && stream.readInt(4, "be") === 0x504b0102; i++) {
+        stream.moveForwardsBy(8);
+        const time = stream.readInt(2, "le"),
+            date = stream.readInt(2, "le");
+        stream.moveForwardsBy(12);
+        const nameLength = stream.readInt(2, "le"),
+            extraLength = stream.readInt(2, "le"),
+            commentLength = stream.readInt(2, "le");
+        stream.moveForwardsBy(12);
+        const name = Utils.byteArrayToChars(stream.getBytes(nameLength));
+        stream.moveForwardsBy(extraLength + commentLength);
+
+        times.set(name, new Date(
+            (date >> 9) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f,
+            time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+        ).getTime());
+    }
+
+    return times;
+}
+
 export default Unzip;
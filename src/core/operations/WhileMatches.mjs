@@ -0,0 +1,75 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Operation from "../Operation.mjs";
+import Recipe from "../Recipe.mjs";
+import Dish from "../Dish.mjs";
+import { getLoopBlock, runLoop } from "../lib/FlowControl.mjs";
+
+/**
+ * While Matches operation
+ */
+class WhileMatches extends Operation {
+
+    /**
+     * WhileMatches constructor
+     */
+    constructor() {
+        super();
+
+        this.name = "While Matches";
+        this.flowControl = true;
+        this.module = "Default";
+        this.description = "Runs all subsequent operations up to the next End Loop for as long as the data matches the specified regular expression (regex), passing the output of each run in as the input to the next.<br><br>Each byte of the data is matched as a single character, so binary signatures can be used. e.g. While <code>^\\x1f\\x8b</code> matches, Gunzip decompresses every layer of gzip.<br><br>The loop stops after the maximum number of iterations, even if the data still matches.";
+        this.infoURL = "https://wikipedia.org/wiki/While_loop";
+        this.inputType = "ArrayBuffer";
+        this.outputType = "ArrayBuffer";
+        this.args = [
+            {
+                "name": "Match (regex)",
+                "type": "string",
+                "value": ""
+            },
+            {
+                "name": "Invert match",
+                "type": "boolean",
+                "value": false
+            },
+            {
+                "name": "Maximum iterations",
+                "type": "number",
+                "value": 100,
+                "min": 0
+            }
+        ];
+    }
+
+    /**
+     * @param {Object} state - The current state of the recipe.
+     * @param {number} state.progress - The current position in the recipe.
+     * @param {Dish} state.dish - The Dish being operated on.
+     * @param {Operation[]} state.opList - The list of operations in the recipe.
+     * @returns {Object} The updated state of the recipe.
+     */
+    async run(state) {
+        const [regexStr, invert, maxIterations] = state.opList[state.progress].ingValues,
+            regex = new RegExp(regexStr),
+            recipe = new Recipe();
+
+        recipe.addOperations(getLoopBlock(state));
+
+        return await runLoop(state, recipe, async iteration => {
+            if (iteration >= maxIterations) return false;
+
+            // Test a copy so that the data is not converted to a string between iterations
+            const str = await state.dish.presentAs(Dish.STRING, true);
+            return regex.test(str) !== invert;
+        });
+    }
+
+}
+
+export default WhileMatches;
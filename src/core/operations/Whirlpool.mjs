@@ -5,7 +5,7 @@
  */
 
 import Operation from "../Operation.mjs";
-import {runHash} from "../lib/Hash.mjs";
+import {runHash, createHashTransformer} from "../lib/Hash.mjs";
 
 /**
  * Whirlpool operation
@@ -24,6 +24,7 @@ class Whirlpool extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/Whirlpool_(cryptography)";
         this.inputType = "ArrayBuffer";
         this.outputType = "string";
+        this.streamable = true;
         this.args = [
             {
                 "name": "Variant",
@@ -43,6 +44,14 @@ class Whirlpool extends Operation {
         return runHash(variant, input);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        return createHashTransformer(args[0].toLowerCase());
+    }
+
 }
 
 export default Whirlpool;
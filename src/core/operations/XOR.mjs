@@ -6,7 +6,7 @@
 
 import Operation from "../Operation.mjs";
 import Utils from "../Utils.mjs";
-import { bitOp, xor, BITWISE_OP_DELIMS } from "../lib/BitwiseOp.mjs";
+import { bitOp, createBitOpTransformer, xor, BITWISE_OP_DELIMS } from "../lib/BitwiseOp.mjs";
 
 /**
  * XOR operation
@@ -25,6 +25,7 @@ class XOR extends Operation {
         this.infoURL = "https://wikipedia.org/wiki/XOR";
         this.inputType = "ArrayBuffer";
         this.outputType = "byteArray";
+        this.streamable = true;
         this.args = [
             {
                 "name": "Key",
@@ -58,6 +59,17 @@ class XOR extends Operation {
         return bitOp(input, key, xor, nullPreserving, scheme);
     }
 
+    /**
+     * @param {Object[]} args
+     * @returns {Object}
+     */
+    createTransformer(args) {
+        const key = Utils.convertToByteArray(args[0].string || "", args[0].option),
+            [, scheme, nullPreserving] = args;
+
+        return createBitOpTransformer(key, xor, nullPreserving, scheme);
+    }
+
     /**
      * Highlight XOR
      *
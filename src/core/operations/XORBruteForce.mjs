@@ -116,8 +116,11 @@ class XORBruteForce extends Operation {
         };
 
         for (let key = 1, l = Math.pow(256, keyLength); key < l; key++) {
-            if (key % 10000 === 0 && isWorkerEnvironment()) {
-                self.sendStatusMessage("Calculating " + l + " values... " + Math.floor(key / l * 100) + "%");
+            if (key % 10000 === 0) {
+                // In the web app this loop is only stopped by terminating its ChefWorker
+                this.throwIfAborted();
+                if (isWorkerEnvironment())
+                    self.sendStatusMessage("Calculating " + l + " values... " + Math.floor(key / l * 100) + "%");
             }
 
             result = bitOp(input, intToByteArray(key, keyLength), xor, nullPreserving, scheme);
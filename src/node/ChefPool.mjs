@@ -0,0 +1,518 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import BigNumber from "bignumber.js";
+import Dish from "../core/Dish.mjs";
+import { OperationError, DishError, ExcludedOperationError, AbortError, RecipeSyntaxError } from "../core/errors/index.mjs";
+import { getSavedRecipes } from "../core/lib/SavedRecipes.mjs";
+import NodeDish from "./NodeDish.mjs";
+import File from "./File.mjs";
+import { bake } from "./api.mjs";
+
+/**
+ * Errors which are recreated with their own class when they are sent back from a worker.
+ */
+const ERROR_CLASSES = {
+    OperationError,
+    DishError,
+    ExcludedOperationError,
+    AbortError,
+    RecipeSyntaxError,
+    TypeError,
+    RangeError
+};
+
+/**
+ * Properties of errors which are sent back from a worker as well as the message.
+ */
+const ERROR_PROPERTIES = ["name", "type", "message", "stack", "step", "opName", "position", "line", "column"];
+
+
+/**
+ * Runs bakes on a pool of worker threads, so that slow recipes do not block the event loop.
+ * This does the same job as ChefWorker in the web app.
+ *
+ * Each worker runs one bake at a time. Bakes are queued until a worker is free. Workers are
+ * started when they are first needed and then kept for later bakes. They do not keep the
+ * process alive while they are idle. Timeouts start when a bake is sent to a worker, so the
+ * first bake on each worker includes its start-up time. A worker which is running a bake that
+ * times out or is cancelled is stopped and replaced, as operations cannot be interrupted part
+ * way through.
+ *
+ * If worker threads are not available (e.g. in Node 10 without the --experimental-worker flag)
+ * bakes are run in this thread instead. Timeouts and signals then only take effect between
+ * operations.
+ *
+ * @example
+ * const pool = new chef.ChefPool({size: 4, timeout: 30000});
+ * const result = await pool.bake(input, "Bcrypt(10)");
+ */
+class ChefPool {
+
+    /**
+     * ChefPool constructor
+     *
+     * @param {Object} [options]
+     * @param {number} [options.size] - The most bakes to run at once. Defaults to the number of CPUs.
+     * @param {number} [options.timeout=0] - The default time in ms that a bake can run for before
+     *     it is stopped. 0 means no limit.
+     * @param {number} [options.maxQueue=Infinity] - The most bakes that can wait for a worker.
+     */
+    constructor(options={}) {
+        const {
+            size = os.cpus().length,
+            timeout = 0,
+            maxQueue = Infinity
+        } = options;
+
+        this.size = Math.max(1, size);
+        this.timeout = timeout;
+        this.maxQueue = maxQueue;
+
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.jobs = new Map();
+        this.Worker = undefined;
+        this.generation = 0;
+    }
+
+
+    /**
+     * The number of bakes running on the workers.
+     *
+     * @returns {number}
+     */
+    get running() {
+        return this.jobs.size;
+    }
+
+
+    /**
+     * The number of bakes waiting for a worker.
+     *
+     * @returns {number}
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+
+    /**
+     * Bakes a recipe on one of the workers. Takes the same input and recipes as chef.bake,
+     * although operations are sent to the worker by name.
+     *
+     * @param {*} input - Anything that can be put in a Dish.
+     * @param {string|Function|Object|Array} recipe
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - The time in ms that the bake can run for, overriding
+     *     the pool's timeout. 0 means no limit.
+     * @param {AbortSignal} [options.signal] - A signal which can be aborted to cancel the bake.
+     * @param {string[]} [options.operations] - The names of the operations which can be run, as
+     *     for chef.bake.
+     * @returns {Promise<NodeDish>}
+     * @throws {AbortError} if the bake is cancelled or takes longer than the timeout.
+     * @throws {Error} if there are already maxQueue bakes waiting.
+     */
+    async bake(input, recipe, options={}) {
+        const {
+            timeout = this.timeout,
+            signal = null,
+            operations = null
+        } = options || {};
+
+        if (signal && signal.aborted) {
+            throw new AbortError("The bake was cancelled");
+        }
+
+        const generation = this.generation;
+        if (!(await this._loadWorker())) {
+            return this._bakeInThread(input, recipe, timeout, signal, operations);
+        }
+        // The pool may have been terminated while the worker class was loading
+        if (generation !== this.generation) {
+            throw new AbortError("The pool was terminated");
+        }
+
+        if (this.queue.length >= this.maxQueue) {
+            throw new Error(`There are already ${this.maxQueue} bakes waiting`);
+        }
+
+        const message = {
+            input: serialiseDish(input instanceof NodeDish ? input : new NodeDish(input || null)),
+            recipe: serialiseRecipe(recipe),
+            operations: operations,
+            savedRecipes: getSavedRecipes()
+        };
+
+        return new Promise((resolve, reject) => {
+            const job = {message, timeout, signal, resolve, reject, worker: null, timer: null};
+
+            job.abort = () => this._cancel(job, new AbortError("The bake was cancelled"));
+            if (signal && signal.addEventListener) signal.addEventListener("abort", job.abort);
+
+            this.queue.push(job);
+            this._next();
+        });
+    }
+
+
+    /**
+     * Stops all of the workers. Bakes which are running or waiting are rejected with an
+     * AbortError. The pool can still be used afterwards, and will start new workers.
+     */
+    terminate() {
+        const err = new AbortError("The pool was terminated");
+        this.generation++;
+
+        this.queue.splice(0).forEach(job => this._settle(job, err));
+        this.jobs.forEach(job => this._settle(job, err));
+        this.jobs.clear();
+
+        this.workers.forEach(worker => {
+            worker.removeAllListeners();
+            worker.terminate();
+        });
+        this.workers = [];
+        this.idle = [];
+    }
+
+
+    /**
+     * Starts as many of the waiting bakes as there are workers for.
+     *
+     * @private
+     */
+    _next() {
+        while (this.queue.length) {
+            let worker = this.idle.pop();
+            if (!worker) {
+                if (this.workers.length >= this.size) return;
+                worker = this._createWorker();
+            }
+
+            const job = this.queue.shift();
+            if (job.signal && job.signal.aborted) {
+                this.idle.push(worker);
+                this._settle(job, new AbortError("The bake was cancelled"));
+                continue;
+            }
+
+            job.worker = worker;
+            this.jobs.set(worker, job);
+            this._startTimer(job);
+
+            worker.ref();
+            worker.postMessage(job.message);
+        }
+    }
+
+
+    /**
+     * Starts the timer which stops a bake if it runs for too long.
+     *
+     * @private
+     * @param {Object} job
+     */
+    _startTimer(job) {
+        if (job.timeout > 0) {
+            job.timer = setTimeout(() => {
+                this._cancel(job, new AbortError(`The bake took longer than ${job.timeout}ms`));
+            }, job.timeout);
+        }
+    }
+
+
+    /**
+     * Cancels a bake. If it is running, its worker is stopped.
+     *
+     * @private
+     * @param {Object} job
+     * @param {Error} err
+     */
+    _cancel(job, err) {
+        if (job.worker) {
+            if (this.jobs.get(job.worker) !== job) return;
+            this._removeWorker(job.worker);
+            job.worker.terminate();
+        } else {
+            const i = this.queue.indexOf(job);
+            if (i < 0) return;
+            this.queue.splice(i, 1);
+        }
+
+        this._settle(job, err);
+        this._next();
+    }
+
+
+    /**
+     * Resolves or rejects a bake and tidies up after it.
+     *
+     * @private
+     * @param {Object} job
+     * @param {Error} err
+     * @param {NodeDish} [result]
+     */
+    _settle(job, err, result) {
+        clearTimeout(job.timer);
+        if (job.signal && job.signal.removeEventListener) job.signal.removeEventListener("abort", job.abort);
+
+        if (err) job.reject(err);
+        else job.resolve(result);
+    }
+
+
+    /**
+     * Handles a message from a worker with the result of its bake.
+     *
+     * @private
+     * @param {Worker} worker
+     * @param {Object} data - {dish} or {error}.
+     */
+    _onMessage(worker, data) {
+        const job = this.jobs.get(worker);
+        if (!job) return;
+
+        this.jobs.delete(worker);
+        worker.unref();
+        this.idle.push(worker);
+
+        if (data.error) {
+            this._settle(job, deserialiseError(data.error));
+        } else {
+            this._settle(job, null, deserialiseDish(data.dish));
+        }
+        this._next();
+    }
+
+
+    /**
+     * Handles a worker which has failed or stopped on its own. The bake it was running, if
+     * any, is rejected.
+     *
+     * @private
+     * @param {Worker} worker
+     * @param {Error} err
+     */
+    _onExit(worker, err) {
+        const job = this.jobs.get(worker);
+        this._removeWorker(worker);
+
+        if (job) this._settle(job, err);
+        this._next();
+    }
+
+
+    /**
+     * Removes a worker from the pool.
+     *
+     * @private
+     * @param {Worker} worker
+     */
+    _removeWorker(worker) {
+        worker.removeAllListeners();
+        this.jobs.delete(worker);
+        this.workers.splice(this.workers.indexOf(worker), 1);
+        if (this.idle.includes(worker)) this.idle.splice(this.idle.indexOf(worker), 1);
+    }
+
+
+    /**
+     * Bakes a recipe in this thread, for when there are no workers.
+     *
+     * @private
+     * @param {*} input
+     * @param {string|Function|Object|Array} recipe
+     * @param {number} timeout
+     * @param {AbortSignal} signal
+     * @param {string[]} operations
+     * @returns {Promise<NodeDish>}
+     */
+    async _bakeInThread(input, recipe, timeout, signal, operations) {
+        const started = Date.now();
+
+        /**
+         * Returns true if the bake has run for longer than the timeout.
+         *
+         * @returns {boolean}
+         */
+        const timedOut = () => timeout > 0 && Date.now() - started > timeout;
+
+        try {
+            return await bake(input, recipe, {
+                operations: operations,
+                signal: {
+                    /**
+                     * Stops the bake if it is cancelled or takes too long.
+                     *
+                     * @returns {boolean}
+                     */
+                    get aborted() {
+                        return timedOut() || Boolean(signal && signal.aborted);
+                    }
+                }
+            });
+        } catch (err) {
+            if (err.name === "AbortError" && timedOut()) {
+                throw new AbortError(`The bake took longer than ${timeout}ms`);
+            }
+            throw err;
+        }
+    }
+
+
+    /**
+     * Loads the Worker class from worker_threads, if it is available.
+     *
+     * @private
+     * @returns {function}
+     */
+    async _loadWorker() {
+        if (this.Worker === undefined) {
+            try {
+                this.Worker = (await import("worker_threads")).Worker;
+            } catch (err) {
+                this.Worker = null;
+            }
+        }
+        return this.Worker;
+    }
+
+
+    /**
+     * Starts a new worker.
+     *
+     * @private
+     * @returns {Worker}
+     */
+    _createWorker() {
+        const dir = path.dirname(fileURLToPath(import.meta.url)),
+            worker = new this.Worker(path.join(dir, "chefWorker.js"));
+
+        worker.on("message", data => this._onMessage(worker, data));
+        worker.on("error", err => this._onExit(worker, err));
+        worker.on("exit", code => this._onExit(worker, new Error(`The worker stopped with exit code ${code}`)));
+        worker.unref();
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+}
+
+
+/**
+ * Converts a recipe into one which can be sent to a worker, by replacing operations with
+ * their names.
+ *
+ * @param {string|Function|Object|Array} recipe
+ * @returns {string|Array}
+ */
+export function serialiseRecipe(recipe) {
+    if (typeof recipe === "string") return recipe;
+
+    return [].concat(recipe).map(ing => {
+        if (typeof ing === "function") return ing.opName;
+        if (ing && typeof ing.op === "function") return Object.assign({}, ing, {op: ing.op.opName});
+        return ing;
+    });
+}
+
+
+/**
+ * Converts a Dish into an object which can be sent between threads.
+ *
+ * @param {Dish} dish
+ * @returns {Object} {value, type}
+ */
+export function serialiseDish(dish) {
+    /**
+     * Copies a File's contents and details.
+     *
+     * @param {File} file
+     * @returns {Object}
+     */
+    const serialiseFile = file => ({
+        data: Uint8Array.from(file.data),
+        name: file.name,
+        lastModified: file.lastModified
+    });
+
+    switch (dish.type) {
+        case Dish.BIG_NUMBER:
+            return {value: dish.value.toString(), type: dish.type};
+        case Dish.FILE:
+            return {value: serialiseFile(dish.value), type: dish.type};
+        case Dish.LIST_FILE:
+            return {value: dish.value.map(serialiseFile), type: dish.type};
+        default:
+            return {value: dish.value, type: dish.type};
+    }
+}
+
+
+/**
+ * Recreates a Dish from the output of serialiseDish.
+ *
+ * @param {Object} data
+ * @returns {NodeDish}
+ */
+export function deserialiseDish({value, type}) {
+    /**
+     * Recreates a File.
+     *
+     * @param {Object} file
+     * @returns {File}
+     */
+    const deserialiseFile = file => new File(Buffer.from(file.data), file.name, {lastModified: file.lastModified});
+
+    switch (type) {
+        case Dish.BIG_NUMBER:
+            return new NodeDish(new BigNumber(value), type);
+        case Dish.FILE:
+            return new NodeDish(deserialiseFile(value), type);
+        case Dish.LIST_FILE:
+            return new NodeDish(value.map(deserialiseFile), type);
+        default:
+            return new NodeDish(value, type);
+    }
+}
+
+
+/**
+ * Converts an error thrown by a bake into an object which can be sent between threads.
+ *
+ * @param {Error|string} err
+ * @returns {Object}
+ */
+export function serialiseError(err) {
+    if (typeof err === "string") return {message: err};
+
+    const result = {};
+    ERROR_PROPERTIES.forEach(key => {
+        if (err[key] !== undefined) result[key] = err[key];
+    });
+    return result;
+}
+
+
+/**
+ * Recreates an error from the output of serialiseError, with the same class where possible
+ * so that it can be checked with instanceof.
+ *
+ * @param {Object} data
+ * @returns {Error}
+ */
+export function deserialiseError(data) {
+    const ErrorClass = ERROR_CLASSES[data.name] || ERROR_CLASSES[data.type] || Error;
+    return Object.assign(Object.create(ErrorClass.prototype), data);
+}
+
+export default ChefPool;
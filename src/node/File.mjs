@@ -57,6 +57,24 @@ class File {
         }
     }
 
+    /**
+     * Return the file's content, as the browser File does.
+     *
+     * @returns {Promise<ArrayBuffer>}
+     */
+    arrayBuffer() {
+        return Promise.resolve(this.data.buffer.slice(this.data.byteOffset, this.data.byteOffset + this.data.length));
+    }
+
+    /**
+     * Return the file's content decoded as UTF-8, as the browser File does.
+     *
+     * @returns {Promise<String>}
+     */
+    text() {
+        return Promise.resolve(this.data.toString("utf8"));
+    }
+
     /**
      * size property
      */
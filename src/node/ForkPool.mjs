@@ -0,0 +1,255 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import AbortError from "../core/errors/AbortError.mjs";
+import { splitForkJob, mergeForkResults } from "../core/lib/Fork.mjs";
+import { getSavedRecipes } from "../core/lib/SavedRecipes.mjs";
+
+/**
+ * Runs the branches of parallel Forks on a pool of worker threads.
+ *
+ * Each Fork is split into parts which are queued until a worker is free, and each worker runs
+ * one part at a time, so any number of bakes can use the pool at once. Workers are started when
+ * they are first needed and then kept for later Forks. They do not keep the process alive while
+ * they are idle. If worker threads are not available (e.g. in Node 10 without the
+ * --experimental-worker flag) the branches are run one at a time instead.
+ */
+class ForkPool {
+
+    /**
+     * ForkPool constructor
+     *
+     * @param {number} [size] - The most workers to run at once. Defaults to the number of CPUs.
+     */
+    constructor(size=os.cpus().length) {
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.tasks = new Map();
+        this.Worker = undefined;
+    }
+
+
+    /**
+     * Runs the branches of a Fork, sharing them between the workers.
+     *
+     * @param {Object} job - See runForkBranches in core/lib/FlowControl.mjs.
+     * @param {AbortSignal} [signal=null]
+     * @returns {Object} The merged result, or null if there are no workers to run the job on.
+     */
+    async run(job, signal=null) {
+        if (this.size < 2 || !(await this._loadWorker())) return null;
+        if (signal && signal.aborted) throw new AbortError("The bake was cancelled");
+
+        const savedRecipes = getSavedRecipes(),
+            tasks = splitForkJob(job, this.size).map(part => ({
+                message: {job: part, savedRecipes: savedRecipes},
+                worker: null,
+                settled: false
+            }));
+
+        const results = Promise.all(tasks.map(task => new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+            this.queue.push(task);
+        })));
+
+        /**
+         * Cancels the parts of this Fork which have not finished yet.
+         */
+        const abort = () => {
+            tasks.forEach(task => this._cancel(task, new AbortError("The bake was cancelled")));
+        };
+        if (signal && signal.addEventListener) signal.addEventListener("abort", abort);
+
+        this._next();
+
+        try {
+            return mergeForkResults(await results);
+        } finally {
+            if (signal && signal.removeEventListener) signal.removeEventListener("abort", abort);
+        }
+    }
+
+
+    /**
+     * Stops all of the workers. Forks which are running or waiting are rejected with an
+     * AbortError.
+     */
+    terminate() {
+        const err = new AbortError("The pool was terminated");
+
+        this.queue.splice(0).forEach(task => this._settle(task, err));
+        this.tasks.forEach(task => this._settle(task, err));
+        this.tasks.clear();
+
+        this.workers.forEach(worker => {
+            worker.removeAllListeners();
+            worker.terminate();
+        });
+        this.workers = [];
+        this.idle = [];
+    }
+
+
+    /**
+     * Starts as many of the waiting parts as there are workers for.
+     *
+     * @private
+     */
+    _next() {
+        while (this.queue.length) {
+            let worker = this.idle.pop();
+            if (!worker) {
+                if (this.workers.length >= this.size) return;
+                worker = this._createWorker();
+            }
+
+            const task = this.queue.shift();
+            task.worker = worker;
+            this.tasks.set(worker, task);
+
+            worker.ref();
+            worker.postMessage(task.message);
+        }
+    }
+
+
+    /**
+     * Cancels a part. Workers cannot be interrupted, so if it is running its worker is stopped
+     * and will be replaced.
+     *
+     * @private
+     * @param {Object} task
+     * @param {Error} err
+     */
+    _cancel(task, err) {
+        if (task.settled) return;
+
+        if (task.worker) {
+            this._removeWorker(task.worker);
+            task.worker.terminate();
+        } else {
+            this.queue.splice(this.queue.indexOf(task), 1);
+        }
+
+        this._settle(task, err);
+        this._next();
+    }
+
+
+    /**
+     * Resolves or rejects a part.
+     *
+     * @private
+     * @param {Object} task
+     * @param {Error} err
+     * @param {Object} [result]
+     */
+    _settle(task, err, result) {
+        if (task.settled) return;
+        task.settled = true;
+
+        if (err) task.reject(err);
+        else task.resolve(result);
+    }
+
+
+    /**
+     * Handles the result of a part from a worker.
+     *
+     * @private
+     * @param {Worker} worker
+     * @param {Object} data
+     */
+    _onMessage(worker, data) {
+        const task = this.tasks.get(worker);
+        if (!task) return;
+
+        this.tasks.delete(worker);
+        worker.unref();
+        this.idle.push(worker);
+
+        this._settle(task, null, data);
+        this._next();
+    }
+
+
+    /**
+     * Handles a worker which has failed or stopped on its own. The part it was running, if
+     * any, is rejected.
+     *
+     * @private
+     * @param {Worker} worker
+     * @param {Error} err
+     */
+    _onExit(worker, err) {
+        const task = this.tasks.get(worker);
+        this._removeWorker(worker);
+
+        if (task) this._settle(task, err);
+        this._next();
+    }
+
+
+    /**
+     * Removes a worker from the pool.
+     *
+     * @private
+     * @param {Worker} worker
+     */
+    _removeWorker(worker) {
+        worker.removeAllListeners();
+        this.tasks.delete(worker);
+        this.workers.splice(this.workers.indexOf(worker), 1);
+        if (this.idle.includes(worker)) this.idle.splice(this.idle.indexOf(worker), 1);
+    }
+
+
+    /**
+     * Loads the Worker class from worker_threads, if it is available.
+     *
+     * @private
+     * @returns {function}
+     */
+    async _loadWorker() {
+        if (this.Worker === undefined) {
+            try {
+                this.Worker = (await import("worker_threads")).Worker;
+            } catch (err) {
+                this.Worker = null;
+            }
+        }
+        return this.Worker;
+    }
+
+
+    /**
+     * Starts a new worker.
+     *
+     * @private
+     * @returns {Worker}
+     */
+    _createWorker() {
+        const dir = path.dirname(fileURLToPath(import.meta.url)),
+            worker = new this.Worker(path.join(dir, "forkWorker.js"));
+
+        worker.on("message", data => this._onMessage(worker, data));
+        worker.on("error", err => this._onExit(worker, err));
+        worker.on("exit", code => this._onExit(worker, new Error(`The worker stopped with exit code ${code}`)));
+        worker.unref();
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+}
+
+export default ForkPool;
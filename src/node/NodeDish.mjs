@@ -4,8 +4,19 @@
  * @license Apache-2.0
  */
 
+import fs from "fs";
+import path from "path";
 import util from "util";
+import { Readable } from "stream";
 import Dish from "../core/Dish.mjs";
+import File from "./File.mjs";
+import NodeRecipe from "./NodeRecipe.mjs";
+
+const readFile = util.promisify(fs.readFile),
+    writeFile = util.promisify(fs.writeFile),
+    stat = util.promisify(fs.stat),
+    utimes = util.promisify(fs.utimes),
+    mkdir = util.promisify(fs.mkdir);
 
 /**
  * Subclass of Dish for use in the Node.js environment.
@@ -31,6 +42,37 @@ class NodeDish extends Dish {
         super(inputOrDish, type);
     }
 
+    /**
+     * Create a Dish holding a File read from disk, with its name and
+     * modification time.
+     *
+     * @param {String} filePath
+     * @returns {Promise<NodeDish>}
+     */
+    static async fromFile(filePath) {
+        const [data, stats] = await Promise.all([readFile(filePath), stat(filePath)]);
+        const file = new File(data, path.basename(filePath), {lastModified: stats.mtime.getTime()});
+        return new NodeDish(file, Dish.FILE);
+    }
+
+    /**
+     * Create a Dish holding everything read from a stream as an ArrayBuffer.
+     *
+     * @param {Readable} stream
+     * @returns {Promise<NodeDish>}
+     */
+    static fromStream(stream) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            stream.on("data", chunk => chunks.push(Buffer.from(chunk)));
+            stream.on("error", reject);
+            stream.on("end", () => {
+                const buf = Buffer.concat(chunks);
+                resolve(new NodeDish(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length), Dish.ARRAY_BUFFER));
+            });
+        });
+    }
+
     /**
      * Apply the inputted operation to the dish.
      *
@@ -42,6 +84,88 @@ class NodeDish extends Dish {
         return operation(this, args);
     }
 
+    /**
+     * Apply an operation to the dish, waiting for it if it is async.
+     *
+     * @param {WrappedOperation|String} operation - the operation, or its name
+     * @param {*} args - any arguments for the operation
+     * @returns {Promise<NodeDish>} a new dish with the result of the operation.
+     * @throws {OperationError} if the operation fails.
+     */
+    async pipe(operation, args=null) {
+        const recipe = new NodeRecipe(args === null ? operation : {op: operation, args: args});
+        return await recipe.execute(this);
+    }
+
+    /**
+     * Write the dish to disk.
+     *
+     * Lists of files, e.g. from Unzip, are written to a directory with
+     * the given path, using their own names and modification times. If any
+     * file's name would take it outside the directory, nothing is written.
+     * Other types are written to a file as raw bytes.
+     *
+     * @param {String} filePath
+     * @returns {Promise}
+     * @throws {Error} if a file in a list would be written outside the directory.
+     */
+    async writeFile(filePath) {
+        if (this.type === Dish.LIST_FILE) {
+            const dir = path.resolve(filePath),
+                dests = this.value.map(file => {
+                    const dest = path.resolve(dir, file.name);
+                    if (!dest.startsWith(dir + path.sep)) {
+                        throw new Error(`Refusing to write '${file.name}' outside ${dir}`);
+                    }
+                    return dest;
+                });
+            await mkdir(dir, {recursive: true});
+
+            for (const [i, file] of this.value.entries()) {
+                const dest = dests[i];
+
+                // Archives list directories as empty files with a trailing slash
+                if (/[\\/]$/.test(file.name)) {
+                    await mkdir(dest, {recursive: true});
+                    continue;
+                }
+
+                await mkdir(path.dirname(dest), {recursive: true});
+                await writeFileWithTime(dest, file);
+            }
+        } else if (this.type === Dish.FILE) {
+            await writeFileWithTime(filePath, this.value);
+        } else {
+            await writeFile(filePath, this._toBuffer());
+        }
+    }
+
+    /**
+     * Create a stream of the dish's bytes. Lists of files are joined together.
+     *
+     * @returns {Readable}
+     */
+    toStream() {
+        return Readable.from([this._toBuffer()], {objectMode: false});
+    }
+
+    /**
+     * Get the dish's bytes without changing its type.
+     *
+     * @private
+     * @returns {Buffer}
+     */
+    _toBuffer() {
+        switch (this.type) {
+            case Dish.FILE:
+                return Buffer.from(this.value.data);
+            case Dish.LIST_FILE:
+                return Buffer.concat(this.value.map(file => Buffer.from(file.data)));
+            default:
+                return Buffer.from(this.presentAs(Dish.ARRAY_BUFFER));
+        }
+    }
+
     /**
      * alias for get
      * @param args see get args
@@ -81,4 +205,18 @@ class NodeDish extends Dish {
 
 }
 
+/**
+ * Write a File to disk, keeping its modification time.
+ *
+ * @param {String} filePath
+ * @param {File} file
+ */
+async function writeFileWithTime(filePath, file) {
+    await writeFile(filePath, Buffer.from(file.data));
+    if (file.lastModified) {
+        const mtime = new Date(file.lastModified);
+        await utimes(filePath, mtime, mtime);
+    }
+}
+
 export default NodeDish;
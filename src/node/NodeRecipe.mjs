@@ -6,6 +6,12 @@
 
 import {operations} from "./index.mjs";
 import { sanitise } from "./apiUtils.mjs";
+import Dish from "../core/Dish.mjs";
+import AbortError from "../core/errors/AbortError.mjs";
+import NodeDish from "./NodeDish.mjs";
+import { createTraceEntry, completeTraceEntry } from "../core/lib/Trace.mjs";
+import { parseRecipe } from "../core/lib/SavedRecipes.mjs";
+import { referencesInputVariables } from "../core/lib/Variables.mjs";
 
 /**
  * Similar to core/Recipe, Recipe controls a list of operations and
@@ -34,7 +40,8 @@ class NodeRecipe {
         // CASE operation name given. Find operation and validate
         if (typeof ing === "string") {
             const op = operations.find((op) => {
-                return sanitise(op.opName) === sanitise(ing);
+                return sanitise(op.opName) === sanitise(ing) ||
+                    (op.displayName && sanitise(op.displayName) === sanitise(ing));
             });
             if (op) {
                 // Need to validate against case 2
@@ -42,12 +49,8 @@ class NodeRecipe {
             } else {
                 throw new TypeError(`Couldn't find an operation with name '${ing}'.`);
             }
-        // CASE operation given. Check its a chef operation and check its not flowcontrol
+        // CASE operation given. Check its a chef operation
         } else if (typeof ing === "function") {
-            if (ing.flowControl) {
-                throw new TypeError(`flowControl operations like ${ing.opName} are not currently allowed in recipes for chef.bake in the Node API`);
-            }
-
             if (operations.includes(ing)) {
                 return ing;
             } else {
@@ -68,36 +71,207 @@ class NodeRecipe {
 
     /**
      * Parse an opList from a recipeConfig and assign it to the recipe's opList.
+     * Disabled operations are left out, but the position of each operation in
+     * the whole recipe is kept in steps, so that errors and traces refer to
+     * the same operations as they do in core/Recipe.
      * @param {String | Function | String[] | Function[] | [String | Function]} recipeConfig
      */
     _parseConfig(recipeConfig) {
         if (!recipeConfig) {
             this.opList = [];
+            this.steps = [];
+            this._usesErrorPolicies = false;
+            this._usesInputVariables = false;
             return;
         }
 
+        if (NodeRecipe.isRecipeString(recipeConfig)) {
+            recipeConfig = parseRecipe(recipeConfig, true);
+        }
+
         if (!Array.isArray(recipeConfig)) {
             recipeConfig = [recipeConfig];
         }
 
-        this.opList = recipeConfig.map((ing) => this._validateIngredient(ing));
+        // execute does not support "On error" policies or breakpoints
+        this._usesErrorPolicies = recipeConfig.some((ing) => {
+            return ing && !ing.disabled &&
+                (ing.breakpoint || (ing.onError !== undefined && ing.onError !== "stop"));
+        });
+
+        // nor the built-in variables, e.g. ${inputLength}
+        this._usesInputVariables = recipeConfig.some((ing) => {
+            return ing && !ing.disabled && referencesInputVariables(ing.args);
+        });
+
+        this.opList = [];
+        this.steps = [];
+        recipeConfig.forEach((ing, step) => {
+            if (ing && ing.disabled) return;
+            this.opList.push(this._validateIngredient(ing));
+            this.steps.push(step);
+        });
+    }
+
+
+    /**
+     * Parse a recipe copied from CyberChef: in chef format, e.g.
+     * `To_Base64('A-Za-z0-9+/=')`, in clean or compact JSON, or as a link to
+     * CyberChef with a recipe in it.
+     * @param {String} recipe
+     * @returns {Object[]} the recipe config, with `op` as the operation name
+     * shown in CyberChef and `args` as an array.
+     * @throws {RecipeSyntaxError} if the recipe cannot be parsed, with the
+     * `line` and `column` of the problem.
+     * @throws {OperationError} if the recipe uses an unknown operation or has
+     * no arguments for an operation.
+     */
+    static parse(recipe) {
+        if (typeof recipe !== "string") {
+            throw new TypeError("Recipe.parse takes a recipe string");
+        }
+        return parseRecipe(recipe);
+    }
+
+
+    /**
+     * Returns true if the given recipe is a string to be parsed with parse,
+     * rather than an operation name.
+     * @param {*} recipe
+     * @returns {boolean}
+     */
+    static isRecipeString(recipe) {
+        return typeof recipe === "string" &&
+            /^\s*(?:\[|https?:\/\/|[#?]|recipe=)|\(/.test(recipe);
+    }
+
+    /**
+     * Returns true if there is a flowControl operation in this recipe. These
+     * operations need the whole recipe, so the recipe has to be run by
+     * core/Recipe rather than execute.
+     * @returns {boolean}
+     */
+    containsFlowControl() {
+        return this.opList.some((curr) => {
+            const op = typeof curr === "function" ? curr : curr.op;
+            return op.flowControl;
+        });
+    }
+
+
+    /**
+     * Returns true if this recipe has to be run by core/Recipe rather than
+     * execute: if it contains a flowControl operation, an operation with an
+     * "On error" policy or a breakpoint, or refers to one of the built-in
+     * variables which describe the input, e.g. ${inputLength}.
+     * @returns {boolean}
+     */
+    needsCoreRecipe() {
+        return this.containsFlowControl() || this._usesErrorPolicies || this._usesInputVariables;
+    }
+
+
+    /**
+     * Throw an ExcludedOperationError if any of the operations in this recipe
+     * are not available in Node.
+     * @throws {ExcludedOperationError}
+     */
+    checkIncluded() {
+        this.opList.forEach((curr) => {
+            const op = typeof curr === "function" ? curr : curr.op;
+            // Excluded operations throw as soon as they are called
+            if (op.excluded) op();
+        });
     }
 
+
     /**
-     * Run the dish through each operation, one at a time.
+     * Run the dish through each operation, one at a time, waiting for each
+     * operation to finish before starting the next.
      * @param {NodeDish} dish
-     * @returns {NodeDish}
+     * @param {Object} [options]
+     * @param {Object[]} [options.trace] - if given, an entry describing each
+     * operation run is appended to this array
+     * @param {AbortSignal} [options.signal] - stop with an AbortError once
+     * this signal is aborted
+     * @returns {Promise<NodeDish>}
+     * @throws {OperationError} if an operation fails, with the index of the
+     * operation in the whole recipe, including disabled operations, as `step`
+     * and its name as `opName`.
+     */
+    async execute(dish, {trace=null, signal=null}={}) {
+        let prev = dish;
+
+        for (let index = 0; index < this.opList.length; index++) {
+            const curr = this.opList[index];
+            const op = typeof curr === "function" ? curr : curr.op;
+            let entry, startTime, result;
+
+            if (signal && signal.aborted) {
+                throw new AbortError("The bake was cancelled");
+            }
+
+            if (trace) {
+                entry = createTraceEntry(op.opName, this.steps[index], op.inputType);
+                trace.push(entry);
+                startTime = Date.now();
+            }
+
+            try {
+                // CASE where opList item is op and args
+                if (Object.prototype.hasOwnProperty.call(curr, "op") &&
+                    Object.prototype.hasOwnProperty.call(curr, "args")) {
+                    result = await curr.op(prev, curr.args, signal);
+                } else {
+                    // CASE opList item is just op.
+                    result = await curr(prev, null, signal);
+                }
+            } catch (err) {
+                if (trace) {
+                    entry.error = err.message;
+                    err.trace = trace;
+                }
+                if (err.type === "OperationError") {
+                    err.step = this.steps[index];
+                    err.opName = op.displayName || op.opName;
+                }
+                throw err;
+            }
+
+            if (trace) {
+                const duration = Date.now() - startTime;
+                completeTraceEntry(entry, Dish.enumLookup(result.type),
+                    new NodeDish(result).get(Dish.ARRAY_BUFFER), duration);
+            }
+            prev = result;
+        }
+
+        return prev;
+    }
+
+    /**
+     * Run a stream of input through each operation in chunks.
+     * @param {DishStream} stream
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - stop with an AbortError once
+     * this signal is aborted
+     * @returns {DishStream} of the output. Nothing is processed until it is read.
+     * @throws {TypeError} if an operation in the recipe is not streamable.
      */
-    execute(dish) {
-        return this.opList.reduce((prev, curr) => {
-            // CASE where opList item is op and args
-            if (Object.prototype.hasOwnProperty.call(curr, "op") &&
-                Object.prototype.hasOwnProperty.call(curr, "args")) {
-                return curr.op(prev, curr.args);
+    executeStream(stream, {signal=null}={}) {
+        const ops = this.opList.map((curr) => {
+            const op = typeof curr === "function" ? curr : curr.op;
+            if (!op.streamable) {
+                throw new TypeError(`${op.opName} cannot process its input in chunks, so it cannot be used in chef.bakeStream`);
             }
-            // CASE opList item is just op.
-            return curr(prev);
-        }, dish);
+            return op;
+        });
+
+        return ops.reduce((prev, op, index) => {
+            const curr = this.opList[index];
+            const args = typeof curr === "function" ? null : curr.args;
+            return prev.pipeThrough(op.createTransformer(args), signal);
+        }, stream);
     }
 }
 
@@ -8,11 +8,19 @@
 
 /* eslint no-console: ["off"] */
 
+import { Readable } from "stream";
 import NodeDish from "./NodeDish.mjs";
 import NodeRecipe from "./NodeRecipe.mjs";
+import Dish from "../core/Dish.mjs";
+import Recipe from "../core/Recipe.mjs";
+import DishStream from "../core/DishStream.mjs";
 import OperationConfig from "../core/config/OperationConfig.json";
 import { sanitise, removeSubheadingsFromArray, sentenceToCamelCase } from "./apiUtils.mjs";
 import ExcludedOperationError from "../core/errors/ExcludedOperationError.mjs";
+import OperationError from "../core/errors/OperationError.mjs";
+import MagicLib from "../core/lib/Magic.mjs";
+import { parseRecipe, registerRecipe as registerSavedRecipe, unregisterRecipe as unregisterSavedRecipe } from "../core/lib/SavedRecipes.mjs";
+import { createInputVariables } from "../core/lib/Variables.mjs";
 
 
 /**
@@ -81,6 +89,10 @@ function transformArgs(opArgsList, newArgs) {
             return typeof arg.value === "string" ? arg.value : arg.value[0].value;
         }
 
+        if (arg.type === "argSelector") {
+            return typeof arg.value === "string" ? arg.value : arg.value[0].name;
+        }
+
         if (arg.type === "toggleString") {
             // ensure string and option exist when user hasn't defined
             arg.string = arg.string || "";
@@ -110,14 +122,46 @@ function ensureIsDish(input) {
 }
 
 
+/**
+ * Ensure an input is a DishStream object.
+ * @param input - a stream, an iterable of chunks, or some data to split into chunks
+ * @throws {TypeError} if the input cannot be read as a stream.
+ */
+function ensureIsDishStream(input) {
+    if (input instanceof DishStream) {
+        return input;
+    }
+
+    if (input instanceof NodeDish) {
+        return DishStream.fromArrayBuffer(input.get(Dish.ARRAY_BUFFER));
+    }
+
+    if (typeof input === "string" || input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+        return DishStream.fromArrayBuffer(input);
+    }
+
+    if (input && (input[Symbol.asyncIterator] || input[Symbol.iterator])) {
+        return new DishStream(input);
+    }
+
+    throw new TypeError("Input for bakeStream must be a stream, an iterable of chunks, a Buffer, an ArrayBuffer or a string");
+}
+
+
 /**
  * prepareOp: transform args, make input the right type.
  * Also convert any Buffers to ArrayBuffers.
- * @param opInstance - instance of the operation
+ * @param opInstance - instance of the operation, used only for this call so that
+ *   its signal does not leak into other calls running at the same time
  * @param input - operation input
  * @param args - operation args
+ * @param signal - signal used to cancel the operation
+ * @throws {AbortError} if the signal has already been aborted.
  */
-function prepareOp(opInstance, input, args) {
+function prepareOp(opInstance, input, args, signal) {
+    opInstance.signal = signal;
+    opInstance.throwIfAborted();
+
     const dish = ensureIsDish(input);
     // Transform object-style args to original args array
     const transformedArgs = transformArgs(opInstance.args, args);
@@ -181,42 +225,53 @@ export function _wrap(OpClass) {
 
     let wrapped;
 
-    // If async, wrap must be async.
-    if (isAsync) {
+    // If async, wrap must be async. Flow control operations are always run
+    // asynchronously, like in core/Recipe.
+    if (isAsync || isFlowControl) {
         /**
          * Async wrapped operation run function
          * @param {*} input
          * @param {Object | String[]} args - either in Object or normal args array
+         * @param {AbortSignal} [signal] - a signal which can be aborted to cancel the operation
          * @returns {Promise<SyncDish>} operation's output, on a Dish.
          * @throws {OperationError} if the operation throws one.
+         * @throws {AbortError} if the signal is aborted.
          */
-        wrapped = async (input, args=null) => {
-            const {transformedInput, transformedArgs} = prepareOp(opInstance, input, args);
+        wrapped = async (input, args=null, signal=null) => {
+            const op = new OpClass();
+            const {transformedInput, transformedArgs} = prepareOp(op, input, args, signal);
 
-            // SPECIAL CASE for Magic. Other flowControl operations will
-            // not work because the opList is not passed in.
+            // flowControl operations called directly run on their own, as
+            // the only operation in the recipe. Use bake to run them as part
+            // of a recipe.
             if (isFlowControl) {
-                opInstance.ingValues = transformedArgs;
+                op.ingValues = transformedArgs;
 
                 const state = {
                     progress: 0,
                     dish: ensureIsDish(transformedInput),
-                    opList: [opInstance],
+                    opList: [op],
+                    numJumps: 0,
+                    numRegisters: 0,
+                    forkOffset: 0,
+                    signal: signal,
+                    recipeStack: [],
+                    variables: {},
                 };
 
-                const updatedState = await opInstance.run(state);
+                const updatedState = await op.run(state);
 
                 return new NodeDish({
                     value: updatedState.dish.value,
-                    type: opInstance.outputType,
+                    type: op.outputType,
                 });
             }
 
-            const result = await opInstance.run(transformedInput, transformedArgs);
+            const result = await op.run(transformedInput, transformedArgs);
 
             return new NodeDish({
                 value: result,
-                type: opInstance.outputType,
+                type: op.outputType,
             });
         };
     } else {
@@ -224,24 +279,43 @@ export function _wrap(OpClass) {
          * wrapped operation run function
          * @param {*} input
          * @param {Object | String[]} args - either in Object or normal args array
+         * @param {AbortSignal} [signal] - a signal which can be aborted to cancel the operation
          * @returns {SyncDish} operation's output, on a Dish.
          * @throws {OperationError} if the operation throws one.
+         * @throws {AbortError} if the signal is aborted.
          */
-        wrapped = (input, args=null) => {
-            const {transformedInput, transformedArgs} = prepareOp(opInstance, input, args);
-            const result = opInstance.run(transformedInput, transformedArgs);
+        wrapped = (input, args=null, signal=null) => {
+            const op = new OpClass();
+            const {transformedInput, transformedArgs} = prepareOp(op, input, args, signal);
+            const result = op.run(transformedInput, transformedArgs);
             return new NodeDish({
                 value: result,
-                type: opInstance.outputType,
+                type: op.outputType,
             });
         };
     }
 
     // used in chef.help
     wrapped.opName = OpClass.name;
+    // Used in NodeRecipe to find operations by the name shown in CyberChef
+    wrapped.displayName = opInstance.name;
     wrapped.args = createArgInfo(opInstance);
+    // Used in NodeRecipe to describe each step when tracing
+    wrapped.inputType = opInstance.inputType;
     // Used in NodeRecipe to check for flowControl ops
     wrapped.flowControl = isFlowControl;
+    // Used in NodeRecipe to stream input through the operation
+    wrapped.streamable = opInstance.streamable;
+
+    /**
+     * Create a transformer which runs the operation over its input in chunks
+     * @param {Object | String[]} args - either in Object or normal args array
+     * @returns {Object} with transform(chunk) and flush() functions
+     * @throws {Error} if the operation is not streamable.
+     */
+    wrapped.createTransformer = (args=null) => {
+        return opInstance.createTransformer(transformArgs(opInstance.args, args));
+    };
 
     return wrapped;
 }
@@ -315,19 +389,267 @@ export function help(input) {
 }
 
 
+/**
+ * Run a recipe containing flowControl operations, "On error" policies or
+ * breakpoints through core/Recipe, so that it behaves exactly as it does in
+ * CyberChef. The bake stops at the first breakpoint, giving the output of the
+ * operations before it.
+ * @param {NodeDish} dish - the input
+ * @param {Object[]} recipeConfig - a recipe config for core/Recipe
+ * @param {Object[]} [trace] - if given, an entry describing each operation run
+ * is appended to this array
+ * @param {AbortSignal} [signal]
+ * @param {string[]} [allowedOperations] - if given, the only operations which
+ * can be run
+ * @param {string} [filename] - the name of the input file, for ${filename}
+ * @returns {Promise<NodeDish>} of the result
+ * @throws {OperationError} if an operation fails, with the index of the
+ * operation as `step` and its name as `opName`.
+ * @throws {ExcludedOperationError} if an operation is not allowed.
+ */
+async function bakeWithCoreRecipe(dish, recipeConfig, trace, signal, allowedOperations, filename) {
+    const recipe = new Recipe(recipeConfig);
+    const coreDish = new Dish(dish);
+    let progress, variables = null;
+
+    // Set up the built-in variables, if the recipe uses variables
+    if (recipe.usesVariables()) {
+        variables = createInputVariables({
+            filename: filename,
+            length: (await new Dish(coreDish).get(Dish.ARRAY_BUFFER)).byteLength
+        });
+    }
+
+    try {
+        progress = await recipe.execute(coreDish, 0, {trace, signal, allowedOperations, variables});
+    } catch (err) {
+        if (trace) err.trace = trace;
+        throw err;
+    }
+
+    // core/Recipe leaves the message of a failed operation in the dish
+    if (progress < recipe.opList.length && !recipe.opList[progress].breakpoint) {
+        const err = new OperationError(await coreDish.get(Dish.STRING));
+        err.step = progress;
+        err.opName = recipe.opList[progress].name;
+        if (trace) err.trace = trace;
+        throw err;
+    }
+
+    const result = new NodeDish(coreDish);
+    if (trace) result.trace = trace;
+    return result;
+}
+
+
 /**
  * bake
  *
+ * Recipes containing flowControl operations, such as Fork, Jump or Register,
+ * or operations with an "On error" policy or a breakpoint are run in the same
+ * way as in CyberChef, so a recipe copied from CyberChef behaves the same in
+ * Node. A bake stops at the first breakpoint. The built-in variables describe
+ * the input: ${inputLength} is its length in bytes, ${filename} is
+ * `options.filename` and ${tabNumber} is always 1.
+ *
  * @param {*} input - some input for a recipe.
  * @param {String | Function | String[] | Function[] | [String | Function]} recipeConfig -
  * An operation, operation name, or an array of either.
- * @returns {NodeDish} of the result
+ * @param {Object} [options]
+ * @param {boolean} [options.trace=false] - record the input type, output type,
+ * byte length, duration and a preview of the output of each operation run. The
+ * trace is added to the result as `result.trace`.
+ * @param {AbortSignal} [options.signal] - a signal which can be aborted to
+ * cancel the bake.
+ * @param {String[]} [options.operations] - the names of the operations which
+ * can be run, as shown in CyberChef. This includes the operations in recipes
+ * run by Run Saved Recipe, which are checked as they run, so recipes chosen
+ * by the input cannot get round it. Defaults to all operations.
+ * @param {string} [options.filename] - the name of the input file, which
+ * recipes can refer to as ${filename}.
+ * @returns {Promise<NodeDish>} of the result
  * @throws {TypeError} if invalid recipe given.
+ * @throws {OperationError} if an operation fails, with the index of the
+ * operation as `step` and its name as `opName`.
+ * @throws {ExcludedOperationError} if an operation is not in
+ * `options.operations`.
+ * @throws {AbortError} if the signal is aborted.
  */
-export function bake(input, recipeConfig) {
+export async function bake(input, recipeConfig, options={}) {
     const recipe =  new NodeRecipe(recipeConfig);
     const dish = ensureIsDish(input);
-    return recipe.execute(dish);
+    const {trace, signal, operations, filename} = options || {};
+    const steps = trace ? [] : null;
+
+    // Only core/Recipe can check the operations run by other operations
+    if (recipe.needsCoreRecipe() || operations) {
+        recipe.checkIncluded();
+        return bakeWithCoreRecipe(dish, toRecipeConfig(recipeConfig), steps, signal, operations, filename);
+    }
+
+    const result = await recipe.execute(dish, {trace: steps, signal});
+    if (trace) result.trace = steps;
+    return result;
+}
+
+
+/**
+ * bakeStream
+ *
+ * Run a recipe over input which is read in chunks, so that it never has to be
+ * held in memory all at once. Only operations which can process their input
+ * in chunks (those with `streamable` set) can be used.
+ *
+ * @param {Readable | AsyncIterable | Buffer | ArrayBuffer | String} input -
+ * a stream or iterable of chunks, or some data to split into chunks.
+ * @param {String | Function | String[] | Function[] | [String | Function]} recipeConfig -
+ * An operation, operation name, or an array of either.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - a signal which can be aborted to
+ * cancel the bake.
+ * @returns {Readable} stream of Buffers holding the output of the recipe.
+ * @throws {TypeError} if invalid recipe given or an operation is not streamable.
+ */
+export function bakeStream(input, recipeConfig, options={}) {
+    const recipe = new NodeRecipe(recipeConfig);
+    const {signal} = options || {};
+    const output = recipe.executeStream(ensureIsDishStream(input), {signal});
+
+    return Readable.from((async function* () {
+        for await (const chunk of output) {
+            yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.length);
+        }
+    })(), {objectMode: false});
+}
+
+
+/**
+ * Convert a recipe given in any of the forms accepted by bake into a recipe
+ * config for core/Recipe, with operation names as shown in CyberChef.
+ * Missing arguments are filled in with their defaults. Breakpoints are kept.
+ * @param {String | Function | String[] | Function[] | Object[]} recipe
+ * @returns {Object[]}
+ * @throws {TypeError} if invalid recipe given.
+ * @throws {RecipeSyntaxError} if a recipe string cannot be parsed.
+ */
+export function toRecipeConfig(recipe) {
+    try {
+        // A recipe in chef format or JSON, as shown in CyberChef's "Save recipe" dialog
+        if (NodeRecipe.isRecipeString(recipe)) {
+            return parseRecipe(recipe, true);
+        }
+
+        return parseRecipe([].concat(recipe).map((ing) => {
+            const op = ing && ing.op ? ing.op : ing;
+            const opName = typeof op === "function" ? op.opName : op;
+            const name = Object.keys(OperationConfig).find((key) => {
+                return typeof opName === "string" && sanitise(key) === sanitise(opName);
+            });
+
+            if (!name) {
+                throw new TypeError(`Couldn't find an operation with name '${opName}'.`);
+            }
+
+            // Copy the arg list so that the config is not changed
+            const opArgs = JSON.parse(JSON.stringify(OperationConfig[name].args));
+            // Keep any other settings, e.g. disabled, from recipes copied from CyberChef
+            return Object.assign({}, typeof ing === "object" ? ing : {}, {
+                op: name,
+                args: transformArgs(opArgs, typeof ing === "object" ? ing.args : null)
+            });
+        }), true);
+    } catch (err) {
+        // Keep the position of syntax errors
+        throw err instanceof TypeError || err.name === "RecipeSyntaxError" ? err : new TypeError(err.message);
+    }
+}
+
+
+/**
+ * magicDetect
+ *
+ * Run Magic over the input and return the recipes it suggests, most likely
+ * first. Available as chef.magic.detect.
+ *
+ * Each candidate has the `recipe` to run, a preview of its output as `data`,
+ * and the `entropy`, `languageScores`, `fileType`, `isUTF8`, `matchingOps`,
+ * `useful` and `matchesCrib` properties of that output.
+ *
+ * @param {*} input - anything that can be put in a Dish.
+ * @param {Object} [options]
+ * @param {number} [options.depth=3] - how many operations to chain together.
+ * @param {boolean} [options.intensive=false] - brute-force XOR, bit rotates and
+ * character encodings as well.
+ * @param {boolean} [options.extLang=false] - compare against the extensive list
+ * of languages.
+ * @param {String | RegExp} [options.crib] - only return candidates whose output
+ * matches this. Strings are case-insensitive regular expressions.
+ * @param {AbortSignal} [options.signal] - a signal which can be aborted to
+ * stop Magic.
+ * @returns {Promise<Object[]>} the candidates.
+ * @throws {AbortError} if the signal is aborted.
+ */
+export async function magicDetect(input, options={}) {
+    const {depth=3, intensive=false, extLang=false, crib=null, signal=null} = options || {};
+    const cribRegex = crib instanceof RegExp ? crib :
+        crib ? new RegExp(crib, "i") : null;
+
+    const magic = new MagicLib(ensureIsDish(input).presentAs(Dish.ARRAY_BUFFER));
+    const candidates = await magic.speculativeExecution(depth, extLang, intensive, [], false, cribRegex, signal);
+
+    return cribRegex ? candidates.filter(c => c.matchesCrib) : candidates;
+}
+
+
+/**
+ * magicBakeTop
+ *
+ * Run Magic over the input and bake the recipe it thinks is most likely.
+ * Available as chef.magic.bakeTop.
+ *
+ * @param {*} input - anything that can be put in a Dish.
+ * @param {Object} [options] - as for magicDetect.
+ * @returns {Promise<NodeDish>} the output of the top candidate, with the recipe
+ * run as `recipe`. If Magic finds nothing better, this is the input.
+ * @throws {AbortError} if the signal is aborted.
+ */
+export async function magicBakeTop(input, options={}) {
+    const [top] = await magicDetect(input, options);
+    const recipe = top ? top.recipe : [];
+
+    const result = await bake(input, recipe, {signal: options && options.signal});
+    result.recipe = recipe;
+    return result;
+}
+
+
+/**
+ * registerRecipe
+ *
+ * Save a recipe under a name so that it can be run from other recipes by the
+ * Run Saved Recipe operation.
+ *
+ * @param {String} name - the name to save the recipe under.
+ * @param {String | Function | String[] | Function[] | Object[]} recipe - a
+ * recipe in chef format or JSON, or an operation, operation name, or an array
+ * of either, as for bake.
+ * @throws {TypeError} if invalid recipe given.
+ */
+export function registerRecipe(name, recipe) {
+    registerSavedRecipe(name, toRecipeConfig(recipe));
+}
+
+
+/**
+ * unregisterRecipe
+ *
+ * Remove a recipe saved with registerRecipe.
+ *
+ * @param {String} name - the name the recipe was saved under.
+ * @returns {boolean} whether there was a recipe with that name.
+ */
+export function unregisterRecipe(name) {
+    return unregisterSavedRecipe(name);
 }
 
 
@@ -346,5 +668,7 @@ export function _explainExcludedFunction(name) {
     };
     // Add opName prop so NodeRecipe can handle it, just like wrap does.
     func.opName = name;
+    // Used in NodeRecipe to refuse recipes which would run it through core/Recipe
+    func.excluded = true;
     return func;
 }
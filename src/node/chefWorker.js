@@ -0,0 +1,24 @@
+/**
+ * Worker thread used by ChefPool to run bakes.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+/* eslint no-global-assign: ["off"] */
+require = require("esm")(module);
+const { parentPort } = require("worker_threads");
+const chef = require("./index.mjs").default;
+const { serialiseDish, deserialiseDish, serialiseError } = require("./ChefPool.mjs");
+const { setSavedRecipes } = require("../core/lib/SavedRecipes.mjs");
+
+parentPort.on("message", async ({input, recipe, operations, savedRecipes}) => {
+    try {
+        setSavedRecipes(savedRecipes);
+        const dish = serialiseDish(await chef.bake(deserialiseDish(input), recipe, {operations}));
+        parentPort.postMessage({dish: dish}, dish.value instanceof ArrayBuffer ? [dish.value] : []);
+    } catch (err) {
+        parentPort.postMessage({error: serialiseError(err)});
+    }
+});
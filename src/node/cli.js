@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Entry point for the cyberchef command line executable.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+/* eslint no-global-assign: ["off"] */
+require = require("esm")(module);
+const { run } = require("./cli.mjs");
+
+// Stop quietly if the output is closed early, e.g. when piped into head
+process.stdout.on("error", err => {
+    if (err.code !== "EPIPE") throw err;
+    process.exit(process.exitCode);
+});
+
+run(process.argv.slice(2), {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr
+}).then(status => {
+    process.exitCode = status;
+}).catch(err => {
+    process.stderr.write(`cyberchef: ${err.stack}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,385 @@
+/**
+ * Command line interface for running recipes over files or stdin.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import fs from "fs";
+import path from "path";
+import util from "util";
+import { fileURLToPath } from "url";
+import chef from "./index.mjs";
+import { createServer } from "./server.mjs";
+import Dish from "../core/Dish.mjs";
+import OperationConfig from "../core/config/OperationConfig.json";
+import { parseRecipe } from "../core/lib/SavedRecipes.mjs";
+
+const readFile = util.promisify(fs.readFile),
+    writeFile = util.promisify(fs.writeFile),
+    readdir = util.promisify(fs.readdir),
+    stat = util.promisify(fs.stat),
+    mkdir = util.promisify(fs.mkdir);
+
+const USAGE = `Usage: cyberchef [options] [file ...]
+
+Runs a recipe over each file, or over stdin if no files are given, and writes
+the results to stdout.
+
+Options:
+  -r, --recipe <recipe>       the recipe, in JSON or chef format as shown in
+                              CyberChef's "Save recipe" dialog, or a link to
+                              CyberChef with a recipe in it
+  -f, --recipe-file <file>    read the recipe from a file
+  -o, --output <path>         write the result to a file instead of stdout, or
+                              to a directory when there is more than one input
+                              or the result is a list of files
+  -d, --directory <dir>       run the recipe over every file in a directory
+                              (requires --output)
+  -b, --binary                write the raw bytes of the result instead of
+                              presenting it as text
+  -S, --serve <port>          start an HTTP server on localhost instead, with
+                              POST /bake, POST /magic and GET /operations
+      --allow-ops <file>      only allow the server to run the operations
+                              named in a file, one per line
+  -l, --list                  list all operations
+  -s, --search <term>         search the operations for a term
+  -h, --help                  show this message
+  -v, --version               show the version number
+
+Exit status is 0 on success, 1 if the recipe fails and 2 for bad arguments.`;
+
+/**
+ * Options which take a value, keyed by their short and long names.
+ */
+const VALUE_OPTIONS = {
+    "-r": "recipe",
+    "--recipe": "recipe",
+    "-f": "recipeFile",
+    "--recipe-file": "recipeFile",
+    "-o": "output",
+    "--output": "output",
+    "-d": "directory",
+    "--directory": "directory",
+    "-s": "search",
+    "--search": "search",
+    "-S": "serve",
+    "--serve": "serve",
+    "--allow-ops": "allowOps",
+};
+
+/**
+ * Flags, keyed by their short and long names.
+ */
+const FLAG_OPTIONS = {
+    "-b": "binary",
+    "--binary": "binary",
+    "-l": "list",
+    "--list": "list",
+    "-h": "help",
+    "--help": "help",
+    "-v": "version",
+    "--version": "version",
+};
+
+
+/**
+ * Error in the command line arguments.
+ */
+class UsageError extends Error {
+    /**
+     * UsageError constructor
+     *
+     * @param args - Standard error args
+     */
+    constructor(...args) {
+        super(...args);
+        this.name = "UsageError";
+    }
+}
+
+
+/**
+ * Parse the command line arguments.
+ *
+ * @param {string[]} argv - the arguments, not including the node executable or script
+ * @returns {Object} the options, with any input files as `files`
+ * @throws {UsageError} if an option is not recognised or is missing its value.
+ */
+export function parseArgs(argv) {
+    const options = {files: []};
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i],
+            value = null;
+
+        // Allow --option=value
+        const eq = arg.startsWith("--") ? arg.indexOf("=") : -1;
+        if (eq > -1) {
+            value = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+
+        if (arg in VALUE_OPTIONS) {
+            if (value === null) {
+                if (i + 1 >= argv.length) {
+                    throw new UsageError(`${arg} needs a value`);
+                }
+                value = argv[++i];
+            }
+            options[VALUE_OPTIONS[arg]] = value;
+        } else if (arg in FLAG_OPTIONS) {
+            options[FLAG_OPTIONS[arg]] = true;
+        } else if (arg === "--") {
+            options.files.push(...argv.slice(i + 1));
+            break;
+        } else if (arg.startsWith("-") && arg !== "-") {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+
+/**
+ * Convert HTML from an operation's description to plain text.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>/g, "\n")
+        .replace(/<li>/g, "\n - ")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&amp;/g, "&");
+}
+
+
+/**
+ * Read all of a stream into a Buffer.
+ *
+ * @param {Readable} stream
+ * @returns {Promise<Buffer>}
+ */
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on("data", chunk => chunks.push(Buffer.from(chunk)));
+        stream.on("end", () => resolve(Buffer.concat(chunks)));
+        stream.on("error", reject);
+    });
+}
+
+
+/**
+ * Convert a Buffer to an ArrayBuffer holding just its bytes.
+ *
+ * @param {Buffer} buf
+ * @returns {ArrayBuffer}
+ */
+function toArrayBuffer(buf) {
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length);
+}
+
+
+/**
+ * Load the recipe from the options.
+ *
+ * @param {Object} options
+ * @returns {Promise<Object[]>} the recipe config
+ * @throws {UsageError} if no recipe is given or it cannot be parsed.
+ */
+async function loadRecipe(options) {
+    if (options.recipe !== undefined && options.recipeFile !== undefined) {
+        throw new UsageError("Use either --recipe or --recipe-file, not both");
+    }
+
+    let recipe = options.recipe;
+    if (options.recipeFile !== undefined) {
+        recipe = await readFile(options.recipeFile, "utf8");
+    }
+    if (recipe === undefined) {
+        throw new UsageError("No recipe given");
+    }
+
+    try {
+        return parseRecipe(recipe);
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+}
+
+
+/**
+ * Work out which inputs to bake and where to write each result.
+ *
+ * @param {Object} options
+ * @returns {Promise<Object[]>} a list of jobs with `input` and `output`
+ * paths. A null input is stdin and a null output is stdout.
+ * @throws {UsageError} if the inputs and output do not fit together.
+ */
+async function planJobs(options) {
+    let inputs = options.files.map(file => file === "-" ? null : file);
+
+    if (options.directory !== undefined) {
+        if (inputs.length) {
+            throw new UsageError("Files cannot be given as well as --directory");
+        }
+        if (options.output === undefined) {
+            throw new UsageError("--directory needs an --output directory");
+        }
+
+        const names = (await readdir(options.directory)).sort();
+        inputs = [];
+        for (const name of names) {
+            const file = path.join(options.directory, name);
+            if ((await stat(file)).isFile()) inputs.push(file);
+        }
+    }
+
+    if (!inputs.length) inputs = [null];
+
+    const toDirectory = options.directory !== undefined || inputs.length > 1;
+    if (options.output !== undefined && toDirectory) {
+        if (inputs.includes(null)) {
+            throw new UsageError("stdin cannot be used with an --output directory");
+        }
+        await mkdir(options.output, {recursive: true});
+    }
+
+    return inputs.map(input => ({
+        input: input,
+        output: options.output === undefined ? null :
+            toDirectory ? path.join(options.output, path.basename(input)) :
+                options.output
+    }));
+}
+
+
+/**
+ * Run the HTTP server until it is closed.
+ *
+ * @param {Object} options
+ * @param {Writable} stderr
+ * @returns {Promise<number>} the exit status
+ * @throws {UsageError} if the port is not valid.
+ */
+async function serve(options, stderr) {
+    const port = Number(options.serve);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`Invalid port ${options.serve}`);
+    }
+
+    const serverOptions = {};
+    if (options.allowOps !== undefined) {
+        serverOptions.operations = (await readFile(options.allowOps, "utf8"))
+            .split("\n")
+            .map(name => name.trim())
+            .filter(name => name.length);
+    }
+
+    const server = createServer(serverOptions);
+    return new Promise((resolve, reject) => {
+        server.on("error", reject);
+        server.on("close", () => resolve(0));
+        server.listen(port, "127.0.0.1", () => {
+            stderr.write(`cyberchef: listening on http://127.0.0.1:${server.address().port}\n`);
+        });
+    });
+}
+
+
+/**
+ * Run the command line interface.
+ *
+ * @param {string[]} argv - the arguments, not including the node executable or script
+ * @param {Object} io
+ * @param {Readable} io.stdin
+ * @param {Writable} io.stdout
+ * @param {Writable} io.stderr
+ * @returns {Promise<number>} the exit status
+ */
+export async function run(argv, {stdin, stdout, stderr}) {
+    let options, recipeConfig, jobs;
+
+    try {
+        options = parseArgs(argv);
+
+        if (options.help) {
+            stdout.write(USAGE + "\n");
+            return 0;
+        }
+
+        if (options.version) {
+            const dir = path.dirname(fileURLToPath(import.meta.url)),
+                pkg = JSON.parse(await readFile(path.join(dir, "../../package.json"), "utf8"));
+            stdout.write(pkg.version + "\n");
+            return 0;
+        }
+
+        if (options.list) {
+            stdout.write(Object.keys(OperationConfig).join("\n") + "\n");
+            return 0;
+        }
+
+        if (options.search !== undefined) {
+            const matches = chef.help(options.search) || [];
+            matches.forEach((op) => {
+                stdout.write(`${op.name}\n    ${htmlToText(op.description).replace(/\n/g, "\n    ")}\n\n`);
+            });
+            return matches.length ? 0 : 1;
+        }
+
+        if (options.serve !== undefined) {
+            return await serve(options, stderr);
+        }
+
+        recipeConfig = await loadRecipe(options);
+        jobs = await planJobs(options);
+    } catch (err) {
+        if (!(err instanceof UsageError) && err.code !== "ENOENT") throw err;
+        stderr.write(`cyberchef: ${err.message}\n`);
+        if (err instanceof UsageError) stderr.write("Try 'cyberchef --help' for more information.\n");
+        return 2;
+    }
+
+    let status = 0;
+    for (const job of jobs) {
+        const name = job.input === null ? "stdin" : job.input;
+
+        try {
+            const input = job.input === null ? await readStream(stdin) : await readFile(job.input);
+            const result = await chef.bake(toArrayBuffer(input), recipeConfig);
+
+            // Lists of files, e.g. from Unzip, are extracted into the output directory
+            if (job.output !== null && result.type === Dish.LIST_FILE) {
+                await result.writeFile(job.output);
+                continue;
+            }
+
+            const output = options.binary ?
+                Buffer.from(result.get(Dish.ARRAY_BUFFER)) :
+                Buffer.from(result.toString(), "utf8");
+
+            if (job.output === null) {
+                stdout.write(output);
+            } else {
+                await writeFile(job.output, output);
+            }
+        } catch (err) {
+            const step = err.opName ? ` at step ${err.step} (${err.opName})` : "";
+            stderr.write(`cyberchef: ${name}: failed${step}: ${err.message}\n`);
+            status = 1;
+        }
+    }
+
+    return status;
+}
@@ -6,14 +6,6 @@
  * @license Apache-2.0
  */
 export default  [
-    // This functionality can be done more easily using JavaScript
-    "Fork",
-    "Merge",
-    "Jump",
-    "ConditionalJump",
-    "Label",
-    "Comment",
-
     // esprima doesn't work in .mjs
     "JavaScriptBeautify",
     "JavaScriptMinify",
@@ -39,9 +39,13 @@ let code = `/**
 
 
 import NodeDish from "./NodeDish.mjs";
-import { _wrap, help, bake, _explainExcludedFunction } from "./api.mjs";
+import NodeRecipe from "./NodeRecipe.mjs";
+import { _wrap, help, bake, bakeStream, registerRecipe, unregisterRecipe, magicDetect, magicBakeTop, _explainExcludedFunction } from "./api.mjs";
 import File from "./File.mjs";
-import { OperationError, DishError, ExcludedOperationError } from "../core/errors/index";
+import ForkPool from "./ForkPool.mjs";
+import ChefPool from "./ChefPool.mjs";
+import { setForkExecutor } from "../core/lib/Fork.mjs";
+import { OperationError, DishError, ExcludedOperationError, AbortError, RecipeSyntaxError } from "../core/errors/index";
 import {
     // import as core_ to avoid name clashes after wrap.
 `;
@@ -56,6 +60,9 @@ code +=`
 
 global.File = File;
 
+// Run the branches of parallel Forks on worker threads
+setForkExecutor(new ForkPool());
+
 /**
  * generateChef
  *
@@ -80,6 +87,11 @@ const chef = generateChef();
 // Add some additional features to chef object.
 chef.help = help;
 chef.Dish = NodeDish;
+chef.Recipe = NodeRecipe;
+chef.ChefPool = ChefPool;
+// Structured Magic results
+chef.magic.detect = magicDetect;
+chef.magic.bakeTop = magicBakeTop;
 
 // Define consts here so we can add to top-level export - wont allow
 // export of chef property.
@@ -101,6 +113,9 @@ Object.keys(operations).forEach((op) => {
 code += `];
 
 chef.bake = bake;
+chef.bakeStream = bakeStream;
+chef.registerRecipe = registerRecipe;
+chef.unregisterRecipe = unregisterRecipe;
 export default chef;
 
 // Operations as top level exports.
@@ -113,11 +128,18 @@ Object.keys(operations).forEach((op) => {
 });
 
 code += "    NodeDish as Dish,\n";
+code += "    NodeRecipe as Recipe,\n";
+code += "    ChefPool,\n";
 code += "    bake,\n";
+code += "    bakeStream,\n";
+code += "    registerRecipe,\n";
+code += "    unregisterRecipe,\n";
 code += "    help,\n";
 code += "    OperationError,\n";
 code += "    ExcludedOperationError,\n";
 code += "    DishError,\n";
+code += "    AbortError,\n";
+code += "    RecipeSyntaxError,\n";
 code += "};\n";
 
 
@@ -0,0 +1,24 @@
+/**
+ * Worker thread used by ForkPool to run the branches of parallel Forks.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+/* eslint no-global-assign: ["off"] */
+require = require("esm")(module);
+const { parentPort } = require("worker_threads");
+const Recipe = require("../core/Recipe.mjs").default;
+const { runForkBranches } = require("../core/lib/FlowControl.mjs");
+const { serialiseForkError } = require("../core/lib/Fork.mjs");
+const { setSavedRecipes } = require("../core/lib/SavedRecipes.mjs");
+
+parentPort.on("message", async ({job, savedRecipes}) => {
+    try {
+        setSavedRecipes(savedRecipes);
+        parentPort.postMessage(await runForkBranches(new Recipe(job.recipeConfig), job));
+    } catch (err) {
+        parentPort.postMessage({error: serialiseForkError(err)});
+    }
+});
@@ -7,8 +7,9 @@
  * @license Apache-2.0
  */
 
-const chef = require("./cjs.js");
-const repl = require("repl");
+/* eslint no-global-assign: ["off"] */
+require = require("esm")(module);
+const { startRepl } = require("./repl.mjs");
 
 
 /* eslint no-console: ["off"] */
@@ -21,16 +22,7 @@ console.log(`
 \\____/\\__, /_.___/\\___/_/   \\____/_/ /_/\\___/_/     
      /____/                                         
      
+Type .help for commands, and .recipe help to build up a recipe.
 `);
-const replServer = repl.start({
-    prompt: "chef > ",
-});
-
-global.File = chef.File;
-
-Object.keys(chef).forEach((key) => {
-    if (key !== "operations") {
-        replServer.context[key] = chef[key];
-    }
-});
 
+startRepl();
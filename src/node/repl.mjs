@@ -0,0 +1,451 @@
+/**
+ * Interactive shell for the Node API, started with `npm run repl`.
+ *
+ * As well as everything exported by the Node API, the shell has:
+ *  - tab completion of operation names in recipes, and of the options of
+ *    operation arguments, e.g. `toHex("abc", {delimiter: "Co<TAB>`
+ *  - a `.recipe` command for building up a recipe one operation at a time,
+ *    re-running it over the input after each change
+ *  - `.load` and `.save` for reading and writing recipe files
+ *  - history which is kept between sessions
+ *  - Dishes shown according to their type, e.g. byte arrays as a hexdump and
+ *    JSON as a table
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import repl from "repl";
+import util from "util";
+import vm from "vm";
+import * as api from "./index.mjs";
+import NodeDish from "./NodeDish.mjs";
+import { toRecipeConfig } from "./api.mjs";
+import Dish from "../core/Dish.mjs";
+import Utils from "../core/Utils.mjs";
+import OperationConfig from "../core/config/OperationConfig.json";
+
+const readFile = util.promisify(fs.readFile),
+    writeFile = util.promisify(fs.writeFile);
+
+/**
+ * The number of bytes shown in hexdumps of binary Dishes.
+ */
+const HEXDUMP_LENGTH = 256;
+
+/**
+ * The longest value shown in a table cell.
+ */
+const CELL_LENGTH = 60;
+
+/**
+ * The number of lines of history kept between sessions.
+ */
+const HISTORY_SIZE = 1000;
+
+/**
+ * Operation names in the form used in chef format, e.g. To_Base64.
+ */
+const CHEF_FORMAT_NAMES = Object.keys(OperationConfig).map(name => name.replace(/ /g, "_"));
+
+const RECIPE_HELP = `Build up a recipe and run it over an input:
+  .recipe                 show the input and recipe
+  .recipe input <expr>    set the input to the value of a JavaScript expression
+  .recipe add <ops>       add an operation by name, or operations in chef format,
+                          e.g. To_Hex('Space',0)
+  .recipe remove [n]      remove step n, or the last step
+  .recipe clear           remove every step
+  .recipe run             run the recipe again`;
+
+
+/**
+ * Starts the shell.
+ *
+ * @param {Object} [options]
+ * @param {Readable} [options.input=process.stdin]
+ * @param {Writable} [options.output=process.stdout]
+ * @param {boolean} [options.terminal] - Defaults to whether the output is a TTY.
+ * @param {string} [options.historyFile] - Where to keep the history. Defaults to
+ *     $CYBERCHEF_REPL_HISTORY or ~/.cyberchef_repl_history. An empty string turns
+ *     off saving history.
+ * @returns {REPLServer}
+ */
+export function startRepl(options={}) {
+    const {
+        input = process.stdin,
+        output = process.stdout,
+        terminal = Boolean(output.isTTY),
+        historyFile = process.env.CYBERCHEF_REPL_HISTORY !== undefined ?
+            process.env.CYBERCHEF_REPL_HISTORY :
+            path.join(os.homedir(), ".cyberchef_repl_history")
+    } = options;
+
+    const replServer = repl.start({
+        prompt: "chef > ",
+        input: input,
+        output: output,
+        terminal: terminal,
+        writer: value => value instanceof NodeDish ? formatDish(value) : repl.writer(value)
+    });
+
+    Object.keys(api).forEach((key) => {
+        if (key !== "operations" && key !== "default") {
+            replServer.context[key] = api[key];
+        }
+    });
+    replServer.context.chef = api.default;
+
+    const jsCompleter = replServer.completer;
+    replServer.completer = (line, callback) => {
+        const completions = completeLine(line, replServer.context);
+        if (completions) callback(null, completions);
+        else jsCompleter.call(replServer, line, callback);
+    };
+
+    defineRecipeCommands(replServer);
+    if (terminal && historyFile) setupHistory(replServer, historyFile);
+
+    return replServer;
+}
+
+
+/**
+ * Works out the tab completions for operation names in recipes and the
+ * options of operation arguments.
+ *
+ * @param {string} line - The line up to the cursor.
+ * @param {Object} [context] - The REPL's context, for looking up operations
+ *     called from JavaScript.
+ * @returns {Array} [completions, the text they complete], or null if the
+ *     line should be completed as JavaScript.
+ */
+export function completeLine(line, context={}) {
+    /**
+     * Returns the values which start with the given text.
+     *
+     * @param {string[]} values
+     * @param {string} partial
+     * @returns {Array}
+     */
+    const matching = (values, partial) => [values.filter(value => value.startsWith(partial)), partial];
+
+    const command = /^\s*\.(recipe\s+add|load|save)\s(.*)$/.exec(line);
+    if (command) {
+        if (command[1] !== "recipe add") return [[], command[2]];
+
+        // Completing an argument of an operation in chef format, e.g. To_Hex('Sp
+        const arg = /([A-Za-z0-9_]+)\(((?:[^()'"]|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")*)(['"])([^'"]*)$/.exec(command[2]);
+        if (arg) {
+            const name = arg[1].replace(/_/g, " "),
+                index = arg[2].replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "").split(",").length - 1,
+                op = api.operations.find(op => op.displayName === name);
+
+            return matching(op && op.args ? optionValues(Object.values(op.args)[index]) : [], arg[4]);
+        }
+
+        // Completing an operation name
+        return matching(CHEF_FORMAT_NAMES.map(name => name + "("), /[^\s)]*$/.exec(command[2])[0]);
+    }
+
+    // Completing an argument in a call to an operation, e.g. toHex(input, {delimiter: "Sp
+    const call = /([A-Za-z0-9]+)\s*\([^()]*\{[^{}]*?([A-Za-z0-9]+)\s*:\s*(["'])([^"']*)$/.exec(line);
+    if (call && typeof context[call[1]] === "function" && context[call[1]].args) {
+        return matching(optionValues(context[call[1]].args[call[2]]), call[4]);
+    }
+
+    return null;
+}
+
+
+/**
+ * Returns the values which can be chosen for an argument.
+ *
+ * @param {Object} [info] - The argument's entry in an operation's `args`.
+ * @returns {string[]}
+ */
+function optionValues(info) {
+    if (!info || !info.options) return [];
+    return info.options.map(option => typeof option === "string" ? option : option.value);
+}
+
+
+/**
+ * Presents a Dish according to its type: binary data as a hexdump, JSON as a
+ * table where possible and files with their details.
+ *
+ * @param {NodeDish} dish
+ * @returns {string}
+ */
+export function formatDish(dish) {
+    switch (dish.type) {
+        case Dish.BYTE_ARRAY:
+        case Dish.ARRAY_BUFFER: {
+            const bytes = new Uint8Array(dish.presentAs(Dish.ARRAY_BUFFER));
+            return `[${Dish.enumLookup(dish.type)}, ${bytes.length} bytes]\n${hexdump(bytes)}`;
+        }
+        case Dish.JSON:
+            return formatTable(dish.value) || JSON.stringify(dish.value, null, 4);
+        case Dish.BIG_NUMBER:
+            return dish.value.toFixed();
+        case Dish.FILE:
+            return `[File: ${dish.value.name}, ${dish.value.size} bytes, ${dish.value.type}]\n${hexdump(new Uint8Array(dish.value.data))}`;
+        case Dish.LIST_FILE:
+            return formatTable(dish.value.map(file => ({name: file.name, size: file.size, type: file.type}))) || "[No files]";
+        default:
+            return dish.toString();
+    }
+}
+
+
+/**
+ * Shows the start of some bytes as a hexdump.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function hexdump(bytes) {
+    const dump = api.toHexdump(bytes.slice(0, HEXDUMP_LENGTH).buffer, {
+        width: 16,
+        upperCaseHex: false,
+        includeFinalLength: false,
+        unixFormat: false
+    }).toString();
+
+    return bytes.length > HEXDUMP_LENGTH ?
+        `${dump}\n... ${bytes.length - HEXDUMP_LENGTH} more bytes` :
+        dump;
+}
+
+
+/**
+ * Lays out a list of objects, or an object of simple values, as a table.
+ *
+ * @param {*} value
+ * @returns {string} The table, or null if the value cannot be shown as one.
+ */
+export function formatTable(value) {
+    /**
+     * Returns true if the value is a plain object.
+     *
+     * @param {*} obj
+     * @returns {boolean}
+     */
+    const isObject = obj => obj !== null && typeof obj === "object" && !Array.isArray(obj);
+
+    let rows;
+    if (Array.isArray(value) && value.length && value.every(isObject)) {
+        rows = value;
+    } else if (isObject(value) && Object.keys(value).length &&
+        Object.keys(value).every(key => value[key] === null || typeof value[key] !== "object")) {
+        rows = Object.keys(value).map(key => ({key: key, value: value[key]}));
+    } else {
+        return null;
+    }
+
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+
+    const cells = [columns].concat(rows.map(row => columns.map(col => formatCell(row[col])))),
+        widths = columns.map((col, i) => Math.max(...cells.map(line => line[i].length))),
+        lines = cells.map(line => line.map((cell, i) => cell.padEnd(widths[i])).join(" | ").trimEnd());
+
+    lines.splice(1, 0, widths.map(width => "-".repeat(width)).join("-+-"));
+    return lines.join("\n");
+}
+
+
+/**
+ * Shows a value in one line of a table cell.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCell(value) {
+    if (value === undefined) return "";
+
+    const str = (typeof value === "string" ? value : JSON.stringify(value))
+        .replace(/\n/g, "\\n")
+        .replace(/\t/g, "\\t");
+
+    return str.length > CELL_LENGTH ? str.slice(0, CELL_LENGTH - 3) + "..." : str;
+}
+
+
+/**
+ * Adds the .recipe, .load and .save commands. The latter replace the REPL's
+ * own .load and .save, which read and write JavaScript.
+ *
+ * @param {REPLServer} replServer
+ */
+function defineRecipeCommands(replServer) {
+    const session = {
+        input: null,
+        recipe: []
+    };
+
+    /**
+     * Runs a command, showing any error it throws, and then shows the prompt.
+     *
+     * @param {function} action - Returns the text to show.
+     * @returns {function}
+     */
+    const command = action => async arg => {
+        try {
+            const text = await action(arg.trim());
+            if (text) replServer.outputStream.write(text + "\n");
+        } catch (err) {
+            replServer.outputStream.write(`${err.name}: ${err.message}\n`);
+        }
+        replServer.displayPrompt();
+    };
+
+    /**
+     * Describes the input and recipe.
+     *
+     * @returns {string}
+     */
+    const show = () => {
+        const input = session.input ?
+            `Input: ${Dish.enumLookup(session.input.type)}` :
+            "Input: none, set it with .recipe input <expr>";
+        const steps = session.recipe.length ?
+            session.recipe.map((op, i) => `  ${i + 1}. ${Utils.generatePrettyRecipe([op])}`).join("\n") :
+            "  (empty)";
+
+        return `${input}\nRecipe:\n${steps}`;
+    };
+
+    /**
+     * Runs the recipe over the input, if there is one.
+     *
+     * @returns {string} The output, or a description of the error.
+     */
+    const run = async () => {
+        if (!session.input) return show();
+
+        try {
+            // Bakes change the Dish they are given, so the input is copied
+            return formatDish(await api.bake(new NodeDish(session.input.clone()), session.recipe));
+        } catch (err) {
+            return err.opName ?
+                `${err.name}: failed at step ${err.step + 1} (${err.opName}): ${err.message}` :
+                `${err.name}: ${err.message}`;
+        }
+    };
+
+    const subcommands = {
+        /**
+         * @param {string} expr - JavaScript, evaluated in the REPL's context.
+         * @returns {string}
+         */
+        input: async expr => {
+            if (!expr) throw new Error("Give an expression for the input, e.g. .recipe input \"hello\"");
+
+            let value = vm.runInContext(expr, replServer.context);
+            if (value && typeof value.then === "function") value = await value;
+
+            session.input = value instanceof NodeDish ? value : new NodeDish(value);
+            return run();
+        },
+        /**
+         * @param {string} ops - An operation name, or a recipe in chef format or JSON.
+         * @returns {string}
+         */
+        add: ops => {
+            session.recipe = session.recipe.concat(toRecipeConfig(ops));
+            return run();
+        },
+        /**
+         * @param {string} [step] - The step to remove, counting from 1.
+         * @returns {string}
+         */
+        remove: step => {
+            const i = step ? parseInt(step, 10) - 1 : session.recipe.length - 1;
+            if (!(i >= 0 && i < session.recipe.length)) throw new Error(`There is no step ${step || 1} to remove`);
+
+            session.recipe.splice(i, 1);
+            return run();
+        },
+        /**
+         * @returns {string}
+         */
+        clear: () => {
+            session.recipe = [];
+            return show();
+        },
+        run: run,
+        show: show,
+        help: () => RECIPE_HELP,
+    };
+
+    replServer.defineCommand("recipe", {
+        help: "Build up a recipe and run it over an input, see .recipe help",
+        action: command(arg => {
+            const [, name, rest] = /^(\S*)\s*([\s\S]*)$/.exec(arg);
+            if (!name) return show();
+            if (!Object.prototype.hasOwnProperty.call(subcommands, name)) {
+                throw new Error(`Unknown command '.recipe ${name}'\n${RECIPE_HELP}`);
+            }
+            return subcommands[name](rest);
+        })
+    });
+
+    replServer.defineCommand("load", {
+        help: "Load a recipe from a file, in chef format or JSON, and run it",
+        action: command(async file => {
+            if (!file) throw new Error("Give the file to load the recipe from");
+
+            session.recipe = toRecipeConfig((await readFile(file)).toString("utf8"));
+            return session.input ? `${show()}\n${await run()}` : show();
+        })
+    });
+
+    replServer.defineCommand("save", {
+        help: "Save the recipe to a file, as JSON if it ends in .json or in chef format otherwise",
+        action: command(async file => {
+            if (!file) throw new Error("Give the file to save the recipe to");
+
+            const recipe = path.extname(file) === ".json" ?
+                JSON.stringify(session.recipe, null, 4) :
+                Utils.generatePrettyRecipe(session.recipe, true);
+
+            await writeFile(file, recipe);
+            return `Saved ${session.recipe.length} operations to ${file}`;
+        })
+    });
+}
+
+
+/**
+ * Loads the REPL's history from a file and saves it there when the REPL exits.
+ *
+ * @param {REPLServer} replServer
+ * @param {string} file
+ */
+function setupHistory(replServer, file) {
+    try {
+        // Stored with the most recent line first, as the REPL keeps it
+        replServer.history = fs.readFileSync(file, "utf8")
+            .split(/\r?\n/)
+            .filter(line => line.length)
+            .slice(0, HISTORY_SIZE);
+    } catch (err) {
+        if (err.code !== "ENOENT") {
+            replServer.outputStream.write(`Could not load the history from ${file}: ${err.message}\n`);
+        }
+    }
+
+    replServer.on("exit", () => {
+        try {
+            fs.writeFileSync(file, replServer.history.slice(0, HISTORY_SIZE).join("\n"), {mode: 0o600});
+        } catch (err) {
+            replServer.outputStream.write(`Could not save the history to ${file}: ${err.message}\n`);
+        }
+    });
+}
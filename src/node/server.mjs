@@ -0,0 +1,422 @@
+/**
+ * HTTP server for running recipes using the Node API.
+ *
+ * Routes:
+ *  - `GET /operations` lists the operations which can be used, with their
+ *    config from OperationConfig.
+ *  - `POST /bake` runs a recipe over some input.
+ *  - `POST /magic` runs Magic over some input.
+ *
+ * Requests to `/bake` and `/magic` can be sent in two ways:
+ *  - As JSON, with the input and options in the body, e.g.
+ *    `{"input": "aGk=", "inputEncoding": "base64", "recipe": "To_Hex('Space',0)", "timeout": 5000}`.
+ *    The response is JSON holding the output and its type, e.g.
+ *    `{"value": "68 69", "type": "string"}`. Binary output is sent as base64,
+ *    with `"encoding": "base64"`.
+ *  - With any other Content-Type, the body is the raw input and the options
+ *    are given in the query string, e.g. `POST /bake?recipe=To_Hex('Space',0)`.
+ *    The response body holds the raw bytes of the output, with its type in
+ *    the X-CyberChef-Type header.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import http from "http";
+import { URL } from "url";
+import { ChefPool } from "./index.mjs";
+import Dish from "../core/Dish.mjs";
+import OperationConfig from "../core/config/OperationConfig.json";
+import { parseRecipe, getSavedRecipe } from "../core/lib/SavedRecipes.mjs";
+
+/**
+ * Types which cannot be sent as JSON, so are sent as base64 instead.
+ */
+const BINARY_TYPES = ["ArrayBuffer", "File", "ListFile"];
+
+
+/**
+ * Error to be sent back to the client with the given HTTP status.
+ */
+class RequestError extends Error {
+    /**
+     * RequestError constructor
+     *
+     * @param {number} status - The HTTP status code
+     * @param {string} message
+     * @param {Object} [details] - Extra fields to include in the response
+     */
+    constructor(status, message, details={}) {
+        super(message);
+        this.name = "RequestError";
+        this.status = status;
+        this.details = details;
+    }
+}
+
+
+/**
+ * Creates an HTTP server which bakes recipes. Call `listen` on it to start it.
+ *
+ * Only operations in the allow-list can be used. This includes operations in
+ * the recipes run by "Run Saved Recipe", which are checked as they run, so
+ * that recipes built from the input using registers or variables cannot get
+ * round it. Recipes are also checked before the bake starts, so that most
+ * requests using operations which are not allowed are refused straight away.
+ *
+ * Requests are run on a ChefPool, so that slow recipes do not block the
+ * server and are stopped when they time out.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.operations] - The names of the operations
+ * which can be used, as shown in CyberChef. Defaults to all operations.
+ * @param {number} [options.timeout=10000] - The default time in ms that a
+ * request can take before it is cancelled.
+ * @param {number} [options.maxTimeout=60000] - The longest timeout in ms
+ * that a request can ask for.
+ * @param {number} [options.maxBodySize=52428800] - The largest request body
+ * accepted, in bytes.
+ * @param {ChefPool} [options.pool] - The pool to run requests on. Defaults to
+ * a new pool with a worker for each CPU, which is terminated when the server
+ * is closed.
+ * @returns {http.Server}
+ */
+export function createServer(options={}) {
+    const {
+        operations = Object.keys(OperationConfig),
+        timeout = 10000,
+        maxTimeout = 60000,
+        maxBodySize = 50 * 1024 * 1024,
+        pool = new ChefPool()
+    } = options;
+    const allowed = new Set(operations),
+        restricted = Object.keys(OperationConfig).some(name => !allowed.has(name));
+
+    const routes = {
+        "GET /operations": listOperations,
+        "POST /bake": bake,
+        "POST /magic": magic,
+    };
+
+
+    /**
+     * Lists the operations which can be used.
+     *
+     * @returns {Object}
+     */
+    function listOperations() {
+        const result = {};
+        Object.keys(OperationConfig).forEach(name => {
+            if (allowed.has(name)) result[name] = OperationConfig[name];
+        });
+        return result;
+    }
+
+
+    /**
+     * Runs a recipe over the input.
+     *
+     * @param {Object} request - See readRequest
+     * @returns {Promise<NodeDish>}
+     */
+    async function bake({input, params}) {
+        if (params.recipe === undefined) {
+            throw new RequestError(400, "No recipe given");
+        }
+
+        let recipeConfig;
+        try {
+            recipeConfig = parseRecipe(params.recipe);
+        } catch (err) {
+            throw new RequestError(400, err.message);
+        }
+
+        // Disabled operations are skipped, as they are in the web app
+        recipeConfig = recipeConfig.filter(ing => !ing.disabled);
+        checkRecipe(recipeConfig);
+
+        return await runWithTimeout(input, recipeConfig, params);
+    }
+
+
+    /**
+     * Runs Magic over the input.
+     *
+     * @param {Object} request - See readRequest
+     * @returns {Promise<NodeDish>}
+     */
+    async function magic({input, params}) {
+        checkAllowed("Magic");
+
+        return await runWithTimeout(input, [{
+            op: "Magic",
+            args: [
+                params.depth === undefined ? 3 : Number(params.depth),
+                toBoolean(params.intensive),
+                toBoolean(params.extensiveLanguage),
+                params.crib || ""
+            ]
+        }], params);
+    }
+
+
+    /**
+     * Throws if a recipe uses any operations which are not in the allow-list,
+     * including those in the recipes it runs with Run Saved Recipe. Recipes
+     * which are chosen using registers or variables are left to be checked
+     * when they run.
+     *
+     * @param {Object[]} recipeConfig
+     * @param {string[]} [recipeStack=[]] - The names of the saved recipes
+     * being checked, so that recipes which run themselves are only checked once.
+     * @throws {RequestError}
+     * @throws {OperationError} if a recipe run by Run Saved Recipe does not
+     * exist or cannot be parsed.
+     */
+    function checkRecipe(recipeConfig, recipeStack=[]) {
+        recipeConfig.forEach(ing => {
+            if (ing.disabled) return;
+            checkAllowed(ing.op);
+            if (ing.op !== "Run Saved Recipe" || !restricted) return;
+
+            const [source, name, recipeStr] = ing.args.map(String);
+            if ([name, recipeStr].some(arg => /\$(?:R\d|\{)/.test(arg))) return;
+
+            if (source === "Inline recipe") {
+                checkRecipe(parseRecipe(recipeStr), recipeStack);
+            } else if (!recipeStack.includes(name)) {
+                checkRecipe(getSavedRecipe(name), recipeStack.concat(name));
+            }
+        });
+    }
+
+
+    /**
+     * Throws if the given operation is not in the allow-list.
+     *
+     * @param {string} name
+     * @throws {RequestError}
+     */
+    function checkAllowed(name) {
+        if (!allowed.has(name)) {
+            throw new RequestError(403, `${name} is not allowed on this server`);
+        }
+    }
+
+
+    /**
+     * Reads the input and options from a request.
+     *
+     * @param {http.IncomingMessage} req
+     * @param {URL} url
+     * @returns {Promise<Object>} {input, params, json}, where `json` is true if
+     * the request was sent as JSON.
+     * @throws {RequestError} if the body is too large or is not valid JSON.
+     */
+    async function readRequest(req, url) {
+        const body = await new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on("data", chunk => {
+                size += chunk.length;
+                if (size > maxBodySize) {
+                    reject(new RequestError(413, `The request body is larger than ${maxBodySize} bytes`));
+                    req.pause();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on("end", () => resolve(Buffer.concat(chunks)));
+            req.on("error", reject);
+        });
+
+        if (!/^application\/json\b/.test(req.headers["content-type"] || "")) {
+            const params = {};
+            url.searchParams.forEach((value, key) => {
+                params[key] = value;
+            });
+            return {input: toArrayBuffer(body), params: params, json: false};
+        }
+
+        let params;
+        try {
+            params = JSON.parse(body.toString("utf8") || "{}");
+        } catch (err) {
+            throw new RequestError(400, `Invalid JSON: ${err.message}`);
+        }
+        if (!params || typeof params !== "object" || Array.isArray(params)) {
+            throw new RequestError(400, "The request body must be a JSON object");
+        }
+
+        const input = params.inputEncoding === "base64" ?
+            toArrayBuffer(Buffer.from(params.input || "", "base64")) :
+            String(params.input === undefined ? "" : params.input);
+        return {input: input, params: params, json: true};
+    }
+
+
+    /**
+     * Works out how long a request can run for.
+     *
+     * @param {Object} params
+     * @returns {number}
+     * @throws {RequestError} if the timeout is not a positive number.
+     */
+    function getTimeout(params) {
+        if (params.timeout === undefined) return Math.min(timeout, maxTimeout);
+
+        const ms = Number(params.timeout);
+        if (!(ms > 0)) {
+            throw new RequestError(400, "The timeout must be a positive number of milliseconds");
+        }
+        return Math.min(ms, maxTimeout);
+    }
+
+
+    /**
+     * Bakes a recipe on the pool, stopping it if it takes longer than the
+     * timeout.
+     *
+     * @param {ArrayBuffer|string} input
+     * @param {Object[]} recipeConfig
+     * @param {Object} params - The options sent with the request
+     * @returns {Promise<NodeDish>}
+     * @throws {RequestError} if the bake takes too long.
+     */
+    async function runWithTimeout(input, recipeConfig, params) {
+        const ms = getTimeout(params);
+
+        try {
+            return await pool.bake(input, recipeConfig, {
+                timeout: ms,
+                operations: restricted ? operations : null
+            });
+        } catch (err) {
+            if (err.name === "AbortError") {
+                throw new RequestError(504, `The request took longer than ${ms}ms`);
+            }
+            throw err;
+        }
+    }
+
+
+    /**
+     * Handles a request.
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async function handle(req, res) {
+        try {
+            const url = new URL(req.url, "http://localhost"),
+                route = routes[`${req.method} ${url.pathname}`];
+
+            if (!route) {
+                const exists = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+                throw exists ?
+                    new RequestError(405, `${req.method} is not allowed for ${url.pathname}`) :
+                    new RequestError(404, `No route for ${url.pathname}`);
+            }
+
+            if (route === listOperations) {
+                return send(res, 200, listOperations());
+            }
+
+            const request = await readRequest(req, url),
+                result = await route(request);
+
+            if (request.json) {
+                send(res, 200, presentDish(result));
+            } else {
+                res.writeHead(200, {
+                    "Content-Type": "application/octet-stream",
+                    "X-CyberChef-Type": Dish.enumLookup(result.type)
+                });
+                res.end(Buffer.from(result.get(Dish.ARRAY_BUFFER)));
+            }
+        } catch (err) {
+            if (err instanceof RequestError) {
+                send(res, err.status, Object.assign({error: err.message}, err.details));
+            } else if (err.type === "ExcludedOperationError") {
+                send(res, 403, {error: `${err.message} on this server`});
+            } else if (err.type === "OperationError" || err instanceof TypeError) {
+                // Bad recipes, e.g. wrong arguments or input an operation cannot handle
+                const details = err.opName ? {step: err.step, opName: err.opName} : {};
+                send(res, 422, Object.assign({error: err.message}, details));
+            } else {
+                send(res, 500, {error: err.message});
+            }
+        }
+    }
+
+    const server = http.createServer(handle);
+    if (options.pool === undefined) {
+        server.on("close", () => pool.terminate());
+    }
+    return server;
+}
+
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function send(res, status, body) {
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+    res.writeHead(status, {"Content-Type": "application/json"});
+    res.end(JSON.stringify(body));
+}
+
+
+/**
+ * Converts a Dish to an object which can be sent as JSON.
+ *
+ * @param {NodeDish} dish
+ * @returns {Object} {value, type}, plus `encoding` if the value is base64.
+ */
+function presentDish(dish) {
+    const type = Dish.enumLookup(dish.type);
+
+    if (BINARY_TYPES.includes(type)) {
+        return {
+            value: Buffer.from(dish.get(Dish.ARRAY_BUFFER)).toString("base64"),
+            type: type,
+            encoding: "base64"
+        };
+    }
+
+    return {
+        value: type === "BigNumber" ? dish.value.toString() : dish.value,
+        type: type
+    };
+}
+
+
+/**
+ * Parses a boolean option, which may have come from the query string.
+ *
+ * @param {boolean|string} [value]
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+    return value === true || value === "true" || value === "1";
+}
+
+
+/**
+ * Convert a Buffer to an ArrayBuffer holding just its bytes.
+ *
+ * @param {Buffer} buf
+ * @returns {ArrayBuffer}
+ */
+function toArrayBuffer(buf) {
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length);
+}
@@ -298,13 +298,15 @@ class App {
                 this.manager.recipe.adjustWidth();
                 this.manager.input.calcMaxTabs();
                 this.manager.output.calcMaxTabs();
+                this.ioResize();
             }, 50, "dragSplitter", this, [])
         });
 
         this.ioSplitter = Split(["#input", "#output"], {
             direction: "vertical",
             gutterSize: 4,
-            minSize: minimise ? [0, 0] : [100, 100]
+            minSize: minimise ? [0, 0] : [100, 100],
+            onDrag: debounce(this.ioResize, 50, "dragIOSplitter", this, [])
         });
 
         this.resetLayout();
@@ -557,13 +559,16 @@ class App {
                 }
             }
 
-            // Set disabled and breakpoint
+            // Set disabled, breakpoint and on error policy
             if (recipeConfig[i].disabled) {
                 item.querySelector(".disable-icon").click();
             }
             if (recipeConfig[i].breakpoint) {
                 item.querySelector(".breakpoint").click();
             }
+            if (recipeConfig[i].onError) {
+                this.manager.recipe.setOnError(item, recipeConfig[i].onError);
+            }
 
             this.manager.recipe.triggerArgEvents(item);
 
@@ -584,6 +589,18 @@ class App {
         this.manager.recipe.adjustWidth();
         this.manager.input.calcMaxTabs();
         this.manager.output.calcMaxTabs();
+        this.ioResize();
+    }
+
+
+    /**
+     * Redraws the contents of the I/O panes after they have changed size.
+     */
+    ioResize() {
+        this.manager.input.inputEditor.refresh();
+        this.manager.output.outputEditor.refresh();
+        this.manager.output.compareView.refresh();
+        this.manager.hex.resize();
     }
 
 
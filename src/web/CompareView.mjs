@@ -0,0 +1,212 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Utils from "../core/Utils.mjs";
+import { compareText, compareBytes } from "../core/lib/Compare.mjs";
+import { createEditor } from "./TextEditor.mjs";
+
+/**
+ * Diffing is quadratic when the two sides are very different, so only this many characters of
+ * each side are compared in text mode.
+ */
+const MAX_TEXT_LENGTH = 100000;
+
+/**
+ * The number of bytes of each side compared in byte mode.
+ */
+const MAX_BYTES = 1024 * 1024;
+
+/**
+ * The layout of each row in byte mode: an 8 digit offset, then the bytes in hex, then the bytes
+ * as ASCII.
+ */
+const BYTES_PER_ROW = 16,
+    HEX_COLUMN = 10,
+    ASCII_COLUMN = HEX_COLUMN + BYTES_PER_ROW * 3 + 1;
+
+
+/**
+ * Side-by-side view of two outputs with the parts which differ highlighted.
+ */
+class CompareView {
+
+    /**
+     * CompareView constructor.
+     *
+     * @param {HTMLElement} el - The element containing the two panes and the summary.
+     */
+    constructor(el) {
+        this.el = el;
+        this.summary = el.querySelector(".compare-summary");
+        this.editors = [
+            createEditor(el.querySelector(".compare-left"), {readOnly: true}),
+            createEditor(el.querySelector(".compare-right"), {readOnly: true})
+        ];
+        this.syncingScroll = false;
+
+        this.editors.forEach((editor, i) => {
+            editor.on("scroll", this.syncScroll.bind(this, i));
+        });
+    }
+
+
+    /**
+     * Handler for scroll events on either pane. Scrolls the other pane to the same place.
+     *
+     * @param {number} i - The pane which was scrolled.
+     */
+    syncScroll(i) {
+        if (this.syncingScroll) return;
+
+        const info = this.editors[i].getScrollInfo();
+        this.syncingScroll = true;
+        this.editors[1 - i].scrollTo(info.left, info.top);
+        this.syncingScroll = false;
+    }
+
+
+    /**
+     * Compares two strings line by line and word by word.
+     *
+     * @param {string} a
+     * @param {string} b
+     */
+    showText(a, b) {
+        const truncated = a.length > MAX_TEXT_LENGTH || b.length > MAX_TEXT_LENGTH,
+            {left, right, changes} = compareText(a.slice(0, MAX_TEXT_LENGTH), b.slice(0, MAX_TEXT_LENGTH));
+
+        [left, right].forEach((parts, i) => {
+            const editor = this.editors[i],
+                className = i === 0 ? "hl3" : "hl5";
+
+            editor.setValue(parts.map(part => part.value).join(""));
+            editor.operation(() => {
+                let offset = 0;
+                parts.forEach(part => {
+                    if (part.changed) {
+                        editor.markText(editor.posFromIndex(offset), editor.posFromIndex(offset + part.value.length), {className});
+                    }
+                    offset += part.value.length;
+                });
+            });
+        });
+
+        this.setSummary(
+            changes ? `${changes.toLocaleString()} changed block${changes === 1 ? "" : "s"}` : "No differences",
+            truncated ? `first ${MAX_TEXT_LENGTH.toLocaleString()} characters` : null
+        );
+    }
+
+
+    /**
+     * Compares two byte arrays, showing them as hex. Bytes which have been inserted or removed
+     * are lined up where possible, so each side has its own ranges of changed bytes.
+     *
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     */
+    showBytes(a, b) {
+        const truncated = a.length > MAX_BYTES || b.length > MAX_BYTES;
+        a = a.subarray(0, MAX_BYTES);
+        b = b.subarray(0, MAX_BYTES);
+
+        const {left, right, changes} = compareBytes(a, b);
+
+        [[a, left], [b, right]].forEach(([data, ranges], i) => {
+            const editor = this.editors[i],
+                className = i === 0 ? "hl3" : "hl5";
+
+            editor.setValue(hexRows(data));
+            editor.operation(() => {
+                ranges.forEach(([start, end]) => {
+                    markBytes(editor, start, end, className);
+                });
+            });
+        });
+
+        this.setSummary(
+            changes ? `${changes.toLocaleString()} changed block${changes === 1 ? "" : "s"}` : "No differences",
+            truncated ? `first ${MAX_BYTES / 1024 / 1024} MiB` : null
+        );
+    }
+
+
+    /**
+     * Empties both panes and shows a message instead of the summary.
+     *
+     * @param {string} msg
+     */
+    clear(msg) {
+        this.editors.forEach(editor => editor.setValue(""));
+        this.summary.textContent = msg;
+    }
+
+
+    /**
+     * Shows the result of a comparison.
+     *
+     * @param {string} result
+     * @param {string|null} truncated - How much was compared, if not everything.
+     */
+    setSummary(result, truncated) {
+        this.summary.textContent = truncated ? `${result} (compared the ${truncated})` : result;
+    }
+
+
+    /**
+     * Redraws the panes after they have been shown or resized.
+     */
+    refresh() {
+        this.editors.forEach(editor => editor.refresh());
+    }
+
+}
+
+
+/**
+ * Lays out bytes as rows of hex and ASCII.
+ *
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+function hexRows(data) {
+    const rows = [];
+
+    for (let start = 0; start < data.length; start += BYTES_PER_ROW) {
+        const row = data.subarray(start, start + BYTES_PER_ROW);
+        let hex = "",
+            chars = "";
+
+        for (let i = 0; i < row.length; i++) {
+            hex += Utils.hex(row[i]) + " ";
+            chars += row[i] >= 0x20 && row[i] < 0x7f ? String.fromCharCode(row[i]) : ".";
+        }
+        rows.push(Utils.hex(start, 8) + "  " + hex.padEnd(ASCII_COLUMN - HEX_COLUMN) + chars);
+    }
+
+    return rows.join("\n");
+}
+
+
+/**
+ * Highlights a range of bytes in both the hex and ASCII columns of a pane in byte mode.
+ *
+ * @param {CodeMirror} editor
+ * @param {number} start
+ * @param {number} end
+ * @param {string} className
+ */
+function markBytes(editor, start, end, className) {
+    for (let row = Math.floor(start / BYTES_PER_ROW); row * BYTES_PER_ROW < end; row++) {
+        const from = Math.max(start, row * BYTES_PER_ROW) - row * BYTES_PER_ROW,
+            to = Math.min(end, (row + 1) * BYTES_PER_ROW) - row * BYTES_PER_ROW;
+
+        editor.markText({line: row, ch: HEX_COLUMN + from * 3}, {line: row, ch: HEX_COLUMN + to * 3 - 1}, {className});
+        editor.markText({line: row, ch: ASCII_COLUMN + from}, {line: row, ch: ASCII_COLUMN + to}, {className});
+    }
+}
+
+export default CompareView;
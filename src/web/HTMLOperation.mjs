@@ -83,6 +83,7 @@ class HTMLOperation {
         <div class="recip-icons">
             <i class="material-icons breakpoint" title="Set breakpoint" break="false">pause</i>
             <i class="material-icons disable-icon" title="Disable operation" disabled="false">not_interested</i>
+            <i class="material-icons on-error-icon" title="On error: stop the recipe" on-error="stop">error_outline</i>
         </div>
         <div class="clearfix">&nbsp;</div>`;
 
@@ -93,15 +94,17 @@ class HTMLOperation {
     /**
      * Highlights the searched string in the name and description of the operation.
      *
-     * @param {string} searchStr
-     * @param {number} namePos - The position of the search string in the operation name
+     * @param {Array[]} nameRanges - The ranges of the operation name which matched the search
+     *   string, as [start, length]
      * @param {number} descPos - The position of the search string in the operation description
+     * @param {number} descLength - The length of the search string
      */
-    highlightSearchString(searchStr, namePos, descPos) {
-        if (namePos >= 0) {
-            this.name = this.name.slice(0, namePos) + "<b><u>" +
-                this.name.slice(namePos, namePos + searchStr.length) + "</u></b>" +
-                this.name.slice(namePos + searchStr.length);
+    highlightSearchStrings(nameRanges, descPos, descLength) {
+        // Work backwards so that earlier positions are not moved by the inserted tags
+        for (const [start, length] of nameRanges.slice().reverse()) {
+            this.name = this.name.slice(0, start) + "<b><u>" +
+                this.name.slice(start, start + length) + "</u></b>" +
+                this.name.slice(start + length);
         }
 
         if (this.description && descPos >= 0) {
@@ -115,8 +118,8 @@ class HTMLOperation {
             }
 
             this.description = this.description.slice(0, descPos) + "<b><u>" +
-                this.description.slice(descPos, descPos + searchStr.length) + "</u></b>" +
-                this.description.slice(descPos + searchStr.length);
+                this.description.slice(descPos, descPos + descLength) + "</u></b>" +
+                this.description.slice(descPos + descLength);
         }
     }
 
@@ -0,0 +1,345 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import Utils from "../core/Utils.mjs";
+
+/**
+ * The number of bytes shown on each row.
+ */
+const BYTES_PER_ROW = 16;
+
+/**
+ * The height of each row in pixels. Must match .hex-row in _io.css.
+ */
+const ROW_HEIGHT = 20;
+
+/**
+ * Browsers refuse to lay out elements much taller than this, so larger Dishes have their
+ * scroll position scaled onto it.
+ */
+const MAX_SCROLL_HEIGHT = 8000000;
+
+
+/**
+ * Side-by-side hex and ASCII view of a byte array.
+ *
+ * Only the rows currently in view are rendered, so it copes with Dishes of many megabytes.
+ */
+class HexEditor {
+
+    /**
+     * HexEditor constructor.
+     *
+     * @param {HTMLElement} el - The .hex-editor element containing the viewport and status bar.
+     * @param {boolean} [editable=false] - Whether bytes can be overwritten.
+     */
+    constructor(el, editable=false) {
+        this.el = el;
+        this.editable = editable;
+        this.viewport = el.querySelector(".hex-viewport");
+        this.spacer = el.querySelector(".hex-spacer");
+        this.rows = el.querySelector(".hex-rows");
+        this.status = el.querySelector(".hex-status");
+
+        this.data = new Uint8Array(0);
+        this.cursor = 0;
+        this.column = "hex";
+        this.lowNibble = false;
+        this.firstRow = 0;
+        this.scrollTop = 0;
+
+        /**
+         * Called with the data after a byte has been overwritten.
+         * @type {function}
+         */
+        this.onchange = null;
+    }
+
+
+    /**
+     * Replaces the bytes being shown, keeping the cursor where it was if it is still in range.
+     *
+     * @param {Uint8Array} data
+     */
+    setData(data) {
+        this.data = data;
+        this.cursor = Math.min(this.cursor, Math.max(0, data.length - 1));
+        this.lowNibble = false;
+        this.spacer.style.height = Math.min(this.numRows * ROW_HEIGHT, MAX_SCROLL_HEIGHT) + "px";
+        this.firstRow = Math.min(this.firstRow, this.lastFirstRow);
+        this.scrollToRow(this.firstRow);
+    }
+
+
+    /**
+     * The total number of rows.
+     *
+     * @returns {number}
+     */
+    get numRows() {
+        return Math.max(1, Math.ceil(this.data.length / BYTES_PER_ROW));
+    }
+
+
+    /**
+     * The number of rows which fit fully in the viewport.
+     *
+     * @returns {number}
+     */
+    get visibleRows() {
+        return Math.max(1, Math.floor(this.viewport.clientHeight / ROW_HEIGHT));
+    }
+
+
+    /**
+     * The highest row which can be shown at the top of the viewport.
+     *
+     * @returns {number}
+     */
+    get lastFirstRow() {
+        return Math.max(0, this.numRows - this.visibleRows);
+    }
+
+
+    /**
+     * Handler for scroll events on the viewport.
+     * Works out which row is now at the top from how far through the scroll range we are.
+     */
+    scroll() {
+        if (this.viewport.scrollTop === this.scrollTop) return;
+        this.scrollTop = this.viewport.scrollTop;
+
+        const scrollRange = this.viewport.scrollHeight - this.viewport.clientHeight;
+        this.firstRow = scrollRange > 0 ?
+            Math.round(this.scrollTop / scrollRange * this.lastFirstRow) : 0;
+        this.render();
+    }
+
+
+    /**
+     * Scrolls so that the given row is at the top of the viewport.
+     *
+     * @param {number} row
+     */
+    scrollToRow(row) {
+        const scrollRange = this.viewport.scrollHeight - this.viewport.clientHeight,
+            lastFirstRow = this.lastFirstRow;
+
+        this.firstRow = Math.max(0, Math.min(row, lastFirstRow));
+        this.viewport.scrollTop = lastFirstRow > 0 ? this.firstRow / lastFirstRow * scrollRange : 0;
+        // Remember where this left us so that the scroll event it fires does not move us by a
+        // rounding error
+        this.scrollTop = this.viewport.scrollTop;
+        this.render();
+    }
+
+
+    /**
+     * Scrolls the cursor into view if it is not already.
+     */
+    scrollToCursor() {
+        const row = Math.floor(this.cursor / BYTES_PER_ROW);
+
+        if (row < this.firstRow) {
+            this.scrollToRow(row);
+        } else if (row >= this.firstRow + this.visibleRows) {
+            this.scrollToRow(row - this.visibleRows + 1);
+        } else {
+            this.render();
+        }
+    }
+
+
+    /**
+     * Renders the rows in view and updates the status bar.
+     */
+    render() {
+        const lastRow = Math.min(this.numRows, this.firstRow + this.visibleRows + 1);
+        let html = "";
+
+        for (let row = this.firstRow; row < lastRow; row++) {
+            const start = row * BYTES_PER_ROW,
+                end = Math.min(start + BYTES_PER_ROW, this.data.length);
+            let bytes = "",
+                chars = "";
+
+            for (let i = start; i < end; i++) {
+                const selected = i === this.cursor ? " selected" : "",
+                    b = this.data[i],
+                    c = b >= 0x20 && b < 0x7f ? Utils.escapeHtml(String.fromCharCode(b)) : ".";
+
+                bytes += `<span class="hex-byte${selected}" data-offset="${i}">${Utils.hex(b)}</span>`;
+                chars += `<span class="hex-char${selected}" data-offset="${i}">${c}</span>`;
+            }
+
+            html += `<div class="hex-row"><span class="hex-offset">${Utils.hex(start, 8)}</span>` +
+                `<span class="hex-bytes">${bytes}</span><span class="hex-chars">${chars}</span></div>`;
+        }
+
+        this.rows.style.top = this.scrollTop + "px";
+        this.rows.innerHTML = html;
+        this.el.classList.toggle("hex-ascii-column", this.column === "ascii");
+
+        if (this.data.length) {
+            const b = this.data[this.cursor];
+            this.status.textContent = `Offset: 0x${Utils.hex(this.cursor, 8)} (${this.cursor})  ` +
+                `Value: 0x${Utils.hex(b)} (${b})  Length: ${this.data.length.toLocaleString()} bytes`;
+        } else {
+            this.status.textContent = "Length: 0 bytes";
+        }
+    }
+
+
+    /**
+     * Handler for mousedown events on the viewport.
+     * Moves the cursor to the byte that was clicked on.
+     *
+     * @param {event} e
+     */
+    mousedown(e) {
+        const cell = e.target.closest("[data-offset]");
+        if (!cell) return;
+
+        this.cursor = parseInt(cell.getAttribute("data-offset"), 10);
+        this.column = cell.classList.contains("hex-char") ? "ascii" : "hex";
+        this.lowNibble = false;
+        this.render();
+    }
+
+
+    /**
+     * Handler for keydown events on the viewport.
+     * Arrow, page and home/end keys move the cursor and Tab switches between the hex and ASCII
+     * columns. Any other key overwrites the byte under the cursor if it is valid for the column.
+     *
+     * @param {event} e
+     */
+    keydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || !this.data.length) return;
+
+        const col = this.cursor % BYTES_PER_ROW,
+            page = this.visibleRows * BYTES_PER_ROW;
+
+        switch (e.key) {
+            case "ArrowLeft":
+                this.moveCursor(-1);
+                break;
+            case "ArrowRight":
+                this.moveCursor(1);
+                break;
+            case "ArrowUp":
+                this.moveCursor(-BYTES_PER_ROW);
+                break;
+            case "ArrowDown":
+                this.moveCursor(BYTES_PER_ROW);
+                break;
+            case "PageUp":
+                this.moveCursor(-page);
+                break;
+            case "PageDown":
+                this.moveCursor(page);
+                break;
+            case "Home":
+                this.moveCursor(-col);
+                break;
+            case "End":
+                this.moveCursor(BYTES_PER_ROW - 1 - col);
+                break;
+            case "Tab":
+                this.column = this.column === "hex" ? "ascii" : "hex";
+                this.lowNibble = false;
+                this.render();
+                break;
+            default:
+                if (!this.editable || !this.typeByte(e.key)) return;
+        }
+        e.preventDefault();
+    }
+
+
+    /**
+     * Overwrites the byte under the cursor with a typed key. In the hex column each key sets
+     * one nibble, and in the ASCII column it sets the whole byte.
+     *
+     * @param {string} key
+     * @returns {boolean} Whether the key was valid for the column.
+     */
+    typeByte(key) {
+        const b = this.data[this.cursor];
+
+        if (this.column === "hex") {
+            if (!/^[\da-f]$/i.test(key)) return false;
+            const nibble = parseInt(key, 16);
+
+            if (this.lowNibble) {
+                this.setByte((b & 0xf0) | nibble);
+                this.moveCursor(1);
+            } else {
+                this.setByte((nibble << 4) | (b & 0x0f));
+                this.lowNibble = true;
+                this.render();
+            }
+        } else {
+            if (key.length !== 1 || key.charCodeAt(0) < 0x20 || key.charCodeAt(0) >= 0x7f) return false;
+            this.setByte(key.charCodeAt(0));
+            this.moveCursor(1);
+        }
+        return true;
+    }
+
+
+    /**
+     * Overwrites the byte under the cursor.
+     *
+     * @param {number} value
+     */
+    setByte(value) {
+        this.data[this.cursor] = value;
+        if (this.onchange) this.onchange(this.data);
+    }
+
+
+    /**
+     * Moves the cursor by the given number of bytes, staying within the data.
+     *
+     * @param {number} delta
+     */
+    moveCursor(delta) {
+        this.cursor = Math.max(0, Math.min(this.cursor + delta, this.data.length - 1));
+        this.lowNibble = false;
+        this.scrollToCursor();
+    }
+
+
+    /**
+     * Moves the cursor to the given offset, scrolling it to the top of the viewport.
+     *
+     * @param {string} offset - A decimal offset, or a hex offset starting with "0x".
+     * @returns {boolean} Whether the offset was valid.
+     */
+    goTo(offset) {
+        offset = offset.trim();
+        let pos;
+
+        if (/^0x[\da-f]+$/i.test(offset)) {
+            pos = parseInt(offset, 16);
+        } else if (/^\d+$/.test(offset)) {
+            pos = parseInt(offset, 10);
+        } else {
+            return false;
+        }
+        if (pos >= this.data.length) return false;
+
+        this.cursor = pos;
+        this.lowNibble = false;
+        this.scrollToRow(Math.floor(pos / BYTES_PER_ROW));
+        this.viewport.focus();
+        return true;
+    }
+
+}
+
+export default HexEditor;
@@ -17,6 +17,7 @@ import SeasonalWaiter from "./waiters/SeasonalWaiter.mjs";
 import BindingsWaiter from "./waiters/BindingsWaiter.mjs";
 import BackgroundWorkerWaiter from "./waiters/BackgroundWorkerWaiter.mjs";
 import TabWaiter from "./waiters/TabWaiter.mjs";
+import HexEditorWaiter from "./waiters/HexEditorWaiter.mjs";
 
 
 /**
@@ -72,6 +73,7 @@ class Manager {
         this.seasonal    = new SeasonalWaiter(this.app, this);
         this.bindings    = new BindingsWaiter(this.app, this);
         this.background  = new BackgroundWorkerWaiter(this.app, this);
+        this.hex         = new HexEditorWaiter(this.app, this);
 
         // Object to store dynamic handlers to fire on elements that may not exist yet
         this.dynamicHandlers = {};
@@ -105,6 +107,7 @@ class Manager {
         window.addEventListener("blur", this.window.windowBlur.bind(this.window));
         window.addEventListener("focus", this.window.windowFocus.bind(this.window));
         window.addEventListener("statechange", this.app.stateChange.bind(this.app));
+        window.addEventListener("statechange", this.recipe.indentBlocks.bind(this.recipe));
         window.addEventListener("popstate", this.app.popState.bind(this.app));
 
         // Controls
@@ -137,6 +140,7 @@ class Manager {
         this.addDynamicListener(".arg[type=checkbox], .arg[type=radio], select.arg", "change", this.recipe.ingChange, this.recipe);
         this.addDynamicListener(".disable-icon", "click", this.recipe.disableClick, this.recipe);
         this.addDynamicListener(".breakpoint", "click", this.recipe.breakpointClick, this.recipe);
+        this.addDynamicListener(".on-error-icon", "click", this.recipe.onErrorClick, this.recipe);
         this.addDynamicListener("#rec-list li.operation", "dblclick", this.recipe.operationDblclick, this.recipe);
         this.addDynamicListener("#rec-list li.operation > div", "dblclick", this.recipe.operationChildDblclick, this.recipe);
         this.addDynamicListener("#rec-list .dropdown-menu.toggle-dropdown a", "click", this.recipe.dropdownToggleClick, this.recipe);
@@ -146,18 +150,15 @@ class Manager {
         this.addDynamicListener("textarea.arg", "drop", this.recipe.textArgDrop, this.recipe);
 
         // Input
-        this.addMultiEventListener("#input-text", "keyup", this.input.debounceInputChange, this.input);
-        this.addMultiEventListener("#input-text", "paste", this.input.inputPaste, this.input);
+        this.input.inputEditor.on("changes", this.input.debounceInputChange.bind(this.input));
+        this.input.inputEditor.on("beforeChange", this.input.inputBeforeChange.bind(this.input));
         document.getElementById("reset-layout").addEventListener("click", this.app.resetLayout.bind(this.app));
         this.addListeners("#clr-io,#btn-close-all-tabs", "click", this.input.clearAllIoClick, this.input);
         this.addListeners("#open-file,#open-folder", "change", this.input.inputOpen, this.input);
         this.addListeners("#input-text,#input-file", "dragover", this.input.inputDragover, this.input);
         this.addListeners("#input-text,#input-file", "dragleave", this.input.inputDragleave, this.input);
         this.addListeners("#input-text,#input-file", "drop", this.input.inputDrop, this.input);
-        document.getElementById("input-text").addEventListener("scroll", this.highlighter.inputScroll.bind(this.highlighter));
-        document.getElementById("input-text").addEventListener("mouseup", this.highlighter.inputMouseup.bind(this.highlighter));
-        document.getElementById("input-text").addEventListener("mousemove", this.highlighter.inputMousemove.bind(this.highlighter));
-        this.addMultiEventListener("#input-text", "mousedown dblclick select",  this.highlighter.inputMousedown, this.highlighter);
+        this.input.inputEditor.on("cursorActivity", this.highlighter.inputCursorActivity.bind(this.highlighter));
         document.querySelector("#input-file .close").addEventListener("click", this.input.clearIoClick.bind(this.input));
         document.getElementById("btn-new-tab").addEventListener("click", this.input.addInputClick.bind(this.input));
         document.getElementById("btn-previous-input-tab").addEventListener("mousedown", this.input.previousTabClick.bind(this.input));
@@ -189,12 +190,15 @@ class Manager {
         document.getElementById("undo-switch").addEventListener("click", this.output.undoSwitchClick.bind(this.output));
         document.getElementById("maximise-output").addEventListener("click", this.output.maximiseOutputClick.bind(this.output));
         document.getElementById("magic").addEventListener("click", this.output.magicClick.bind(this.output));
-        document.getElementById("output-text").addEventListener("scroll", this.highlighter.outputScroll.bind(this.highlighter));
-        document.getElementById("output-text").addEventListener("mouseup", this.highlighter.outputMouseup.bind(this.highlighter));
-        document.getElementById("output-text").addEventListener("mousemove", this.highlighter.outputMousemove.bind(this.highlighter));
+        document.getElementById("selection-magic").addEventListener("click", this.output.selectionMagicClick.bind(this.output));
+        this.addDynamicListener(".selection-magic-option, .selection-magic-option *", "click", this.output.selectionMagicOptionClick, this.output);
+        this.addDynamicListener("#selection-magic-close", "click", this.output.hideSelectionMagic, this.output);
+        document.getElementById("compare-toggle").addEventListener("click", this.output.compareToggleClick.bind(this.output));
+        document.getElementById("compare-pin").addEventListener("click", this.output.comparePinClick.bind(this.output));
+        this.addListeners("#compare-source, #compare-mode", "change", this.output.refreshCompare, this.output);
+        this.output.outputEditor.on("cursorActivity", this.highlighter.outputCursorActivity.bind(this.highlighter));
         document.getElementById("output-html").addEventListener("mouseup", this.highlighter.outputHtmlMouseup.bind(this.highlighter));
         document.getElementById("output-html").addEventListener("mousemove", this.highlighter.outputHtmlMousemove.bind(this.highlighter));
-        this.addMultiEventListener("#output-text", "mousedown dblclick select",  this.highlighter.outputMousedown, this.highlighter);
         this.addMultiEventListener("#output-html", "mousedown dblclick select",  this.highlighter.outputHtmlMousedown, this.highlighter);
         this.addDynamicListener("#output-file-download", "click", this.output.downloadFile, this.output);
         this.addDynamicListener("#output-file-show-all", "click", this.output.showAllFile, this.output);
@@ -220,6 +224,13 @@ class Manager {
         document.getElementById("output-filter-refresh").addEventListener("click", this.output.filterTabSearch.bind(this.output));
         this.addDynamicListener(".output-filter-result", "click", this.output.filterItemClick, this.output);
 
+        // Hex editor
+        this.addListeners("#input-hex-toggle,#output-hex-toggle", "click", this.hex.toggleClick, this.hex);
+        this.addListeners(".hex-viewport", "scroll", this.hex.viewportScroll, this.hex);
+        this.addListeners(".hex-viewport", "mousedown", this.hex.viewportMousedown, this.hex);
+        this.addListeners(".hex-viewport", "keydown", this.hex.viewportKeydown, this.hex);
+        this.addListeners(".hex-goto", "keyup", this.hex.goToKeyup, this.hex);
+
 
         // Options
         document.getElementById("options").addEventListener("click", this.options.optionsClick.bind(this.options));
@@ -0,0 +1,106 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import CodeMirror from "codemirror";
+import "codemirror/addon/dialog/dialog.js";
+import "codemirror/addon/search/searchcursor.js";
+import "codemirror/addon/search/search.js";
+import "codemirror/addon/search/jump-to-line.js";
+import "codemirror/addon/fold/foldcode.js";
+import "codemirror/addon/fold/foldgutter.js";
+import "codemirror/addon/fold/brace-fold.js";
+import "codemirror/addon/fold/indent-fold.js";
+import Utils from "../core/Utils.mjs";
+
+
+/**
+ * Characters which are invisible or change how the text around them is shown, so are drawn as a
+ * placeholder instead. Tabs and line feeds are left alone. Carriage returns are included as the
+ * editor only splits lines on line feeds.
+ */
+// eslint-disable-next-line no-misleading-character-class
+export const SPECIAL_CHARS = /[\0-\x08\x0b-\x1f\x7f-\x9f\xad\u034f\u061c\u115f\u1160\u17b4\u17b5\u180e\u200b-\u200f\u2028\u2029\u202a-\u202e\u2060-\u206f\u3164\ufe00-\ufe0f\ufeff\uffa0\ufff9-\ufffc]/;
+
+/**
+ * Short names for the special characters people are most likely to be looking for.
+ */
+const CHAR_NAMES = {
+    0x00: "NUL",
+    0x07: "BEL",
+    0x08: "BS",
+    0x0b: "VT",
+    0x0c: "FF",
+    0x0d: "CR",
+    0x1b: "ESC",
+    0x7f: "DEL",
+    0xad: "SHY",
+    0x200b: "ZWSP",
+    0x200c: "ZWNJ",
+    0x200d: "ZWJ",
+    0x200e: "LRM",
+    0x200f: "RLM",
+    0x2028: "LS",
+    0x2029: "PS",
+    0x202a: "LRE",
+    0x202b: "RLE",
+    0x202c: "PDF",
+    0x202d: "LRO",
+    0x202e: "RLO",
+    0x2060: "WJ",
+    0x2066: "LRI",
+    0x2067: "RLI",
+    0x2068: "FSI",
+    0x2069: "PDI",
+    0xfeff: "BOM"
+};
+
+
+/**
+ * Creates the element shown in place of a special character.
+ *
+ * @param {string} ch
+ * @returns {HTMLElement}
+ */
+export function specialCharPlaceholder(ch) {
+    const code = ch.charCodeAt(0),
+        codePoint = "U+" + Utils.hex(code, 4).toUpperCase(),
+        el = document.createElement("span");
+
+    el.className = "cm-special-char";
+    el.textContent = CHAR_NAMES[code] || Utils.hex(code, code > 0xff ? 4 : 2);
+    el.title = CHAR_NAMES[code] ? `${CHAR_NAMES[code]} (${codePoint})` : codePoint;
+    return el;
+}
+
+
+/**
+ * Creates a CodeMirror editor for one of the I/O panes.
+ *
+ * The whole value is kept exactly as given, so offsets into it line up with offsets into the
+ * Dish for highlighting.
+ *
+ * @param {HTMLElement} el - The element to create the editor in.
+ * @param {Object} [options={}] - Any CodeMirror options to override.
+ * @returns {CodeMirror}
+ */
+export function createEditor(el, options={}) {
+    return CodeMirror(el, Object.assign({
+        value: "",
+        lineNumbers: true,
+        lineSeparator: "\n",
+        lineWrapping: true,
+        specialChars: SPECIAL_CHARS,
+        specialCharPlaceholder: specialCharPlaceholder,
+        foldGutter: true,
+        foldOptions: {
+            rangeFinder: CodeMirror.fold.combine(CodeMirror.fold.brace, CodeMirror.fold.indent),
+            widget: "\u2026"
+        },
+        gutters: ["CodeMirror-linenumbers", "CodeMirror-foldgutter"],
+        // Files are loaded by the InputWaiter rather than being dropped in as text
+        allowDropFileTypes: []
+    }, options));
+}
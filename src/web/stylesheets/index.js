@@ -8,6 +8,9 @@
 
 /* Libraries */
 import "highlight.js/styles/vs.css";
+import "codemirror/lib/codemirror.css";
+import "codemirror/addon/dialog/dialog.css";
+import "codemirror/addon/fold/foldgutter.css";
 
 /* Frameworks */
 import "./vendors/bootstrap.scss";
@@ -88,6 +88,19 @@ class BackgroundWorkerWaiter {
     }
 
 
+    /**
+     * Calls the callbacks of any bakes which have not finished with null, so that they know
+     * they have been cancelled.
+     */
+    cancelCallbacks() {
+        for (let id = this.completedCallback + 1; id < this.callbackID; id++) {
+            this.callbacks[id].bind(this)(null);
+            delete this.callbacks[id];
+        }
+        this.completedCallback = this.callbackID - 1;
+    }
+
+
     /**
      * Asks the ChefWorker to bake the input using the specified recipe.
      *
@@ -120,12 +133,15 @@ class BackgroundWorkerWaiter {
      * Asks the Magic operation what it can do with the input data.
      *
      * @param {string|ArrayBuffer} input
+     * @param {Function} [callback=this.magicComplete] - Called with the bake response, or with
+     *   null if Magic took too long or was cancelled by another call.
      */
-    magic(input) {
+    magic(input, callback=this.magicComplete) {
         // If we're still working on the previous bake, cancel it before starting a new one.
         if (this.completedCallback + 1 < this.callbackID) {
             clearTimeout(this.timeout);
             this.cancelBake();
+            this.cancelCallbacks();
         }
 
         this.bake(input, [
@@ -133,10 +149,13 @@ class BackgroundWorkerWaiter {
                 "op": "Magic",
                 "args": [3, false, false]
             }
-        ], {}, 0, false, this.magicComplete);
+        ], {}, 0, false, callback);
 
         // Cancel this bake if it takes too long.
-        this.timeout = setTimeout(this.cancelBake.bind(this), 3000);
+        this.timeout = setTimeout(() => {
+            this.cancelBake();
+            this.cancelCallbacks();
+        }, 3000);
     }
 
 
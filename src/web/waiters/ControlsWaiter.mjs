@@ -248,6 +248,19 @@ class ControlsWaiter {
     }
 
 
+    /**
+     * Returns the recipes saved in local storage.
+     *
+     * @returns {Object[]}
+     */
+    getSavedRecipes() {
+        if (!this.app.isLocalStorageAvailable()) return [];
+
+        return localStorage.savedRecipes ?
+            JSON.parse(localStorage.savedRecipes) : [];
+    }
+
+
     /**
      * Populates the list of saved recipes in the load dialog box from local storage.
      */
@@ -0,0 +1,239 @@
+/**
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import { debounce } from "../../core/Utils.mjs";
+import HexEditor from "../HexEditor.mjs";
+
+
+/**
+ * Waiter to handle events related to the hex editor views of the input and output.
+ */
+class HexEditorWaiter {
+
+    /**
+     * HexEditorWaiter constructor.
+     *
+     * @param {App} app - The main view object for CyberChef.
+     * @param {Manager} manager - The CyberChef event manager.
+     */
+    constructor(app, manager) {
+        this.app = app;
+        this.manager = manager;
+
+        this.editors = {
+            input: new HexEditor(document.getElementById("input-hex"), true),
+            output: new HexEditor(document.getElementById("output-hex"))
+        };
+        this.editors.input.onchange = this.inputEdited.bind(this);
+
+        // Whether the input being edited was text, so that edits can be written back as text
+        this.inputIsString = true;
+    }
+
+
+    /**
+     * Gets the editor which an event happened in.
+     *
+     * @param {event} e
+     * @returns {HexEditor}
+     */
+    getEditor(e) {
+        return e.currentTarget.closest(".hex-editor").id === "input-hex" ?
+            this.editors.input : this.editors.output;
+    }
+
+
+    /**
+     * Whether the hex view of a pane is being shown.
+     *
+     * @param {string} pane - "input" or "output"
+     * @returns {boolean}
+     */
+    isVisible(pane) {
+        return this.editors[pane].el.style.display === "flex";
+    }
+
+
+    /**
+     * Handler for clicks on the hex view toggle buttons.
+     *
+     * @param {event} e
+     */
+    toggleClick(e) {
+        const pane = e.currentTarget.id === "input-hex-toggle" ? "input" : "output";
+        this.toggle(pane, !this.isVisible(pane));
+    }
+
+
+    /**
+     * Shows or hides the hex view of a pane.
+     *
+     * @param {string} pane - "input" or "output"
+     * @param {boolean} show
+     */
+    async toggle(pane, show) {
+        const editor = this.editors[pane];
+
+        editor.el.style.display = show ? "flex" : "none";
+        document.getElementById(`${pane}-hex-toggle`).classList.toggle("hex-toggle-active", show);
+        if (!show) return;
+
+        if (pane === "input") {
+            await this.refreshInput();
+        } else {
+            this.manager.output.toggleCompare(false);
+            await this.refreshOutput();
+        }
+        editor.viewport.focus();
+    }
+
+
+    /**
+     * Loads the active input into its hex view, if it is being shown.
+     */
+    async refreshInput() {
+        if (!this.isVisible("input")) return;
+
+        const value = await this.manager.input.getInputValue(this.manager.tabs.getActiveInputTab());
+        this.inputIsString = typeof value === "string";
+        this.editors.input.setData(this.inputIsString ? new TextEncoder().encode(value) : new Uint8Array(value));
+    }
+
+
+    /**
+     * Loads the active output into its hex view, if it is being shown.
+     */
+    async refreshOutput() {
+        if (!this.isVisible("output")) return;
+
+        const output = this.manager.output.outputs[this.manager.tabs.getActiveOutputTab()];
+        if (!output || !output.data || !output.data.dish || output.status === "error") {
+            this.editors.output.setData(new Uint8Array(0));
+            return;
+        }
+
+        const buf = await this.manager.output.getDishBuffer(output.data.dish);
+        this.editors.output.setData(new Uint8Array(buf));
+    }
+
+
+    /**
+     * Handler for bytes being overwritten in the input hex view.
+     * Debounces writing them back so that we don't bake after every nibble.
+     *
+     * @param {Uint8Array} data
+     */
+    inputEdited(data) {
+        const inputNum = this.manager.tabs.getActiveInputTab();
+        debounce(this.writeInput, 300, "hexInputEdit", this, [inputNum, data])();
+    }
+
+
+    /**
+     * Stores edited bytes as the value of an input.
+     * Text inputs stay as text unless the edit made them invalid UTF-8, in which case they
+     * become a file.
+     *
+     * @param {number} inputNum
+     * @param {Uint8Array} data
+     *
+     * @fires Manager#statechange
+     */
+    writeInput(inputNum, data) {
+        // The buffer is transferred to the InputWorker, so give it a copy
+        const buf = data.slice().buffer;
+
+        if (this.inputIsString) {
+            let str = null;
+            try {
+                str = new TextDecoder("utf-8", {fatal: true}).decode(data);
+            } catch (err) {
+                // Not valid UTF-8
+            }
+
+            if (str !== null) {
+                if (inputNum !== this.manager.tabs.getActiveInputTab()) {
+                    this.manager.input.updateInputValue(inputNum, str);
+                    return;
+                }
+                // Stored and baked by the editor's change handler
+                this.manager.input.inputEditor.setValue(str);
+                return;
+            }
+
+            this.inputIsString = false;
+            this.manager.input.updateInputObj(inputNum, {
+                fileBuffer: buf,
+                name: "input.bin",
+                size: buf.byteLength,
+                type: "application/octet-stream"
+            });
+            this.manager.input.fileLoaded(inputNum);
+            return;
+        }
+
+        this.manager.input.updateInputValue(inputNum, buf);
+        window.dispatchEvent(this.manager.statechange);
+    }
+
+
+    /**
+     * Handler for scroll events on a hex view.
+     *
+     * @param {event} e
+     */
+    viewportScroll(e) {
+        this.getEditor(e).scroll();
+    }
+
+
+    /**
+     * Handler for mousedown events on a hex view.
+     *
+     * @param {event} e
+     */
+    viewportMousedown(e) {
+        this.getEditor(e).mousedown(e);
+    }
+
+
+    /**
+     * Handler for keydown events on a hex view.
+     *
+     * @param {event} e
+     */
+    viewportKeydown(e) {
+        this.getEditor(e).keydown(e);
+    }
+
+
+    /**
+     * Handler for keyup events on the go to offset boxes.
+     * Jumps to the offset when Return is pressed.
+     *
+     * @param {event} e
+     */
+    goToKeyup(e) {
+        if (e.key !== "Enter") return;
+
+        const valid = this.getEditor(e).goTo(e.target.value);
+        e.target.classList.toggle("is-invalid", !valid);
+    }
+
+
+    /**
+     * Re-renders the hex views after the panes have been resized.
+     */
+    resize() {
+        for (const pane of ["input", "output"]) {
+            const editor = this.editors[pane];
+            if (this.isVisible(pane)) editor.setData(editor.data);
+        }
+    }
+
+}
+
+export default HexEditorWaiter;
@@ -34,6 +34,9 @@ class HighlighterWaiter {
 
         this.mouseButtonDown = false;
         this.mouseTarget = null;
+
+        // CodeMirror marks for the current highlights
+        this.marks = [];
     }
 
 
@@ -119,70 +122,56 @@ class HighlighterWaiter {
 
 
     /**
-     * Handler for input scroll events.
-     * Scrolls the highlighter pane to match the input textarea position.
+     * Handler for input editor cursorActivity events.
+     * Shows the cursor position and the current selection info, and highlights the corresponding
+     * data in the output.
      *
-     * @param {event} e
+     * @param {CodeMirror} editor
      */
-    inputScroll(e) {
-        const el = e.target;
-        document.getElementById("input-highlighter").scrollTop = el.scrollTop;
-        document.getElementById("input-highlighter").scrollLeft = el.scrollLeft;
+    inputCursorActivity(editor) {
+        this.selectionChange(editor, INPUT);
     }
 
 
     /**
-     * Handler for output scroll events.
-     * Scrolls the highlighter pane to match the output textarea position.
+     * Handler for output editor cursorActivity events.
+     * Shows the cursor position and the current selection info, and highlights the corresponding
+     * data in the input.
      *
-     * @param {event} e
+     * @param {CodeMirror} editor
      */
-    outputScroll(e) {
-        const el = e.target;
-        document.getElementById("output-highlighter").scrollTop = el.scrollTop;
-        document.getElementById("output-highlighter").scrollLeft = el.scrollLeft;
+    outputCursorActivity(editor) {
+        this.selectionChange(editor, OUTPUT);
     }
 
 
     /**
-     * Handler for input mousedown events.
-     * Calculates the current selection info, and highlights the corresponding data in the output.
+     * Updates the cursor position and selection info for an editor and, if the user has selected
+     * something, highlights the corresponding data in the other editor.
      *
-     * @param {event} e
+     * @param {CodeMirror} editor
+     * @param {number} io - INPUT or OUTPUT
      */
-    inputMousedown(e) {
-        this.mouseButtonDown = true;
-        this.mouseTarget = INPUT;
-        this.removeHighlights();
+    selectionChange(editor, io) {
+        const name = io === INPUT ? "input" : "output",
+            cursor = editor.getCursor();
 
-        const el = e.target;
-        const start = el.selectionStart;
-        const end = el.selectionEnd;
+        document.getElementById(name + "-cursor-info").textContent = `Ln ${cursor.line + 1}, Col ${cursor.ch + 1}`;
 
-        if (start !== 0 || end !== 0) {
-            document.getElementById("input-selection-info").innerHTML = this.selectionInfo(start, end);
-            this.highlightOutput([{start: start, end: end}]);
-        }
-    }
+        // Ignore selections which the user did not make, such as when the value is replaced
+        if (!editor.hasFocus()) return;
 
+        const start = editor.indexFromPos(editor.getCursor("from")),
+            end = editor.indexFromPos(editor.getCursor("to"));
 
-    /**
-     * Handler for output mousedown events.
-     * Calculates the current selection info, and highlights the corresponding data in the input.
-     *
-     * @param {event} e
-     */
-    outputMousedown(e) {
-        this.mouseButtonDown = true;
-        this.mouseTarget = OUTPUT;
         this.removeHighlights();
+        if (start === end) return;
 
-        const el = e.target;
-        const start = el.selectionStart;
-        const end = el.selectionEnd;
-
-        if (start !== 0 || end !== 0) {
-            document.getElementById("output-selection-info").innerHTML = this.selectionInfo(start, end);
+        document.getElementById(name + "-selection-info").innerHTML = this.selectionInfo(start, end);
+        if (io === INPUT) {
+            this.highlightOutput([{start: start, end: end}]);
+        } else {
+            this.manager.output.showSelectionMagicButton();
             this.highlightInput([{start: start, end: end}]);
         }
     }
@@ -205,26 +194,6 @@ class HighlighterWaiter {
     }
 
 
-    /**
-     * Handler for input mouseup events.
-     *
-     * @param {event} e
-     */
-    inputMouseup(e) {
-        this.mouseButtonDown = false;
-    }
-
-
-    /**
-     * Handler for output mouseup events.
-     *
-     * @param {event} e
-     */
-    outputMouseup(e) {
-        this.mouseButtonDown = false;
-    }
-
-
     /**
      * Handler for output HTML mouseup events.
      *
@@ -235,54 +204,6 @@ class HighlighterWaiter {
     }
 
 
-    /**
-     * Handler for input mousemove events.
-     * Calculates the current selection info, and highlights the corresponding data in the output.
-     *
-     * @param {event} e
-     */
-    inputMousemove(e) {
-        // Check that the left mouse button is pressed
-        if (!this.mouseButtonDown ||
-            e.which !== 1 ||
-            this.mouseTarget !== INPUT)
-            return;
-
-        const el = e.target;
-        const start = el.selectionStart;
-        const end = el.selectionEnd;
-
-        if (start !== 0 || end !== 0) {
-            document.getElementById("input-selection-info").innerHTML = this.selectionInfo(start, end);
-            this.highlightOutput([{start: start, end: end}]);
-        }
-    }
-
-
-    /**
-     * Handler for output mousemove events.
-     * Calculates the current selection info, and highlights the corresponding data in the input.
-     *
-     * @param {event} e
-     */
-    outputMousemove(e) {
-        // Check that the left mouse button is pressed
-        if (!this.mouseButtonDown ||
-            e.which !== 1 ||
-            this.mouseTarget !== OUTPUT)
-            return;
-
-        const el = e.target;
-        const start = el.selectionStart;
-        const end = el.selectionEnd;
-
-        if (start !== 0 || end !== 0) {
-            document.getElementById("output-selection-info").innerHTML = this.selectionInfo(start, end);
-            this.highlightInput([{start: start, end: end}]);
-        }
-    }
-
-
     /**
      * Handler for output HTML mousemove events.
      * Calculates the current selection info.
@@ -326,10 +247,11 @@ class HighlighterWaiter {
      * Removes highlighting and selection information.
      */
     removeHighlights() {
-        document.getElementById("input-highlighter").innerHTML = "";
-        document.getElementById("output-highlighter").innerHTML = "";
+        this.marks.forEach(mark => mark.clear());
+        this.marks = [];
         document.getElementById("input-selection-info").innerHTML = "";
         document.getElementById("output-selection-info").innerHTML = "";
+        this.manager.output.hideSelectionMagicButton();
     }
 
 
@@ -380,88 +302,40 @@ class HighlighterWaiter {
 
         if (this.manager.tabs.getActiveInputTab() !== this.manager.tabs.getActiveOutputTab()) return;
 
-        const io = direction === "forward" ? "output" : "input";
+        const io = direction === "forward" ? "output" : "input",
+            editor = direction === "forward" ? this.manager.output.outputEditor : this.manager.input.inputEditor;
 
         document.getElementById(io + "-selection-info").innerHTML = this.selectionInfo(pos[0].start, pos[0].end);
-        this.highlight(
-            document.getElementById(io + "-text"),
-            document.getElementById(io + "-highlighter"),
-            pos);
+        this.highlight(editor, pos);
     }
 
 
     /**
-     * Adds the relevant HTML to the specified highlight element such that highlighting appears
-     * underneath the correct offset.
+     * Marks the given offsets in an editor.
+     * If there's only one position it is highlighted, otherwise the first is ignored and all
+     * others are highlighted.
      *
-     * @param {element} textarea - The input or output textarea.
-     * @param {element} highlighter - The input or output highlighter element.
-     * @param {Object} pos - The position object for the highlight.
+     * @param {CodeMirror} editor - The input or output editor.
+     * @param {Object[]} pos - The position objects for the highlight.
      * @param {number} pos.start - The start offset.
      * @param {number} pos.end - The end offset.
      */
-    async highlight(textarea, highlighter, pos) {
+    highlight(editor, pos) {
         if (!this.app.options.showHighlighter) return false;
         if (!this.app.options.attemptHighlight) return false;
 
-        // Check if there is a carriage return in the output dish as this will not
-        // be displayed by the HTML textarea and will mess up highlighting offsets.
-        if (await this.manager.output.containsCR()) return false;
-
-        const startPlaceholder = "[startHighlight]";
-        const startPlaceholderRegex = /\[startHighlight\]/g;
-        const endPlaceholder = "[endHighlight]";
-        const endPlaceholderRegex = /\[endHighlight\]/g;
-        let text = textarea.value;
-
-        // Put placeholders in position
-        // If there's only one value, select that
-        // If there are multiple, ignore the first one and select all others
-        if (pos.length === 1) {
-            if (pos[0].end < pos[0].start) return;
-            text = text.slice(0, pos[0].start) +
-                startPlaceholder + text.slice(pos[0].start, pos[0].end) + endPlaceholder +
-                text.slice(pos[0].end, text.length);
-        } else {
-            // O(n^2) - Can anyone improve this without overwriting placeholders?
-            let result = "",
-                endPlaced = true;
-
-            for (let i = 0; i < text.length; i++) {
-                for (let j = 1; j < pos.length; j++) {
-                    if (pos[j].end < pos[j].start) continue;
-                    if (pos[j].start === i) {
-                        result += startPlaceholder;
-                        endPlaced = false;
-                    }
-                    if (pos[j].end === i) {
-                        result += endPlaceholder;
-                        endPlaced = true;
-                    }
-                }
-                result += text[i];
-            }
-            if (!endPlaced) result += endPlaceholder;
-            text = result;
-        }
+        const ranges = pos.length === 1 ? pos : pos.slice(1);
 
-        const cssClass = "hl1";
-
-        // Remove HTML tags
-        text = text
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/\n/g, "&#10;")
-            // Convert placeholders to tags
-            .replace(startPlaceholderRegex, "<span class=\""+cssClass+"\">")
-            .replace(endPlaceholderRegex, "</span>") + "&nbsp;";
-
-        // Adjust width to allow for scrollbars
-        highlighter.style.width = textarea.clientWidth + "px";
-        highlighter.innerHTML = text;
-        highlighter.scrollTop = textarea.scrollTop;
-        highlighter.scrollLeft = textarea.scrollLeft;
+        editor.operation(() => {
+            for (const range of ranges) {
+                if (range.end < range.start) continue;
+                this.marks.push(editor.markText(
+                    editor.posFromIndex(range.start),
+                    editor.posFromIndex(range.end),
+                    {className: "hl1"}
+                ));
+            }
+        });
     }
 
 }
@@ -10,6 +10,7 @@ import InputWorker from "worker-loader?inline&fallback=false!../workers/InputWor
 import Utils, { debounce } from "../../core/Utils.mjs";
 import { toBase64 } from "../../core/lib/Base64.mjs";
 import { isImage } from "../../core/lib/FileType.mjs";
+import { createEditor } from "../TextEditor.mjs";
 
 
 /**
@@ -27,23 +28,12 @@ class InputWaiter {
         this.app = app;
         this.manager = manager;
 
-        // Define keys that don't change the input so we don't have to autobake when they are pressed
-        this.badKeys = [
-            16, // Shift
-            17, // Ctrl
-            18, // Alt
-            19, // Pause
-            20, // Caps
-            27, // Esc
-            33, 34, 35, 36, // PgUp, PgDn, End, Home
-            37, 38, 39, 40, // Directional
-            44, // PrntScrn
-            91, 92, // Win
-            93, // Context
-            112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, // F1-12
-            144, // Num
-            145, // Scroll
-        ];
+        this.inputEditor = createEditor(document.getElementById("input-text"), {
+            autofocus: true,
+            tabindex: 1
+        });
+        // Set while the input is being loaded into the editor so that it isn't stored again
+        this.settingInput = false;
 
         this.inputWorker = null;
         this.loaderWorkers = [];
@@ -342,7 +332,7 @@ class InputWaiter {
             const inputText = document.getElementById("input-text");
 
             if (typeof inputData.input === "string") {
-                inputText.value = inputData.input;
+                this.setInputText(inputData.input);
                 const fileOverlay = document.getElementById("input-file"),
                     fileName = document.getElementById("input-file-name"),
                     fileSize = document.getElementById("input-file-size"),
@@ -355,9 +345,8 @@ class InputWaiter {
                 fileType.textContent = "";
                 fileLoaded.textContent = "";
 
-                inputText.style.overflow = "auto";
+                this.inputEditor.setOption("readOnly", false);
                 inputText.classList.remove("blur");
-                inputText.scroll(0, 0);
 
                 const lines = inputData.input.length < (this.app.options.ioDisplayThreshold * 1024) ?
                     inputData.input.count("\n") + 1 : null;
@@ -377,9 +366,23 @@ class InputWaiter {
                 this.setFile(inputData, silent);
             }
 
+            this.manager.hex.refreshInput();
         }.bind(this));
     }
 
+    /**
+     * Shows text in the input editor without storing it as the input value.
+     *
+     * @param {string} str
+     */
+    setInputText(str) {
+        this.settingInput = true;
+        this.inputEditor.setValue(str);
+        this.inputEditor.clearHistory();
+        this.inputEditor.scrollTo(0, 0);
+        this.settingInput = false;
+    }
+
     /**
      * Displays file details
      *
@@ -491,9 +494,9 @@ class InputWaiter {
             input = inputData.input,
             inputText = document.getElementById("input-text");
         if (inputData.inputNum !== activeTab) return;
-        inputText.style.overflow = "hidden";
+        this.inputEditor.setOption("readOnly", "nocursor");
         inputText.classList.add("blur");
-        inputText.value = Utils.printable(Utils.arrayBufferToStr(input.slice(0, 4096)));
+        this.setInputText(Utils.printable(Utils.arrayBufferToStr(input.slice(0, 4096))));
 
         this.renderFileThumb();
 
@@ -675,24 +678,21 @@ class InputWaiter {
     }
 
     /**
-     * Handler for input change events.
+     * Handler for input editor change events.
      * Debounces the input so we don't call autobake too often.
-     *
-     * @param {event} e
      */
-    debounceInputChange(e) {
-        debounce(this.inputChange, 50, "inputChange", this, [e])();
+    debounceInputChange() {
+        if (this.settingInput) return;
+        debounce(this.inputChange, 50, "inputChange", this, [])();
     }
 
     /**
      * Handler for input change events.
      * Updates the value stored in the inputWorker
      *
-     * @param {event} e
-     *
      * @fires Manager#statechange
      */
-    inputChange(e) {
+    inputChange() {
         // Ignore this function if the input is a file
         const fileOverlay = document.getElementById("input-file");
         if (fileOverlay.style.display === "block") return;
@@ -700,8 +700,7 @@ class InputWaiter {
         // Remove highlighting from input and output panes as the offsets might be different now
         this.manager.highlighter.removeHighlights();
 
-        const textArea = document.getElementById("input-text");
-        const value = (textArea.value !== undefined) ? textArea.value : "";
+        const value = this.inputEditor.getValue();
         const activeTab = this.manager.tabs.getActiveInputTab();
 
         this.app.progress = 0;
@@ -712,64 +711,33 @@ class InputWaiter {
         this.updateInputValue(activeTab, value);
         this.manager.tabs.updateInputTabHeader(activeTab, value.replace(/[\n\r]/g, "").slice(0, 100));
 
-        if (e && this.badKeys.indexOf(e.keyCode) < 0) {
-            // Fire the statechange event as the input has been modified
-            window.dispatchEvent(this.manager.statechange);
-        }
+        // Fire the statechange event as the input has been modified
+        window.dispatchEvent(this.manager.statechange);
     }
 
     /**
-     * Handler for input paste events
-     * Checks that the size of the input is below the display limit, otherwise treats it as a file/blob
+     * Handler for input editor beforeChange events.
+     * Checks that the size of pasted input is below the display limit, otherwise treats it as a
+     * file/blob.
      *
-     * @param {event} e
+     * @param {CodeMirror} editor
+     * @param {Object} change - The change CodeMirror is about to make.
      */
-    async inputPaste(e) {
-        e.preventDefault();
-        e.stopPropagation();
+    inputBeforeChange(editor, change) {
+        if (change.origin !== "paste") return;
 
-        const self = this;
-        /**
-         * Triggers the input file/binary data overlay
-         *
-         * @param {string} pastedData
-         */
-        function triggerOverlay(pastedData) {
-            const file = new File([pastedData], "PastedData", {
-                type: "text/plain",
-                lastModified: Date.now()
-            });
-
-            self.loadUIFiles([file]);
-        }
-
-        const pastedData = e.clipboardData.getData("Text");
-        const inputText = document.getElementById("input-text");
-        const selStart = inputText.selectionStart;
-        const selEnd = inputText.selectionEnd;
-        const startVal = inputText.value.slice(0, selStart);
-        const endVal = inputText.value.slice(selEnd);
-        const val = startVal + pastedData + endVal;
+        const value = editor.getValue(),
+            val = value.slice(0, editor.indexFromPos(change.from)) +
+                change.text.join("\n") +
+                value.slice(editor.indexFromPos(change.to));
 
         if (val.length >= (this.app.options.ioDisplayThreshold * 1024)) {
             // Data too large to display, use overlay
-            triggerOverlay(val);
-            return false;
-        } else if (await this.preserveCarriageReturns(val)) {
-            // Data contains a carriage return and the user doesn't wish to edit it, use overlay
-            // We check this in a separate condition to make sure it is not run unless absolutely
-            // necessary.
-            triggerOverlay(val);
-            return false;
-        } else {
-            // Pasting normally fires the inputChange() event before
-            // changing the value, so instead change it here ourselves
-            // and manually fire inputChange()
-            inputText.value = val;
-            inputText.setSelectionRange(selStart + pastedData.length, selStart + pastedData.length);
-            // Don't debounce here otherwise the keyup event for the Ctrl key will cancel an autobake
-            // (at least for large inputs)
-            this.inputChange(e, true);
+            change.cancel();
+            this.loadUIFiles([new File([val], "PastedData", {
+                type: "text/plain",
+                lastModified: Date.now()
+            })]);
         }
     }
 
@@ -816,17 +784,9 @@ class InputWaiter {
         e.stopPropagation();
         e.preventDefault();
 
-        const text = e.dataTransfer.getData("Text");
-
         e.target.closest("#input-text,#input-file").classList.remove("dropping-file");
 
-        if (text) {
-            // Append the text to the current input and fire inputChange()
-            document.getElementById("input-text").value += text;
-            this.inputChange(e);
-            return;
-        }
-
+        // Text is dropped into the editor by CodeMirror itself
         if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
             this.loadUIFiles(e.dataTransfer.files);
         }
@@ -847,44 +807,6 @@ class InputWaiter {
         }
     }
 
-    /**
-     * Checks if an input contains carriage returns.
-     * If a CR is detected, checks if the preserve CR option has been set,
-     * and if not, asks the user for their preference.
-     *
-     * @param {string} input - The input to be checked
-     * @returns {boolean} - If true, the input contains a CR which should be
-     *      preserved, so display an overlay so it can't be edited
-     */
-    async preserveCarriageReturns(input) {
-        if (input.indexOf("\r") < 0) return false;
-
-        const optionsStr = "This behaviour can be changed in the <a href='#' onclick='document.getElementById(\"options\").click()'>Options pane</a>";
-        const preserveStr = `A carriage return (\\r, 0x0d) was detected in your input. To preserve it, editing has been disabled.<br>${optionsStr}`;
-        const dontPreserveStr = `A carriage return (\\r, 0x0d) was detected in your input. It has not been preserved.<br>${optionsStr}`;
-
-        switch (this.app.options.preserveCR) {
-            case "always":
-                this.app.alert(preserveStr, 6000);
-                return true;
-            case "never":
-                this.app.alert(dontPreserveStr, 6000);
-                return false;
-        }
-
-        // Only preserve for high-entropy inputs
-        const data = Utils.strToArrayBuffer(input);
-        const entropy = Utils.calculateShannonEntropy(data);
-
-        if (entropy > 6) {
-            this.app.alert(preserveStr, 6000);
-            return true;
-        }
-
-        this.app.alert(dontPreserveStr, 6000);
-        return false;
-    }
-
     /**
      * Load files from the UI into the inputWorker
      *
@@ -5,6 +5,7 @@
  */
 
 import HTMLOperation from "../HTMLOperation.mjs";
+import { searchOperations, calcMatchRanges } from "../../core/lib/OperationSearch.mjs";
 import Sortable from "sortablejs";
 
 
@@ -25,6 +26,7 @@ class OperationsWaiter {
 
         this.options = {};
         this.removeIntent = false;
+        this.usage = this.loadUsage();
     }
 
 
@@ -44,6 +46,7 @@ class OperationsWaiter {
                 selected = this.getSelectedOp(ops);
                 if (selected > -1) {
                     this.manager.recipe.addOperation(ops[selected].innerHTML);
+                    this.recordUsage(ops[selected].textContent);
                 }
             }
         }
@@ -97,39 +100,58 @@ class OperationsWaiter {
 
 
     /**
-     * Filters operations based on the search string and returns the matching ones.
+     * Filters operations based on the search string and returns the matching ones, best match
+     * first. Names and aliases are matched fuzzily, and "in:type" or "out:type" can be used to
+     * filter by input or output type.
      *
      * @param {string} searchStr
      * @param {boolean} highlight - Whether or not to highlight the matching string in the operation
      *   name and description
-     * @returns {string[]}
+     * @returns {HTMLOperation[]}
      */
-    filterOperations(inStr, highlight) {
-        const matchedOps = [];
-        const matchedDescs = [];
+    filterOperations(searchStr, highlight) {
+        return searchOperations(searchStr, this.app.operations, this.usage).map(match => {
+            const operation = new HTMLOperation(match.name, this.app.operations[match.name], this.app, this.manager);
+            if (highlight) {
+                operation.highlightSearchStrings(calcMatchRanges(match.nameMatches), match.descPos, match.descLength);
+            }
+            return operation;
+        });
+    }
 
-        const searchStr = inStr.toLowerCase();
 
-        for (const opName in this.app.operations) {
-            const op = this.app.operations[opName];
-            const namePos = opName.toLowerCase().indexOf(searchStr);
-            const descPos = op.description.toLowerCase().indexOf(searchStr);
+    /**
+     * Loads how often and how recently the user has added each operation to their recipe, which
+     * is used to rank search results.
+     *
+     * @returns {Object} {counts, recent}
+     */
+    loadUsage() {
+        const usage = {counts: {}, recent: []};
+        if (!this.app.isLocalStorageAvailable() || !localStorage.opUsage) return usage;
+
+        try {
+            return Object.assign(usage, JSON.parse(localStorage.opUsage));
+        } catch (err) {
+            return usage;
+        }
+    }
 
-            if (namePos >= 0 || descPos >= 0) {
-                const operation = new HTMLOperation(opName, this.app.operations[opName], this.app, this.manager);
-                if (highlight) {
-                    operation.highlightSearchString(searchStr, namePos, descPos);
-                }
 
-                if (namePos < 0) {
-                    matchedOps.push(operation);
-                } else {
-                    matchedDescs.push(operation);
-                }
-            }
-        }
+    /**
+     * Records that the user has added an operation to their recipe.
+     *
+     * @param {string} opName
+     */
+    recordUsage(opName) {
+        if (!(opName in this.app.operations)) return;
 
-        return matchedDescs.concat(matchedOps);
+        this.usage.counts[opName] = (this.usage.counts[opName] || 0) + 1;
+        this.usage.recent = [opName].concat(this.usage.recent.filter(name => name !== opName)).slice(0, 10);
+
+        if (this.app.isLocalStorageAvailable()) {
+            localStorage.setItem("opUsage", JSON.stringify(this.usage));
+        }
     }
 
 
@@ -201,6 +223,7 @@ class OperationsWaiter {
         const li = e.target;
 
         this.manager.recipe.addOperation(li.textContent);
+        this.recordUsage(li.textContent);
     }
 
 
@@ -9,6 +9,8 @@ import Utils, { debounce } from "../../core/Utils.mjs";
 import Dish from "../../core/Dish.mjs";
 import FileSaver from "file-saver";
 import ZipWorker from "worker-loader?inline&fallback=false!../workers/ZipWorker.mjs";
+import { createEditor } from "../TextEditor.mjs";
+import CompareView from "../CompareView.mjs";
 
 /**
   * Waiter to handle events related to the output
@@ -25,10 +27,20 @@ class OutputWaiter {
         this.app = app;
         this.manager = manager;
 
+        this.outputEditor = createEditor(document.getElementById("output-text"), {
+            readOnly: true
+        });
         this.outputs = {};
         this.zipWorker = null;
         this.maxTabs = this.manager.tabs.calcMaxTabs();
         this.tabTimeout = null;
+        this.selectionMagicID = 0;
+        this.selectionMagicTarget = null;
+
+        this.compareView = new CompareView(document.getElementById("output-compare"));
+        this.compareID = 0;
+        // A snapshot of an output to compare against, as {inputNum, str, buffer}
+        this.pinnedOutput = null;
     }
 
     /**
@@ -239,6 +251,8 @@ class OutputWaiter {
         if (inputNum !== this.manager.tabs.getActiveOutputTab() ||
             !this.outputExists(inputNum)) return;
         this.toggleLoader(true);
+        this.hideSelectionMagic();
+        this.refreshCompare();
 
         return new Promise(async function(resolve, reject) {
             const output = this.outputs[inputNum],
@@ -248,8 +262,6 @@ class OutputWaiter {
             const outputText = document.getElementById("output-text");
             const outputHtml = document.getElementById("output-html");
             const outputFile = document.getElementById("output-file");
-            const outputHighlighter = document.getElementById("output-highlighter");
-            const inputHighlighter = document.getElementById("input-highlighter");
 
             // If pending or baking, show loader and status message
             // If error, style the tab and handle the error
@@ -282,15 +294,11 @@ class OutputWaiter {
                 outputText.classList.remove("blur");
                 outputHtml.style.display = "none";
                 outputFile.style.display = "none";
-                outputHighlighter.display = "none";
-                inputHighlighter.display = "none";
 
-                if (output.error) {
-                    outputText.value = output.error;
-                } else {
-                    outputText.value = output.data.result;
-                }
+                this.outputEditor.setValue(output.error ? output.error : output.data.result);
+                this.outputEditor.refresh();
                 outputHtml.innerHTML = "";
+                this.manager.hex.refreshOutput();
             } else if (output.status === "baked" || output.status === "inactive") {
                 document.querySelector("#output-loader .loading-msg").textContent = `Loading output ${inputNum}`;
                 this.closeFile();
@@ -300,15 +308,14 @@ class OutputWaiter {
                     outputText.style.display = "block";
                     outputHtml.style.display = "none";
                     outputFile.style.display = "none";
-                    outputHighlighter.display = "block";
-                    inputHighlighter.display = "block";
 
-                    outputText.value = "";
+                    this.outputEditor.setValue("");
                     outputHtml.innerHTML = "";
 
                     lines = 0;
                     length = 0;
                     this.toggleLoader(false);
+                    this.manager.hex.refreshOutput();
                     return;
                 }
 
@@ -317,10 +324,8 @@ class OutputWaiter {
                         outputText.style.display = "none";
                         outputHtml.style.display = "block";
                         outputFile.style.display = "none";
-                        outputHighlighter.style.display = "none";
-                        inputHighlighter.style.display = "none";
 
-                        outputText.value = "";
+                        this.outputEditor.setValue("");
                         outputHtml.innerHTML = output.data.result;
 
                         // Execute script sections
@@ -334,26 +339,30 @@ class OutputWaiter {
                         }
                         break;
                     case "ArrayBuffer":
+                    case "File":
                         outputText.style.display = "block";
                         outputHtml.style.display = "none";
-                        outputHighlighter.display = "none";
-                        inputHighlighter.display = "none";
 
-                        outputText.value = "";
+                        this.outputEditor.setValue("");
+                        this.outputEditor.refresh();
                         outputHtml.innerHTML = "";
 
-                        length = output.data.result.byteLength;
-                        this.setFile(await this.getDishBuffer(output.data.dish), activeTab);
+                        if (output.data.type === "File") {
+                            // Large outputs streamed from files are left in a File
+                            length = output.data.result.size;
+                            await this.setFile(output.data.result, activeTab);
+                        } else {
+                            length = output.data.result.byteLength;
+                            await this.setFile(await this.getDishBuffer(output.data.dish), activeTab);
+                        }
                         break;
                     case "string":
                     default:
                         outputText.style.display = "block";
                         outputHtml.style.display = "none";
                         outputFile.style.display = "none";
-                        outputHighlighter.display = "block";
-                        inputHighlighter.display = "block";
 
-                        outputText.value = Utils.printable(output.data.result, true);
+                        this.setOutputText(output.data.result);
                         outputHtml.innerHTML = "";
 
                         lines = output.data.result.count("\n") + 1;
@@ -369,6 +378,7 @@ class OutputWaiter {
                 }
 
                 this.setOutputInfo(length, lines, output.data.duration);
+                this.manager.hex.refreshOutput();
                 debounce(this.backgroundMagic, 50, "backgroundMagic", this, [])();
             }
         }.bind(this));
@@ -377,22 +387,37 @@ class OutputWaiter {
     /**
      * Shows file details
      *
-     * @param {ArrayBuffer} buf
+     * @param {ArrayBuffer|File} buf
      * @param {number} activeTab
      */
-    setFile(buf, activeTab) {
+    async setFile(buf, activeTab) {
         if (activeTab !== this.manager.tabs.getActiveOutputTab()) return;
         // Display file overlay in output area with details
         const fileOverlay = document.getElementById("output-file"),
             fileSize = document.getElementById("output-file-size"),
             outputText = document.getElementById("output-text"),
-            fileSlice = buf.slice(0, 4096);
+            isFile = buf instanceof Blob,
+            fileSlice = isFile ? (await Utils.readFile(buf.slice(0, 4096))).buffer : buf.slice(0, 4096);
 
         fileOverlay.style.display = "block";
-        fileSize.textContent = buf.byteLength.toLocaleString() + " bytes";
+        fileSize.textContent = (isFile ? buf.size : buf.byteLength).toLocaleString() + " bytes";
 
         outputText.classList.add("blur");
-        outputText.value = Utils.printable(Utils.arrayBufferToStr(fileSlice));
+        this.outputEditor.setValue(Utils.printable(Utils.arrayBufferToStr(fileSlice)));
+    }
+
+    /**
+     * Shows text in the output editor.
+     * Unless the treatAsUtf8 option is set, each byte is shown as a separate character.
+     *
+     * @param {string} str
+     */
+    setOutputText(str) {
+        if (!this.app.options.treatAsUtf8) {
+            str = Utils.byteArrayToChars(Utils.strToByteArray(str));
+        }
+        this.outputEditor.setValue(str);
+        this.outputEditor.refresh();
     }
 
     /**
@@ -468,7 +493,6 @@ class OutputWaiter {
         clearTimeout(this.outputLoaderTimeout);
 
         const outputLoader = document.getElementById("output-loader"),
-            outputElement = document.getElementById("output-text"),
             animation = document.getElementById("output-loader-animation");
 
         if (value) {
@@ -485,10 +509,10 @@ class OutputWaiter {
 
             // Show the loading screen
             this.outputLoaderTimeout = setTimeout(function() {
-                outputElement.disabled = true;
+                this.outputEditor.setOption("readOnly", "nocursor");
                 outputLoader.style.visibility = "visible";
                 outputLoader.style.opacity = 1;
-            }, 200);
+            }.bind(this), 200);
         } else {
             // Remove the Bombe from the DOM to save resources
             this.outputLoaderTimeout = setTimeout(function () {
@@ -496,7 +520,7 @@ class OutputWaiter {
                     animation.removeChild(this.bombeEl);
                 } catch (err) {}
             }.bind(this), 500);
-            outputElement.disabled = false;
+            this.outputEditor.setOption("readOnly", true);
             outputLoader.style.opacity = 0;
             outputLoader.style.visibility = "hidden";
         }
@@ -524,7 +548,8 @@ class OutputWaiter {
         // Assume if the user clicks cancel they don't want to download
         if (fileName === null) return;
 
-        const data = await dish.get(Dish.ARRAY_BUFFER),
+        // Large outputs streamed from files are already in a File, so do not need to be read
+        const data = dish.type === Dish.FILE ? dish.value : await dish.get(Dish.ARRAY_BUFFER),
             file = new File([data], fileName);
         FileSaver.saveAs(file, fileName, false);
     }
@@ -720,7 +745,7 @@ class OutputWaiter {
         debounce(this.set, 50, "setOutput", this, [inputNum])();
 
         document.getElementById("output-html").scroll(0, 0);
-        document.getElementById("output-text").scroll(0, 0);
+        this.outputEditor.scrollTo(0, 0);
 
         if (changeInput) {
             this.manager.input.changeTab(inputNum, false);
@@ -1108,6 +1133,313 @@ class OutputWaiter {
     }
 
 
+    /**
+     * Shows the button for suggesting recipes for the selected part of the output.
+     */
+    showSelectionMagicButton() {
+        if (document.getElementById("output-text").classList.contains("blur")) return;
+        document.getElementById("selection-magic").style.display = "inline-block";
+    }
+
+
+    /**
+     * Hides the button for suggesting recipes for the selected part of the output.
+     */
+    hideSelectionMagicButton() {
+        const button = document.getElementById("selection-magic");
+        $(button).tooltip("hide");
+        button.style.display = "none";
+    }
+
+
+    /**
+     * Handler for selection Magic click events.
+     * Asks Magic what it can do with the selected part of the output and lists its suggestions.
+     */
+    async selectionMagicClick() {
+        const dish = this.getOutputDish(this.manager.tabs.getActiveOutputTab()),
+            editor = this.outputEditor,
+            start = editor.indexFromPos(editor.getCursor("from")),
+            end = editor.indexFromPos(editor.getCursor("to"));
+        if (dish === null || start === end) return;
+
+        const buffer = await this.getDishBuffer(dish),
+            text = editor.getValue(),
+            id = ++this.selectionMagicID,
+            {byteStart, byteEnd, utf8} = this.selectionBytes(buffer, start, end);
+
+        this.selectionMagicTarget = this.selectionRecipe(text, start, end, byteStart, byteEnd, buffer.byteLength, utf8);
+        this.showSelectionMagicResults(`Looking for recipes for bytes ${byteStart} to ${byteEnd}...`, []);
+
+        this.manager.background.magic(buffer.slice(byteStart, byteEnd), response => {
+            if (id !== this.selectionMagicID) return;
+
+            const options = response && !response.error ?
+                response.dish.value.filter(o => o.recipe.length).slice(0, 5) : [];
+            this.showSelectionMagicResults(
+                options.length ? `Suggestions for bytes ${byteStart} to ${byteEnd}` : "No suggestions found",
+                options
+            );
+        });
+    }
+
+
+    /**
+     * Works out which output bytes a selection in the output editor covers.
+     *
+     * The output is only shown decoded as UTF-8 if the treatAsUtf8 option is set and the bytes
+     * are valid UTF-8. Otherwise each byte is shown as a separate character, so the offsets in
+     * the text are already byte offsets.
+     *
+     * @param {ArrayBuffer} buffer - The output bytes.
+     * @param {number} start - The start of the selection in the text.
+     * @param {number} end - The end of the selection in the text.
+     * @returns {Object} {byteStart, byteEnd, utf8} - utf8 is whether the output was decoded.
+     */
+    selectionBytes(buffer, start, end) {
+        let decoded = null;
+        if (this.app.options.treatAsUtf8) {
+            try {
+                decoded = new TextDecoder("utf-8", {fatal: true, ignoreBOM: true}).decode(buffer);
+            } catch (err) {
+                // Shown one character per byte
+            }
+        }
+        if (decoded === null) {
+            return {byteStart: start, byteEnd: end, utf8: false};
+        }
+
+        const encoder = new TextEncoder(),
+            byteStart = encoder.encode(decoded.slice(0, start)).length;
+        return {
+            byteStart,
+            byteEnd: byteStart + encoder.encode(decoded.slice(start, end)).length,
+            utf8: true
+        };
+    }
+
+
+    /**
+     * Works out the operations needed to run a recipe on just the selected part of the output.
+     * If the output is shown as UTF-8 and the selected text only appears once, it is picked out
+     * with a Subsection, so that the rest of the output is kept. Otherwise the selected bytes are
+     * taken by offset.
+     *
+     * @param {string} text - The text in the output editor.
+     * @param {number} start - The start of the selection in the text.
+     * @param {number} end - The end of the selection in the text.
+     * @param {number} byteStart - The start of the selection in the output bytes.
+     * @param {number} byteEnd - The end of the selection in the output bytes.
+     * @param {number} length - The number of bytes in the output.
+     * @param {boolean} utf8 - Whether the text is the output decoded as UTF-8.
+     * @returns {Object} {before, after} - Recipe configs to go before and after the suggested
+     *   operations.
+     */
+    selectionRecipe(text, start, end, byteStart, byteEnd, length, utf8) {
+        if (byteStart === 0 && byteEnd === length) {
+            return {before: [], after: []};
+        }
+
+        const selection = text.slice(start, end);
+        if (utf8 && text.indexOf(selection) === start &&
+            text.indexOf(selection, start + 1) < 0) {
+            return {
+                before: [{op: "Subsection", args: [Utils.escapeRegex(selection), true, false, false]}],
+                after: [{op: "Merge", args: []}]
+            };
+        }
+
+        return {
+            before: [{op: "Take bytes", args: [byteStart, byteEnd - byteStart, false]}],
+            after: []
+        };
+    }
+
+
+    /**
+     * Shows the Magic suggestions for the selected part of the output.
+     *
+     * @param {string} title
+     * @param {Object[]} options - The results of the Magic operation.
+     */
+    showSelectionMagicResults(title, options) {
+        const el = document.getElementById("selection-magic-results"),
+            {before, after} = this.selectionMagicTarget;
+
+        let html = `<div class="selection-magic-title">${title}<i class="material-icons" id="selection-magic-close">close</i></div><ul>`;
+        options.forEach(option => {
+            const recipe = before.concat(option.recipe, after),
+                opSequence = option.recipe.map(o => o.op).join(", ");
+
+            html += `<li class="selection-magic-option" data-recipe="${Utils.escapeHtml(JSON.stringify(recipe))}">
+                <i>${opSequence}</i> will produce <span class="data-text">"${Utils.escapeHtml(Utils.truncate(option.data, 50))}"</span>
+            </li>`;
+        });
+        html += "</ul>";
+
+        el.innerHTML = html;
+        el.style.display = "block";
+    }
+
+
+    /**
+     * Hides the Magic suggestions for the selected part of the output.
+     */
+    hideSelectionMagic() {
+        this.selectionMagicID++;
+        document.getElementById("selection-magic-results").style.display = "none";
+    }
+
+
+    /**
+     * Handler for clicks on Magic suggestions for the selected part of the output.
+     * Adds the suggested operations to the end of the recipe.
+     *
+     * @param {event} e
+     */
+    selectionMagicOptionClick(e) {
+        const option = e.target.closest(".selection-magic-option"),
+            recipe = JSON.parse(option.getAttribute("data-recipe"));
+
+        this.app.setRecipeConfig(this.app.getRecipeConfig().concat(recipe));
+        window.dispatchEvent(this.manager.statechange);
+        this.hideSelectionMagic();
+    }
+
+
+    /**
+     * Whether the compare view is being shown.
+     *
+     * @returns {boolean}
+     */
+    isCompareVisible() {
+        return this.compareView.el.style.display === "flex";
+    }
+
+
+    /**
+     * Handler for compare toggle click events.
+     */
+    compareToggleClick() {
+        this.toggleCompare(!this.isCompareVisible());
+    }
+
+
+    /**
+     * Shows or hides the compare view.
+     *
+     * @param {boolean} show
+     */
+    toggleCompare(show) {
+        this.compareView.el.style.display = show ? "flex" : "none";
+        document.getElementById("compare-toggle").classList.toggle("compare-toggle-active", show);
+        if (!show) return;
+
+        this.manager.hex.toggle("output", false);
+        this.compareView.refresh();
+        this.refreshCompare();
+    }
+
+
+    /**
+     * Lists the outputs which the current output can be compared with, keeping the one already
+     * chosen if it is still there.
+     */
+    populateCompareSources() {
+        const select = document.getElementById("compare-source"),
+            activeTab = this.manager.tabs.getActiveOutputTab(),
+            selected = select.value;
+        let html = "";
+
+        if (this.pinnedOutput) {
+            html += `<option value="pinned">Pinned snapshot of tab ${this.pinnedOutput.inputNum}</option>`;
+        }
+        Object.keys(this.outputs)
+            .map(num => parseInt(num, 10))
+            .filter(num => num !== activeTab)
+            .sort((a, b) => a - b)
+            .forEach(num => {
+                html += `<option value="${num}">Tab ${num}</option>`;
+            });
+
+        select.innerHTML = html || "<option value=\"\">Nothing to compare with</option>";
+        if (select.querySelector(`option[value="${selected}"]`)) {
+            select.value = selected;
+        }
+    }
+
+
+    /**
+     * Gets the text and bytes of an output to compare.
+     *
+     * @param {string} source - The inputNum of an output tab, or "pinned" for the snapshot.
+     * @returns {Object|null} {str, buffer}
+     */
+    async getCompareData(source) {
+        if (source === "pinned") return this.pinnedOutput;
+
+        const dish = this.getOutputDish(parseInt(source, 10));
+        if (dish === null) return null;
+
+        return {
+            str: await this.getDishStr(dish),
+            buffer: await this.getDishBuffer(dish)
+        };
+    }
+
+
+    /**
+     * Compares the current output with the chosen output, if the compare view is being shown.
+     */
+    async refreshCompare() {
+        if (!this.isCompareVisible()) return;
+        const id = ++this.compareID;
+
+        this.populateCompareSources();
+        const source = document.getElementById("compare-source").value,
+            mode = document.getElementById("compare-mode").value;
+
+        if (!source) {
+            this.compareView.clear("Bake more than one input or pin a snapshot of this output to compare with it");
+            return;
+        }
+
+        const current = await this.getCompareData(this.manager.tabs.getActiveOutputTab()),
+            other = await this.getCompareData(source);
+
+        // Another comparison has been started while we were waiting for the data
+        if (id !== this.compareID) return;
+
+        if (current === null || other === null) {
+            this.compareView.clear("Waiting for both outputs to finish baking");
+        } else if (mode === "bytes") {
+            this.compareView.showBytes(new Uint8Array(current.buffer), new Uint8Array(other.buffer));
+        } else {
+            this.compareView.showText(current.str, other.str);
+        }
+    }
+
+
+    /**
+     * Handler for compare pin click events.
+     * Takes a snapshot of the current output so that later outputs can be compared with it.
+     */
+    async comparePinClick() {
+        const inputNum = this.manager.tabs.getActiveOutputTab(),
+            data = await this.getCompareData(inputNum);
+
+        if (data === null) {
+            this.app.alert("There is no output to pin yet.", 3000);
+            return;
+        }
+
+        this.pinnedOutput = Object.assign({inputNum}, data);
+        this.populateCompareSources();
+        document.getElementById("compare-source").value = "pinned";
+        this.refreshCompare();
+    }
+
+
     /**
      * Handler for file slice display events.
      */
@@ -1117,8 +1449,6 @@ class OutputWaiter {
         const outputText = document.getElementById("output-text"),
             outputHtml = document.getElementById("output-html"),
             outputFile = document.getElementById("output-file"),
-            outputHighlighter = document.getElementById("output-highlighter"),
-            inputHighlighter = document.getElementById("input-highlighter"),
             showFileOverlay = document.getElementById("show-file-overlay"),
             sliceFromEl = document.getElementById("output-file-slice-from"),
             sliceToEl = document.getElementById("output-file-slice-to"),
@@ -1129,19 +1459,18 @@ class OutputWaiter {
         let str;
         if (output.type === "ArrayBuffer") {
             str = Utils.arrayBufferToStr(output.result.slice(sliceFrom, sliceTo));
+        } else if (output.type === "File") {
+            str = Utils.arrayBufferToStr((await Utils.readFile(output.result.slice(sliceFrom, sliceTo))).buffer);
         } else {
             str = Utils.arrayBufferToStr(await this.getDishBuffer(output.dish).slice(sliceFrom, sliceTo));
         }
 
         outputText.classList.remove("blur");
         showFileOverlay.style.display = "block";
-        outputText.value = Utils.printable(str, true);
-
         outputText.style.display = "block";
         outputHtml.style.display = "none";
         outputFile.style.display = "none";
-        outputHighlighter.display = "block";
-        inputHighlighter.display = "block";
+        this.setOutputText(str);
 
         this.toggleLoader(false);
     }
@@ -1155,27 +1484,24 @@ class OutputWaiter {
         const outputText = document.getElementById("output-text"),
             outputHtml = document.getElementById("output-html"),
             outputFile = document.getElementById("output-file"),
-            outputHighlighter = document.getElementById("output-highlighter"),
-            inputHighlighter = document.getElementById("input-highlighter"),
             showFileOverlay = document.getElementById("show-file-overlay"),
             output = this.outputs[this.manager.tabs.getActiveOutputTab()].data;
 
         let str;
         if (output.type === "ArrayBuffer") {
             str = Utils.arrayBufferToStr(output.result);
+        } else if (output.type === "File") {
+            str = Utils.arrayBufferToStr((await Utils.readFile(output.result)).buffer);
         } else {
             str = Utils.arrayBufferToStr(await this.getDishBuffer(output.dish));
         }
 
         outputText.classList.remove("blur");
         showFileOverlay.style.display = "none";
-        outputText.value = Utils.printable(str, true);
-
         outputText.style.display = "block";
         outputHtml.style.display = "none";
         outputFile.style.display = "none";
-        outputHighlighter.display = "block";
-        inputHighlighter.display = "block";
+        this.setOutputText(str);
 
         this.toggleLoader(false);
     }
@@ -1255,21 +1581,6 @@ class OutputWaiter {
         document.body.removeChild(textarea);
     }
 
-    /**
-     * Returns true if the output contains carriage returns
-     *
-     * @returns {boolean}
-     */
-    async containsCR() {
-        const dish = this.getOutputDish(this.manager.tabs.getActiveOutputTab());
-        if (dish === null) return;
-
-        if (dish.type === Dish.STRING) {
-            const data = await dish.get(Dish.STRING);
-            return data.indexOf("\r") >= 0;
-        }
-    }
-
     /**
      * Handler for switch click events.
      * Moves the current output into the input textarea.
@@ -1293,10 +1604,7 @@ class OutputWaiter {
 
         if (this.outputs[activeTab].data.type === "string" &&
             active.byteLength <= this.app.options.ioDisplayThreshold * 1024) {
-            const dishString = await this.getDishStr(this.getOutputDish(activeTab));
-            if (!await this.manager.input.preserveCarriageReturns(dishString)) {
-                active = dishString;
-            }
+            active = await this.getDishStr(this.getOutputDish(activeTab));
         } else {
             transferable.push(active);
         }
@@ -1379,6 +1687,7 @@ class OutputWaiter {
             this.app.columnSplitter.collapse(0);
             this.app.columnSplitter.collapse(1);
             this.app.ioSplitter.collapse(0);
+            this.app.ioResize();
 
             $(el).attr("data-original-title", "Restore output pane");
             el.querySelector("i").innerHTML = "fullscreen_exit";
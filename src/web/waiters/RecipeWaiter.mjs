@@ -7,6 +7,7 @@
 import HTMLOperation from "../HTMLOperation.mjs";
 import Sortable from "sortablejs";
 import Utils from "../../core/Utils.mjs";
+import { LOOP_OPERATIONS } from "../../core/lib/FlowControl.mjs";
 
 
 /**
@@ -145,6 +146,7 @@ class RecipeWaiter {
         }
 
         this.buildRecipeOperation(evt.item);
+        this.manager.ops.recordUsage(evt.item.querySelector(".op-title").textContent);
         evt.item.dispatchEvent(this.manager.operationadd);
     }
 
@@ -262,6 +264,48 @@ class RecipeWaiter {
     }
 
 
+    /**
+     * Handler for "On error" icon click events.
+     * Cycles through stopping the recipe, skipping the operation and jumping to each of the
+     * Labels in the recipe.
+     *
+     * @fires Manager#statechange
+     * @param {event} e
+     */
+    onErrorClick(e) {
+        const labels = Array.from(document.querySelectorAll("#rec-list li.operation"))
+            .filter(op => op.querySelector(".op-title").textContent === "Label")
+            .map(op => "jump:" + op.querySelector(".arg").value);
+        const policies = ["stop", "skip"].concat(labels);
+        const next = policies[(policies.indexOf(e.target.getAttribute("on-error")) + 1) % policies.length];
+
+        this.setOnError(e.target.closest("li.operation"), next);
+        window.dispatchEvent(this.manager.statechange);
+    }
+
+
+    /**
+     * Sets the "On error" policy of an operation in the recipe and updates its icon.
+     *
+     * @param {HTMLElement} op - The operation's list item
+     * @param {string} policy - "stop", "skip" or "jump:<label name>"
+     */
+    setOnError(op, policy) {
+        const icon = op.querySelector(".on-error-icon");
+        let title = "On error: stop the recipe";
+
+        if (policy === "skip") {
+            title = "On error: skip this operation";
+        } else if (policy.startsWith("jump:")) {
+            title = `On error: jump to '${policy.slice(5)}'`;
+        }
+
+        icon.setAttribute("on-error", policy);
+        icon.setAttribute("title", title);
+        icon.classList.toggle("on-error-icon-selected", policy !== "stop");
+    }
+
+
     /**
      * Handler for operation doubleclick events.
      * Removes the operation from the recipe and auto bakes.
@@ -295,13 +339,14 @@ class RecipeWaiter {
      */
     getConfig() {
         const config = [];
-        let ingredients, ingList, disabled, bp, item;
+        let ingredients, ingList, disabled, bp, onError, item;
         const operations = document.querySelectorAll("#rec-list li.operation");
 
         for (let i = 0; i < operations.length; i++) {
             ingredients = [];
             disabled = operations[i].querySelector(".disable-icon");
             bp = operations[i].querySelector(".breakpoint");
+            onError = operations[i].querySelector(".on-error-icon");
             ingList = operations[i].querySelectorAll(".arg");
 
             for (let j = 0; j < ingList.length; j++) {
@@ -336,6 +381,10 @@ class RecipeWaiter {
                 item.breakpoint = true;
             }
 
+            if (onError && onError.getAttribute("on-error") !== "stop") {
+                item.onError = onError.getAttribute("on-error");
+            }
+
             config.push(item);
         }
 
@@ -361,6 +410,31 @@ class RecipeWaiter {
     }
 
 
+    /**
+     * Indents the operations inside If/Else and loop blocks so that the structure of the
+     * recipe can be seen at a glance. Disabled operations do not start or end blocks.
+     */
+    indentBlocks() {
+        const operations = document.querySelectorAll("#rec-list li.operation");
+        let depth = 0;
+
+        operations.forEach(op => {
+            const name = op.querySelector(".op-title").textContent,
+                enabled = !op.classList.contains("disabled");
+
+            if (enabled && ["Else", "End If", "End Loop"].includes(name)) {
+                depth = Math.max(depth - 1, 0);
+            }
+
+            op.style.setProperty("--block-depth", depth);
+
+            if (enabled && ["If", "Else"].concat(LOOP_OPERATIONS).includes(name)) {
+                depth++;
+            }
+        });
+    }
+
+
     /**
      * Given an operation stub element, this function converts it into a full recipe element with
      * arguments.
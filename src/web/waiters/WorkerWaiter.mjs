@@ -8,6 +8,13 @@
 import ChefWorker from "worker-loader?inline&fallback=false!../../core/ChefWorker.js";
 import DishWorker from "worker-loader?inline&fallback=false!../workers/DishWorker.mjs";
 import { debounce } from "../../core/Utils.mjs";
+import { splitForkJob } from "../../core/lib/Fork.mjs";
+
+/**
+ * How long in ms a ChefWorker is given to stop its bake when it is cancelled before it is
+ * terminated.
+ */
+const CANCEL_TIMEOUT = 1000;
 
 /**
  * Waiter to handle conversations with the ChefWorker
@@ -33,6 +40,8 @@ class WorkerWaiter {
         this.bakeId = 0;
         this.callbacks = {};
         this.callbackID = 0;
+        this.forkJobs = {};
+        this.forkJobID = 0;
 
         this.maxWorkers = 1;
         if (navigator.hardwareConcurrency !== undefined &&
@@ -110,7 +119,8 @@ class WorkerWaiter {
         const newWorkerObj = {
             worker: newWorker,
             active: false,
-            inputNum: -1
+            inputNum: -1,
+            cancelTimer: null
         };
 
         this.chefWorkers.push(newWorkerObj);
@@ -146,6 +156,7 @@ class WorkerWaiter {
 
         if (this.chefWorkers.length > 1 || this.chefWorkers[index].active) {
             log.debug(`Removing ChefWorker at index ${index}`);
+            clearTimeout(this.chefWorkers[index].cancelTimer);
             this.chefWorkers[index].worker.terminate();
             this.chefWorkers.splice(index, 1);
         }
@@ -156,6 +167,26 @@ class WorkerWaiter {
         }
     }
 
+    /**
+     * Asks a ChefWorker to stop its bake. The worker stops at the next operation, or as soon
+     * as the running operation checks for it, but operations which run synchronously cannot
+     * see the request until they finish, so the worker is terminated if it has not stopped
+     * within CANCEL_TIMEOUT ms. The worker stays active until then so that it is not given
+     * another input.
+     *
+     * @param {Object} workerObj
+     */
+    stopChefWorker(workerObj) {
+        if (workerObj.cancelTimer !== null) return;
+
+        log.debug(`Cancelling the bake on ChefWorker ${this.chefWorkers.indexOf(workerObj)}`);
+        workerObj.worker.postMessage({action: "cancelBake"});
+        workerObj.cancelTimer = setTimeout(() => {
+            workerObj.cancelTimer = null;
+            this.removeChefWorker(workerObj);
+        }, CANCEL_TIMEOUT);
+    }
+
     /**
      * Finds and returns the object for the ChefWorker of a given inputNum
      *
@@ -183,6 +214,21 @@ class WorkerWaiter {
             inputNum = r.data.inputNum;
         }
 
+        // Results from cancelled bakes are thrown away. The worker can be used again once it
+        // has stopped.
+        const sender = this.chefWorkers.find(w => w.worker === e.target);
+        if (sender && sender.cancelTimer !== null) {
+            if (["bakeComplete", "bakeError", "forkJobComplete"].includes(r.action)) {
+                clearTimeout(sender.cancelTimer);
+                sender.cancelTimer = null;
+                sender.active = false;
+                if (this.inputs.length > 0) {
+                    this.bakeNextInput(this.chefWorkers.indexOf(sender));
+                }
+            }
+            return;
+        }
+
         const currentWorker = this.getChefWorker(inputNum);
 
         switch (r.action) {
@@ -241,12 +287,114 @@ class WorkerWaiter {
             case "highlightsCalculated":
                 this.manager.highlighter.displayHighlights(r.data.pos, r.data.direction);
                 break;
+            case "forkBranches":
+                this.runForkBranches(e.target, r.data);
+                break;
+            case "forkJobComplete":
+                this.forkJobComplete(e.target, r.data);
+                break;
             default:
                 log.error("Unrecognised message from ChefWorker", e);
                 break;
         }
     }
 
+    /**
+     * Shares the branches of a parallel Fork between any ChefWorkers which are not busy,
+     * adding more if there is room. If there are none, the ChefWorker running the Fork is
+     * told to run the branches itself.
+     *
+     * @param {Worker} requester - The ChefWorker running the Fork
+     * @param {Object} data
+     * @param {number} data.id - The ID the requester uses for the Fork
+     * @param {Object} data.job - The branches to run
+     * @param {number} data.inputNum - The input the Fork is being run on
+     */
+    runForkBranches(requester, data) {
+        const helpers = [];
+
+        while (helpers.length < data.job.inputs.length) {
+            let workerIdx = this.getInactiveChefWorker(true);
+            if (workerIdx === -1) {
+                workerIdx = this.addChefWorker();
+                if (workerIdx === -1) break;
+                this.chefWorkers[workerIdx].active = true;
+            }
+            helpers.push(this.chefWorkers[workerIdx]);
+        }
+
+        if (helpers.length === 0) {
+            requester.postMessage({
+                action: "forkBranchesComplete",
+                data: {
+                    id: data.id,
+                    results: null
+                }
+            });
+            return;
+        }
+
+        log.debug(`Running Fork branches on ${helpers.length} ChefWorkers`);
+
+        const jobs = splitForkJob(data.job, helpers.length),
+            id = this.forkJobID++;
+
+        this.forkJobs[id] = {
+            requester: requester,
+            requesterId: data.id,
+            results: new Array(jobs.length),
+            remaining: jobs.length
+        };
+
+        jobs.forEach((job, i) => {
+            helpers[i].worker.postMessage({
+                action: "runForkJob",
+                data: {
+                    id: id,
+                    index: i,
+                    job: job,
+                    savedRecipes: this.manager.controls.getSavedRecipes(),
+                    inputNum: data.inputNum
+                }
+            });
+        });
+
+        // Any spare workers are freed straight away
+        helpers.slice(jobs.length).forEach(helper => this.workerFinished(helper));
+    }
+
+    /**
+     * Handler for a ChefWorker finishing its share of the branches of a parallel Fork. Once all
+     * of the shares are finished, the results are sent back to the ChefWorker running the Fork.
+     *
+     * @param {Worker} helper - The ChefWorker which ran the branches
+     * @param {Object} data
+     * @param {number} data.id
+     * @param {number} data.index
+     * @param {Object} [data.result]
+     * @param {Object} [data.error]
+     */
+    forkJobComplete(helper, data) {
+        const forkJob = this.forkJobs[data.id],
+            helperObj = this.chefWorkers.find(w => w.worker === helper);
+
+        if (helperObj) this.workerFinished(helperObj);
+        // The bake may have been cancelled
+        if (!forkJob) return;
+
+        forkJob.results[data.index] = data.error ? {error: data.error} : data.result;
+        if (--forkJob.remaining > 0) return;
+
+        delete this.forkJobs[data.id];
+        forkJob.requester.postMessage({
+            action: "forkBranchesComplete",
+            data: {
+                id: forkJob.requesterId,
+                results: forkJob.results
+            }
+        });
+    }
+
     /**
      * Update the value of an output
      *
@@ -312,17 +460,19 @@ class WorkerWaiter {
     }
 
     /**
-     * Cancels the current bake by terminating and removing all ChefWorkers
+     * Cancels the current bake by asking the active ChefWorkers to stop
      *
      * @param {boolean} [silent=false] - If true, don't set the output
-     * @param {boolean} killAll - If true, kills all chefWorkers regardless of status
+     * @param {boolean} killAll - If true, also removes the inactive chefWorkers
      */
     cancelBake(silent, killAll) {
         for (let i = this.chefWorkers.length - 1; i >= 0; i--) {
-            if (this.chefWorkers[i].active || killAll) {
-                const inputNum = this.chefWorkers[i].inputNum;
-                this.removeChefWorker(this.chefWorkers[i]);
-                this.manager.output.updateOutputStatus("inactive", inputNum);
+            const workerObj = this.chefWorkers[i];
+            if (workerObj.active) {
+                this.stopChefWorker(workerObj);
+                this.manager.output.updateOutputStatus("inactive", workerObj.inputNum);
+            } else if (killAll) {
+                this.removeChefWorker(workerObj);
             }
         }
         this.setBakingStatus(false);
@@ -342,6 +492,7 @@ class WorkerWaiter {
 
         this.inputs = [];
         this.inputNums = [];
+        this.forkJobs = {};
         this.totalOutputs = 0;
         this.loadingOutputs = 0;
         if (!silent) this.manager.output.set(this.manager.tabs.getActiveOutputTab());
@@ -461,6 +612,8 @@ class WorkerWaiter {
                 input: input,
                 recipeConfig: recipeConfig,
                 options: this.options,
+                savedRecipes: this.manager.controls.getSavedRecipes(),
+                inputMetadata: nextInput.metadata,
                 inputNum: nextInput.inputNum,
                 bakeId: this.bakeId
             }
@@ -505,6 +658,7 @@ class WorkerWaiter {
      * @param {object} inputData
      * @param {string | ArrayBuffer} inputData.input
      * @param {number} inputData.inputNum
+     * @param {Object} inputData.metadata - The filename, length and tab number of the input
      * @param {number} inputData.bakeId
      */
     queueInput(inputData) {
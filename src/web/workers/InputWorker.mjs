@@ -213,14 +213,24 @@ self.bakeInput = function(inputNum, bakeId) {
         return;
     }
 
+    // Describes the input to the recipe, which can refer to these as variables
+    const metadata = {
+        tabNumber: inputNum
+    };
+
     let inputData = inputObj.data;
-    if (typeof inputData !== "string") inputData = inputData.fileBuffer;
+    if (typeof inputData !== "string") {
+        metadata.filename = inputData.name;
+        metadata.length = inputData.size;
+        inputData = inputData.file || inputData.fileBuffer;
+    }
 
     self.postMessage({
         action: "queueInput",
         data: {
             input: inputData,
             inputNum: inputNum,
+            metadata: metadata,
             bakeId: bakeId
         }
     });
@@ -639,6 +649,7 @@ self.loaderWorkerReady = function(workerData) {
  * @param {number} r.inputNum - The inputNum which the message corresponds to
  * @param {string} r.error - Present if an error is fired by the loaderWorker. Contains the error message string.
  * @param {ArrayBuffer} r.fileBuffer - Present if a file has finished loading. Contains the loaded file buffer.
+ * @param {File} r.file - Present if a file is too large to load. The fileBuffer then only contains the start of it.
  */
 self.handleLoaderMessage = function(r) {
     let inputNum = 0;
@@ -669,6 +680,10 @@ self.handleLoaderMessage = function(r) {
             inputNum: inputNum,
             value: r.fileBuffer
         });
+        if ("file" in r && self.inputs[inputNum] !== undefined) {
+            // Kept so that the whole file can be streamed through the recipe
+            self.inputs[inputNum].data.file = r.file;
+        }
 
         self.postMessage({
             action: "fileLoaded",
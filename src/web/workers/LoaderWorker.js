@@ -44,8 +44,18 @@ self.addEventListener("message", function(e) {
  */
 self.loadFile = function(file, inputNum) {
     const reader = new FileReader();
+
+    reader.onerror = function(e) {
+        self.postMessage({"error": reader.error.message, "inputNum": inputNum, "id": self.id});
+    };
+
     if (file.size >= 256*256*256*128) {
-        self.postMessage({"error": "File size too large.", "inputNum": inputNum, "id": self.id});
+        // Too large to hold in memory, so only load enough to display. The File itself is
+        // sent back so that it can be streamed through the recipe when baking.
+        reader.onload = function(e) {
+            self.postMessage({"fileBuffer": reader.result, "file": file, "inputNum": inputNum, "id": self.id}, [reader.result]);
+        };
+        reader.readAsArrayBuffer(file.slice(0, 512001));
         return;
     }
     const data = new Uint8Array(file.size);
@@ -68,9 +78,5 @@ self.loadFile = function(file, inputNum) {
         seek();
     };
 
-    reader.onerror = function(e) {
-        self.postMessage({"error": reader.error.message, "inputNum": inputNum, "id": self.id});
-    };
-
     seek();
 };
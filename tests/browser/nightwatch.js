@@ -81,7 +81,9 @@ module.exports = {
         // Enter input
         browser
             .useCss()
-            .setValue("#input-text", "Don't Panic.")
+            .execute(function() {
+                window.app.manager.input.inputEditor.setValue("Don't Panic.");
+            })
             .pause(1000)
             .click("#bake");
 
@@ -89,7 +91,7 @@ module.exports = {
         browser
             .useCss()
             .waitForElementNotVisible("#stale-indicator", 1000)
-            .expect.element("#output-text").to.have.value.that.equals("44 6f 6e 27 74 20 50 61 6e 69 63 2e");
+            .expect.element("#output-text .CodeMirror-line").text.to.equal("44 6f 6e 27 74 20 50 61 6e 69 63 2e");
 
         // Clear recipe
         browser
@@ -205,7 +207,7 @@ module.exports = {
             .useCss()
             .waitForElementVisible(".operation .op-title", 1000)
             .waitForElementNotVisible("#stale-indicator", 1000)
-            .expect.element("#output-text").to.have.value.which.matches(/[\da-f-]{36}/);
+            .expect.element("#output-text .CodeMirror-line").text.to.match(/[\da-f-]{36}/);
 
         browser.click("#clr-recipe");
     },
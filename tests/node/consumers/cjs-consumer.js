@@ -9,7 +9,7 @@
 const chef = require("cyberchef");
 const assert = require("assert");
 
-const d = chef.bake("Testing, 1 2 3", [
+chef.bake("Testing, 1 2 3", [
     chef.toHex,
     chef.reverse,
     {
@@ -24,6 +24,10 @@ const d = chef.bake("Testing, 1 2 3", [
             delimiter: "Space",
         }
     }
-]);
-
-assert.equal(d.value, "630957449041920");
+]).then((d) => {
+    assert.equal(d.value, "630957449041920");
+}).catch((err) => {
+    // Unhandled rejections do not fail the process
+    process.exitCode = 1;
+    throw err;
+});
@@ -8,7 +8,7 @@
 import assert from "assert";
 import chef from "cyberchef";
 
-const d = chef.bake("Testing, 1 2 3", [
+chef.bake("Testing, 1 2 3", [
     chef.toHex,
     chef.reverse,
     {
@@ -23,6 +23,10 @@ const d = chef.bake("Testing, 1 2 3", [
             delimiter: "Space",
         }
     }
-]);
-
-assert.equal(d.value, "630957449041920");
+]).then((d) => {
+    assert.equal(d.value, "630957449041920");
+}).catch((err) => {
+    // Unhandled rejections do not fail the process
+    process.exitCode = 1;
+    throw err;
+});
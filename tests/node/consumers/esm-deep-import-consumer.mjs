@@ -8,7 +8,7 @@
 import assert from "assert";
 import { bake, toHex, reverse, unique, multiply } from "cyberchef/src/node/index.mjs";
 
-const d = bake("Testing, 1 2 3", [
+bake("Testing, 1 2 3", [
     toHex,
     reverse,
     {
@@ -23,6 +23,10 @@ const d = bake("Testing, 1 2 3", [
             delimiter: "Space",
         }
     }
-]);
-
-assert.equal(d.value, "630957449041920");
+]).then((d) => {
+    assert.equal(d.value, "630957449041920");
+}).catch((err) => {
+    // Unhandled rejections do not fail the process
+    process.exitCode = 1;
+    throw err;
+});
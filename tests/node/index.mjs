@@ -23,6 +23,15 @@ import "./tests/Dish.mjs";
 import "./tests/NodeDish.mjs";
 import "./tests/Utils.mjs";
 import "./tests/Categories.mjs";
+import "./tests/Chef.mjs";
+import "./tests/DishStream.mjs";
+import "./tests/cli.mjs";
+import "./tests/server.mjs";
+import "./tests/ChefPool.mjs";
+import "./tests/ForkPool.mjs";
+import "./tests/repl.mjs";
+import "./tests/OperationSearch.mjs";
+import "./tests/Compare.mjs";
 
 const testStatus = {
     allTestsPassing: true,
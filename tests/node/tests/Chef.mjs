@@ -0,0 +1,434 @@
+/**
+ * Chef tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import Chef from "../../../src/core/Chef.mjs";
+import XORBruteForce from "../../../src/core/operations/XORBruteForce.mjs";
+import ToBase64 from "../../../src/core/operations/ToBase64.mjs";
+import MagicLib from "../../../src/core/lib/Magic.mjs";
+import Recipe from "../../../src/core/Recipe.mjs";
+import Dish from "../../../src/core/Dish.mjs";
+import Utils from "../../../src/core/Utils.mjs";
+import RecipeCache from "../../../src/core/lib/RecipeCache.mjs";
+import { runForkBranches } from "../../../src/core/lib/FlowControl.mjs";
+import { getForkExecutor, setForkExecutor, splitForkJob, mergeForkResults } from "../../../src/core/lib/Fork.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+
+TestRegister.addApiTests([
+    it("Chef - bake: should not record a trace by default", async () => {
+        const result = await new Chef().bake("hello", [{op: "To Base64", args: ["A-Za-z0-9+/="]}], {});
+        assert.strictEqual(result.trace, null);
+    }),
+
+    it("Chef - bake: should record a trace of each operation run", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "To Base64", args: ["A-Za-z0-9+/="]},
+            {op: "To Hex", args: ["Space", 0]}
+        ], {trace: true});
+
+        assert.strictEqual(result.trace.length, 2);
+        assert.deepStrictEqual(Object.assign({}, result.trace[0], {duration: 0}), {
+            op: "To Base64",
+            index: 0,
+            inputType: "ArrayBuffer",
+            outputType: "string",
+            byteLength: 8,
+            duration: 0,
+            preview: "aGVsbG8="
+        });
+        assert.strictEqual(result.trace[1].op, "To Hex");
+        assert.strictEqual(result.trace[1].index, 1);
+        assert.strictEqual(result.trace[1].preview, "61 47 56 73 62 47 38 3d");
+    }),
+
+    it("Chef - bake: should truncate trace previews and replace unprintable characters", async () => {
+        const result = await new Chef().bake("41".repeat(200) + "00", [
+            {op: "From Hex", args: ["None"]}
+        ], {trace: true});
+
+        assert.strictEqual(result.trace[0].byteLength, 201);
+        assert.strictEqual(result.trace[0].preview, "A".repeat(97) + "...");
+    }),
+
+    it("Chef - bake: should trace operations run inside a Fork with their recipe index", async () => {
+        const result = await new Chef().bake("a\nb", [
+            {op: "Fork", args: ["\\n", "\\n", false]},
+            {op: "To Upper case", args: ["All"]}
+        ], {trace: true});
+
+        assert.deepStrictEqual(result.trace.map(t => [t.op, t.index]), [
+            ["Fork", 0],
+            ["To Upper case", 1],
+            ["To Upper case", 1]
+        ]);
+        assert.strictEqual(result.trace[0].preview, "A.B");
+    }),
+
+    it("Chef - bake: should trace operations run by Run Saved Recipe after it", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "Run Saved Recipe", args: ["Inline recipe", "", "To_Upper_case('All')\nReverse('Character')"]},
+            {op: "To Hex", args: ["None", 0]}
+        ], {trace: true});
+
+        assert.deepStrictEqual(result.trace.map(t => [t.op, t.index, t.preview]), [
+            ["Run Saved Recipe", 0, "OLLEH"],
+            ["To Upper case", 0, "HELLO"],
+            ["Reverse", 1, "OLLEH"],
+            ["To Hex", 1, "4f4c4c4548"]
+        ]);
+    }),
+
+    it("Chef - bake: should record the error of a failing operation in the trace", async () => {
+        const result = await new Chef().bake("1", [
+            {op: "Set Union", args: ["\\n\\n", " "]}
+        ], {trace: true});
+
+        assert.strictEqual(result.trace.length, 1);
+        assert.strictEqual(result.trace[0].error, result.result);
+    }),
+
+    it("Chef - bake: should stop once the signal is aborted", async () => {
+        let checks = 0;
+        const signal = {
+            get aborted() {
+                return ++checks > 1;
+            }
+        };
+        const result = await new Chef().bake("hello", [
+            {op: "To Base64", args: ["A-Za-z0-9+/="]},
+            {op: "To Hex", args: ["Space", 0]}
+        ], {signal: signal});
+
+        assert.strictEqual(result.progress, 1);
+        assert.strictEqual(result.result, "aGVsbG8=");
+        assert.strictEqual(result.error.displayStr, "To Hex - The bake was cancelled");
+    }),
+
+    it("Chef - bake: should stop inside a Fork even if errors are ignored", async () => {
+        let checks = 0;
+        const signal = {
+            get aborted() {
+                return ++checks > 2;
+            }
+        };
+        const result = await new Chef().bake("a\nb", [
+            {op: "Fork", args: ["\\n", "\\n", true]},
+            {op: "To Upper case", args: ["All"]}
+        ], {signal: signal});
+
+        assert(result.error);
+        assert(result.error.displayStr.endsWith("The bake was cancelled"));
+    }),
+
+    it("Chef - bake: should stop at an operation which fails by default", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "From Base64", args: ["abc", true]},
+            {op: "To Upper case", args: ["All"]}
+        ], {});
+
+        assert.strictEqual(result.result, "Invalid Base64 alphabet length (3): abc");
+        assert.strictEqual(result.progress, 0);
+    }),
+
+    it("Chef - bake: should pass the input through operations which fail with onError set to skip", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "From Base64", args: ["abc", true], onError: "skip"},
+            {op: "To Upper case", args: ["All"]}
+        ], {trace: true});
+
+        assert.strictEqual(result.result, "HELLO");
+        assert.strictEqual(result.trace[0].error, "Invalid Base64 alphabet length (3): abc");
+        assert.strictEqual(result.trace[0].preview, "hello");
+    }),
+
+    it("Chef - bake: should skip operations which throw unexpected errors with onError set to skip", async () => {
+        const result = await new Chef().bake("not gzipped", [
+            {op: "Gunzip", args: [], onError: "skip"},
+            {op: "To Upper case", args: ["All"]}
+        ], {});
+
+        assert.strictEqual(result.error, false);
+        assert.strictEqual(result.result, "NOT GZIPPED");
+    }),
+
+    it("Chef - bake: should jump to a label when an operation fails with onError set to jump", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "From Base64", args: ["abc", true], onError: "jump:fallback"},
+            {op: "Reverse", args: ["Character"]},
+            {op: "Label", args: ["fallback"]},
+            {op: "To Upper case", args: ["All"]}
+        ], {});
+
+        assert.strictEqual(result.result, "HELLO");
+    }),
+
+    it("Chef - bake: should limit the number of jumps taken after errors", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "Label", args: ["retry"]},
+            {op: "From Base64", args: ["abc", true], onError: "jump:retry"}
+        ], {});
+
+        assert.strictEqual(result.result, "Invalid Base64 alphabet length (3): abc");
+    }),
+
+    it("Chef - bake: should stop when an operation fails and its label does not exist", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "From Base64", args: ["abc", true], onError: "jump:missing"},
+            {op: "To Upper case", args: ["All"]}
+        ], {});
+
+        assert.strictEqual(result.result, "Invalid Base64 alphabet length (3): abc");
+    }),
+
+    it("Chef - bake: should apply onError policies inside forked branches", async () => {
+        const result = await new Chef().bake("aGk=\nnope", [
+            {op: "Fork", args: ["\\n", "\\n", false]},
+            {op: "From Base64", args: ["abc", true], onError: "skip"},
+            {op: "To Upper case", args: ["All"]}
+        ], {});
+
+        assert.strictEqual(result.result, "AGK=\nNOPE");
+    }),
+
+    it("Chef - bake: should make the input metadata available as variables", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "Set Variable", args: ["unused", "Text", "", ""]},
+            {op: "Find / Replace", args: [{option: "Simple string", string: "hello"}, "${filename} ${inputLength} ${tabNumber}", true, false, true, false]}
+        ], {inputMetadata: {filename: "stager.ps1", length: 1234, tabNumber: 3}});
+
+        assert.strictEqual(result.result, "stager.ps1 1234 3");
+    }),
+
+    it("Chef - bake: should fill in the input metadata for recipes which only refer to it", async () => {
+        const result = await new Chef().bake("hello", [
+            {op: "Find / Replace", args: [{option: "Simple string", string: "hello"}, "${filename} ${inputLength}", true, false, true, false]}
+        ], {inputMetadata: {filename: "stager.ps1"}});
+
+        assert.strictEqual(result.result, "stager.ps1 5");
+    }),
+
+    it("Chef - bake: should not fill in variables for recipes which do not set any", async () => {
+        const result = await new Chef().bake("$${filename}", [
+            {op: "Find / Replace", args: [{option: "Simple string", string: "$${filename}"}, "${other}", true, false, true, false]}
+        ], {inputMetadata: {filename: "stager.ps1"}});
+
+        assert.strictEqual(result.result, "${other}");
+    }),
+
+    it("Chef - bake: should not encode the input to work out its length when nothing needs it", async () => {
+        const strToArrayBuffer = Utils.strToArrayBuffer;
+        let calls = 0;
+
+        Utils.strToArrayBuffer = function(...args) {
+            calls++;
+            return strToArrayBuffer.apply(this, args);
+        };
+
+        try {
+            const result = await new Chef().bake("hello", [
+                {op: "To Upper case", args: ["All"]}
+            ], {cache: false});
+
+            assert.strictEqual(result.result, "HELLO");
+            assert.strictEqual(calls, 0);
+        } finally {
+            Utils.strToArrayBuffer = strToArrayBuffer;
+        }
+    }),
+
+    it("Chef - bake: should keep variables set inside forked branches", async () => {
+        const result = await new Chef().bake("a\nb", [
+            {op: "Fork", args: ["\\n", "\\n", false]},
+            {op: "Set Variable", args: ["last", "Data", "", ""]},
+            {op: "Merge", args: []},
+            {op: "Find / Replace", args: [{option: "Regex", string: "^[\\s\\S]*$"}, "${last}", true, false, false, false]}
+        ], {});
+
+        assert.strictEqual(result.result, "b");
+    }),
+
+    it("Chef - bake: should run parallel Fork branches with the fork executor", async () => {
+        const previous = getForkExecutor(),
+            jobs = [];
+
+        // Runs each half of the branches separately, as a pair of workers would
+        setForkExecutor({
+            run: async job => {
+                const results = [];
+                for (const part of splitForkJob(job, 2)) {
+                    jobs.push(part);
+                    results.push(await runForkBranches(new Recipe(part.recipeConfig), part));
+                }
+                return mergeForkResults(results);
+            }
+        });
+
+        try {
+            const result = await new Chef().bake("a1\nb2\nc3", [
+                {op: "Fork", args: ["\\n", "\\n", false, true]},
+                {op: "Register", args: ["([a-z])", true, false, false]},
+                {op: "To Upper case", args: ["All"]},
+                {op: "Find / Replace", args: [{option: "Regex", string: "$"}, "-$R0", true, false, true, false]}
+            ], {trace: true});
+
+            assert.strictEqual(result.result, "A1-a\nB2-b\nC3-c");
+            assert.deepStrictEqual(jobs.map(job => job.inputs), [["a1", "b2"], ["c3"]]);
+            assert.strictEqual(result.trace.length, 10);
+        } finally {
+            setForkExecutor(previous);
+        }
+    }),
+
+    it("Chef - bake: should run Fork branches one at a time if no workers are available", async () => {
+        const previous = getForkExecutor();
+        setForkExecutor({run: async () => null});
+
+        try {
+            const result = await new Chef().bake("a\nb", [
+                {op: "Fork", args: ["\\n", ",", false, true]},
+                {op: "To Upper case", args: ["All"]}
+            ], {});
+
+            assert.strictEqual(result.result, "A,B");
+        } finally {
+            setForkExecutor(previous);
+        }
+    }),
+
+    it("Fork - mergeForkResults: should throw the first error from the workers", () => {
+        assert.throws(() => mergeForkResults([
+            {outputs: ["a"], progress: 1, trace: null},
+            {error: {name: "TypeError", message: "Something broke", progress: 0}},
+            {error: {message: "Something else broke"}}
+        ]), {
+            name: "TypeError",
+            message: "Something broke",
+            progress: 0
+        });
+    }),
+
+    it("Chef - bake: should reuse cached results when only later operations change", async () => {
+        const chef = new Chef(),
+            run = ToBase64.prototype.run;
+        let runs = 0;
+
+        ToBase64.prototype.run = function(...args) {
+            runs++;
+            return run.apply(this, args);
+        };
+
+        try {
+            await chef.bake("hello", [
+                {op: "To Base64", args: ["A-Za-z0-9+/="]},
+                {op: "To Upper case", args: ["All"]}
+            ], {});
+            const result = await chef.bake("hello", [
+                {op: "To Base64", args: ["A-Za-z0-9+/="]},
+                {op: "To Lower case", args: []}
+            ], {});
+
+            assert.strictEqual(result.result, "agvsbg8=");
+            assert.strictEqual(runs, 1);
+
+            await chef.bake("hello!", [
+                {op: "To Base64", args: ["A-Za-z0-9+/="]},
+                {op: "To Lower case", args: []}
+            ], {});
+            await chef.bake("hello", [
+                {op: "To Base64", args: ["A-Za-z0-9+/="]},
+                {op: "To Lower case", args: []}
+            ], {cache: false});
+
+            assert.strictEqual(runs, 3);
+        } finally {
+            ToBase64.prototype.run = run;
+        }
+    }),
+
+    it("Chef - bake: should not cache operations whose output can change", async () => {
+        const chef = new Chef(),
+            recipeConfig = [
+                {op: "Generate UUID", args: []},
+                {op: "To Upper case", args: ["All"]}
+            ],
+            first = await chef.bake("", recipeConfig, {}),
+            second = await chef.bake("", recipeConfig, {});
+
+        assert.notStrictEqual(first.result, second.result);
+    }),
+
+    it("Chef - bake: should present cached results in the same way", async () => {
+        const chef = new Chef(),
+            recipeConfig = [
+                {op: "Entropy", args: ["Shannon scale"]},
+                {op: "To Upper case", args: ["All"], disabled: true}
+            ],
+            first = await chef.bake("hello", recipeConfig, {}),
+            second = await chef.bake("hello", recipeConfig, {});
+
+        assert.ok(chef.cache.size > 0);
+        assert.strictEqual(second.type, "html");
+        assert.strictEqual(second.result, first.result);
+    }),
+
+    it("Chef - bake: should not cache anything for recipes which cannot use a cached prefix", async () => {
+        const chef = new Chef();
+
+        await chef.bake("hello", [{op: "To Base64", args: ["A-Za-z0-9+/="]}], {});
+        await chef.bake("hello", [
+            {op: "Register", args: ["([\\s\\S]*)", true, false, false]},
+            {op: "To Base64", args: ["A-Za-z0-9+/="]}
+        ], {});
+
+        assert.strictEqual(chef.cache.size, 0);
+    }),
+
+    it("Recipe - getCacheablePrefixLength: should stop before the final operation and anything which cannot be cached", () => {
+        const toBase64 = {op: "To Base64", args: ["A-Za-z0-9+/="]},
+            upper = {op: "To Upper case", args: ["All"]};
+
+        assert.strictEqual(new Recipe([toBase64]).getCacheablePrefixLength(), 0);
+        assert.strictEqual(new Recipe([toBase64, upper, upper]).getCacheablePrefixLength(), 2);
+        assert.strictEqual(new Recipe([toBase64, {op: "Generate UUID", args: []}, upper]).getCacheablePrefixLength(), 1);
+        assert.strictEqual(new Recipe([toBase64, Object.assign({breakpoint: true}, upper), upper]).getCacheablePrefixLength(), 1);
+        assert.strictEqual(new Recipe([Object.assign({disabled: true}, toBase64), upper]).getCacheablePrefixLength(), 0);
+    }),
+
+    it("RecipeCache: should discard the least recently used results", () => {
+        const cache = new RecipeCache(10);
+
+        cache.set("a", new Dish("aaaa", Dish.STRING));
+        cache.set("b", new Dish("bbbb", Dish.STRING));
+        cache.get("a");
+        cache.set("c", new Dish("cccc", Dish.STRING));
+        cache.set("d", new Dish("dddddddddddd", Dish.STRING));
+
+        assert.deepStrictEqual(Array.from(cache.entries.keys()), ["a", "c"]);
+        assert.strictEqual(cache.size, 8);
+    }),
+
+    it("Operation - throwIfAborted: should stop long-running operations", () => {
+        const op = new XORBruteForce();
+        op.signal = {aborted: true};
+
+        assert.throws(() => op.run(new ArrayBuffer(10), [2, 100, 0, "Standard", false, true, false, ""]), {
+            name: "AbortError",
+            message: "The XOR Brute Force operation was cancelled"
+        });
+    }),
+
+    it("Magic - speculativeExecution: should stop once the signal is aborted", async () => {
+        const magic = new MagicLib(new Uint8Array([0x61, 0x47, 0x56, 0x73, 0x62, 0x47, 0x38, 0x3d]).buffer);
+
+        await assert.rejects(() => magic.speculativeExecution(3, false, false, [], false, null, {aborted: true}), {
+            name: "AbortError"
+        });
+    }),
+
+]);
@@ -0,0 +1,145 @@
+/**
+ * ChefPool tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import ChefPool, { serialiseRecipe, serialiseDish, deserialiseDish, serialiseError, deserialiseError } from "../../../src/node/ChefPool.mjs";
+import { toBase64 } from "../../../src/node/index.mjs";
+import Dish from "../../../src/core/Dish.mjs";
+import File from "../../../src/node/File.mjs";
+import BigNumber from "bignumber.js";
+import { OperationError, AbortError, RecipeSyntaxError } from "../../../src/core/errors/index.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+import { execFile } from "child_process";
+
+/**
+ * Runs a script in a new Node process with worker threads enabled.
+ *
+ * @param {string} script - Has `ChefPool` and `chef` in scope, and should print its result as JSON.
+ * @returns {Promise<Object>}
+ */
+function runWithWorkers(script) {
+    const code = `
+        require = require("esm")(module);
+        const { default: chef, ChefPool } = require("./src/node/index.mjs");
+        (async () => { ${script} })().catch(err => {
+            console.error(err);
+            process.exit(1);
+        });
+    `;
+
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ["--experimental-worker", "-e", code], {timeout: 300000}, (err, stdout) => {
+            if (err) reject(err);
+            else resolve(JSON.parse(stdout));
+        });
+    });
+}
+
+TestRegister.addApiTests([
+    it("ChefPool: should bake in this thread when there are no worker threads", async () => {
+        const pool = new ChefPool();
+        pool.Worker = null;
+
+        const result = await pool.bake("hello", [toBase64, {op: "To Upper case", args: ["All"]}]);
+        assert.strictEqual(result.toString(), "AGVSBG8=");
+    }),
+
+    it("ChefPool: should time out bakes in this thread between operations", async () => {
+        const pool = new ChefPool({timeout: 1});
+        pool.Worker = null;
+
+        await assert.rejects(() => pool.bake("abc", "To_Hex('Space',0)Bcrypt(6)To_Hex('Space',0)"), {
+            name: "AbortError",
+            message: "The bake took longer than 1ms"
+        });
+        await assert.rejects(() => pool.bake("abc", "To_Hex('Space',0)", {signal: {aborted: true}}), {
+            name: "AbortError",
+            message: "The bake was cancelled"
+        });
+    }),
+
+    it("ChefPool: serialiseRecipe should replace operations with their names", () => {
+        assert.deepStrictEqual(serialiseRecipe([toBase64, {op: toBase64, args: ["A-Za-z0-9+/="]}, "To Hex"]), [
+            "ToBase64",
+            {op: "ToBase64", args: ["A-Za-z0-9+/="]},
+            "To Hex"
+        ]);
+        assert.strictEqual(serialiseRecipe("To_Hex('Space',0)"), "To_Hex('Space',0)");
+    }),
+
+    it("ChefPool: should recreate dishes and errors sent between threads", () => {
+        const number = deserialiseDish(serialiseDish(new Dish(new BigNumber("12345678901234567890"), Dish.BIG_NUMBER)));
+        assert.ok(BigNumber.isBigNumber(number.value));
+        assert.strictEqual(number.value.toFixed(), "12345678901234567890");
+
+        const files = deserialiseDish(serialiseDish(new Dish([new File(["abc"], "a.txt", {lastModified: 1000})], Dish.LIST_FILE)));
+        assert.strictEqual(files.type, Dish.LIST_FILE);
+        assert.ok(files.value[0] instanceof File);
+        assert.strictEqual(files.value[0].name, "a.txt");
+        assert.strictEqual(files.value[0].lastModified, 1000);
+        assert.strictEqual(files.value[0].data.toString(), "abc");
+
+        const opError = new OperationError("Invalid input");
+        opError.step = 2;
+        opError.opName = "From Hex";
+        const err = deserialiseError(serialiseError(opError));
+        assert.ok(err instanceof OperationError);
+        assert.strictEqual(err.message, "Invalid input");
+        assert.strictEqual(err.step, 2);
+        assert.strictEqual(err.opName, "From Hex");
+
+        const syntaxError = deserialiseError(serialiseError(new RecipeSyntaxError("Invalid recipe", "abc\ndef", 5)));
+        assert.ok(syntaxError instanceof RecipeSyntaxError);
+        assert.strictEqual(syntaxError.line, 2);
+        assert.strictEqual(syntaxError.column, 2);
+
+        assert.ok(deserialiseError(serialiseError(new AbortError("Stopped"))) instanceof AbortError);
+        assert.ok(deserialiseError(serialiseError(new TypeError("Bad"))) instanceof TypeError);
+    }),
+
+    it("ChefPool: should run bakes on worker threads, stopping any which take too long", async () => {
+        const result = await runWithWorkers(`
+            // Timeouts include the time taken for a new worker to load
+            const cold = await new ChefPool({timeout: 1}).bake("hello", "To_Hex('Space',0)").catch(err => err);
+
+            const pool = new ChefPool({size: 2});
+            const [hex, upper] = await Promise.all([
+                pool.bake("hello", "To_Hex('Space',0)"),
+                pool.bake("hello", [chef.toUpperCase])
+            ]);
+            const slow = await pool.bake("abc", "Bcrypt(20)", {timeout: 2000}).catch(err => err);
+            const queued = pool.pending;
+            const error = await pool.bake("abc", "From_Hex('Auto')Parse_IPv6_address()").catch(err => err);
+            const after = await pool.bake("abc", "To_Base64('A-Za-z0-9+/=')");
+
+            console.log(JSON.stringify({
+                cold: [cold.name, cold.message],
+                hex: hex.toString(),
+                upper: upper.toString(),
+                slow: [slow.name, slow.message],
+                queued: queued,
+                error: [error.type, error.step, error.opName],
+                after: after.toString(),
+                workers: pool.workers.length
+            }));
+        `);
+
+        assert.deepStrictEqual(result, {
+            cold: ["AbortError", "The bake took longer than 1ms"],
+            hex: "68 65 6c 6c 6f",
+            upper: "HELLO",
+            slow: ["AbortError", "The bake took longer than 2000ms"],
+            queued: 0,
+            error: ["OperationError", 1, "Parse IPv6 address"],
+            after: "YWJj",
+            // The stuck worker was stopped, and is only replaced when it is needed
+            workers: 1
+        });
+    }),
+]);
@@ -0,0 +1,60 @@
+/**
+ * Output comparison tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import { compareText, compareBytes } from "../../../src/core/lib/Compare.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+
+TestRegister.addApiTests([
+    it("Compare: should mark the words which changed within changed lines", () => {
+        assert.deepStrictEqual(compareText("one\ntwo\nthree\n", "one\n2\nthree\n"), {
+            left: [{value: "one\n", changed: false}, {value: "two", changed: true}, {value: "\nthree\n", changed: false}],
+            right: [{value: "one\n", changed: false}, {value: "2", changed: true}, {value: "\nthree\n", changed: false}],
+            changes: 1
+        });
+    }),
+
+    it("Compare: should mark lines which were only added or removed", () => {
+        const {left, right, changes} = compareText("a\nb\nc\n", "a\nc\nd\n");
+
+        assert.deepStrictEqual(left, [{value: "a\n", changed: false}, {value: "b\n", changed: true}, {value: "c\n", changed: false}]);
+        assert.deepStrictEqual(right, [{value: "a\nc\n", changed: false}, {value: "d\n", changed: true}]);
+        assert.strictEqual(changes, 2);
+        assert.deepStrictEqual(compareText("same", "same"), {left: [{value: "same", changed: false}], right: [{value: "same", changed: false}], changes: 0});
+    }),
+
+    it("Compare: should find the ranges of bytes which differ", () => {
+        assert.deepStrictEqual(compareBytes(new Uint8Array([1, 2, 3]), new Uint8Array([1, 0, 3, 4, 5])), {left: [[1, 2]], right: [[1, 2], [3, 5]], changes: 2});
+        assert.deepStrictEqual(compareBytes(new Uint8Array([9, 9, 3]), new Uint8Array([1, 2])), {left: [[0, 3]], right: [[0, 2]], changes: 1});
+        assert.deepStrictEqual(compareBytes(new Uint8Array([1, 2]), new Uint8Array([1, 2])), {left: [], right: [], changes: 0});
+        assert.deepStrictEqual(compareBytes(new Uint8Array(0), new Uint8Array(0)), {left: [], right: [], changes: 0});
+    }),
+
+    it("Compare: should line up bytes after ones which were inserted or removed", () => {
+        assert.deepStrictEqual(compareBytes(new Uint8Array([1, 2, 3, 4, 5, 6]), new Uint8Array([1, 9, 2, 3, 4, 6, 7])), {
+            left: [[4, 5]],
+            right: [[1, 2], [6, 7]],
+            changes: 3
+        });
+
+        const a = new Uint8Array(4096).map((x, i) => i * 7),
+            b = new Uint8Array(a.length + 3);
+        b.set(a.subarray(0, 1000));
+        b.set([1, 2, 3], 1000);
+        b.set(a.subarray(1000), 1003);
+        b[3000] ^= 0xff;
+        assert.deepStrictEqual(compareBytes(a, b), {left: [[2997, 2998]], right: [[1000, 1003], [3000, 3001]], changes: 2});
+    }),
+
+    it("Compare: should compare very different bytes offset by offset", () => {
+        const a = new Uint8Array(4096).map((x, i) => i * 7),
+            b = new Uint8Array(4097).map((x, i) => i * 13 + 1);
+        assert.deepStrictEqual(compareBytes(a, b), {left: [[0, 4096]], right: [[0, 4097]], changes: 1});
+    }),
+]);
@@ -0,0 +1,160 @@
+/**
+ * DishStream tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import Dish from "../../../src/core/Dish.mjs";
+import DishStream from "../../../src/core/DishStream.mjs";
+import Recipe from "../../../src/core/Recipe.mjs";
+import Utils from "../../../src/core/Utils.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+import zlib from "zlib";
+
+/**
+ * Some input which is not a multiple of any of the block sizes used by the
+ * streamable operations.
+ */
+const INPUT = new Uint8Array(1001).map((_, i) => (i * 31 + (i >> 3)) & 0xff);
+
+/**
+ * Runs the recipe normally and with the input split into small chunks, and
+ * checks that the outputs match.
+ *
+ * @param {Object[]} recipeConfig
+ * @param {ArrayBuffer|string} [input=INPUT]
+ */
+async function assertStreamMatches(recipeConfig, input=INPUT.slice().buffer) {
+    const dish = new Dish(input, typeof input === "string" ? Dish.STRING : Dish.ARRAY_BUFFER);
+    await new Recipe(recipeConfig).execute(dish);
+    const expected = Utils.arrayBufferToStr(await dish.get(Dish.ARRAY_BUFFER), false);
+
+    for (const chunkSize of [1, 5, 64]) {
+        const stream = await new Recipe(recipeConfig).executeStream(DishStream.fromArrayBuffer(input, chunkSize));
+        const actual = Utils.arrayBufferToStr(await stream.toArrayBuffer(), false);
+        assert.strictEqual(actual, expected, `Output differs with chunks of ${chunkSize} bytes`);
+    }
+}
+
+TestRegister.addApiTests([
+    it("DishStream: should split data into chunks", async () => {
+        const chunks = [];
+        for await (const chunk of DishStream.fromArrayBuffer("abcdefg", 3)) {
+            chunks.push(Utils.arrayBufferToStr(chunk));
+        }
+        assert.deepStrictEqual(chunks, ["abc", "def", "g"]);
+    }),
+
+    it("DishStream: should convert chunks of any type to Uint8Arrays", async () => {
+        const stream = new DishStream(["ab", new Uint8Array([99]).buffer, Buffer.from("d"), [101]]);
+        assert.strictEqual(Utils.arrayBufferToStr(await stream.toArrayBuffer()), "abcde");
+    }),
+
+    it("DishStream: should read into a Dish", async () => {
+        const dish = await DishStream.fromArrayBuffer("hello", 2).toDish();
+        assert.strictEqual(dish.get(Dish.STRING), "hello");
+    }),
+
+    it("Recipe - isStreamable: should only be true when every enabled operation is streamable", () => {
+        assert(new Recipe([{op: "To Hex", args: ["Space", 0]}, {op: "MD5", args: []}]).isStreamable());
+        assert(!new Recipe([{op: "To Hex", args: ["Space", 0]}, {op: "Reverse", args: ["Character"]}]).isStreamable());
+        assert(new Recipe([{op: "Reverse", args: ["Character"], disabled: true}]).isStreamable());
+    }),
+
+    it("Recipe - executeStream: should refuse recipes which cannot be streamed", async () => {
+        await assert.rejects(
+            () => new Recipe([{op: "Reverse", args: ["Character"]}]).executeStream(DishStream.fromArrayBuffer("abc")),
+            {type: "DishError"}
+        );
+    }),
+
+    it("Recipe - executeStream: hashes", async () => {
+        await assertStreamMatches([{op: "MD2", args: []}]);
+        await assertStreamMatches([{op: "MD4", args: []}]);
+        await assertStreamMatches([{op: "MD5", args: []}]);
+        await assertStreamMatches([{op: "SHA0", args: []}]);
+        await assertStreamMatches([{op: "SHA1", args: []}]);
+        await assertStreamMatches([{op: "SHA2", args: ["512"]}]);
+        await assertStreamMatches([{op: "RIPEMD", args: ["160"]}]);
+        await assertStreamMatches([{op: "HAS-160", args: []}]);
+        await assertStreamMatches([{op: "Whirlpool", args: ["Whirlpool"]}]);
+        await assertStreamMatches([{op: "Snefru", args: ["8", "256"]}]);
+    }),
+
+    it("Recipe - executeStream: To Hex and From Hex", async () => {
+        await assertStreamMatches([{op: "To Hex", args: ["Space", 0]}]);
+        await assertStreamMatches([{op: "To Hex", args: ["0x with comma", 16]}]);
+        await assertStreamMatches([{op: "To Hex", args: ["\\x", 7]}]);
+        await assertStreamMatches([{op: "To Hex", args: ["CRLF", 3]}, {op: "From Hex", args: ["Auto"]}]);
+        await assertStreamMatches([{op: "To Hex", args: ["0x with comma", 5]}, {op: "From Hex", args: ["0x with comma"]}]);
+        await assertStreamMatches([{op: "To Hex", args: ["None", 0]}, {op: "From Hex", args: ["None"]}]);
+        await assertStreamMatches([{op: "From Hex", args: ["Auto"]}], "0x41,0x42 0x430x44\r\n4546 4");
+    }),
+
+    it("Recipe - executeStream: To Base64 and From Base64", async () => {
+        await assertStreamMatches([{op: "To Base64", args: ["A-Za-z0-9+/="]}]);
+        await assertStreamMatches([{op: "To Base64", args: ["A-Za-z0-9-_"]}, {op: "From Base64", args: ["A-Za-z0-9-_", true]}]);
+        await assertStreamMatches([{op: "From Base64", args: ["A-Za-z0-9+/=", true]}], "aGVs\nbG8g\nd29y\nbGQ=");
+        await assertStreamMatches([{op: "From Base64", args: ["A-Za-z0-9+/=", false]}], "aGVsbG8gd29ybGQ");
+    }),
+
+    it("Recipe - executeStream: XOR", async () => {
+        for (const scheme of ["Standard", "Input differential", "Output differential", "Cascade"]) {
+            await assertStreamMatches([{op: "XOR", args: [{option: "Hex", string: "0a 1b 2c"}, scheme, false]}]);
+            await assertStreamMatches([{op: "XOR", args: [{option: "Hex", string: "0a 1b 2c"}, scheme, true]}]);
+            await assertStreamMatches([{op: "XOR", args: [{option: "Hex", string: ""}, scheme, false]}]);
+        }
+    }),
+
+    it("Recipe - executeStream: Gunzip", async () => {
+        const gzipped = zlib.gzipSync(Buffer.from(INPUT));
+        await assertStreamMatches([{op: "Gunzip", args: []}], new Uint8Array(gzipped).buffer);
+
+        // Header with extra field, file name and comment
+        const header = Buffer.from([0x1f, 0x8b, 8, 0x1c, 0, 0, 0, 0, 0, 3, 2, 0, 0x41, 0x42]);
+        const withFields = Buffer.concat([header, Buffer.from("name\0comment\0"), gzipped.slice(10)]);
+        await assertStreamMatches([{op: "Gunzip", args: []}], new Uint8Array(withFields).buffer);
+
+        // Concatenated members
+        const members = Buffer.concat([gzipped, zlib.gzipSync(Buffer.from("and some more"))]);
+        await assertStreamMatches([{op: "Gunzip", args: []}], new Uint8Array(members).buffer);
+    }),
+
+    it("Recipe - executeStream: Gunzip should check the CRC32 and length of each member", async () => {
+        const gzipped = zlib.gzipSync(Buffer.from(INPUT)),
+            badCrc = Buffer.from(gzipped),
+            badLength = Buffer.from(gzipped);
+        badCrc[badCrc.length - 8] ^= 1;
+        badLength[badLength.length - 4] ^= 1;
+
+        for (const [input, message] of [
+            [badCrc, "Invalid gzip data: incorrect data check"],
+            [badLength, "Invalid gzip data: incorrect length check"],
+            [gzipped.slice(0, -1), "Invalid gzip data: the input ended part way through a gzip member"]
+        ]) {
+            const data = new Uint8Array(input).buffer,
+                dish = new Dish(data, Dish.ARRAY_BUFFER);
+            assert.strictEqual(await new Recipe([{op: "Gunzip", args: []}]).execute(dish), 0);
+            assert.strictEqual(dish.get(Dish.STRING), message);
+
+            const stream = await new Recipe([{op: "Gunzip", args: []}]).executeStream(DishStream.fromArrayBuffer(data, 5));
+            await assert.rejects(() => stream.toArrayBuffer(), {type: "OperationError", message});
+        }
+    }),
+
+    it("Recipe - executeStream: should raise errors thrown by operations when read", async () => {
+        const stream = await new Recipe([{op: "Gunzip", args: []}]).executeStream(DishStream.fromArrayBuffer("not gzipped"));
+        await assert.rejects(() => stream.toArrayBuffer(), {type: "OperationError"});
+    }),
+
+    it("Recipe - executeStream: should stop once the signal is aborted", async () => {
+        const signal = {aborted: false};
+        const stream = await new Recipe([{op: "MD5", args: []}]).executeStream(DishStream.fromArrayBuffer(INPUT, 10), signal);
+        signal.aborted = true;
+        await assert.rejects(() => stream.toArrayBuffer(), {name: "AbortError"});
+    }),
+]);
@@ -0,0 +1,119 @@
+/**
+ * ForkPool tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+import { execFile } from "child_process";
+
+/**
+ * Runs a script in a new Node process with worker threads enabled, using a ForkPool of two
+ * workers for parallel Forks.
+ *
+ * @param {string} script - Has `pool`, `chef` and `abortable` in scope, and should print its
+ *   result as JSON.
+ * @returns {Promise<Object>}
+ */
+function runWithForkPool(script) {
+    const code = `
+        require = require("esm")(module);
+        const { default: chef } = require("./src/node/index.mjs");
+        const ForkPool = require("./src/node/ForkPool.mjs").default;
+        const { setForkExecutor } = require("./src/core/lib/Fork.mjs");
+        const pool = new ForkPool(2);
+        setForkExecutor(pool);
+
+        const abortable = () => {
+            const listeners = [];
+            return {
+                aborted: false,
+                addEventListener: (type, listener) => listeners.push(listener),
+                removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1),
+                abort() {
+                    this.aborted = true;
+                    listeners.slice().forEach(listener => listener());
+                }
+            };
+        };
+
+        (async () => { ${script} })().catch(err => {
+            console.error(err);
+            process.exit(1);
+        });
+    `;
+
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ["--experimental-worker", "-e", code], {timeout: 300000}, (err, stdout) => {
+            if (err) reject(err);
+            else resolve(JSON.parse(stdout));
+        });
+    });
+}
+
+TestRegister.addApiTests([
+    it("ForkPool: should run parallel Forks from several bakes at once", async () => {
+        const result = await runWithForkPool(`
+            const [upper, hex] = await Promise.all([
+                chef.bake("a\\nb\\nc\\nd", [
+                    {op: "Fork", args: ["\\\\n", "\\\\n", false, true]},
+                    {op: "To Upper case", args: ["All"]}
+                ]),
+                chef.bake("1\\n2\\n3", [
+                    {op: "Fork", args: ["\\\\n", ",", false, true]},
+                    {op: "To Hex", args: ["None", 0]}
+                ])
+            ]);
+
+            // Cancelling one bake must not affect the other
+            const signal = abortable();
+            const slow = chef.bake("a\\nb", [
+                {op: "Fork", args: ["\\\\n", "\\\\n", false, true]},
+                {op: "Bcrypt", args: [20]}
+            ], {signal}).catch(err => err);
+            const other = chef.bake("x\\ny", [
+                {op: "Fork", args: ["\\\\n", "\\\\n", false, true]},
+                {op: "To Upper case", args: ["All"]}
+            ]);
+            setTimeout(() => signal.abort(), 500);
+            const [aborted, unaffected] = await Promise.all([slow, other]);
+
+            // A worker which stops part way through fails only the bake it was running
+            const crashed = chef.bake("a\\nb", [
+                {op: "Fork", args: ["\\\\n", "\\\\n", false, true]},
+                {op: "Bcrypt", args: [20]}
+            ]).catch(err => err);
+            await new Promise(resolve => setTimeout(resolve, 500));
+            pool.workers.forEach(worker => worker.terminate());
+            const crash = await crashed;
+
+            const after = await chef.bake("a\\nb", [
+                {op: "Fork", args: ["\\\\n", "\\\\n", false, true]},
+                {op: "To Base64", args: ["A-Za-z0-9+/="]}
+            ]);
+            pool.terminate();
+
+            console.log(JSON.stringify({
+                upper: upper.toString(),
+                hex: hex.toString(),
+                aborted: aborted.name,
+                unaffected: unaffected.toString(),
+                crash: crash.message,
+                after: after.toString()
+            }));
+        `);
+
+        assert.deepStrictEqual(result, {
+            upper: "A\nB\nC\nD",
+            hex: "31,32,33",
+            aborted: "AbortError",
+            unaffected: "X\nY",
+            crash: "The worker stopped with exit code 1",
+            after: "YQ==\nYg=="
+        });
+    }),
+]);
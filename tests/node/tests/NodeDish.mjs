@@ -1,10 +1,13 @@
 import assert from "assert";
 import it from "../assertionHandler.mjs";
 import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
 
 import BigNumber from "bignumber.js";
 
-import { Dish, toBase32, SHA3 } from "../../../src/node/index.mjs";
+import { Dish, toBase32, SHA3, toHex, bcrypt, unzip, extractFiles } from "../../../src/node/index.mjs";
 import File from "../../../src/node/File.mjs";
 import TestRegister from "../../lib/TestRegister.mjs";
 
@@ -196,4 +199,80 @@ TestRegister.addApiTests([
         const actual = Array.prototype.slice.call(dataArray).map(c => String.fromCharCode(c)).join("");
         assert.strictEqual(actual, "abcdefghijk");
     }),
+    it("Composable Dish: fromFile and writeFile should keep the content and modification time", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cyberchef-dish-")),
+            source = path.join(dir, "source.bin"),
+            mtime = new Date("2019-06-01T12:00:00Z");
+        fs.writeFileSync(source, Buffer.from([0, 1, 255]));
+        fs.utimesSync(source, mtime, mtime);
+
+        const dish = await Dish.fromFile(source);
+        assert.strictEqual(dish.type, Dish.FILE);
+        assert.strictEqual(dish.value.name, "source.bin");
+
+        await dish.writeFile(path.join(dir, "copy.bin"));
+        assert.deepStrictEqual([...fs.readFileSync(path.join(dir, "copy.bin"))], [0, 1, 255]);
+        assert.strictEqual(fs.statSync(path.join(dir, "copy.bin")).mtime.getTime(), mtime.getTime());
+
+        await (await dish.pipe(toHex)).writeFile(path.join(dir, "hex.txt"));
+        assert.strictEqual(fs.readFileSync(path.join(dir, "hex.txt"), "utf8"), "00 01 ff");
+    }),
+
+    it("Composable Dish: writeFile should write lists of files to a directory", async () => {
+        const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cyberchef-dish-")), "out"),
+            lastModified = new Date("2020-01-02T03:04:05Z").getTime();
+        const dish = new Dish([
+            new File(Buffer.from("a"), "a.txt", {lastModified}),
+            new File(Buffer.from(""), "sub/"),
+            new File(Buffer.from("b"), "sub/b.txt", {lastModified}),
+        ], Dish.LIST_FILE);
+
+        await dish.writeFile(dir);
+        assert.strictEqual(fs.readFileSync(path.join(dir, "a.txt"), "utf8"), "a");
+        assert.strictEqual(fs.readFileSync(path.join(dir, "sub", "b.txt"), "utf8"), "b");
+        assert.strictEqual(fs.statSync(path.join(dir, "sub", "b.txt")).mtime.getTime(), lastModified);
+
+        const evil = new Dish([
+            new File(Buffer.from("c"), "c.txt"),
+            new File(Buffer.from("x"), "../evil.txt")
+        ], Dish.LIST_FILE);
+        await assert.rejects(() => evil.writeFile(dir), /Refusing to write '..\/evil.txt'/);
+        assert.ok(!fs.existsSync(path.join(dir, "..", "evil.txt")));
+        assert.ok(!fs.existsSync(path.join(dir, "c.txt")));
+    }),
+
+    it("Composable Dish: writeFile should keep the modification times of files from Unzip and Extract Files", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cyberchef-dish-"));
+
+        // a.txt, last modified at 2020-01-02 03:04:06 local time
+        const zip = Buffer.from("504b03041400000000008318225043beb7e8010000000100000005000000612e74787461504b010214031400000000008318225043beb7e80100000001000000050000000000000000000000800100000000612e747874504b0506000000000100010033000000240000000000", "hex");
+        await unzip(zip).writeFile(path.join(dir, "unzipped"));
+        assert.strictEqual(fs.statSync(path.join(dir, "unzipped", "a.txt")).mtime.getTime(), new Date(2020, 0, 2, 3, 4, 6).getTime());
+
+        // "hello", gzipped at 2020-01-02T03:04:06Z
+        const gz = Buffer.from("00001f8b0800a65d0d5e02ffcb48cdc9c9070086a6103605000000", "hex");
+        await extractFiles(gz).writeFile(path.join(dir, "extracted"));
+        assert.strictEqual(fs.statSync(path.join(dir, "extracted", "extracted_at_0x2.gz")).mtime.getTime(), Date.UTC(2020, 0, 2, 3, 4, 6));
+    }),
+
+    it("Composable Dish: should read from and write to streams", async () => {
+        const input = new Readable({read() {}});
+        input.push("hel");
+        input.push(Buffer.from("lo"));
+        input.push(null);
+
+        const dish = await Dish.fromStream(input);
+        assert.strictEqual(dish.type, Dish.ARRAY_BUFFER);
+
+        const output = await Dish.fromStream((await dish.pipe("To Base64")).toStream());
+        assert.strictEqual(output.toString(), "aGVsbG8=");
+    }),
+
+    it("Composable Dish: pipe should wait for async operations", async () => {
+        const dish = new Dish("hello");
+        const hash = await dish.pipe(bcrypt, {rounds: 4});
+        assert.ok(hash.toString().startsWith("$2a$04$"));
+        await assert.rejects(() => dish.pipe("Not an operation"), TypeError);
+    }),
+
 ]);
@@ -0,0 +1,74 @@
+/**
+ * Operation search tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import { fuzzyMatch, calcMatchRanges, parseSearchString, searchOperations } from "../../../src/core/lib/OperationSearch.mjs";
+import OperationConfig from "../../../src/core/config/OperationConfig.json";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+
+/**
+ * Returns the names of the best matching operations for a search.
+ *
+ * @param {string} searchStr
+ * @param {Object} [usage]
+ * @returns {string[]}
+ */
+function topResults(searchStr, usage) {
+    return searchOperations(searchStr, OperationConfig, usage).slice(0, 3).map(match => match.name);
+}
+
+TestRegister.addApiTests([
+    it("OperationSearch: should fuzzy match characters in order", () => {
+        assert.deepStrictEqual(fuzzyMatch("fhe", "From Hex"), [true, 155, [0, 5, 6]]);
+        assert.strictEqual(fuzzyMatch("FHE", "From Hex")[0], true);
+        assert.strictEqual(fuzzyMatch("hef", "From Hex")[0], false);
+        assert.ok(fuzzyMatch("b64", "From Base64")[1] > fuzzyMatch("b64", "Show Base64 offsets")[1]);
+        assert.deepStrictEqual(calcMatchRanges([0, 5, 6, 8]), [[0, 1], [5, 2], [8, 1]]);
+    }),
+
+    it("OperationSearch: should find operations by alias", () => {
+        assert.deepStrictEqual(topResults("b64").slice(0, 2), ["From Base64", "To Base64"]);
+        assert.strictEqual(topResults("sha256")[0], "SHA2");
+        assert.strictEqual(topResults("unhex")[0], "From Hex");
+        assert.strictEqual(topResults("urldecode")[0], "URL Decode");
+
+        const [match] = searchOperations("unhex", OperationConfig);
+        assert.strictEqual(match.alias, "unhex");
+        assert.deepStrictEqual(match.nameMatches, []);
+    }),
+
+    it("OperationSearch: should list description matches after name matches", () => {
+        const results = searchOperations("percentage", OperationConfig);
+        assert.ok(results.length);
+        results.forEach(match => {
+            assert.deepStrictEqual(match.nameMatches, []);
+            assert.ok(match.descPos >= 0);
+        });
+    }),
+
+    it("OperationSearch: should boost recently and frequently used operations", () => {
+        assert.strictEqual(topResults("hex")[0], "To Hex");
+        assert.strictEqual(topResults("hex", {counts: {"To Hexdump": 5}})[0], "To Hexdump");
+        assert.strictEqual(topResults("hex", {recent: ["From Hex"]})[0], "From Hex");
+    }),
+
+    it("OperationSearch: should filter by input and output type", () => {
+        assert.deepStrictEqual(parseSearchString("hex in:byte  output:String"), {text: "hex", inputType: "byte", outputType: "string"});
+
+        const results = searchOperations("hex in:string out:byte", OperationConfig);
+        assert.ok(results.length);
+        results.forEach(match => {
+            assert.strictEqual(OperationConfig[match.name].inputType, "string");
+            assert.strictEqual(OperationConfig[match.name].outputType, "byteArray");
+        });
+        assert.ok(results.some(match => match.name === "From Hex"));
+        assert.ok(searchOperations("out:html", OperationConfig).length > 0);
+        assert.deepStrictEqual(searchOperations("  ", OperationConfig), []);
+    }),
+]);
@@ -20,4 +20,28 @@ TestRegister.addApiTests([
         assert.equal(Utils.parseEscapedChars("\\\\\\'"), "\\'");
     }),
 
+    it("Utils: should keep onError policies in pretty recipes", () => {
+        const recipeConfig = [
+            {op: "From Base64", args: ["A-Za-z0-9+/=", true], onError: "skip"},
+            {op: "From Hex", args: ["Auto"], disabled: true, onError: "jump:fallback"},
+            {op: "Label", args: ["fallback"]}
+        ];
+        const pretty = Utils.generatePrettyRecipe(recipeConfig);
+
+        assert.strictEqual(pretty, "From_Base64('A-Za-z0-9+/=',true/onError:skip)From_Hex('Auto'/disabled/onError:jump:fallback)Label('fallback')");
+        assert.deepStrictEqual(Utils.parseRecipeConfig(pretty), recipeConfig);
+    }),
+
+    it("Utils: should quote onError labels which could end the option in pretty recipes", () => {
+        const recipeConfig = [
+            {op: "From Hex", args: ["Auto"], onError: "jump:a/b)c'd\\e", breakpoint: true},
+            {op: "From Hex", args: ["Auto"], disabled: true, onError: "jump:disabled"},
+            {op: "Label", args: ["a/b)c'd\\e"]}
+        ];
+        const pretty = Utils.generatePrettyRecipe(recipeConfig);
+
+        assert.strictEqual(pretty, "From_Hex('Auto'/breakpoint/onError:jump:'a/b)c\\'d\\\\e')From_Hex('Auto'/disabled/onError:jump:disabled)Label('a/b)c\\'d\\\\e')");
+        assert.deepStrictEqual(Utils.parseRecipeConfig(pretty), recipeConfig);
+    }),
+
 ]);
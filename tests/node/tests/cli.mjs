@@ -0,0 +1,152 @@
+/**
+ * Command line interface tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import { parseArgs, run } from "../../../src/node/cli.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable, Writable } from "stream";
+
+/**
+ * Runs the CLI with the given arguments and stdin, collecting its output.
+ *
+ * @param {string[]} argv
+ * @param {Buffer|string} [input=""]
+ * @returns {Promise<Object>} {status, stdout, stderr}
+ */
+async function runCli(argv, input="") {
+    const out = [], err = [];
+
+    /**
+     * Returns a stream which collects everything written to it in the given array.
+     *
+     * @param {Buffer[]} chunks
+     * @returns {Writable}
+     */
+    const collect = chunks => new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(Buffer.from(chunk));
+            callback();
+        }
+    });
+
+    const stdin = new Readable({read() {}});
+    stdin.push(Buffer.from(input));
+    stdin.push(null);
+
+    const status = await run(argv, {stdin, stdout: collect(out), stderr: collect(err)});
+    return {
+        status: status,
+        stdout: Buffer.concat(out),
+        stderr: Buffer.concat(err).toString()
+    };
+}
+
+/**
+ * Makes a new temporary directory.
+ *
+ * @returns {string}
+ */
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "cyberchef-cli-"));
+}
+
+TestRegister.addApiTests([
+    it("CLI - parseArgs: should read options, flags and files", () => {
+        assert.deepStrictEqual(parseArgs(["-r", "To_Hex()", "--binary", "--output=out", "a", "--", "-b"]), {
+            recipe: "To_Hex()",
+            binary: true,
+            output: "out",
+            files: ["a", "-b"]
+        });
+    }),
+
+    it("CLI - parseArgs: should reject unknown options and missing values", () => {
+        assert.throws(() => parseArgs(["--nope"]), /Unknown option --nope/);
+        assert.throws(() => parseArgs(["-r"]), /-r needs a value/);
+    }),
+
+    it("CLI: should bake stdin with a chef format recipe", async () => {
+        const result = await runCli(["-r", "To_Base64('A-Za-z0-9+/=')"], "hello");
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout.toString(), "aGVsbG8=");
+    }),
+
+    it("CLI: should bake with a JSON recipe from a file, skipping disabled operations", async () => {
+        const dir = tempDir(),
+            recipeFile = path.join(dir, "recipe.json");
+        fs.writeFileSync(recipeFile, JSON.stringify([
+            {op: "To Hex", args: ["Space", 0]},
+            {op: "To Upper case", args: ["All"], disabled: true}
+        ]));
+
+        const result = await runCli(["-f", recipeFile], "ab");
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout.toString(), "61 62");
+    }),
+
+    it("CLI: should write raw bytes with --binary", async () => {
+        const result = await runCli(["-b", "-r", "From_Hex('Auto')"], "ff00fe");
+        assert.strictEqual(result.status, 0);
+        assert.deepStrictEqual([...result.stdout], [0xff, 0x00, 0xfe]);
+    }),
+
+    it("CLI: should bake every file in a directory", async () => {
+        const input = tempDir(),
+            output = path.join(tempDir(), "out");
+        fs.writeFileSync(path.join(input, "a.txt"), "abc");
+        fs.writeFileSync(path.join(input, "b.bin"), Buffer.from([0xff, 0x80]));
+
+        const result = await runCli(["-d", input, "-o", output, "-r", "To_Hex('None',0)"]);
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(fs.readFileSync(path.join(output, "a.txt"), "utf8"), "616263");
+        assert.strictEqual(fs.readFileSync(path.join(output, "b.bin"), "utf8"), "ff80");
+    }),
+
+    it("CLI: should report which step failed", async () => {
+        const result = await runCli(["-r", "To_Hex('None',0)Bcrypt_parse()"], "abc");
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stderr.startsWith("cyberchef: stdin: failed at step 1 (Bcrypt parse):"));
+    }),
+
+    it("CLI: should reject invalid recipes", async () => {
+        let result = await runCli(["-r", "Not_An_Operation()"]);
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.includes("unknown operation 'Not An Operation'"));
+
+        result = await runCli(["-r", "To Base64"]);
+        assert.strictEqual(result.status, 2);
+
+        result = await runCli([]);
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.includes("No recipe given"));
+    }),
+
+    it("CLI: should list and search operations", async () => {
+        let result = await runCli(["--list"]);
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.toString().split("\n").includes("To Base64"));
+
+        result = await runCli(["--search", "From Base64"]);
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.toString().startsWith("From Base64\n"));
+        assert.ok(!result.stdout.toString().includes("<"));
+    }),
+    it("CLI: should extract lists of files into the output directory", async () => {
+        const output = path.join(tempDir(), "out"),
+            tar = await runCli(["-b", "-r", "Tar('archive.txt')"], "contents");
+
+        const result = await runCli(["-o", output, "-r", "Untar()"], tar.stdout);
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(fs.readFileSync(path.join(output, "archive.txt"), "utf8"), "contents");
+    }),
+
+]);
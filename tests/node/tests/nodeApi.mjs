@@ -11,12 +11,15 @@
  */
 
 import assert from "assert";
+import fs from "fs";
+import { Readable } from "stream";
+import { execFile } from "child_process";
 import it from "../assertionHandler.mjs";
 import chef from "../../../src/node/index.mjs";
-import { OperationError, ExcludedOperationError } from "../../../src/core/errors/index.mjs";
+import { OperationError, ExcludedOperationError, AbortError, RecipeSyntaxError } from "../../../src/core/errors/index.mjs";
 import NodeDish from "../../../src/node/NodeDish.mjs";
 
-import { toBase32, magic} from "../../../src/node/index.mjs";
+import { toBase32, magic, bakeStream } from "../../../src/node/index.mjs";
 import TestRegister from "../../lib/TestRegister.mjs";
 
 TestRegister.addApiTests([
@@ -170,77 +173,77 @@ TestRegister.addApiTests([
         assert(chef.bake);
     }),
 
-    it("chef.bake: should return NodeDish", () => {
-        const result = chef.bake("input", "to base 64");
+    it("chef.bake: should return NodeDish", async () => {
+        const result = await chef.bake("input", "to base 64");
         assert(result instanceof NodeDish);
     }),
 
-    it("chef.bake: should take an input and an op name and perform it", () => {
-        const result = chef.bake("some input", "to base 32");
+    it("chef.bake: should take an input and an op name and perform it", async () => {
+        const result = await chef.bake("some input", "to base 32");
         assert.strictEqual(result.toString(), "ONXW2ZJANFXHA5LU");
     }),
 
-    it("chef.bake: should complain if recipe isnt a valid object", () => {
-        assert.throws(() => chef.bake("some input", 3264), {
+    it("chef.bake: should complain if recipe isnt a valid object", async () => {
+        await assert.rejects(() => chef.bake("some input", 3264), {
             name: "TypeError",
             message: "Recipe can only contain function names or functions"
         });
     }),
 
-    it("chef.bake: Should complain if string op is invalid", () => {
-        assert.throws(() => chef.bake("some input", "not a valid operation"), {
+    it("chef.bake: Should complain if string op is invalid", async () => {
+        await assert.rejects(() => chef.bake("some input", "not a valid operation"), {
             name: "TypeError",
             message: "Couldn't find an operation with name 'not a valid operation'."
         });
     }),
 
-    it("chef.bake: Should take an input and an operation and perform it", () => {
-        const result = chef.bake("https://google.com/search?q=help", chef.parseURI);
+    it("chef.bake: Should take an input and an operation and perform it", async () => {
+        const result = await chef.bake("https://google.com/search?q=help", chef.parseURI);
         assert.strictEqual(result.toString(), "Protocol:\thttps:\nHostname:\tgoogle.com\nPath name:\t/search\nArguments:\n\tq = help\n");
     }),
 
-    it("chef.bake: Should complain if an invalid operation is inputted", () => {
-        assert.throws(() => chef.bake("https://google.com/search?q=help", () => {}), {
+    it("chef.bake: Should complain if an invalid operation is inputted", async () => {
+        await assert.rejects(() => chef.bake("https://google.com/search?q=help", () => {}), {
             name: "TypeError",
             message: "Inputted function not a Chef operation."
         });
     }),
 
-    it("chef.bake: accepts an array of operation names and performs them all in order", () => {
-        const result = chef.bake("https://google.com/search?q=that's a complicated question", ["URL encode", "URL decode", "Parse URI"]);
+    it("chef.bake: accepts an array of operation names and performs them all in order", async () => {
+        const result = await chef.bake("https://google.com/search?q=that's a complicated question", ["URL encode", "URL decode", "Parse URI"]);
         assert.strictEqual(result.toString(), "Protocol:\thttps:\nHostname:\tgoogle.com\nPath name:\t/search\nArguments:\n\tq = that's a complicated question\n");
     }),
 
-    it("chef.bake: forgiving with operation names", () =>{
-        const result = chef.bake("https://google.com/search?q=that's a complicated question", ["urlencode", "url decode", "parseURI"]);
+    it("chef.bake: forgiving with operation names", async () => {
+        const result = await chef.bake("https://google.com/search?q=that's a complicated question", ["urlencode", "url decode", "parseURI"]);
         assert.strictEqual(result.toString(), "Protocol:\thttps:\nHostname:\tgoogle.com\nPath name:\t/search\nArguments:\n\tq = that's a complicated question\n");
     }),
 
-    it("chef.bake: forgiving with operation names", () =>{
-        const result = chef.bake("hello", ["to base 64"]);
+    it("chef.bake: forgiving with operation names", async () => {
+        const result = await chef.bake("hello", ["to base 64"]);
         assert.strictEqual(result.toString(), "aGVsbG8=");
     }),
 
-    it("chef.bake: if recipe is empty array, return input as dish", () => {
-        const result = chef.bake("some input", []);
+    it("chef.bake: if recipe is empty array, return input as dish", async () => {
+        const result = await chef.bake("some input", []);
         assert.strictEqual(result.toString(), "some input");
         assert(result instanceof NodeDish, "Result is not instance of NodeDish");
     }),
 
-    it("chef.bake: accepts an array of operations as recipe", () => {
-        const result = chef.bake("https://google.com/search?q=that's a complicated question", [chef.URLEncode, chef.URLDecode, chef.parseURI]);
+    it("chef.bake: accepts an array of operations as recipe", async () => {
+        const result = await chef.bake("https://google.com/search?q=that's a complicated question", [chef.URLEncode, chef.URLDecode, chef.parseURI]);
         assert.strictEqual(result.toString(), "Protocol:\thttps:\nHostname:\tgoogle.com\nPath name:\t/search\nArguments:\n\tq = that's a complicated question\n");
     }),
 
-    it("should complain if an invalid operation is inputted as part of array", () => {
-        assert.throws(() => chef.bake("something", [() => {}]), {
+    it("should complain if an invalid operation is inputted as part of array", async () => {
+        await assert.rejects(() => chef.bake("something", [() => {}]), {
             name: "TypeError",
             message: "Inputted function not a Chef operation."
         });
     }),
 
-    it("chef.bake: should take single JSON object describing op and args OBJ", () => {
-        const result = chef.bake("some input", {
+    it("chef.bake: should take single JSON object describing op and args OBJ", async () => {
+        const result = await chef.bake("some input", {
             op: chef.toHex,
             args: {
                 Delimiter: "Colon"
@@ -249,23 +252,23 @@ TestRegister.addApiTests([
         assert.strictEqual(result.toString(), "73:6f:6d:65:20:69:6e:70:75:74");
     }),
 
-    it("chef.bake: should take single JSON object desribing op with optional args", () => {
-        const result = chef.bake("some input", {
+    it("chef.bake: should take single JSON object desribing op with optional args", async () => {
+        const result = await chef.bake("some input", {
             op: chef.toHex,
         });
         assert.strictEqual(result.toString(), "73 6f 6d 65 20 69 6e 70 75 74");
     }),
 
-    it("chef.bake: should take single JSON object describing op and args ARRAY", () => {
-        const result = chef.bake("some input", {
+    it("chef.bake: should take single JSON object describing op and args ARRAY", async () => {
+        const result = await chef.bake("some input", {
             op: chef.toHex,
             args: ["Colon"]
         });
         assert.strictEqual(result.toString(), "73:6f:6d:65:20:69:6e:70:75:74");
     }),
 
-    it("chef.bake: should error if op in JSON is not chef op", () => {
-        assert.throws(() => chef.bake("some input", {
+    it("chef.bake: should error if op in JSON is not chef op", async () => {
+        await assert.rejects(() => chef.bake("some input", {
             op: () => {},
             args: ["Colon"],
         }), {
@@ -274,8 +277,8 @@ TestRegister.addApiTests([
         });
     }),
 
-    it("chef.bake: should take multiple ops in JSON object form, some ops by string", () => {
-        const result = chef.bake("some input", [
+    it("chef.bake: should take multiple ops in JSON object form, some ops by string", async () => {
+        const result = await chef.bake("some input", [
             {
                 op: chef.toHex,
                 args: ["Colon"]
@@ -290,8 +293,8 @@ TestRegister.addApiTests([
         assert.strictEqual(result.toString(), "67;63;72;66;146;72;66;144;72;66;65;72;62;60;72;66;71;72;66;145;72;67;60;72;67;65;72;67;64");
     }),
 
-    it("chef.bake: should take multiple ops in JSON object form, some without args", () => {
-        const result = chef.bake("some input", [
+    it("chef.bake: should take multiple ops in JSON object form, some without args", async () => {
+        const result = await chef.bake("some input", [
             {
                 op: chef.toHex,
             },
@@ -305,8 +308,8 @@ TestRegister.addApiTests([
         assert.strictEqual(result.toString(), "67;63;40;66;146;40;66;144;40;66;65;40;62;60;40;66;71;40;66;145;40;67;60;40;67;65;40;67;64");
     }),
 
-    it("chef.bake: should handle op with multiple args", () => {
-        const result = chef.bake("some input", {
+    it("chef.bake: should handle op with multiple args", async () => {
+        const result = await chef.bake("some input", {
             op: "to morse code",
             args: {
                 formatOptions: "Dash/Dot",
@@ -317,13 +320,13 @@ TestRegister.addApiTests([
         assert.strictEqual(result.toString(), "DotDotDot\\DashDashDash\\DashDash\\Dot,DotDot\\DashDot\\DotDashDashDot\\DotDotDash\\Dash");
     }),
 
-    it("chef.bake: should take compact JSON format from Chef Website as recipe", () => {
-        const result = chef.bake("some input", [{"op": "To Morse Code", "args": ["Dash/Dot", "Backslash", "Comma"]}, {"op": "Hex to PEM", "args": ["SOMETHING"]}, {"op": "To Snake case", "args": [false]}]);
+    it("chef.bake: should take compact JSON format from Chef Website as recipe", async () => {
+        const result = await chef.bake("some input", [{"op": "To Morse Code", "args": ["Dash/Dot", "Backslash", "Comma"]}, {"op": "Hex to PEM", "args": ["SOMETHING"]}, {"op": "To Snake case", "args": [false]}]);
         assert.strictEqual(result.toString(), "begin_something_anananaaaaak_da_aaak_da_aaaaananaaaaaaan_da_aaaaaaanan_da_aaak_end_something");
     }),
 
-    it("chef.bake: should accept Clean JSON format from Chef website as recipe", () => {
-        const result = chef.bake("some input", [
+    it("chef.bake: should accept Clean JSON format from Chef website as recipe", async () => {
+        const result = await chef.bake("some input", [
             { "op": "To Morse Code",
                 "args": ["Dash/Dot", "Backslash", "Comma"] },
             { "op": "Hex to PEM",
@@ -334,8 +337,8 @@ TestRegister.addApiTests([
         assert.strictEqual(result.toString(), "begin_something_anananaaaaak_da_aaak_da_aaaaananaaaaaaan_da_aaaaaaanan_da_aaak_end_something");
     }),
 
-    it("chef.bake: should accept Clean JSON format from Chef website - args optional", () => {
-        const result = chef.bake("some input", [
+    it("chef.bake: should accept Clean JSON format from Chef website - args optional", async () => {
+        const result = await chef.bake("some input", [
             { "op": "To Morse Code" },
             { "op": "Hex to PEM",
                 "args": ["SOMETHING"] },
@@ -345,26 +348,216 @@ TestRegister.addApiTests([
         assert.strictEqual(result.toString(), "begin_something_aaaaaaaaaaaaaa_end_something");
     }),
 
-    it("chef.bake: cannot accept flowControl operations in recipe", () => {
-        assert.throws(() => chef.bake("some input", "magic"), {
-            name: "TypeError",
-            message: "flowControl operations like Magic are not currently allowed in recipes for chef.bake in the Node API"
+    it("chef.bake: should record a trace of each operation when asked", async () => {
+        const result = await chef.bake("hello", ["to base 64", "to hex"], {trace: true});
+        assert.strictEqual(result.toString(), "61 47 56 73 62 47 38 3d");
+        assert.strictEqual(result.trace.length, 2);
+        assert.strictEqual(result.trace[0].op, "ToBase64");
+        assert.strictEqual(result.trace[0].index, 0);
+        assert.strictEqual(result.trace[0].inputType, "ArrayBuffer");
+        assert.strictEqual(result.trace[0].outputType, "string");
+        assert.strictEqual(result.trace[0].byteLength, 8);
+        assert.strictEqual(result.trace[0].preview, "aGVsbG8=");
+        assert.strictEqual(result.trace[1].op, "ToHex");
+        assert.strictEqual(result.trace[1].byteLength, 23);
+        assert.strictEqual(typeof result.trace[1].duration, "number");
+    }),
+
+    it("chef.bake: should not record a trace by default", async () => {
+        const result = await chef.bake("hello", ["to base 64"]);
+        assert.strictEqual(result.trace, undefined);
+    }),
+
+    it("chef.bake: should attach the trace to errors thrown when tracing", async () => {
+        await assert.rejects(() => chef.bake("1", ["to base 64", "set union"], {trace: true}), (err) => {
+            assert(err instanceof OperationError);
+            assert.strictEqual(err.trace.length, 2);
+            assert.strictEqual(err.trace[0].preview, "MQ==");
+            assert.strictEqual(err.trace[1].error, err.message);
+            return true;
         });
-        assert.throws(() => chef.bake("some input", magic), {
-            name: "TypeError",
-            message: "flowControl operations like Magic are not currently allowed in recipes for chef.bake in the Node API"
+    }),
+
+    it("chef.bake: should stop with an AbortError once the signal is aborted", async () => {
+        let checks = 0;
+        const signal = {
+            get aborted() {
+                return ++checks > 1;
+            }
+        };
+
+        await assert.rejects(() => chef.bake("hello", ["to base 64", "to hex"], {signal}), (err) => {
+            assert(err instanceof AbortError);
+            assert.strictEqual(err.name, "AbortError");
+            return true;
         });
-        assert.throws(() => chef.bake("some input", ["to base 64", "magic"]), {
-            name: "TypeError",
-            message: "flowControl operations like Magic are not currently allowed in recipes for chef.bake in the Node API"
+    }),
+
+    it("chef.bake: should run as normal if the signal is not aborted", async () => {
+        const result = await chef.bake("hello", ["to base 64"], {signal: {aborted: false}});
+        assert.strictEqual(result.toString(), "aGVsbG8=");
+    }),
+
+    it("should not run an operation if its signal has been aborted", () => {
+        assert.throws(() => chef.toBase64("hello", null, {aborted: true}), {
+            name: "AbortError",
+            message: "The To Base64 operation was cancelled"
+        });
+    }),
+
+    it("should return a Dish straight away from operations which can be cancelled part way through", () => {
+        const result = chef.XORBruteForce("abc", {maxResults: 1});
+        assert.ok(result instanceof NodeDish);
+        assert.ok(chef.bombe("BBYFLTHHYIJQAYBBYS", {crib: "THISISATESTMESSAGE"}) instanceof NodeDish);
+    }),
+
+    it("should pass the signal to flow control operations", async () => {
+        await assert.rejects(() => chef.magic("aGVsbG8=", null, {aborted: true}), {
+            name: "AbortError"
+        });
+    }),
+
+    it("chef.bake: should wait for async operations before running the next operation", async () => {
+        const hash = "$2a$10$ODeP1.6fMsb.ENk2ngPUCO7qTGVPyHA9TqDVcyupyed8FjsiF65L6";
+        const result = await chef.bake(hash, ["Bcrypt parse", "To Upper case"]);
+        const parsed = await chef.bcryptParse(hash);
+
+        assert.strictEqual(result.toString(), parsed.toString().toUpperCase());
+    }),
+
+    it("chef.bake: should report which operation failed", async () => {
+        await assert.rejects(() => chef.bake("1", ["to base 64", "set union"]), {
+            type: "OperationError",
+            step: 1,
+            opName: "Set Union"
+        });
+        await assert.rejects(() => chef.bake("1", ["Label", "Set Union"]), {
+            type: "OperationError",
+            step: 1,
+            opName: "Set Union"
+        });
+    }),
+
+    it("chef.bake: should count disabled operations in the step which failed", async () => {
+        const recipe = [
+            {op: "To Base64", args: ["A-Za-z0-9+/="], disabled: true},
+            {op: "To Hex", args: ["Space", 0]},
+            {op: "Set Union", args: ["\\n\\n", ","]}
+        ];
+        const expected = {type: "OperationError", step: 2, opName: "Set Union"};
+
+        await assert.rejects(() => chef.bake("1", recipe), expected);
+        // Run through core/Recipe instead
+        await assert.rejects(() => chef.bake("1", recipe, {operations: ["To Base64", "To Hex", "Set Union"]}), expected);
+
+        await assert.rejects(() => chef.bake("1", recipe, {trace: true}), err => {
+            assert.deepStrictEqual(err.trace.map(entry => entry.index), [1, 2]);
+            return true;
+        });
+    }),
+
+    it("chef.bake: should run recipes with flowControl operations like CyberChef", async () => {
+        const result = await chef.bake("a1\nb2", [
+            {"op": "Fork", "args": ["\\n", "\\n", false]},
+            {"op": "Register", "args": ["([a-z])", true, false, false]},
+            {"op": "To Upper case", "args": ["All"]},
+            {"op": "Find / Replace", "args": [{"option": "Regex", "string": "$"}, "-$R0", true, false, true, false]},
+            {"op": "Merge", "args": []},
+            {"op": "To Base64", "args": ["A-Za-z0-9+/="], "disabled": true}
+        ]);
+
+        assert(result instanceof NodeDish);
+        assert.strictEqual(result.toString(), "A1-a\nB2-b");
+    }),
+
+    it("chef.bake: should always return a Promise", async () => {
+        const result = chef.bake("aGVsbG8=", magic);
+        // Some dependencies replace the global Promise, so check for a thenable
+        assert.strictEqual(typeof result.then, "function");
+        assert.strictEqual(typeof chef.bake("hello", "to base 64").then, "function");
+        assert.strictEqual((await result).type, NodeDish.JSON);
+    }),
+
+    it("chef.bake: should follow jumps in recipes given as operations", async () => {
+        const result = await chef.bake("hello", [
+            chef.jump,
+            {op: chef.toBase64},
+            {op: chef.label, args: {name: ""}},
+            {op: chef.toUpperCase, args: {scope: "All"}}
+        ]);
+
+        assert.strictEqual(result.toString(), "HELLO");
+    }),
+
+    it("chef.bake: should reject with an OperationError if an operation in a flowControl recipe fails", async () => {
+        await assert.rejects(() => chef.bake("1", ["Label", "Set Union"]), {
+            type: "OperationError",
+            message: "Incorrect number of sets, perhaps you need to modify the sample delimiter or add more samples?"
+        });
+    }),
+
+    it("chef.bake: should record a trace of flowControl recipes", async () => {
+        const result = await chef.bake("a\nb", ["Fork", "To Upper case"], {trace: true});
+
+        assert.strictEqual(result.toString(), "A\nB");
+        assert.deepStrictEqual(result.trace.map(entry => entry.op), ["Fork", "To Upper case", "To Upper case"]);
+    }),
+
+    it("chef.bake: should not run excluded operations in flowControl recipes", async () => {
+        await assert.rejects(() => chef.bake("some input", ["Label", "Syntax highlighter"]), ExcludedOperationError);
+    }),
+
+    it("chef.bake: should follow the On error policy of each operation", async () => {
+        const result = await chef.bake("6162", [
+            "From Hex",
+            {op: "Gunzip", onError: "skip"},
+            {op: "To Upper case", args: ["All"]}
+        ]);
+        assert.strictEqual(result.toString(), "AB");
+
+        const jumped = await chef.bake("6162", "From_Hex('Auto')Gunzip(/onError:jump:end)To_Hex('Space',0)Label('end')");
+        assert.strictEqual(jumped.toString(), "ab");
+    }),
+
+    it("chef.bake: should stop at breakpoints", async () => {
+        const result = await chef.bake("hello", [
+            {op: "To Base64", args: ["A-Za-z0-9+/="]},
+            {op: "To Upper case", args: ["All"], breakpoint: true},
+            {op: "To Hex", args: ["Space", 0]}
+        ]);
+        assert.strictEqual(result.toString(), "aGVsbG8=");
+
+        const parsed = await chef.bake("hello", "To_Base64('A-Za-z0-9+/=')To_Upper_case('All'/breakpoint)");
+        assert.strictEqual(parsed.toString(), "aGVsbG8=");
+    }),
+
+    it("chef.bake: should only run the operations it is given", async () => {
+        const result = await chef.bake("hello", ["To Base64"], {operations: ["To Base64"]});
+        assert.strictEqual(result.toString(), "aGVsbG8=");
+
+        await assert.rejects(() => chef.bake("hello", ["To Base64", "To Hex"], {operations: ["To Base64"]}), {
+            type: "ExcludedOperationError",
+            message: "To Hex is not allowed"
+        });
+        await assert.rejects(() => chef.bake("To_Hex('Space',0)", [
+            {op: "Register", args: ["([\\s\\S]*)", true, false, false]},
+            {op: "Run Saved Recipe", args: ["Inline recipe", "", "$R0"]}
+        ], {operations: ["Register", "Run Saved Recipe"]}), {
+            type: "ExcludedOperationError",
+            message: "To Hex is not allowed"
         });
     }),
 
+    it("chef.comment: should pass its input through when called directly", async () => {
+        const result = await chef.comment("hello");
+        assert.strictEqual(result.toString(), "hello");
+    }),
+
     it("Excluded operations: throw a sensible error when you try and call one", () => {
-        assert.throws(chef.fork,
+        assert.throws(chef.syntaxHighlighter,
             (err) => {
                 assert(err instanceof ExcludedOperationError);
-                assert.deepEqual(err.message, "Sorry, the Fork operation is not available in the Node.js version of CyberChef.");
+                assert.deepEqual(err.message, "Sorry, the SyntaxHighlighter operation is not available in the Node.js version of CyberChef.");
                 return true;
             },
             "Unexpected error type"
@@ -404,10 +597,234 @@ TestRegister.addApiTests([
 
     }),
 
+    it("chef.bakeStream: should stream input through the recipe", async () => {
+        const input = Readable.from(["hello", " ", "world"]);
+        const chunks = [];
+        for await (const chunk of chef.bakeStream(input, [chef.toBase64, chef.toHex])) {
+            chunks.push(chunk);
+        }
+        assert(chunks.every(chunk => Buffer.isBuffer(chunk)));
+        assert.strictEqual(Buffer.concat(chunks).toString(), (await chef.bake("hello world", [chef.toBase64, chef.toHex])).toString());
+    }),
+
+    it("chef.bakeStream: should accept operation args and a Buffer", async () => {
+        const chunks = [];
+        for await (const chunk of bakeStream(Buffer.from("abc"), [{op: "XOR", args: {key: "01"}}, "SHA1"])) {
+            chunks.push(chunk);
+        }
+        assert.strictEqual(Buffer.concat(chunks).toString(), (await chef.bake("abc", [{op: "XOR", args: {key: "01"}}, "SHA1"])).toString());
+    }),
+
+    it("chef.bakeStream: should throw a TypeError for operations which cannot be streamed", () => {
+        assert.throws(() => chef.bakeStream("abc", [chef.toBase64, chef.reverse]), {
+            name: "TypeError",
+            message: "Reverse cannot process its input in chunks, so it cannot be used in chef.bakeStream"
+        });
+    }),
+
+    it("chef.bakeStream: should emit errors thrown by operations", async () => {
+        await assert.rejects(async () => {
+            for await (const chunk of chef.bakeStream("not gzipped", chef.gunzip)) { // eslint-disable-line no-unused-vars
+                // Errors are raised when the stream is read
+            }
+        }, {message: "Invalid gzip data: incorrect header check"});
+    }),
+
+    it("Operation: should say whether it can be streamed", () => {
+        assert.strictEqual(chef.SHA2.streamable, true);
+        assert.strictEqual(chef.reverse.streamable, false);
+        const transformer = chef.toHex.createTransformer({delimiter: "Colon"});
+        assert.strictEqual(Buffer.from(transformer.transform(new Uint8Array([1, 2]))).toString(), "01:02");
+    }),
+
     it("Operation arguments: should list all options excluding subheadings", () => {
         // First element (subheading) removed
         assert.equal(chef.convertDistance.args.inputUnits.options[0], "Nanometres (nm)");
         assert.equal(chef.defangURL.args.process.options[1], "Only full URLs");
     }),
 
+    it("chef.registerRecipe: should run a registered recipe by name", async () => {
+        chef.registerRecipe("decode", [{op: "From Hex", args: {delimiter: "Space"}}, chef.reverse]);
+        const result = await chef.runSavedRecipe("68 65 6c 6c 6f", {recipeName: "decode"});
+        assert.strictEqual(result.toString(), "olleh");
+
+        const baked = await chef.bake("68 65 6c 6c 6f", {op: "Run Saved Recipe", args: ["Saved recipe", "decode", ""]});
+        assert.strictEqual(baked.toString(), "olleh");
+        assert.strictEqual(chef.unregisterRecipe("decode"), true);
+    }),
+
+    it("chef.registerRecipe: should accept recipes in chef format", async () => {
+        chef.registerRecipe("upper", "To_Upper_case('All')");
+        chef.registerRecipe("outer", "Run_Saved_Recipe('Saved recipe','upper','')Reverse('Character')");
+        const result = await chef.runSavedRecipe("abc", {recipeName: "outer"});
+        assert.strictEqual(result.toString(), "CBA");
+        chef.unregisterRecipe("upper");
+        chef.unregisterRecipe("outer");
+    }),
+
+    it("chef.registerRecipe: should stop recipes from running themselves", async () => {
+        chef.registerRecipe("a", "Run_Saved_Recipe('Saved recipe','b','')");
+        chef.registerRecipe("b", "Run_Saved_Recipe('Saved recipe','a','')");
+        await assert.rejects(() => chef.runSavedRecipe("abc", {recipeName: "a"}), {
+            type: "OperationError",
+            message: "'a' failed at Run Saved Recipe: 'b' failed at Run Saved Recipe: The saved recipe 'a' cannot run itself: a > b > a"
+        });
+        chef.unregisterRecipe("a");
+        chef.unregisterRecipe("b");
+    }),
+
+    it("chef.bake: should fill in the built-in variables from the input", async () => {
+        const result = await chef.bake("hello \u00e9", [
+            {op: "Find / Replace", args: [{option: "Simple string", string: "hello \u00e9"}, "${inputLength} ${filename} ${tabNumber}", true, false, true, false]}
+        ], {filename: "stager.ps1"});
+        assert.strictEqual(result.toString(), "7 stager.ps1 1");
+
+        const named = await chef.bake("hello", {op: "Find / Replace", args: {find: "hello", replace: "${inputLength}"}});
+        assert.strictEqual(named.toString(), "5");
+    }),
+
+    it("chef.bake: should stop inline recipes from running themselves", async () => {
+        const recipe = [
+            {op: "Set Variable", args: ["r", "Data", "", ""]},
+            {op: "Run Saved Recipe", args: ["Inline recipe", "", "${r}"]}
+        ];
+        await assert.rejects(() => chef.bake(JSON.stringify(recipe), recipe), err => {
+            assert.strictEqual(err.type, "OperationError");
+            assert.ok(err.message.endsWith("Recipes cannot be run more than 10 deep: " +
+                Array(10).fill("(inline recipe)").join(" > ")));
+            return true;
+        });
+    }),
+
+    it("chef.registerRecipe: should throw a TypeError for invalid recipes", () => {
+        assert.throws(() => chef.registerRecipe("bad", ["Not an operation"]), {
+            name: "TypeError",
+            message: "Couldn't find an operation with name 'Not an operation'."
+        });
+        assert.throws(() => chef.registerRecipe("bad", "[{\"op\": \"Reverse\"}]"), {
+            name: "TypeError",
+            message: "Invalid recipe: no arguments given for Reverse"
+        });
+        assert.strictEqual(chef.unregisterRecipe("bad"), false);
+    }),
+
+    it("index.d.ts: should declare every function on chef", () => {
+        const types = fs.readFileSync("src/node/index.d.ts", "utf8");
+
+        Object.keys(chef).forEach(name => {
+            assert.ok(types.includes(`\n    ${name}: typeof `), `${name} is not declared`);
+        });
+        assert.ok(types.includes("export const toBase64: SyncOperation<ToBase64Args, \"string\">;"));
+        assert.ok(types.includes("export const bcrypt: AsyncOperation<BcryptArgs, \"string\">;"));
+        assert.ok(types.includes("    alphabet?: \"A-Za-z0-9+/=\" | \"A-Za-z0-9-_\" | "));
+        assert.ok(types.includes("export const syntaxHighlighter: ExcludedOperation;"));
+        assert.ok(types.includes("export const unzip: SyncOperation<UnzipArgs, \"ListFile\">;"));
+    }),
+
+    it("index.d.ts: should type-check", async () => {
+        const errors = await new Promise(resolve => {
+            execFile(process.execPath, ["node_modules/typescript/bin/tsc", "--noEmit", "--strict", "src/node/index.d.ts"], {timeout: 300000}, (err, stdout) => {
+                resolve(err ? stdout || err.message : "");
+            });
+        });
+        assert.strictEqual(errors, "");
+    }),
+
+    it("chef.bake: should accept recipes in chef format", async () => {
+        const result = await chef.bake("hello", "To_Base64('A-Za-z0-9+/=')\nTo_Upper_case('All'/disabled)\nReverse('Character')\n");
+        assert.strictEqual(result.toString(), "=8GbsVGa");
+    }),
+
+    it("chef.bake: should accept recipes in JSON and links to CyberChef", async () => {
+        const compact = "[{\"op\":\"To Hex\",\"args\":[\"Colon\",0]}]";
+        const clean = JSON.stringify([{op: "To Hex", args: ["Colon", 0]}], null, 4);
+        const link = "https://gchq.github.io/CyberChef/#recipe=To_Hex('Colon',0)Find_/_Replace(%7B'option':'Simple%20string','string':':'%7D,'-',true,false,true,false)&input=aGk";
+
+        assert.strictEqual((await chef.bake("hi", compact)).toString(), "68:69");
+        assert.strictEqual((await chef.bake("hi", clean)).toString(), "68:69");
+        assert.strictEqual((await chef.bake("hi", link)).toString(), "68-69");
+    }),
+
+    it("Recipe.parse: should parse chef format", () => {
+        assert.deepStrictEqual(chef.Recipe.parse(
+            "Find_/_Replace({'option':'Regex','string':'\\'\\\\'},'\\n\"',true, false ,true,false/breakpoint)\n" +
+            "Fork('\\n','\\n',false,false/disabled/onError:continue)"
+        ), [
+            {op: "Find / Replace", args: [{option: "Regex", string: "'\\"}, "\n\"", true, false, true, false]},
+            {op: "Fork", args: ["\n", "\n", false, false], disabled: true, onError: "continue"}
+        ]);
+        assert.deepStrictEqual(chef.Recipe.parse("  "), []);
+    }),
+
+    it("Recipe.parse: should read quoted onError labels", () => {
+        assert.deepStrictEqual(chef.Recipe.parse(
+            "From_Hex('Auto'/onError:jump:\"a/b)\"/disabled)Label('a/b)')"
+        ), [
+            {op: "From Hex", args: ["Auto"], onError: "jump:a/b)", disabled: true},
+            {op: "Label", args: ["a/b)"]}
+        ]);
+    }),
+
+    it("Recipe.parse: should give the position of syntax errors", () => {
+        const cases = [
+            ["To_Hex('Space',0)\nTo_Base64('A-Za-z0-9+/='", "expected ',' or ')' but found the end of the recipe at line 2, column 25", 42],
+            ["To_Hex('Space', 0]", "expected ',' or ')' but found ']' at line 1, column 18", 17],
+            ["To_Hex('Space)", "unterminated string at line 1, column 8", 7],
+            ["Reverse('Character')\n  Not_real()", "unknown operation 'Not real' at line 2, column 3", 23],
+            ["To_Hex(Space)", "unexpected 'S' at line 1, column 8", 7],
+            ["To_Hex('Space',0/nope)", "unknown option '/nope' at line 1, column 17", 16],
+            ["To Hex", "expected an operation name followed by its arguments in brackets, e.g. To_Base64('A-Za-z0-9+/=') at line 1, column 1", 0],
+            ["[{\"op\": \"To Hex\", }]", "Unexpected token } in JSON at line 1, column 19", 18],
+        ];
+
+        cases.forEach(([recipe, message, position]) => {
+            assert.throws(() => chef.Recipe.parse(recipe), (err) => {
+                assert.ok(err instanceof RecipeSyntaxError);
+                assert.strictEqual(err.message, "Invalid recipe: " + message);
+                assert.strictEqual(err.position, position);
+                return true;
+            }, recipe);
+        });
+    }),
+
+    it("chef.bake: should reject recipe strings which cannot be parsed", async () => {
+        await assert.rejects(() => chef.bake("hi", "To_Hex('Space',0"), (err) => {
+            assert.strictEqual(err.name, "RecipeSyntaxError");
+            assert.strictEqual(err.line, 1);
+            assert.strictEqual(err.column, 17);
+            return true;
+        });
+        await assert.rejects(() => chef.bake("hi", "https://gchq.github.io/CyberChef/#input=aGk"), {
+            message: "Invalid recipe: the link does not contain a recipe at line 1, column 1"
+        });
+    }),
+
+    it("chef.magic.detect: should return the candidate recipes", async () => {
+        const candidates = await chef.magic.detect("NjEgNjIgNjMgNjQ=", {depth: 2});
+
+        assert.ok(Array.isArray(candidates));
+        assert.deepStrictEqual(candidates[0].recipe, [
+            {op: "From Base64", args: ["A-Za-z0-9+/=", true]},
+            {op: "From Hex", args: ["Space"]}
+        ]);
+        assert.strictEqual(candidates[0].data, "abcd");
+        assert.strictEqual(typeof candidates[0].entropy, "number");
+        assert.ok(Array.isArray(candidates[0].languageScores));
+        assert.ok(candidates.some(c => c.recipe.length === 0));
+    }),
+
+    it("chef.magic.detect: should filter candidates with a crib", async () => {
+        const candidates = await chef.magic.detect("NjEgNjIgNjMgNjQ=", {depth: 2, crib: "61 62"});
+        assert.ok(candidates.length > 0);
+        assert.ok(candidates.every(c => c.matchesCrib));
+        assert.ok(candidates.every(c => c.data.includes("61 62")));
+    }),
+
+    it("chef.magic.bakeTop: should bake the top candidate", async () => {
+        const result = await chef.magic.bakeTop(new NodeDish("NjEgNjIgNjMgNjQ="), {depth: 2});
+        assert.strictEqual(result.toString(), "abcd");
+        assert.deepStrictEqual(result.recipe.map(ing => ing.op), ["From Base64", "From Hex"]);
+        assert.strictEqual(magic.detect, chef.magic.detect);
+    }),
+
 ]);
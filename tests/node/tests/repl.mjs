@@ -0,0 +1,162 @@
+/**
+ * REPL tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import { startRepl, completeLine, formatDish, formatTable } from "../../../src/node/repl.mjs";
+import { toHex } from "../../../src/node/index.mjs";
+import NodeDish from "../../../src/node/NodeDish.mjs";
+import Dish from "../../../src/core/Dish.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+
+/**
+ * Starts a REPL, enters each line after the last has finished and then closes it.
+ *
+ * @param {string[]} lines
+ * @returns {Promise<string[]>} What was shown after each line, without the prompt.
+ */
+async function runRepl(lines) {
+    const input = new PassThrough(),
+        output = new PassThrough();
+    let text = "";
+    output.on("data", chunk => {
+        text += chunk;
+    });
+
+    const replServer = startRepl({input, output, terminal: false, historyFile: ""}),
+        responses = [];
+
+    for (const line of lines) {
+        const start = text.length;
+        input.write(line + "\n");
+
+        for (let i = 0; text.indexOf("chef > ", start) < 0; i++) {
+            if (i > 500) throw new Error(`No prompt after '${line}'`);
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        responses.push(text.slice(start, text.indexOf("chef > ", start)).trim());
+    }
+
+    replServer.close();
+    return responses;
+}
+
+TestRegister.addApiTests([
+    it("REPL: should build up a recipe and run it after each change", async () => {
+        const responses = await runRepl([
+            ".recipe input \"hello\"",
+            ".recipe add To_Hex('Space',0)",
+            ".recipe add To Upper case",
+            ".recipe add Parse_IPv6_address()",
+            ".recipe remove",
+            ".recipe remove 1",
+            ".recipe",
+            ".recipe remove 3",
+        ]);
+
+        assert.deepStrictEqual(responses, [
+            "hello",
+            "68 65 6c 6c 6f",
+            "68 65 6C 6C 6F",
+            "Error: failed at step 3 (Parse IPv6 address): Invalid IPv6 address",
+            "68 65 6C 6C 6F",
+            "HELLO",
+            "Input: string\nRecipe:\n  1. To_Upper_case('All')",
+            "Error: There is no step 3 to remove",
+        ]);
+    }),
+
+    it("REPL: should save and load recipes", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cyberchef-repl-"));
+
+        try {
+            const responses = await runRepl([
+                ".recipe add To_Hex('Space',0)From_Hex('Auto')",
+                `.save ${path.join(dir, "recipe.txt")}`,
+                `.save ${path.join(dir, "recipe.json")}`,
+                ".recipe clear",
+                ".recipe input Buffer.from(\"hi\")",
+                `.load ${path.join(dir, "recipe.txt")}`,
+                `.load ${path.join(dir, "missing.txt")}`,
+            ]);
+
+            assert.strictEqual(fs.readFileSync(path.join(dir, "recipe.txt"), "utf8"), "To_Hex('Space',0)\nFrom_Hex('Auto')\n");
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, "recipe.json"), "utf8")), [
+                {op: "To Hex", args: ["Space", 0]},
+                {op: "From Hex", args: ["Auto"]}
+            ]);
+            assert.strictEqual(responses[1], `Saved 2 operations to ${path.join(dir, "recipe.txt")}`);
+            assert.strictEqual(responses[5], [
+                "Input: byteArray",
+                "Recipe:",
+                "  1. To_Hex('Space',0)",
+                "  2. From_Hex('Auto')",
+                "[byteArray, 2 bytes]",
+                "00000000  68 69                                            |hi|"
+            ].join("\n"));
+            assert.ok(responses[6].startsWith("Error: ENOENT"));
+        } finally {
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        }
+    }),
+
+    it("REPL: should complete operation names and argument options", () => {
+        assert.deepStrictEqual(completeLine(".recipe add To_Base3"), [["To_Base32("], "To_Base3"]);
+        assert.deepStrictEqual(completeLine(".recipe add To_Hex('Space',0)From_Base3"), [["From_Base32("], "From_Base3"]);
+        assert.deepStrictEqual(completeLine(".recipe add To_Hex('Co"), [["Comma", "Colon"], "Co"]);
+        assert.deepStrictEqual(completeLine(".recipe add To_Hex('Space',0)From_Hex('Li"), [["Line feed"], "Li"]);
+        assert.deepStrictEqual(completeLine("toHex(\"abc\", {delimiter: \"Co", {toHex}), [["Comma", "Colon"], "Co"]);
+        assert.strictEqual(completeLine("toHe", {toHex}), null);
+    }),
+
+    it("REPL: should show Dishes according to their type", () => {
+        assert.strictEqual(formatDish(new NodeDish([104, 105], Dish.BYTE_ARRAY)),
+            "[byteArray, 2 bytes]\n00000000  68 69                                            |hi|");
+        assert.strictEqual(formatDish(new NodeDish("hi", Dish.STRING)), "hi");
+        assert.strictEqual(formatDish(new NodeDish([{a: 1, b: "x"}, {a: 22, c: [1]}], Dish.JSON)), [
+            "a  | b | c",
+            "---+---+----",
+            "1  | x |",
+            "22 |   | [1]"
+        ].join("\n"));
+        assert.strictEqual(formatDish(new NodeDish([[1, 2]], Dish.JSON)), "[\n    [\n        1,\n        2\n    ]\n]");
+        assert.strictEqual(formatTable({name: "abc"}), "key  | value\n-----+------\nname | abc");
+    }),
+
+    it("REPL: should keep history between sessions", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cyberchef-repl-")),
+            historyFile = path.join(dir, "history");
+
+        try {
+            fs.writeFileSync(historyFile, "2 + 2\n1 + 1");
+
+            const input = new PassThrough(),
+                output = new PassThrough();
+            output.resume();
+            const replServer = startRepl({input, output, terminal: true, historyFile});
+
+            assert.deepStrictEqual(replServer.history, ["2 + 2", "1 + 1"]);
+            input.write("3 + 3\r");
+            await new Promise(resolve => setImmediate(resolve));
+            await new Promise(resolve => {
+                replServer.on("exit", resolve);
+                replServer.close();
+            });
+
+            assert.strictEqual(fs.readFileSync(historyFile, "utf8"), "3 + 3\n2 + 2\n1 + 1");
+        } finally {
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        }
+    }),
+]);
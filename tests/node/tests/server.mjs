@@ -0,0 +1,287 @@
+/**
+ * HTTP server tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+
+import TestRegister from "../../lib/TestRegister.mjs";
+import { createServer } from "../../../src/node/server.mjs";
+import chef from "../../../src/node/index.mjs";
+import it from "../assertionHandler.mjs";
+import assert from "assert";
+import http from "http";
+import { execFile } from "child_process";
+
+/**
+ * Starts a server, sends it a request and then stops it.
+ *
+ * @param {Object} serverOptions - Passed to createServer
+ * @param {string} method
+ * @param {string} path
+ * @param {Object|Buffer} [body] - Objects are sent as JSON
+ * @returns {Promise<Object>} {status, headers, body}, where body is parsed if it is JSON
+ */
+async function request(serverOptions, method, path, body) {
+    const server = createServer(serverOptions);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const isJson = body !== undefined && !Buffer.isBuffer(body),
+                data = isJson ? Buffer.from(JSON.stringify(body)) : body;
+
+            const req = http.request({
+                host: "127.0.0.1",
+                port: server.address().port,
+                method: method,
+                path: path,
+                headers: {"Content-Type": isJson ? "application/json" : "application/octet-stream"}
+            }, res => {
+                const chunks = [];
+                res.on("data", chunk => chunks.push(chunk));
+                res.on("end", () => {
+                    const raw = Buffer.concat(chunks);
+                    resolve({
+                        status: res.statusCode,
+                        headers: res.headers,
+                        body: res.headers["content-type"] === "application/json" ? JSON.parse(raw) : raw
+                    });
+                });
+            });
+            req.on("error", reject);
+            req.end(data);
+        });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+/**
+ * Runs a script in a new Node process with worker threads enabled.
+ *
+ * @param {string} script - Has `createServer`, `ChefPool` and `request` in scope, and should
+ *   print its result as JSON.
+ * @returns {Promise<Object>}
+ */
+function runWithWorkers(script) {
+    const code = `
+        require = require("esm")(module);
+        const http = require("http");
+        const { ChefPool } = require("./src/node/index.mjs");
+        const { createServer } = require("./src/node/server.mjs");
+        const request = (port, body) => new Promise((resolve, reject) => {
+            const req = http.request({
+                host: "127.0.0.1",
+                port: port,
+                method: "POST",
+                path: "/bake",
+                headers: {"Content-Type": "application/json"}
+            }, res => {
+                const chunks = [];
+                res.on("data", chunk => chunks.push(chunk));
+                res.on("end", () => resolve({status: res.statusCode, body: JSON.parse(Buffer.concat(chunks))}));
+            });
+            req.on("error", reject);
+            req.end(JSON.stringify(body));
+        });
+        (async () => { ${script} })().catch(err => {
+            console.error(err);
+            process.exit(1);
+        });
+    `;
+
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ["--experimental-worker", "-e", code], {timeout: 300000}, (err, stdout) => {
+            if (err) reject(err);
+            else resolve(JSON.parse(stdout));
+        });
+    });
+}
+
+TestRegister.addApiTests([
+    it("Server - GET /operations: should list the allowed operations", async () => {
+        let res = await request({}, "GET", "/operations");
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body["To Base64"].module, "Default");
+        assert.ok("HTTP request" in res.body);
+
+        res = await request({operations: ["To Base64"]}, "GET", "/operations");
+        assert.deepStrictEqual(Object.keys(res.body), ["To Base64"]);
+    }),
+
+    it("Server - POST /bake: should bake JSON requests", async () => {
+        const res = await request({}, "POST", "/bake", {
+            input: "hello",
+            recipe: "To_Base64('A-Za-z0-9+/=')"
+        });
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, {value: "aGVsbG8=", type: "string"});
+    }),
+
+    it("Server - POST /bake: should send binary values in JSON as base64", async () => {
+        const res = await request({}, "POST", "/bake", {
+            input: "/wD+",
+            inputEncoding: "base64",
+            recipe: [{op: "Drop bytes", args: [0, 1, false]}]
+        });
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, {value: "AP4=", type: "ArrayBuffer", encoding: "base64"});
+    }),
+
+    it("Server - POST /bake: should bake binary requests", async () => {
+        const res = await request({}, "POST", "/bake?recipe=" + encodeURIComponent("To_Hex('Space',0)"),
+            Buffer.from([0xff, 0x00]));
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers["x-cyberchef-type"], "string");
+        assert.strictEqual(res.body.toString(), "ff 00");
+    }),
+
+    it("Server - POST /bake: should refuse operations which are not allowed", async () => {
+        const res = await request({operations: ["To Hex"]}, "POST", "/bake", {
+            input: "hello",
+            recipe: "To_Hex('Space',0)HTTP_request('GET','','',false,false)"
+        });
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.body.error, "HTTP request is not allowed on this server");
+    }),
+
+    it("Server - POST /bake: should refuse operations which are not allowed in recipes run by Run Saved Recipe", async () => {
+        const options = {operations: ["To Hex", "Run Saved Recipe"]},
+            inline = "Run_Saved_Recipe('Inline recipe','','HTTP_request(\\'GET\\',\\'\\',\\'\\',false,false)')";
+
+        let res = await request(options, "POST", "/bake", {input: "hello", recipe: inline});
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.body.error, "HTTP request is not allowed on this server");
+
+        chef.registerRecipe("fetch", "HTTP_request('GET','','',false,false)");
+        chef.registerRecipe("outer", "To_Hex('None',0)Run_Saved_Recipe('Saved recipe','fetch','')");
+        try {
+            res = await request(options, "POST", "/bake", {
+                input: "hello",
+                recipe: "Run_Saved_Recipe('Inline recipe','','Run_Saved_Recipe(\\'Saved recipe\\',\\'outer\\',\\'\\')')"
+            });
+            assert.strictEqual(res.status, 403);
+            assert.strictEqual(res.body.error, "HTTP request is not allowed on this server");
+        } finally {
+            chef.unregisterRecipe("fetch");
+            chef.unregisterRecipe("outer");
+        }
+
+        res = await request(options, "POST", "/bake", {
+            input: "hi",
+            recipe: "Run_Saved_Recipe('Inline recipe','','To_Hex(\\'None\\',0)')"
+        });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(Buffer.from(res.body.value, "base64").toString(), "6869");
+    }),
+
+    it("Server - POST /bake: should refuse operations in recipes which are chosen by the input", async () => {
+        const options = {operations: ["Register", "Run Saved Recipe", "Label", "To Lower case"]},
+            recipe = "Register('(.*)',true,false,false)" +
+                "Run_Saved_Recipe('Inline recipe','','Label(\\'$R0\\')')";
+
+        let res = await request(options, "POST", "/bake", {input: "x')To_Upper_case('All", recipe: recipe});
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.body.error, "To Upper case is not allowed on this server");
+
+        res = await request(options, "POST", "/bake", {input: "x')To_Lower_case()Label('", recipe: recipe});
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(Buffer.from(res.body.value, "base64").toString(), "x')to_lower_case()label('");
+
+        res = await request(options, "POST", "/bake", {
+            input: "HTTP request",
+            recipe: [
+                {op: "Register", args: ["([\\s\\S]*)", true, false, false]},
+                {op: "Run Saved Recipe", args: ["Inline recipe", "", "[{\"op\":\"$R0\",\"args\":[\"GET\",\"\",\"\",false,false]}]"], onError: "skip"}
+            ]
+        });
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.body.error, "HTTP request is not allowed on this server");
+    }),
+
+    it("Server - POST /bake: should report bad requests", async () => {
+        let res = await request({}, "POST", "/bake", {input: "hello", recipe: "Nope()"});
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error, "Invalid recipe: unknown operation 'Nope' at line 1, column 1");
+
+        res = await request({}, "POST", "/bake", {input: "hello"});
+        assert.strictEqual(res.status, 400);
+
+        res = await request({}, "POST", "/bake", {input: "zz", recipe: "To_Hex('None',0)Bcrypt_parse()"});
+        assert.strictEqual(res.status, 422);
+        assert.strictEqual(res.body.step, 1);
+        assert.strictEqual(res.body.opName, "Bcrypt parse");
+
+        res = await request({maxBodySize: 4}, "POST", "/bake?recipe=To_Hex('None',0)", Buffer.from("hello"));
+        assert.strictEqual(res.status, 413);
+
+        res = await request({}, "GET", "/bake");
+        assert.strictEqual(res.status, 405);
+
+        res = await request({}, "GET", "/nope");
+        assert.strictEqual(res.status, 404);
+    }),
+
+    it("Server - POST /bake: should time out slow requests", async () => {
+        const res = await request({}, "POST", "/bake", {
+            input: "hello",
+            recipe: "Bcrypt(10)Bcrypt(10)",
+            timeout: 1
+        });
+        assert.strictEqual(res.status, 504);
+        assert.strictEqual(res.body.error, "The request took longer than 1ms");
+    }),
+
+    it("Server - POST /bake: should stop operations which are still running when the request times out", async () => {
+        const result = await runWithWorkers(`
+            const pool = new ChefPool({size: 1}),
+                server = createServer({pool});
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            const port = server.address().port;
+
+            // Wait for the worker to load, so that the timeout does not include its start-up time
+            await request(port, {input: "", recipe: "To_Hex('None',0)"});
+
+            const started = Date.now(),
+                slow = await request(port, {input: "abc", recipe: "Bcrypt(20)", timeout: 500}),
+                elapsed = Date.now() - started,
+                workers = pool.workers.length,
+                after = await request(port, {input: "hi", recipe: "To_Hex('None',0)"});
+
+            server.close();
+            pool.terminate();
+            console.log(JSON.stringify({slow, stopped: elapsed < 30000 && workers === 0, after: after.body.value}));
+        `);
+
+        assert.deepStrictEqual(result, {
+            slow: {status: 504, body: {error: "The request took longer than 500ms"}},
+            stopped: true,
+            after: "6869"
+        });
+    }),
+
+    it("Server - POST /magic: should run Magic", async () => {
+        let res = await request({}, "POST", "/magic", {input: "aGVsbG8gd29ybGQ=", depth: 1});
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.type, "JSON");
+        assert.deepStrictEqual(res.body.value[0].recipe, [{op: "From Base64", args: ["A-Za-z0-9+/=", true]}]);
+
+        res = await request({operations: ["To Hex"]}, "POST", "/magic", {input: "aGVsbG8="});
+        assert.strictEqual(res.status, 403);
+    }),
+
+    it("Server - POST /magic: should only run and suggest operations which are allowed", async () => {
+        const operations = ["Magic", "From Hex", "XOR"],
+            res = await request({operations}, "POST", "/magic", {input: "aGVsbG8gd29ybGQ=", depth: 1, intensive: true});
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.value.length > 1);
+
+        res.body.value.forEach(candidate => {
+            candidate.recipe.forEach(({op}) => assert.ok(operations.includes(op), `${op} was suggested`));
+            candidate.matchingOps.forEach(({op}) => assert.ok(operations.includes(op), `${op} was suggested`));
+            assert.notStrictEqual(candidate.data, "hello world");
+        });
+    }),
+]);
@@ -50,6 +50,10 @@ import "./tests/Hexdump.mjs";
 import "./tests/Image.mjs";
 import "./tests/IndexOfCoincidence.mjs";
 import "./tests/Jump.mjs";
+import "./tests/Loops.mjs";
+import "./tests/Conditionals.mjs";
+import "./tests/RunSavedRecipe.mjs";
+import "./tests/Variables.mjs";
 import "./tests/JSONBeautify.mjs";
 import "./tests/JSONMinify.mjs";
 import "./tests/JSONtoCSV.mjs";
@@ -0,0 +1,360 @@
+/**
+ * Conditional tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ *
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+import TestRegister from "../../lib/TestRegister.mjs";
+
+TestRegister.addTests([
+    {
+        name: "If: regex matches, runs If branch",
+        input: "hello",
+        expectedOutput: "HELLO",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Regex matches data", "^h", "", 7.5, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: regex does not match, runs Else branch",
+        input: "hello",
+        expectedOutput: "olleh",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Regex matches data", "^x", "", 7.5, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: inverted condition",
+        input: "hello",
+        expectedOutput: "olleh",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Regex matches data", "^h", "", 7.5, "$R0", true],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: no Else, skips to End If",
+        input: "hello",
+        expectedOutput: "olleh",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Regex matches data", "^x", "", 7.5, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+        ],
+    },
+    {
+        name: "If: file type is gzip",
+        input: "hello",
+        expectedOutput: "hello",
+        recipeConfig: [
+            {
+                op: "Gzip",
+                args: ["Dynamic Huffman Coding", "", "", false],
+            },
+            {
+                op: "If",
+                args: ["File type is", "", "gz", 7.5, "$R0", false],
+            },
+            {
+                op: "Gunzip",
+                args: [],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: file type is not gzip",
+        input: "hello",
+        expectedOutput: "hello",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["File type is", "", "application/gzip", 7.5, "$R0", false],
+            },
+            {
+                op: "Gunzip",
+                args: [],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: entropy above threshold",
+        input: "hello",
+        expectedOutput: "HELLO",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Entropy above", "", "", 1, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: entropy below threshold",
+        input: "hello",
+        expectedOutput: "olleh",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Entropy above", "", "", 3, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: register matches",
+        input: "hello world",
+        expectedOutput: "HELLO WORLD",
+        recipeConfig: [
+            {
+                op: "Register",
+                args: ["(\\w+)", false, false, false],
+            },
+            {
+                op: "If",
+                args: ["Register matches", "^hel", "", 7.5, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: register does not match",
+        input: "hello world",
+        expectedOutput: "dlrow olleh",
+        recipeConfig: [
+            {
+                op: "Register",
+                args: ["(\\w+)", false, false, false],
+            },
+            {
+                op: "If",
+                args: ["Register matches", "^world", "", 7.5, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: nested blocks",
+        input: "hello",
+        expectedOutput: "HELLO",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Regex matches data", "^h", "", 7.5, "$R0", false],
+            },
+            {
+                op: "If",
+                args: ["Regex matches data", "^x", "", 7.5, "$R0", false],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "If: nested blocks skipped",
+        input: "hello",
+        expectedOutput: "olleh",
+        recipeConfig: [
+            {
+                op: "If",
+                args: ["Regex matches data", "^x", "", 7.5, "$R0", false],
+            },
+            {
+                op: "If",
+                args: ["Regex matches data", "^h", "", 7.5, "$R0", false],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+            {
+                op: "Else",
+                args: [],
+            },
+            {
+                op: "Reverse",
+                args: ["Character"],
+            },
+            {
+                op: "End If",
+                args: [],
+            },
+        ],
+    },
+]);
@@ -66,5 +66,18 @@ TestRegister.addTests([
             {"op": "Label", "args": ["skipReturn"]},
             {"op": "To Base64", "args": ["A-Za-z0-9+/="]}
         ]
+    },
+    {
+        name: "Fork: parallel, Conditional Jump, Encodings",
+        input: "Some data with a 1 in it\nSome data with a 2 in it",
+        expectedOutput: "U29tZSBkYXRhIHdpdGggYSAxIGluIGl0\n53 6f 6d 65 20 64 61 74 61 20 77 69 74 68 20 61 20 32 20 69 6e 20 69 74",
+        recipeConfig: [
+            {"op": "Fork", "args": ["\\n", "\\n", false, true]},
+            {"op": "Conditional Jump", "args": ["1", false, "skipReturn", "10"]},
+            {"op": "To Hex", "args": ["Space"]},
+            {"op": "Return", "args": []},
+            {"op": "Label", "args": ["skipReturn"]},
+            {"op": "To Base64", "args": ["A-Za-z0-9+/="]}
+        ]
     }
 ]);
@@ -0,0 +1,241 @@
+/**
+ * Loop tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ *
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+import TestRegister from "../../lib/TestRegister.mjs";
+
+TestRegister.addTests([
+    {
+        name: "Repeat: Base64 three times",
+        input: "hello",
+        expectedOutput: "WVVkV2MySkhPRDA9",
+        recipeConfig: [
+            {
+                op: "Repeat",
+                args: [3],
+            },
+            {
+                op: "To Base64",
+                args: ["A-Za-z0-9+/="],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "Repeat: zero times",
+        input: "hello",
+        expectedOutput: "HELLO",
+        recipeConfig: [
+            {
+                op: "Repeat",
+                args: [0],
+            },
+            {
+                op: "To Base64",
+                args: ["A-Za-z0-9+/="],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+        ],
+    },
+    {
+        name: "Repeat: nested loops",
+        input: "a",
+        expectedOutput: "aaaaa",
+        recipeConfig: [
+            {
+                op: "Repeat",
+                args: [2],
+            },
+            {
+                op: "Repeat",
+                args: [3],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Regex", "string": "^"}, "a", false, false, false, false],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Regex", "string": "a$"}, "", false, false, false, false],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "Repeat: runs to the end of the recipe without an End Loop",
+        input: "hello",
+        expectedOutput: "YUdWc2JHOD0=",
+        recipeConfig: [
+            {
+                op: "Repeat",
+                args: [2],
+            },
+            {
+                op: "To Base64",
+                args: ["A-Za-z0-9+/="],
+            },
+        ],
+    },
+    {
+        name: "Repeat: stops at an operation which fails",
+        input: "hello",
+        expectedOutput: "Invalid Base64 alphabet length (3): abc",
+        recipeConfig: [
+            {
+                op: "Repeat",
+                args: [2],
+            },
+            {
+                op: "From Base64",
+                args: ["abc", true],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+        ],
+    },
+    {
+        name: "Repeat: presents the output of the last operation in the loop",
+        input: "hello",
+        expectedMatch: /^<canvas id='chart-area'><\/canvas><br>\nTotal data length: 5\n/,
+        recipeConfig: [
+            {
+                op: "Repeat",
+                args: [1],
+            },
+            {
+                op: "Frequency distribution",
+                args: [false],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "While Matches: peel Base64 layers",
+        input: "WVVkV2MySkhPRDA9",
+        expectedOutput: "hello",
+        recipeConfig: [
+            {
+                op: "While Matches",
+                args: ["^(?:[A-Za-z0-9+/]{4})+(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$", false, 100],
+            },
+            {
+                op: "From Base64",
+                args: ["A-Za-z0-9+/=", true],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "While Matches: peel gzip layers",
+        input: "H4sIAAAAAAAAA5Pv5mAAA+bTHmdPnmRnaFsmYMYK5AMAYP+IkRkAAAA=",
+        expectedOutput: "hello",
+        recipeConfig: [
+            {
+                op: "From Base64",
+                args: ["A-Za-z0-9+/=", true],
+            },
+            {
+                op: "While Matches",
+                args: ["^\\x1f\\x8b", false, 100],
+            },
+            {
+                op: "Gunzip",
+                args: [],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "While Matches: inverted match with maximum iterations",
+        input: "abc",
+        expectedOutput: "abcabcabcabc",
+        recipeConfig: [
+            {
+                op: "While Matches",
+                args: ["x", true, 2],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Regex", "string": "^.*$"}, "$&$&", false, false, false, false],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "Repeat Until Unchanged: URL Decode",
+        input: "%2525252541",
+        expectedOutput: "A",
+        recipeConfig: [
+            {
+                op: "Repeat Until Unchanged",
+                args: [100],
+            },
+            {
+                op: "URL Decode",
+                args: [],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+    {
+        name: "Repeat Until Unchanged: maximum iterations",
+        input: "a",
+        expectedOutput: "WVE9PQ==",
+        recipeConfig: [
+            {
+                op: "Repeat Until Unchanged",
+                args: [2],
+            },
+            {
+                op: "To Base64",
+                args: ["A-Za-z0-9+/="],
+            },
+            {
+                op: "End Loop",
+                args: [],
+            },
+        ],
+    },
+]);
@@ -0,0 +1,102 @@
+/**
+ * Run Saved Recipe tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ *
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+import TestRegister from "../../lib/TestRegister.mjs";
+
+TestRegister.addTests([
+    {
+        name: "Run Saved Recipe: inline JSON recipe",
+        input: "hello",
+        expectedOutput: "OLLEH",
+        recipeConfig: [
+            {
+                op: "Run Saved Recipe",
+                args: ["Inline recipe", "", "[{\"op\":\"To Upper case\",\"args\":[\"All\"]},{\"op\":\"Reverse\",\"args\":[\"Character\"]}]"],
+            },
+        ],
+    },
+    {
+        name: "Run Saved Recipe: inline chef format recipe",
+        input: "68 65 6c 6c 6f",
+        expectedOutput: "HELLO",
+        recipeConfig: [
+            {
+                op: "Run Saved Recipe",
+                args: ["Inline recipe", "", "From_Hex('Space')\nTo_Upper_case('All')"],
+            },
+        ],
+    },
+    {
+        name: "Run Saved Recipe: shares variables with the recipe running it",
+        input: "hello",
+        expectedOutput: "inner outer value",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["outer", "Text", "", "outer value"],
+            },
+            {
+                op: "Run Saved Recipe",
+                // $${outer} is left for the inline recipe to fill in
+                args: ["Inline recipe", "", "Find_/_Replace({'option':'Simple string','string':'hello'},'$${outer}',true,false,true,false)\nSet_Variable('inner','Data','','')"],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "outer value"}, "inner ${inner}", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Run Saved Recipe: failing operation",
+        input: "hello",
+        expectedOutput: "Inline recipe failed at Run Saved Recipe: There is no saved recipe called 'missing'",
+        recipeConfig: [
+            {
+                op: "Run Saved Recipe",
+                args: ["Inline recipe", "", "Reverse('Character')Run_Saved_Recipe('Saved recipe','missing','')"],
+            },
+        ],
+    },
+    {
+        name: "Run Saved Recipe: inline recipe which runs itself",
+        input: "[{\"op\":\"Set Variable\",\"args\":[\"r\",\"Data\",\"\",\"\"]},{\"op\":\"Run Saved Recipe\",\"args\":[\"Inline recipe\",\"\",\"${r}\"]}]",
+        expectedMatch: /^(Inline recipe failed at Run Saved Recipe: ){10}Recipes cannot be run more than 10 deep: (\(inline recipe\)( > )?){10}$/,
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["r", "Data", "", ""],
+            },
+            {
+                op: "Run Saved Recipe",
+                args: ["Inline recipe", "", "${r}"],
+            },
+        ],
+    },
+    {
+        name: "Run Saved Recipe: invalid inline recipe",
+        input: "hello",
+        expectedOutput: "Invalid recipe: unknown operation 'Not an operation' at line 1, column 1",
+        recipeConfig: [
+            {
+                op: "Run Saved Recipe",
+                args: ["Inline recipe", "", "Not_an_operation()"],
+            },
+        ],
+    },
+    {
+        name: "Run Saved Recipe: unknown saved recipe",
+        input: "hello",
+        expectedOutput: "There is no saved recipe called 'missing'",
+        recipeConfig: [
+            {
+                op: "Run Saved Recipe",
+                args: ["Saved recipe", "missing", ""],
+            },
+        ],
+    },
+]);
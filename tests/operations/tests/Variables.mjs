@@ -0,0 +1,158 @@
+/**
+ * Variable tests.
+ *
+ * @author n1474335 [n1474335@gmail.com]
+ *
+ * @copyright Crown Copyright 2020
+ * @license Apache-2.0
+ */
+import TestRegister from "../../lib/TestRegister.mjs";
+
+TestRegister.addTests([
+    {
+        name: "Set Variable: regex match",
+        input: "key=secret;data",
+        expectedOutput: "key=secret;secret",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["key", "Regex match", "key=(\\w+)", ""],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "data"}, "${key}", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Set Variable: in a toggleString argument",
+        input: "abcabc",
+        expectedOutput: "aXcaXc",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["find", "Text", "", "b"],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "${find}"}, "X", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Set Variable: text referring to other variables",
+        input: "data",
+        expectedOutput: "xx",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["a", "Text", "", "x"],
+            },
+            {
+                op: "Set Variable",
+                args: ["b", "Text", "", "${a}${a}"],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "data"}, "${b}", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Set Variable: whole data",
+        input: "hello",
+        expectedOutput: "hello",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["original", "Data", "", ""],
+            },
+            {
+                op: "To Upper case",
+                args: ["All"],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "HELLO"}, "${original}", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Set Variable: no match leaves variable unset",
+        input: "hello",
+        expectedOutput: "${v}",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["v", "Regex match", "xyz", ""],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "hello"}, "${v}", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Variables: built-in input variables",
+        input: "hello é",
+        expectedOutput: "7/1/[]",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["unused", "Text", "", ""],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "hello \u00e9"}, "${inputLength}/${tabNumber}/[${filename}]", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Variables: escaped reference",
+        input: "\\x ${a}",
+        expectedOutput: "matched",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["a", "Text", "", "x"],
+            },
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "\\${a} $${a}"}, "matched", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Variables: built-in input variables without Set Variable",
+        input: "hello \u00e9",
+        expectedOutput: "7",
+        recipeConfig: [
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "hello \u00e9"}, "${inputLength}", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Variables: not filled in for recipes without Set Variable or built-in variables",
+        input: "${other} $${inputLength}",
+        expectedOutput: "matched",
+        recipeConfig: [
+            {
+                op: "Find / Replace",
+                args: [{"option": "Simple string", "string": "${other} $${inputLength}"}, "matched", true, false, true, false],
+            },
+        ],
+    },
+    {
+        name: "Set Variable: invalid name",
+        input: "hello",
+        expectedOutput: "Invalid variable name: '1st'. Names can only contain letters, numbers and underscores and cannot start with a number.",
+        recipeConfig: [
+            {
+                op: "Set Variable",
+                args: ["1st", "Text", "", "x"],
+            },
+        ],
+    },
+]);